@@ -0,0 +1,360 @@
+#!/usr/bin/env node
+/* =========================================================
+   RUPACAYA — simulasi batch (Node, tanpa browser)
+   Membaca CSV persona → menjalankan mesin yang SAMA dengan aplikasi
+   (src/mesin.mjs) → menulis hasil JSON / CSV untuk tabel riset OPSI.
+
+   Pakai:
+     node scripts/simulasi-batch.mjs persona.csv [-o hasil.csv|hasil.json]
+          [--format json|csv] [--dataset dataset.json] [--seri]
+
+   Kolom CSV (baris pertama = header, urutan bebas):
+     nama, usia, instrumen, modal, bulan            → wajib (usia boleh kosong)
+     setoran, biaya, investors, porsiProduktif, k   → opsional
+     inflasi, biRate, ihsg, kurs                    → geseran What-If (opsional)
+     modelDampak, hari, volHarian                   → model dampak pasar (opsional)
+   instrumen: "saham" atau alokasi campuran "saham:60,emas:40" (total 100).
+   biaya: 1/0 (default 1, seperti aplikasi) • porsiProduktif: persen 0–100 (default 70).
+   k: koefisien sensitivitas inflasi (default 0,05).
+   modelDampak: akar (default) / linear • hari: hari bursa dana masuk (default 20)
+   • volHarian: volatilitas harian IHSG dalam % (default 1).
+   Tanpa -o hasil ditulis ke stdout.
+   ========================================================= */
+import { readFileSync, writeFileSync } from "node:fs";
+import { extname } from "node:path";
+import {
+  DATASET_DEFAULT,
+  validasiDataset,
+  JENIS,
+  WHATIF,
+  WHATIF_NOL,
+  MODEL_DAMPAK,
+  PARAM_DAMPAK_DEFAULT,
+  BATAS_PARAM_DAMPAK,
+  keCsv,
+  parseCsv,
+  hitungProyeksi,
+  dampakNasional,
+  dampakInflasi,
+  K_INFLASI,
+  BATAS_K_INFLASI,
+} from "../src/mesin.mjs";
+
+const PAKAI = `Pakai: node scripts/simulasi-batch.mjs persona.csv [-o hasil.csv|hasil.json]
+       [--format json|csv] [--dataset dataset.json] [--seri]`;
+const PORSI_PRODUKTIF_DEFAULT = 70; // % — sama dengan default slider aplikasi
+
+function bacaArgumen(argv) {
+  const opsi = { format: null, output: null, dataset: null, seri: false };
+  const sisa = [];
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "-o" || a === "--output") opsi.output = argv[++i];
+    else if (a === "--format") opsi.format = argv[++i];
+    else if (a === "--dataset") opsi.dataset = argv[++i];
+    else if (a === "--seri") opsi.seri = true;
+    else if (a === "-h" || a === "--help") opsi.bantuan = true;
+    else sisa.push(a);
+  }
+  opsi.input = sisa[0];
+  if (!opsi.format)
+    opsi.format =
+      opsi.output && extname(opsi.output) === ".json" ? "json" : "csv";
+  return opsi;
+}
+
+// Dataset hasil "Unduh JSON" di panel Data Ekonomi → validator yang sama
+// dengan impor di aplikasi (dataset yang ditolak aplikasi juga ditolak di sini)
+function bacaDataset(path) {
+  const { data, errors } = validasiDataset(
+    JSON.parse(readFileSync(path, "utf8"))
+  );
+  if (errors.length)
+    throw new Error(errors.map((e) => `${path}: ${e}`).join("\n"));
+  return data;
+}
+
+// "saham" → { saham: 1 } • "saham:60,emas:40" → { saham: 0.6, emas: 0.4 }
+function bacaInstrumen(teks, galat) {
+  const t = teks.trim().toLowerCase();
+  if (!t.includes(":")) {
+    if (!JENIS.includes(t)) galat.push(`instrumen "${teks}" tidak dikenal`);
+    return { [t]: 1 };
+  }
+  const bobot = {};
+  let total = 0;
+  t.split(/[,;]/).forEach((pasangan) => {
+    const [j, w] = pasangan.trim().split(":");
+    if (!JENIS.includes(j) || !/^\d+$/.test(w || ""))
+      galat.push(`alokasi "${pasangan.trim()}" tidak valid`);
+    else if (Number(w) > 0) {
+      bobot[j] = Number(w) / 100;
+      total += Number(w);
+    }
+  });
+  if (total !== 100) galat.push(`total alokasi ${total}% (harus 100%)`);
+  return bobot;
+}
+
+function bacaPersona(baris, header, dataset) {
+  const ambil = (k) => {
+    const i = header.indexOf(k.toLowerCase());
+    return i < 0 ? "" : (baris[i] ?? "").trim();
+  };
+  const galat = [];
+  const angka = (k, { wajib = false, bawaan = 0 } = {}) => {
+    const v = ambil(k).replace(/_/g, "");
+    if (v === "") {
+      if (wajib) galat.push(`${k} wajib diisi`);
+      return bawaan;
+    }
+    const n = Number(v);
+    if (isNaN(n)) galat.push(`${k} "${v}" bukan angka`);
+    return n;
+  };
+
+  const nama = ambil("nama");
+  const usia = angka("usia", { bawaan: null });
+  const bobot = bacaInstrumen(ambil("instrumen"), galat);
+  const modal = angka("modal", { wajib: true });
+  const setoran = angka("setoran");
+  const months = angka("bulan", { wajib: true });
+  const investors = angka("investors", { bawaan: dataset.investorsDefault });
+  const porsiProduktif = angka("porsiProduktif", {
+    bawaan: PORSI_PRODUKTIF_DEFAULT,
+  });
+  // kosong = ikut default aplikasi (pajak & biaya dihitung)
+  const pakaiBiaya =
+    ambil("biaya") === "" || /^(1|ya|y|true|yes)$/i.test(ambil("biaya"));
+
+  // aturan sama dengan validasiLangkah & slider What-If di aplikasi
+  if (usia !== null && (usia < 10 || usia > 100))
+    galat.push("usia harus 10–100");
+  if (modal < 0 || setoran < 0) galat.push("modal/setoran tidak boleh negatif");
+  if (!modal && !setoran) galat.push("modal atau setoran harus > 0");
+  if (!Number.isInteger(months) || months < 1 || months > 600)
+    galat.push("bulan harus bilangan bulat 1–600");
+  if (investors < 0) galat.push("investors tidak boleh negatif");
+  if (porsiProduktif < 0 || porsiProduktif > 100)
+    galat.push("porsiProduktif harus 0–100");
+  const k = angka("k", { bawaan: K_INFLASI });
+  if (k < BATAS_K_INFLASI[0] || k > BATAS_K_INFLASI[1])
+    galat.push(`k harus ${BATAS_K_INFLASI[0]}–${BATAS_K_INFLASI[1]}`);
+  const modelDampak = ambil("modelDampak") || PARAM_DAMPAK_DEFAULT.model;
+  if (!MODEL_DAMPAK[modelDampak])
+    galat.push(
+      `modelDampak "${modelDampak}" harus ${Object.keys(MODEL_DAMPAK).join(
+        "/"
+      )}`
+    );
+  const paramDampak = { model: modelDampak };
+  Object.entries(BATAS_PARAM_DAMPAK).forEach(([k, [min, max]]) => {
+    paramDampak[k] = angka(k, { bawaan: PARAM_DAMPAK_DEFAULT[k] });
+    if (paramDampak[k] < min || paramDampak[k] > max)
+      galat.push(`${k} harus ${min}–${max}`);
+  });
+  const adj = { ...WHATIF_NOL };
+  WHATIF.forEach((w) => {
+    const n = angka(w.key);
+    if (n < w.min || n > w.max)
+      galat.push(`${w.key} ${n} di luar ${w.min}…${w.max} ${w.satuan}`);
+    else adj[w.key] = Math.round(n / w.step) * w.step;
+  });
+
+  return {
+    galat,
+    persona: {
+      nama,
+      usia,
+      bobot,
+      modal,
+      setoran,
+      months,
+      investors,
+      porsiProduktif: porsiProduktif / 100,
+      k,
+      pakaiBiaya,
+      adj,
+      paramDampak,
+    },
+  };
+}
+
+function simulasikan(p, dataset) {
+  const hasil = hitungProyeksi({ ...p, dataset });
+  const nasional = dampakNasional({
+    investors: p.investors,
+    modal: p.modal,
+    setoran: p.setoran,
+    months: p.months,
+    bobot: p.bobot,
+    macro: dataset.macro,
+    param: p.paramDampak,
+  });
+  const inflasi = dampakInflasi({
+    modal: p.modal,
+    setoran: p.setoran,
+    months: p.months,
+    investors: p.investors,
+    pdb: dataset.pdb,
+    porsiProduktif: p.porsiProduktif,
+    inflasiAwal: dataset.macro.inflasiTahunan,
+    k: p.k,
+  });
+  return { hasil, nasional, inflasi };
+}
+
+const KOLOM_CSV = [
+  ["nama", (p) => p.nama],
+  ["usia", (p) => p.usia ?? ""],
+  [
+    "instrumen",
+    (p) =>
+      Object.entries(p.bobot)
+        .map(([j, w]) => `${j}:${Math.round(w * 100)}`)
+        .join(","),
+  ],
+  ["modal", (p) => p.modal],
+  ["setoran", (p) => p.setoran],
+  ["bulan", (p) => p.months],
+  ["biaya", (p) => (p.pakaiBiaya ? 1 : 0)],
+  ...WHATIF.map((w) => [w.key, (p) => p.adj[w.key]]),
+  ["totalSetor", (p, r) => r.hasil.totalSetor],
+  ["optimis", (p, r) => r.hasil.optV],
+  ["moderat", (p, r) => r.hasil.modV],
+  ["pesimis", (p, r) => r.hasil.pesV],
+  ["moderatRiil", (p, r) => r.hasil.modReal],
+  ["returnTahunanPct", (p, r) => r.hasil.annualModerate],
+  ["returnRiilPct", (p, r) => r.hasil.annualReal],
+  ["inflasiPct", (p, r) => r.hasil.inflasi],
+  ["targetInflasi", (p, r) => r.hasil.targetInflasi],
+  ["feeDrag", (p, r) => r.hasil.feeDrag],
+  ["investors", (p) => p.investors],
+  ["danaPerOrang", (p, r) => r.nasional.danaPerOrang],
+  ["setoranMasuk", (p, r) => r.nasional.setoranMasuk],
+  ["totalDana", (p, r) => r.nasional.totalDana],
+  ["modelDampak", (p, r) => r.nasional.model],
+  ["hari", (p, r) => r.nasional.hari],
+  ["porsiSaham", (p, r) => r.nasional.porsiSaham],
+  ["partisipasiVolumePct", (p, r) => r.nasional.partisipasi * 100],
+  ["doronganIhsgPct", (p, r) => r.nasional.impactPct],
+  ["doronganRendahPct", (p, r) => r.nasional.rendahPct],
+  ["doronganTinggiPct", (p, r) => r.nasional.tinggiPct],
+  ["doronganKumulatifPct", (p, r) => r.nasional.kumulatifPct],
+  ["porsiProduktifPct", (p) => p.porsiProduktif * 100],
+  ["k", (p) => p.k],
+  // tahun ke-1 & tahun terakhir durasi (jalur lengkap per tahun ada di JSON)
+  ["tambahanInflasiPct", (p, r) => r.inflasi.tambahanInflasi],
+  ["inflasiSimulasiPct", (p, r) => r.inflasi.inflasiSimulasi],
+  ["tambahanInflasiAkhirPct", (p, r) => r.inflasi.tambahanAkhir],
+  ["inflasiAkhirPct", (p, r) => r.inflasi.inflasiAkhir],
+];
+
+function keJson(baris, dataset, seri) {
+  return JSON.stringify(
+    {
+      schema: "rupacaya-batch",
+      versi: 1,
+      dataset: { versi: dataset.versi, asOf: dataset.asOf },
+      hasil: baris.map(({ persona, r }) => {
+        const { seri: bulanan, kontribusi, ...ringkas } = r.hasil;
+        return {
+          persona,
+          hasil: {
+            ...ringkas,
+            // per instrumen: bobot, laju & nilai akhir (seri bulanan di --seri)
+            kontribusi: kontribusi.map(
+              ({ type, w, r, setor, optV, modV, pesV }) => ({
+                type,
+                w,
+                r,
+                setor,
+                optV,
+                modV,
+                pesV,
+              })
+            ),
+            ...(seri ? { seri: bulanan } : {}),
+          },
+          dampakNasional: r.nasional,
+          dampakInflasi: r.inflasi,
+        };
+      }),
+    },
+    null,
+    2
+  );
+}
+
+function main() {
+  const opsi = bacaArgumen(process.argv.slice(2));
+  if (opsi.bantuan || !opsi.input) {
+    console.error(PAKAI);
+    process.exit(opsi.bantuan ? 0 : 2);
+  }
+  if (!["json", "csv"].includes(opsi.format)) {
+    console.error(`--format harus json atau csv (bukan "${opsi.format}")`);
+    process.exit(2);
+  }
+
+  let dataset = DATASET_DEFAULT;
+  try {
+    if (opsi.dataset) dataset = bacaDataset(opsi.dataset);
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+  let teks;
+  try {
+    teks = readFileSync(opsi.input, "utf8").replace(/^\uFEFF/, ""); // BOM dari Excel
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+  const [header, ...isi] = parseCsv(teks);
+  const kepala = (header || []).map((h) => h.trim().toLowerCase());
+  const kurang = ["nama", "instrumen", "modal", "bulan"].filter(
+    (k) => !kepala.includes(k)
+  );
+  if (kurang.length) {
+    console.error(`${opsi.input}: kolom wajib tidak ada: ${kurang.join(", ")}`);
+    process.exit(1);
+  }
+
+  // semua baris divalidasi dulu → tabel riset tidak pernah setengah jadi
+  const galat = [];
+  const persona = isi.map((baris, i) => {
+    const b = bacaPersona(baris, kepala, dataset);
+    b.galat.forEach((g) => galat.push(`baris ${i + 2}: ${g}`));
+    return b.persona;
+  });
+  if (galat.length) {
+    console.error(galat.join("\n"));
+    process.exit(1);
+  }
+
+  const baris = persona.map((p) => ({
+    persona: p,
+    r: simulasikan(p, dataset),
+  }));
+  const keluaran =
+    opsi.format === "json"
+      ? keJson(baris, dataset, opsi.seri)
+      : keCsv([
+          KOLOM_CSV.map(([k]) => k),
+          ...baris.map(({ persona: p, r }) =>
+            KOLOM_CSV.map(([, f]) => f(p, r))
+          ),
+        ]);
+  if (opsi.output) {
+    try {
+      writeFileSync(opsi.output, keluaran + "\n");
+    } catch (e) {
+      console.error(e.message);
+      process.exit(1);
+    }
+    console.error(`${baris.length} persona → ${opsi.output}`);
+  } else process.stdout.write(keluaran + "\n");
+}
+
+main();
@@ -1,4 +1,11 @@
-import React, { useMemo, useRef, useState, useEffect } from "react";
+import React, {
+  createContext,
+  useContext,
+  useMemo,
+  useRef,
+  useState,
+  useEffect,
+} from "react";
 
 import {
   ResponsiveContainer,
@@ -8,302 +15,5683 @@ import {
   YAxis,
   Tooltip as InflasiTooltip,
 } from "recharts";
+import {
+  JENIS,
+  SKENARIO,
+  WHATIF,
+  WHATIF_NOL,
+  DATASET_DEFAULT,
+  MACRO_FIELDS,
+  PESAN_DATASET,
+  validasiDataset,
+  datasetKeCsv,
+  csvKeDataset,
+  keCsv,
+  lajuSetara,
+  proyeksiNet,
+  seriSaldo,
+  inflasiBulanan,
+  BIAYA_INSTRUMEN,
+  TANPA_BIAYA,
+  lajuDisesuaikan,
+  hitungProyeksi,
+  MODEL_DAMPAK,
+  PARAM_DAMPAK_DEFAULT,
+  BATAS_PARAM_DAMPAK,
+  PARTISIPASI_MAKS,
+  dampakNasional,
+  dampakInflasi,
+  K_INFLASI,
+  BATAS_K_INFLASI,
+  KOMPONEN_INFLASI,
+} from "./mesin.mjs";
 
 /* =========================================================
    RUPACAYA — OPSI IPS-Ekonomi (FINAL • single-file • no deps)
    Fitur kunci (semua inline):
    - 5 Langkah: Intro → Profil → Instrumen → Angka → Hasil & Dampak
-   - Profil (nama/usia/pekerjaan) + pesan usia personal
+   - Profil (nama/usia/pekerjaan) + pesan usia personal + kuis profil risiko
    - Info instrumen detail (definisi, korelasi, tips)
    - Input angka mulus (sanitizer onlyDigits) + preset
-   - Hasil 3 skenario + indikator vs inflasi
-   - What-If : Inflasi+1%, BI-0.25 pp, IHSG+5%
-   - Dampak nasional realistis (tanpa cap kaku 10%), line chart korelasi (SVG)
+   - Hasil 3 skenario + setoran bulanan (DCA) + indikator vs inflasi
+   - Portofolio campuran (alokasi %) + Monte Carlo P10/P50/P90 (Web Worker)
+   - What-If : slider inflasi/BI Rate/IHSG/kurs + tabel sensitivitas (live)
+   - Replay krisis historis (1998, 2008, 2013, 2020): turun puncak→dasar & waktu pulih
+   - Backtest historis 2005–2024 (IHSG, emas Antam, deposito, SBN, RD pasar uang)
+   - Rencana tujuan (kuliah/nikah/rumah/dana darurat): setoran/modal yang dibutuhkan
+   - Bandingkan 5 instrumen sekaligus (tabel bisa diurutkan + grafik tumpang)
+   - Dampak nasional: model dampak pasar (akar kuadrat / linear), hanya porsi saham,
+     dana disebar N hari bursa + rentang keyakinan; line chart korelasi (SVG)
+   - Dampak inflasi per tahun: tekanan permintaan (porsi non-produktif) vs tambahan
+     kapasitas (porsi produktif), k bisa diubah, grafik jalur vs tanpa investasi
    - FAQ ekonomi + Kamus mini (BI Rate, IHSG, LPS, OJK, Annualized, Inflasi)
    - Download TXT memuat profil + sumber resmi (BI, OJK, IDX, BPS)
+   - Download PDF (dibuat di browser, offline): tabel, grafik, header/footer
+   - Ekspor JSON (input, makro, laju, hasil, dampak) + CSV jadwal per bulan
+   - Impor simulasi (file JSON ekspor) di Langkah 1 → langsung ke hasil
+   - Autosave + simulasi tersimpan (localStorage), lanjutkan di langkah terakhir
+   - Tautan berbagi (#sim=...): buka langsung di hasil yang sama, opsi tanpa data pribadi
+   - Bahasa Indonesia / English (tombol ID/EN, tersimpan): teks, angka & format Rp ikut bahasa
+   - Hasil dalam Rp / USD / gram emas: jalur asumsi pelemahan rupiah & harga emas
+   - Mesin hitung (proyeksi, What-If, dampak) di mesin.mjs → dipakai juga CLI batch
+     persona (scripts/simulasi-batch.mjs), hasil browser & CLI identik
    ========================================================= */
 
+/* ============ Bahasa (ID/EN) ============ */
+// Teks UI ada di katalog TEKS.id / TEKS.en (lihat "Katalog teks" di atas App).
+// Data bertabel (instrumen, kuis, krisis, …) membawa terjemahan `en` di tiap
+// entrinya → dibaca lewat lok(). Semua helper yang ikut bahasa (teks, angka,
+// Rp, tanggal) dibuat per bahasa oleh buatBahasa(): komponen mengambilnya dari
+// BahasaKonteks (useBahasa), fungsi biasa menerimanya sebagai argumen `bhs`.
+const KEY_BAHASA = "rupacaya.bahasa";
+const BAHASA = {
+  id: { label: "ID", lokal: "id-ID" },
+  en: { label: "EN", lokal: "en-US" },
+};
+// versi ringkas untuk sumbu grafik: Rp 1,2 jt / Rp 3,4 M / Rp 5 T
+const SATUAN_SINGKAT = {
+  id: ["T", "M", "jt", "rb"],
+  en: ["T", "B", "M", "K"],
+};
+function buatBahasa(kode) {
+  const lokal = BAHASA[kode].lokal;
+  // tr("kunci", ...sisipan) → teks di bahasa ini (cadangan: Indonesia)
+  const tr = (key, ...args) => {
+    const v = TEKS[kode][key] ?? TEKS.id[key];
+    if (v === undefined) return key;
+    return typeof v === "function" ? v(...args) : v;
+  };
+  // entri data + terjemahannya: { label, en: { label } } → sesuai bahasa ini
+  const lok = (obj) =>
+    kode !== "id" && obj?.[kode] ? { ...obj, ...obj[kode] } : obj;
+
+  const fmtRp = (n) =>
+    isNaN(n) ? "-" : "Rp " + Math.round(Number(n)).toLocaleString(lokal);
+  const fmtAngka = (x, d) =>
+    x.toLocaleString(lokal, {
+      minimumFractionDigits: d,
+      maximumFractionDigits: d,
+    });
+  // ID: "9,70 %" • EN: "9.70%"
+  const pct = (x, d = 2) =>
+    isNaN(x) || x === Infinity || x === -Infinity
+      ? "-"
+      : fmtAngka(x, d) + (kode === "id" ? " %" : "%");
+  // "+0,0030 %" / "−0,0003 %"; yang habis dibulatkan jadi nol tanpa tanda
+  const pctTanda = (x, d) =>
+    Math.abs(x) < 0.5 * 10 ** -d
+      ? pct(0, d)
+      : `${x < 0 ? "−" : "+"}${pct(Math.abs(x), d)}`;
+  // "+1,5 pp" / "−10 %" / "0 pp"
+  const fmtGeser = (v, satuan) =>
+    (v > 0 ? "+" : v < 0 ? "−" : "") +
+    Math.abs(v).toLocaleString(lokal, { maximumFractionDigits: 2 }) +
+    " " +
+    satuan;
+  const fmtRpSingkat = (n) => {
+    const a = Math.abs(n);
+    const [triliun, miliar, juta, ribu] = SATUAN_SINGKAT[kode];
+    const ringkas = (bagi, d, satuan) =>
+      "Rp " +
+      (n / bagi).toLocaleString(lokal, { maximumFractionDigits: d }) +
+      " " +
+      satuan;
+    if (a >= 1e12) return ringkas(1e12, 1, triliun);
+    if (a >= 1e9) return ringkas(1e9, 1, miliar);
+    if (a >= 1e6) return ringkas(1e6, 1, juta);
+    if (a >= 1e3) return ringkas(1e3, 0, ribu);
+    return fmtRp(n);
+  };
+  // ID: "US$ 1.234,56" • EN: "$1,234.56" • emas: "12,34 gram"
+  const fmtMataUang = (x, mataUang) => {
+    if (mataUang === "USD")
+      return x.toLocaleString(lokal, { style: "currency", currency: "USD" });
+    if (mataUang === "emas") return `${fmtAngka(x, 2)} gram`;
+    return fmtRp(x);
+  };
+  const niceYears = (months) => {
+    const m = Number(months || 0);
+    const bulan = (n) => tr("satuan.bulan", n);
+    if (m < 12) return bulan(m);
+    const th = Math.floor(m / 12);
+    const sisa = m % 12;
+    return `${bulan(m)} (≈ ${tr("satuan.tahun", th)}${
+      sisa ? " " + bulan(sisa) : ""
+    })`;
+  };
+  // "2025-09" → "Sep 2025"
+  const fmtAsOf = (asOf) => {
+    const [th, bl] = (asOf || "").split("-").map(Number);
+    if (!th || !bl) return asOf || "-";
+    return new Date(th, bl - 1, 1).toLocaleDateString(lokal, {
+      month: "short",
+      year: "numeric",
+    });
+  };
+  const fmtWaktu = (iso) =>
+    new Date(iso).toLocaleString(lokal, {
+      day: "numeric",
+      month: "short",
+      year: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+
+  return {
+    kode,
+    lokal,
+    tr,
+    lok,
+    fmtRp,
+    fmtAngka,
+    pct,
+    pctTanda,
+    fmtGeser,
+    fmtRpSingkat,
+    fmtMataUang,
+    niceYears,
+    fmtAsOf,
+    fmtWaktu,
+  };
+}
+// satu paket per bahasa (dibuat sekali → aman jadi dependensi useMemo)
+const PAKET_BAHASA = { id: buatBahasa("id"), en: buatBahasa("en") };
+const BahasaKonteks = createContext(PAKET_BAHASA.id);
+const useBahasa = () => useContext(BahasaKonteks);
+
 /* ============ Helpers ============ */
-const fmtRp = (n) =>
-  isNaN(n) ? "-" : "Rp " + Math.round(Number(n)).toLocaleString("id-ID");
-const pct = (x, d = 2) =>
-  isNaN(x) || x === Infinity || x === -Infinity ? "-" : x.toFixed(d) + " %";
 const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
 const onlyDigits = (s) => (s ?? "").toString().replace(/[^\d]/g, "");
-const niceYears = (months) => {
-  const m = Number(months || 0);
-  if (m < 12) return `${m} bulan`;
-  const th = Math.floor(m / 12);
-  const sisa = m % 12;
-  return `${m} bulan (≈ ${th} tahun${sisa ? " " + sisa + " bulan" : ""})`;
+
+/* ============ Dataset (makro, base rate, sensitivitas What-If) ============ */
+// Satu file dataset (JSON/CSV, berversi) bisa direview sekolah lalu dibagikan.
+// Guru juga bisa menimpa angka makro lewat panel "Data Ekonomi" (tersimpan di browser).
+const KEY_DATASET = "rupacaya.dataset";
+// sensitivitas dataset aktif sebelum diedit di tabel What-If → tujuan tombol reset
+const KEY_SENS_ASAL = "rupacaya.dataset.sensitivitasAsal";
+// Dataset tersimpan di browser → default
+function muatDataset() {
+  try {
+    const simpan = JSON.parse(localStorage.getItem(KEY_DATASET) || "null");
+    // pesan galat tidak ditampilkan di sini → pakai pesan bawaan mesin
+    if (simpan) return validasiDataset(simpan).data || DATASET_DEFAULT;
+  } catch {
+    // localStorage bisa diblokir (mode privat) → pakai default
+  }
+  return DATASET_DEFAULT;
+}
+function muatSensitivitasAsal(dataset) {
+  const simpan = bacaLokal(KEY_SENS_ASAL, null);
+  const cek = simpan && validasiDataset({ ...dataset, sensitivitas: simpan });
+  return cek?.data ? cek.data.sensitivitas : dataset.sensitivitas;
+}
+
+/* ============ Simpanan lokal (autosave & simulasi bernama) ============ */
+// Semua kunci diawali "rupacaya." → mudah dihapus sekaligus ("hapus semua data saya")
+const KEY_DRAFT = "rupacaya.draft"; // wizard yang sedang dikerjakan
+const KEY_SIMPANAN = "rupacaya.simpanan"; // daftar simulasi bernama
+const bacaLokal = (key, cadangan) => {
+  try {
+    return JSON.parse(localStorage.getItem(key) || "null") ?? cadangan;
+  } catch {
+    return cadangan;
+  }
+};
+const tulisLokal = (key, nilai) => {
+  try {
+    if (nilai === null) localStorage.removeItem(key);
+    else localStorage.setItem(key, JSON.stringify(nilai));
+  } catch {
+    // localStorage bisa diblokir/penuh → aplikasi tetap jalan tanpa simpan
+  }
+};
+const hapusSemuaLokal = () => {
+  try {
+    Object.keys(localStorage)
+      .filter((k) => k.startsWith("rupacaya."))
+      .forEach((k) => localStorage.removeItem(k));
+  } catch {
+    // abaikan
+  }
 };
 
-/* ============ UI primitives (inline style supaya aman) ============ */
-const Wrap = ({ children }) => (
-  <div
-    style={{
-      padding: 20,
-      fontFamily:
-        "Inter, system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif",
-      maxWidth: 1100,
-      margin: "0 auto",
-      color: "#0f172a",
-      background: "#f8fafc",
-    }}
-  >
-    {children}
-  </div>
-);
-const Row = ({ children, gap = 12, wrap = true, align = "stretch" }) => (
-  <div
-    style={{
-      display: "flex",
-      gap,
-      flexWrap: wrap ? "wrap" : "nowrap",
-      alignItems: align,
-    }}
-  >
-    {children}
-  </div>
-);
-const Box = ({ children, style }) => (
-  <div
-    style={{
-      background: "#ffffff",
-      border: "1px solid #e5e7eb",
-      borderRadius: 16,
-      padding: 16,
-      marginTop: 14,
-      boxShadow: "0 1px 0 rgba(15,23,42,.03)",
-      ...style,
-    }}
-  >
-    {children}
-  </div>
-);
-const Card = ({ children, style }) => (
-  <div
-    style={{
-      background: "#ffffff",
-      border: "1px solid #e5e7eb",
-      borderRadius: 12,
-      padding: 14,
-      ...style,
-    }}
-  >
-    {children}
-  </div>
-);
-const Tips = ({ children }) => (
-  <div
-    style={{
-      background: "#fef3c7",
-      color: "#78350f",
-      border: "1px solid #fde68a",
-      borderRadius: 10,
-      padding: "8px 12px",
-    }}
-  >
-    {children}
-  </div>
-);
-const Badge = ({ children, bg = "#e5e7eb", color = "#111827" }) => (
-  <span
-    style={{
-      background: bg,
-      color,
-      borderRadius: 999,
-      padding: "4px 10px",
-      fontSize: 12,
-      whiteSpace: "nowrap",
-    }}
-  >
-    {children}
-  </span>
-);
-const BtnPrimary = ({ children, style, ...props }) => (
-  <button
-    {...props}
-    style={{
-      background: "linear-gradient(135deg,#2563eb,#7c3aed)",
-      color: "#fff",
-      border: "none",
-      padding: "12px 18px",
-      borderRadius: 12,
-      cursor: "pointer",
-      boxShadow: "0 6px 20px rgba(37,99,235,.25)",
-      ...style,
-    }}
-  >
-    {children}
-  </button>
-);
-const Btn = ({ children, style, ...props }) => (
-  <button
-    {...props}
-    style={{
-      background: "#e5e7eb",
-      color: "#111827",
-      border: "none",
-      padding: "10px 14px",
-      borderRadius: 10,
-      cursor: "pointer",
-      ...style,
-    }}
-  >
-    {children}
-  </button>
-);
-const Pill = ({ children, active = false, style, ...props }) => (
-  <button
-    {...props}
-    style={{
-      background: active ? "#0ea5e9" : "#e5e7eb",
-      color: active ? "#fff" : "#111827",
-      border: "none",
-      borderRadius: 999,
-      padding: "8px 12px",
-      cursor: "pointer",
-      ...style,
-    }}
-  >
-    {children}
-  </button>
-);
+/* ============ Validasi input wizard ============ */
+// Aturan per langkah (dipakai efek `errors` di App & saat membuka tautan).
+// nama null = tidak dibagikan (tautan tanpa data pribadi) → tidak dicek.
+function validasiLangkah({
+  step,
+  nama,
+  usia,
+  investment,
+  modeAlokasi,
+  totalAlokasi,
+  modal,
+  setoran,
+  months,
+  investors,
+  investorsStr,
+  bhs,
+}) {
+  const { tr } = bhs;
+  const e = {};
+  if (
+    step >= 2 &&
+    nama !== null &&
+    (nama.trim().length < 2 || nama.trim().length > 30)
+  ) {
+    e.nama = tr("galat.nama");
+  }
+  if (step >= 2 && usia && (Number(usia) < 10 || Number(usia) > 100)) {
+    e.usia = tr("galat.usia");
+  }
+  if (step >= 3 && modeAlokasi === "tunggal" && !investment)
+    e.investment = tr("galat.pilihInstrumen");
+  if (step >= 3 && modeAlokasi === "campuran" && totalAlokasi !== 100)
+    e.investment = tr("galat.totalAlokasi", totalAlokasi);
+  if (step >= 4) {
+    if (!modal && !setoran) e.modal = tr("galat.modal");
+    if (!months || months < 1 || months > 600) e.months = tr("galat.durasi");
+    if (investorsStr && !investors) e.investors = tr("galat.investor");
+  }
+  return e;
+}
 
-/* Accordion sederhana (FAQ/Kamus) */
-const Accordion = ({ items }) => {
-  const [open, setOpen] = useState(null);
-  return (
-    <div>
-      {items.map((it, i) => (
-        <Card key={i} style={{ marginTop: 10 }}>
-          <div
-            onClick={() => setOpen(open === i ? null : i)}
-            style={{
-              display: "flex",
-              justifyContent: "space-between",
-              cursor: "pointer",
-              alignItems: "center",
-            }}
-          >
-            <h4 style={{ margin: 0 }}>{it.title}</h4>
-            <span style={{ fontSize: 18, color: "#475569" }}>
-              {open === i ? "−" : "+"}
-            </span>
-          </div>
-          {open === i && (
-            <div style={{ marginTop: 10, color: "#374151", lineHeight: 1.6 }}>
-              {it.content}
-            </div>
+/* ============ Tautan berbagi (#sim=...) ============ */
+// Isi tautan: instrumen/alokasi, angka, What-If & (opsional) data pribadi.
+// Contoh: #sim=v=1&i=saham&m=1000000&d=24&s=100000&n=18000000&f=1&w=inflasi:1
+const TAUTAN_VERSI = 1;
+export function buatTautan(s, { pribadi }) {
+  const q = new URLSearchParams({ v: TAUTAN_VERSI });
+  if (s.modeAlokasi === "campuran")
+    q.set(
+      "a",
+      JENIS.filter((j) => Number(s.alokasi[j]) > 0)
+        .map((j) => `${j}:${s.alokasi[j]}`)
+        .join(",")
+    );
+  else q.set("i", s.investment);
+  q.set("m", onlyDigits(s.modalStr) || "0");
+  q.set("d", onlyDigits(s.monthsStr) || "0");
+  q.set("s", onlyDigits(s.setoranStr) || "0");
+  if (onlyDigits(s.investorsStr)) q.set("n", onlyDigits(s.investorsStr));
+  q.set("f", s.pakaiBiaya ? "1" : "0");
+  const w = WHATIF.filter((x) => s.adj[x.key]).map(
+    (x) => `${x.key}:${s.adj[x.key]}`
+  );
+  if (w.length) q.set("w", w.join(","));
+  if (pribadi) {
+    if (s.nama) q.set("nm", s.nama);
+    if (s.usia) q.set("u", s.usia);
+    if (s.pekerjaan) q.set("p", s.pekerjaan);
+  }
+  return `#sim=${encodeURIComponent(q.toString())}`;
+}
+// hash → { snapshot } | { errors } | null (bukan tautan simulasi)
+export function bacaTautan(hash, bhs) {
+  const { tr } = bhs;
+  const m = /^#sim=(.*)$/.exec(hash || "");
+  if (!m) return null;
+  let q;
+  try {
+    q = new URLSearchParams(decodeURIComponent(m[1]));
+  } catch {
+    return { errors: [tr("galat.tautanRusak")] };
+  }
+  const errors = [];
+  if (Number(q.get("v")) !== TAUTAN_VERSI)
+    errors.push(tr("galat.tautanVersi", q.get("v") || "-"));
+
+  const alokasi = {
+    saham: "",
+    obligasi: "",
+    deposito: "",
+    emas: "",
+    reksadana: "",
+  };
+  let investment = "";
+  const modeAlokasi = q.has("a") ? "campuran" : "tunggal";
+  if (q.has("a")) {
+    q.get("a")
+      .split(",")
+      .forEach((pasangan) => {
+        const [j, w] = pasangan.split(":");
+        if (!JENIS.includes(j) || !/^\d+$/.test(w || ""))
+          errors.push(tr("galat.tautanAlokasi", pasangan));
+        else alokasi[j] = w;
+      });
+  } else {
+    investment = q.get("i") || "";
+    if (investment && !JENIS.includes(investment))
+      errors.push(tr("galat.instrumenAsing", investment));
+  }
+  const angka = (k) => {
+    const v = q.get(k) || "";
+    if (v && !/^\d+$/.test(v)) errors.push(tr("galat.tautanAngka", k));
+    return onlyDigits(v);
+  };
+  const modalStr = angka("m");
+  const monthsStr = angka("d");
+  const setoranStr = angka("s");
+  const investorsStr = angka("n");
+
+  const adj = { ...WHATIF_NOL };
+  (q.get("w") || "")
+    .split(",")
+    .filter(Boolean)
+    .forEach((pasangan) => {
+      const [k, v] = pasangan.split(":");
+      const w = WHATIF.find((x) => x.key === k);
+      const n = Number(v);
+      if (!w || isNaN(n) || n < w.min || n > w.max)
+        errors.push(tr("galat.tautanWhatIf", pasangan));
+      else adj[k] = Math.round(n / w.step) * w.step;
+    });
+
+  const nama = q.get("nm");
+  const usia = onlyDigits(q.get("u") || "");
+  const totalAlokasi = JENIS.reduce((s, j) => s + Number(alokasi[j] || 0), 0);
+  const cek = validasiLangkah({
+    step: 5,
+    nama,
+    usia,
+    investment,
+    modeAlokasi,
+    totalAlokasi,
+    modal: Number(modalStr || 0),
+    setoran: Number(setoranStr || 0),
+    months: Number(monthsStr || 0),
+    investors: Number(investorsStr || 0),
+    investorsStr,
+    bhs,
+  });
+  errors.push(...Object.values(cek));
+  if (errors.length) return { errors };
+  return {
+    snapshot: {
+      step: 5,
+      nama: nama || "",
+      usia,
+      pekerjaan: q.get("p") || "",
+      investment,
+      modeAlokasi,
+      alokasi,
+      modalStr,
+      monthsStr,
+      setoranStr,
+      pakaiBiaya: q.get("f") !== "0",
+      investorsStr,
+      adj,
+    },
+  };
+}
+
+/* ============ Ekspor simulasi (JSON + CSV jadwal bulanan) ============ */
+const SIMULASI_SCHEMA = "rupacaya-simulasi";
+const SIMULASI_VERSI = 1;
+const SKENARIO_JADWAL = ["optimis", "moderat", "pesimis"];
+// satu baris per bulan per skenario → gampang di-pivot di spreadsheet
+function jadwalKeCsv(seri) {
+  const rows = [["bulan", "skenario", "nilai", "disetor", "setara_inflasi"]];
+  SKENARIO_JADWAL.forEach((sk) =>
+    seri.forEach((d) =>
+      rows.push([
+        d.bulan,
+        sk,
+        Math.round(d[sk]),
+        Math.round(d.disetor),
+        Math.round(d.inflasi),
+      ])
+    )
+  );
+  return keCsv(rows);
+}
+
+// File ekspor JSON → snapshot wizard (Langkah 5) atau daftar galat per field.
+// Aturan isian = validasiLangkah (sama dengan validasi Langkah 2/4).
+export function validasiSimulasi(obj, bhs) {
+  const { tr, lok } = bhs;
+  const errors = [];
+  if (!obj || typeof obj !== "object")
+    return { errors: [tr("galat.bukanObjek")] };
+  if (obj.schema !== SIMULASI_SCHEMA)
+    errors.push(`schema: ${tr("galat.harus", SIMULASI_SCHEMA)}`);
+  if (!Number.isInteger(obj.versi) || obj.versi < 1)
+    errors.push(`versi: ${tr("galat.versiBulat")}`);
+  else if (obj.versi > SIMULASI_VERSI)
+    errors.push(`versi: ${tr("galat.versiBaru", obj.versi, SIMULASI_VERSI)}`);
+  const inp = obj.input;
+  if (!inp || typeof inp !== "object")
+    return { errors: [...errors, `input: ${tr("galat.wajibAda")}`] };
+
+  const teks = (key) => {
+    if (inp[key] === undefined || inp[key] === null) return "";
+    if (typeof inp[key] !== "string")
+      errors.push(`input.${key}: ${tr("galat.harusTeks")}`);
+    return String(inp[key]);
+  };
+  const angka = (key, wajib = true) => {
+    const v = inp[key];
+    if (v === undefined || v === null) {
+      if (wajib) errors.push(`input.${key}: ${tr("galat.wajibAngka")}`);
+      return 0;
+    }
+    if (typeof v !== "number" || !isFinite(v) || v < 0) {
+      errors.push(`input.${key}: ${tr("galat.angkaPositif")}`);
+      return 0;
+    }
+    return Math.round(v);
+  };
+  const nama = teks("nama");
+  const pekerjaan = teks("pekerjaan");
+  const usia = angka("usia", false);
+  const modal = angka("modal");
+  const setoran = angka("setoran");
+  const months = angka("months");
+  const investors = angka("investors");
+
+  const modeAlokasi = inp.modeAlokasi || "tunggal";
+  if (!["tunggal", "campuran"].includes(modeAlokasi))
+    errors.push(`input.modeAlokasi: ${tr("galat.modeAlokasi")}`);
+  let investment = "";
+  const alokasi = {
+    saham: "",
+    obligasi: "",
+    deposito: "",
+    emas: "",
+    reksadana: "",
+  };
+  if (modeAlokasi === "campuran") {
+    JENIS.forEach((j) => {
+      const v = inp.alokasi?.[j] ?? 0;
+      if (!Number.isInteger(v) || v < 0 || v > 100)
+        errors.push(`input.alokasi.${j}: ${tr("galat.persenBulat")}`);
+      else if (v > 0) alokasi[j] = String(v);
+    });
+  } else {
+    investment = teks("investment");
+    if (investment && !JENIS.includes(investment))
+      errors.push(
+        `input.investment: ${tr("galat.instrumenAsing", investment)}`
+      );
+  }
+  if (inp.pakaiBiaya !== undefined && typeof inp.pakaiBiaya !== "boolean")
+    errors.push(`input.pakaiBiaya: ${tr("galat.harusBoolean")}`);
+
+  const adj = { ...WHATIF_NOL };
+  WHATIF.forEach((w) => {
+    const v = inp.adj?.[w.key];
+    if (v === undefined) return;
+    if (typeof v !== "number" || v < w.min || v > w.max)
+      errors.push(
+        `input.adj.${w.key}: ${tr(
+          "galat.rentang",
+          lok(w).label,
+          w.min,
+          w.max,
+          w.satuan
+        )}`
+      );
+    else adj[w.key] = v;
+  });
+
+  const cek = validasiLangkah({
+    step: 5,
+    // nama kosong = simulasi dari tautan tanpa data pribadi → tidak dicek
+    nama: nama.trim() ? nama : null,
+    usia,
+    investment,
+    modeAlokasi,
+    totalAlokasi: JENIS.reduce((s, j) => s + Number(alokasi[j] || 0), 0),
+    modal,
+    setoran,
+    months,
+    investors,
+    investorsStr: String(investors),
+    bhs,
+  });
+  const fieldCek = {
+    nama: "nama",
+    usia: "usia",
+    investment: modeAlokasi === "campuran" ? "alokasi" : "investment",
+    modal: "modal/setoran",
+    months: "months",
+    investors: "investors",
+  };
+  Object.entries(cek).forEach(([k, pesan]) =>
+    errors.push(`input.${fieldCek[k]}: ${pesan}`)
+  );
+  if (errors.length) return { errors };
+  return {
+    snapshot: {
+      step: 5,
+      nama,
+      usia: usia ? String(usia) : "",
+      pekerjaan,
+      investment,
+      modeAlokasi,
+      alokasi,
+      modalStr: String(modal),
+      monthsStr: String(months),
+      setoranStr: String(setoran),
+      pakaiBiaya: inp.pakaiBiaya !== false,
+      investorsStr: String(investors),
+      adj,
+    },
+  };
+}
+
+// Unduh teks sebagai file (dipakai ekspor dataset)
+const unduhFile = (namaFile, isi, type) => {
+  const url = URL.createObjectURL(new Blob([isi], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = namaFile;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1500);
+};
+
+/* ============ Ekspor PDF (tanpa library → jalan offline) ============ */
+// Penulis PDF 1.4 minimal: font bawaan Helvetica (WinAnsi), teks, tabel &
+// grafik garis vektor. Isi dokumen = daftar blok:
+//   { h: "Judul bagian" } | { p: "paragraf", kecil, warna }
+//   { tabel: { kolom, baris, lebar } } | { grafik: { seri, garis, tinggi } }
+const PDF_HALAMAN = { w: 595, h: 842, tepi: 48 }; // A4 dalam point
+// lebar glyph Helvetica (per 1000 em) untuk ASCII 32–126, dari AFM Adobe
+const PDF_LEBAR = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278,
+  278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584,
+  584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556,
+  833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278,
+  278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222,
+  500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500,
+  500, 334, 260, 334, 584,
+];
+// karakter di luar WinAnsi → padanan; emoji & simbol lain dibuang
+const PDF_GANTI = {
+  "–": "\x96",
+  "—": "\x97",
+  "•": "\x95",
+  "…": "\x85",
+  "“": "\x93",
+  "”": "\x94",
+  "‘": "\x91",
+  "’": "\x92",
+  "−": "-",
+  "→": "->",
+  "←": "<-",
+  "≈": "~",
+  "≥": ">=",
+  "≤": "<=",
+  "✅": ({ tr }) => tr("pdf.ya"),
+  "❌": ({ tr }) => tr("pdf.tidak"),
+  "⚠": "!",
+};
+
+function teksPdf(s, bhs) {
+  let hasil = "";
+  for (const c of String(s ?? "")) {
+    const kode = c.codePointAt(0);
+    const ganti = PDF_GANTI[c];
+    if (ganti !== undefined)
+      hasil += typeof ganti === "function" ? ganti(bhs) : ganti;
+    else if ((kode >= 0x20 && kode <= 0x7e) || (kode >= 0xa0 && kode <= 0xff))
+      hasil += c;
+    else if (c === "\n") hasil += c;
+  }
+  return hasil.replace(/ {2,}/g, " ").trim();
+}
+const lebarTeks = (s, ukuran, tebal) =>
+  [...s].reduce((w, c) => {
+    const i = c.charCodeAt(0) - 32;
+    return w + (i >= 0 && i < PDF_LEBAR.length ? PDF_LEBAR[i] : 556);
+  }, 0) *
+  (ukuran / 1000) *
+  (tebal ? 1.06 : 1);
+// pecah teks (sudah lewat teksPdf) jadi baris-baris selebar `maks` point
+function bungkusTeks(s, ukuran, maks, tebal) {
+  const baris = [];
+  s.split("\n").forEach((paragraf) => {
+    let kini = "";
+    paragraf.split(" ").forEach((kata) => {
+      const coba = kini ? `${kini} ${kata}` : kata;
+      if (kini && lebarTeks(coba, ukuran, tebal) > maks) {
+        baris.push(kini);
+        kini = kata;
+      } else kini = coba;
+    });
+    baris.push(kini);
+  });
+  return baris;
+}
+const escPdf = (s) => s.replace(/[\\()]/g, (c) => `\\${c}`);
+const rgbPdf = (hex = "#000000") => {
+  const n = parseInt(hex.replace("#", ""), 16);
+  return [n >> 16, (n >> 8) & 255, n & 255]
+    .map((v) => (v / 255).toFixed(3))
+    .join(" ");
+};
+
+// blok → Uint8Array berisi file PDF utuh (header & footer di tiap halaman)
+export function buatPdf(blok, { judul, subjudul, kredit, bhs }) {
+  const { tr, fmtRpSingkat } = bhs;
+  const { w: W, h: H, tepi } = PDF_HALAMAN;
+  const lebarIsi = W - 2 * tepi;
+  const atas = H - tepi - 24; // di bawah header
+  const bawah = tepi + 24; // di atas footer
+  const halaman = [];
+  let ops = null;
+  let y = 0;
+
+  const teks = (x, yy, s, { ukuran = 10, tebal, warna = "#111827" } = {}) =>
+    ops.push(
+      `BT /${tebal ? "F2" : "F1"} ${ukuran} Tf ${rgbPdf(warna)} rg ${x.toFixed(
+        1
+      )} ${yy.toFixed(1)} Td (${escPdf(s)}) Tj ET`
+    );
+  const garis = (x1, y1, x2, y2, warna = "#cbd5e1", tebal = 0.6, putus) =>
+    ops.push(
+      `${rgbPdf(warna)} RG ${tebal} w ${putus ? `[${putus}] 0` : "[] 0"} d ` +
+        `${x1.toFixed(1)} ${y1.toFixed(1)} m ${x2.toFixed(1)} ${y2.toFixed(
+          1
+        )} l S`
+    );
+  const kotak = (x, yy, w, h, warna) =>
+    ops.push(
+      `${rgbPdf(warna)} rg ${x.toFixed(1)} ${yy.toFixed(1)} ${w.toFixed(
+        1
+      )} ${h.toFixed(1)} re f`
+    );
+  const halamanBaru = () => {
+    ops = [];
+    halaman.push(ops);
+    y = atas;
+  };
+  const butuh = (tinggi) => {
+    if (!ops || y - tinggi < bawah) halamanBaru();
+  };
+
+  blok.forEach((b) => {
+    if (b.h) {
+      butuh(40);
+      y -= 22;
+      teks(tepi, y, teksPdf(b.h, bhs), {
+        ukuran: 13,
+        tebal: true,
+        warna: "#1e3a8a",
+      });
+      y -= 6;
+      garis(tepi, y, W - tepi, y, "#93c5fd", 0.8);
+      y -= 6;
+    } else if (b.p !== undefined) {
+      const ukuran = b.kecil ? 8.5 : 10;
+      const jarak = ukuran * 1.35;
+      bungkusTeks(teksPdf(b.p, bhs), ukuran, lebarIsi).forEach((baris) => {
+        butuh(jarak);
+        y -= jarak;
+        teks(tepi, y, baris, { ukuran, warna: b.warna || "#111827" });
+      });
+      y -= 3;
+    } else if (b.tabel) {
+      const { kolom, baris, lebar } = b.tabel;
+      const porsi = lebar || kolom.map(() => 1 / kolom.length);
+      const xs = porsi.reduce(
+        (acc, p) => [...acc, acc[acc.length - 1] + p * lebarIsi],
+        [tepi]
+      );
+      const ukuran = 9;
+      const jarak = 11.5;
+      const sel = (isi, i, tebal) =>
+        bungkusTeks(teksPdf(isi, bhs), ukuran, xs[i + 1] - xs[i] - 6, tebal);
+      const tulisBaris = (isi, tebal) => {
+        const pecahan = isi.map((s, i) => sel(s, i, tebal));
+        const tinggi = Math.max(...pecahan.map((p) => p.length)) * jarak + 6;
+        butuh(tinggi);
+        if (tebal) kotak(tepi, y - tinggi, lebarIsi, tinggi, "#eef2ff");
+        pecahan.forEach((p, i) =>
+          p.forEach((s, j) =>
+            teks(xs[i] + 3, y - 3 - ukuran - j * jarak, s, { ukuran, tebal })
+          )
+        );
+        y -= tinggi;
+        garis(tepi, y, W - tepi, y, "#e5e7eb", 0.5);
+      };
+      y -= 4;
+      tulisBaris(kolom, true);
+      baris.forEach((r) => tulisBaris(r, false));
+      y -= 6;
+    } else if (b.grafik) {
+      const { seri, garis: daftar, tinggi = 190 } = b.grafik;
+      butuh(tinggi + 40);
+      const kiri = tepi + 62;
+      const kanan = W - tepi - 6;
+      const dasar = y - tinggi;
+      const puncak = y - 8;
+      const nilai = seri.flatMap((d) =>
+        daftar.map((g) => d[g.key]).filter((v) => isFinite(v))
+      );
+      const min = Math.min(0, ...nilai);
+      const max = Math.max(...nilai, 1);
+      const bulanMaks = seri[seri.length - 1].bulan || 1;
+      const px = (m) => kiri + (m / bulanMaks) * (kanan - kiri);
+      const py = (v) => dasar + ((v - min) / (max - min)) * (puncak - dasar);
+      for (let i = 0; i <= 4; i++) {
+        const v = min + ((max - min) * i) / 4;
+        garis(kiri, py(v), kanan, py(v), "#e5e7eb", 0.4);
+        teks(tepi, py(v) - 3, teksPdf(fmtRpSingkat(v), bhs), {
+          ukuran: 7.5,
+          warna: "#64748b",
+        });
+      }
+      const tahun = bulanMaks > 24;
+      for (let i = 0; i <= 4; i++) {
+        const m = Math.round((bulanMaks * i) / 4);
+        teks(
+          px(m) - 8,
+          dasar - 11,
+          teksPdf(
+            tahun
+              ? tr("grafik.tickTahun", (m / 12).toFixed(1).replace(".0", ""))
+              : tr("grafik.tickBulan", m),
+            bhs
+          ),
+          {
+            ukuran: 7.5,
+            warna: "#64748b",
+          }
+        );
+      }
+      daftar.forEach((g) => {
+        const titik = seri.filter((d) => isFinite(d[g.key]));
+        if (titik.length < 2) return;
+        ops.push(
+          `${rgbPdf(g.color)} RG ${g.dash ? 1 : 1.6} w ${
+            g.dash ? `[${g.dash}] 0` : "[] 0"
+          } d ` +
+            titik
+              .map(
+                (d, i) =>
+                  `${px(d.bulan).toFixed(1)} ${py(d[g.key]).toFixed(1)} ${
+                    i ? "l" : "m"
+                  }`
+              )
+              .join(" ") +
+            " S"
+        );
+      });
+      y = dasar - 26;
+      let x = kiri;
+      daftar.forEach((g) => {
+        const label = teksPdf(g.label, bhs);
+        garis(x, y + 3, x + 14, y + 3, g.color, 1.6, g.dash);
+        teks(x + 18, y, label, { ukuran: 8 });
+        x += 26 + lebarTeks(label, 8);
+      });
+      y -= 10;
+    }
+  });
+
+  // header & footer ditulis setelah jumlah halaman diketahui
+  const tanggal = subjudul ? teksPdf(subjudul, bhs) : "";
+  halaman.forEach((isi, i) => {
+    ops = isi;
+    teks(tepi, H - tepi, teksPdf(judul, bhs), {
+      ukuran: 10,
+      tebal: true,
+      warna: "#1d4ed8",
+    });
+    if (tanggal)
+      teks(W - tepi - lebarTeks(tanggal, 8.5), H - tepi, tanggal, {
+        ukuran: 8.5,
+        warna: "#64748b",
+      });
+    garis(tepi, H - tepi - 6, W - tepi, H - tepi - 6, "#1d4ed8", 0.8);
+    garis(tepi, tepi + 8, W - tepi, tepi + 8);
+    teks(tepi, tepi - 4, teksPdf(kredit, bhs), {
+      ukuran: 7.5,
+      warna: "#64748b",
+    });
+    const nomor = teksPdf(tr("pdf.halaman", i + 1, halaman.length), bhs);
+    teks(W - tepi - lebarTeks(nomor, 7.5), tepi - 4, nomor, {
+      ukuran: 7.5,
+      warna: "#64748b",
+    });
+  });
+
+  // rakit objek: 1 katalog, 2 daftar halaman, 3–4 font, lalu (halaman, isi)
+  const objek = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    `<< /Type /Pages /Kids [${halaman
+      .map((_, i) => `${5 + i * 2} 0 R`)
+      .join(" ")}] /Count ${halaman.length} >>`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+  ];
+  halaman.forEach((isi, i) => {
+    const aliran = isi.join("\n");
+    objek.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${W} ${H}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${
+          6 + i * 2
+        } 0 R >>`,
+      `<< /Length ${aliran.length} >>\nstream\n${aliran}\nendstream`
+    );
+  });
+  let pdf = "%PDF-1.4\n%\xe2\xe3\xcf\xd3\n";
+  const posisi = objek.map((isi, i) => {
+    const awal = pdf.length;
+    pdf += `${i + 1} 0 obj\n${isi}\nendobj\n`;
+    return awal;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objek.length + 1}\n0000000000 65535 f \n`;
+  posisi.forEach((p) => (pdf += `${String(p).padStart(10, "0")} 00000 n \n`));
+  pdf += `trailer\n<< /Size ${
+    objek.length + 1
+  } /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  // tiap karakter sudah ≤ 0xFF → 1 byte
+  return Uint8Array.from(pdf, (c) => c.charCodeAt(0));
+}
+
+/* ============ Monte Carlo (jalan di Web Worker) ============ */
+// Volatilitas bulanan & keterkaitan dengan pasar saham (beta) per instrumen (edukatif)
+const RISIKO_MC = {
+  saham: { vol: 0.055, beta: 0.9 },
+  obligasi: { vol: 0.015, beta: 0.3 },
+  deposito: { vol: 0.001, beta: 0 },
+  emas: { vol: 0.04, beta: -0.1 },
+  reksadana: { vol: 0.035, beta: 0.8 },
+};
+const MC_SEED = 2025; // seed tetap → input sama, hasil sama (enak buat diskusi kelas)
+
+// Fungsi ini di-serialisasi ke Web Worker → harus mandiri: tanpa closure,
+// tanpa helper lain, tanpa spread/destructuring.
+function simulasiMonteCarlo(p) {
+  let seed = p.seed >>> 0;
+  const rand = () => {
+    // mulberry32
+    seed = (seed + 0x6d2b79f5) >>> 0;
+    let t = seed;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const gauss = () => {
+    let u = 0;
+    while (u === 0) u = rand();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rand());
+  };
+
+  const n = p.instrumen.length;
+  const saldo = new Float64Array(n);
+  const akhir = new Float64Array(p.paths);
+  for (let i = 0; i < p.paths; i++) {
+    for (let j = 0; j < n; j++) {
+      const ins = p.instrumen[j];
+      saldo[j] = p.modal * ins.w * (1 - ins.feeBeli);
+    }
+    for (let m = 0; m < p.months; m++) {
+      const zPasar = gauss(); // guncangan bersama (pasar saham)
+      for (let j = 0; j < n; j++) {
+        const ins = p.instrumen[j];
+        const z =
+          ins.beta * zPasar + Math.sqrt(1 - ins.beta * ins.beta) * gauss();
+        let r = Math.max(-0.95, ins.mean + ins.vol * z);
+        if (r > 0) r *= 1 - ins.pajakReturn;
+        r -= ins.feeTahunan / 12;
+        saldo[j] = saldo[j] * (1 + r) + p.setoran * ins.w * (1 - ins.feeBeli);
+      }
+    }
+    let total = 0;
+    for (let j = 0; j < n; j++)
+      total += saldo[j] * (1 - p.instrumen[j].feeJual);
+    akhir[i] = total;
+  }
+
+  akhir.sort();
+  const q = (x) => akhir[Math.min(p.paths - 1, Math.floor(x * p.paths))];
+  let rugi = 0;
+  let menang = 0;
+  for (let i = 0; i < p.paths; i++) {
+    if (akhir[i] < p.totalSetor) rugi++;
+    if (akhir[i] > p.targetInflasi) menang++;
+  }
+  return {
+    paths: p.paths,
+    p10: q(0.1),
+    p50: q(0.5),
+    p90: q(0.9),
+    probRugi: (rugi / p.paths) * 100,
+    probMenangInflasi: (menang / p.paths) * 100,
+  };
+}
+
+// Jalankan di Web Worker (Blob, tanpa file tambahan); fallback ke main thread.
+// Mengembalikan fungsi pembatal.
+const jalankanMonteCarlo = (params, onDone) => {
+  if (typeof Worker === "undefined") {
+    const t = setTimeout(() => onDone(simulasiMonteCarlo(params)), 0);
+    return () => clearTimeout(t);
+  }
+  const src = `const run = (${simulasiMonteCarlo.toString()});
+onmessage = (e) => postMessage(run(e.data));`;
+  const url = URL.createObjectURL(new Blob([src], { type: "text/javascript" }));
+  const w = new Worker(url);
+  const selesai = () => {
+    w.terminate();
+    URL.revokeObjectURL(url);
+  };
+  w.onmessage = (e) => {
+    selesai();
+    onDone(e.data);
+  };
+  w.onerror = () => {
+    selesai();
+    onDone(simulasiMonteCarlo(params));
+  };
+  w.postMessage(params);
+  return selesai;
+};
+
+/* ============ Replay krisis historis ============ */
+// Titik jangkar = nilai indeks (awal krisis = 1) per instrumen pada bulan ke-n,
+// dibaca dari penutupan bulanan IHSG, kurs, harga emas dunia × kurs, bunga
+// deposito & indeks obligasi. Di antara titik diinterpolasi majemuk.
+// Angka dibulatkan & disederhanakan untuk edukasi; obligasi/reksadana 1998
+// bersifat ilustratif (pasarnya waktu itu masih sangat kecil).
+const KRISIS = [
+  {
+    key: "1998",
+    nama: "Krisis Moneter 1997–98",
+    mulai: "1997-07",
+    ringkasan:
+      "Rupiah ambruk setelah krisis Thailand, bank-bank ditutup, BI menaikkan bunga SBI sampai ±70% untuk menahan rupiah.",
+    konteks: [
+      "IHSG: ±720 → ±257 (Sep 1998), −64%",
+      "Rupiah: Rp 2.430 → ±Rp 14.900/USD (Jun 1998, puncak harian Rp 16.800)",
+      "BI: bunga SBI ±11% → ±70% (Agu 1998); deposito sempat >50%/tahun",
+      "Emas dalam rupiah: naik ±5× karena rupiah melemah",
+    ],
+    en: {
+      nama: "1997–98 Asian Financial Crisis",
+      ringkasan:
+        "The rupiah collapsed after the Thai crisis, banks were shut down, and BI raised SBI rates to ±70% to defend the currency.",
+      konteks: [
+        "JCI: ±720 → ±257 (Sep 1998), −64%",
+        "Rupiah: Rp 2,430 → ±Rp 14,900/USD (Jun 1998, intraday peak Rp 16,800)",
+        "BI: SBI rate ±11% → ±70% (Aug 1998); deposits briefly paid >50%/year",
+        "Gold in rupiah: up ±5× as the rupiah weakened",
+      ],
+    },
+    jangkar: {
+      saham: [
+        [0, 1],
+        [5, 0.56],
+        [14, 0.36],
+        [17, 0.55],
+        [23, 0.92],
+        [29, 0.94],
+      ],
+      obligasi: [
+        [0, 1],
+        [6, 0.85],
+        [14, 0.75],
+        [23, 0.95],
+        [29, 1.05],
+      ],
+      deposito: [
+        [0, 1],
+        [6, 1.081],
+        [16, 1.556],
+        [29, 1.89],
+      ],
+      emas: [
+        [0, 1],
+        [6, 3.94],
+        [11, 5.57],
+        [17, 2.95],
+        [29, 2.6],
+      ],
+      reksadana: [
+        [0, 1],
+        [5, 0.7],
+        [14, 0.55],
+        [23, 0.9],
+        [29, 0.95],
+      ],
+    },
+  },
+  {
+    key: "2008",
+    nama: "Krisis Keuangan Global 2008",
+    mulai: "2007-12",
+    ringkasan:
+      "Lehman Brothers bangkrut, investor asing menarik dana dari pasar berkembang; BEI sempat menghentikan perdagangan (Okt 2008).",
+    konteks: [
+      "IHSG: ±2.746 → ±1.241 (Nov 2008), −55%",
+      "Rupiah: Rp 9.400 → ±Rp 12.150/USD (Des 2008)",
+      "BI Rate: 8% → 9,5% (Okt–Des 2008), lalu turun ke 6,5% (2009)",
+      "Yield SUN 10 th melonjak ke ±17–20% (Okt 2008)",
+    ],
+    en: {
+      nama: "2008 Global Financial Crisis",
+      ringkasan:
+        "Lehman Brothers went bankrupt and foreign investors pulled money out of emerging markets; the IDX even halted trading (Oct 2008).",
+      konteks: [
+        "JCI: ±2,746 → ±1,241 (Nov 2008), −55%",
+        "Rupiah: Rp 9,400 → ±Rp 12,150/USD (Dec 2008)",
+        "BI Rate: 8% → 9.5% (Oct–Dec 2008), then cut to 6.5% (2009)",
+        "10-yr government bond yield spiked to ±17–20% (Oct 2008)",
+      ],
+    },
+    jangkar: {
+      saham: [
+        [0, 1],
+        [10, 0.458],
+        [11, 0.452],
+        [12, 0.49],
+        [14, 0.468],
+        [24, 0.92],
+        [28, 1.08],
+        [30, 1.1],
+      ],
+      obligasi: [
+        [0, 1],
+        [10, 0.85],
+        [12, 0.9],
+        [24, 1.1],
+        [30, 1.16],
+      ],
+      deposito: [
+        [0, 1],
+        [30, 1.196],
+      ],
+      emas: [
+        [0, 1],
+        [10, 1.024],
+        [12, 1.215],
+        [15, 1.366],
+        [24, 1.319],
+        [30, 1.436],
+      ],
+      reksadana: [
+        [0, 1],
+        [10, 0.63],
+        [12, 0.7],
+        [24, 1.0],
+        [30, 1.1],
+      ],
+    },
+  },
+  {
+    key: "2013",
+    nama: "Taper Tantrum 2013",
+    mulai: "2013-04",
+    ringkasan:
+      "The Fed memberi sinyal mengurangi stimulus; dana asing keluar dari negara dengan defisit transaksi berjalan seperti Indonesia.",
+    konteks: [
+      "IHSG: ±5.034 → ±4.195 (Agu 2013), −17%",
+      "Rupiah: Rp 9.720 → ±Rp 12.190/USD (Des 2013)",
+      "BI Rate: 5,75% → 7,5% (Nov 2013)",
+      "Yield SUN 10 th: ±5,5% → ±9%",
+    ],
+    en: {
+      nama: "2013 Taper Tantrum",
+      ringkasan:
+        "The Fed signalled it would scale back stimulus; foreign money left current-account-deficit countries such as Indonesia.",
+      konteks: [
+        "JCI: ±5,034 → ±4,195 (Aug 2013), −17%",
+        "Rupiah: Rp 9,720 → ±Rp 12,190/USD (Dec 2013)",
+        "BI Rate: 5.75% → 7.5% (Nov 2013)",
+        "10-yr government bond yield: ±5.5% → ±9%",
+      ],
+    },
+    jangkar: {
+      saham: [
+        [0, 1],
+        [1, 1.007],
+        [3, 0.916],
+        [4, 0.833],
+        [8, 0.849],
+        [11, 0.947],
+        [13, 0.972],
+        [15, 1.011],
+        [17, 1.02],
+      ],
+      obligasi: [
+        [0, 1],
+        [4, 0.88],
+        [8, 0.9],
+        [17, 1.02],
+      ],
+      deposito: [
+        [0, 1],
+        [4, 1.019],
+        [17, 1.1],
+      ],
+      emas: [
+        [0, 1],
+        [2, 0.858],
+        [4, 1.067],
+        [8, 1.024],
+        [11, 1.029],
+        [17, 1.012],
+      ],
+      reksadana: [
+        [0, 1],
+        [4, 0.85],
+        [8, 0.87],
+        [17, 1.02],
+      ],
+    },
+  },
+  {
+    key: "2020",
+    nama: "Pandemi COVID-19 2020",
+    mulai: "2019-12",
+    ringkasan:
+      "Pembatasan sosial menghentikan ekonomi; investor panik menjual aset berisiko pada Maret 2020, lalu pulih bertahap.",
+    konteks: [
+      "IHSG: ±6.300 → ±4.539 (Mar 2020), −28% (terendah harian ±3.937)",
+      "Rupiah: Rp 13.900 → ±Rp 16.300/USD (Mar 2020)",
+      "BI Rate: 5% → 3,5% (turun bertahap sampai 2021)",
+      "Emas dunia rekor ±USD 1.970/oz (Jul 2020)",
+    ],
+    en: {
+      nama: "2020 COVID-19 Pandemic",
+      ringkasan:
+        "Lockdowns froze the economy; investors panic-sold risky assets in March 2020, then markets recovered gradually.",
+      konteks: [
+        "JCI: ±6,300 → ±4,539 (Mar 2020), −28% (intraday low ±3,937)",
+        "Rupiah: Rp 13,900 → ±Rp 16,300/USD (Mar 2020)",
+        "BI Rate: 5% → 3.5% (cut step by step until 2021)",
+        "World gold hit a record ±USD 1,970/oz (Jul 2020)",
+      ],
+    },
+
+    jangkar: {
+      saham: [
+        [0, 1],
+        [1, 0.943],
+        [2, 0.865],
+        [3, 0.72],
+        [4, 0.749],
+        [6, 0.779],
+        [9, 0.773],
+        [11, 0.891],
+        [12, 0.949],
+        [18, 0.95],
+        [21, 0.998],
+        [22, 1.046],
+        [24, 1.045],
+      ],
+      obligasi: [
+        [0, 1],
+        [3, 0.93],
+        [12, 1.1],
+        [24, 1.15],
+      ],
+      deposito: [
+        [0, 1],
+        [12, 1.05],
+        [24, 1.09],
+      ],
+      emas: [
+        [0, 1],
+        [3, 1.219],
+        [7, 1.361],
+        [12, 1.261],
+        [24, 1.236],
+      ],
+      reksadana: [
+        [0, 1],
+        [3, 0.83],
+        [12, 1.0],
+        [24, 1.05],
+      ],
+    },
+  },
+];
+// titik jangkar indeks → laju per bulan (bulan ke-1..akhir)
+const lajuDariJangkar = (jangkar) => {
+  const laju = [];
+  for (let i = 1; i < jangkar.length; i++) {
+    const [m0, v0] = jangkar[i - 1];
+    const [m1, v1] = jangkar[i];
+    const r = Math.pow(v1 / v0, 1 / (m1 - m0)) - 1;
+    for (let m = m0; m < m1; m++) laju.push(r);
+  }
+  return laju;
+};
+const panjangKrisis = (k) =>
+  Math.max(...JENIS.map((j) => k.jangkar[j][k.jangkar[j].length - 1][0]));
+
+// Jalankan portofolio pengguna di atas jalur laju per instrumen (fungsi bulan
+// ke-m → laju). Turun puncak→dasar & waktu pulih diukur pada indeks portofolio
+// (tanpa setoran) supaya kerugian tidak tertutup setoran baru.
+function jalankanJalur(laju, { modal, setoran, months, kontribusi }) {
+  const nilai = new Array(months + 1).fill(0);
+  kontribusi.forEach((k) => {
+    seriSaldo(
+      modal * k.w,
+      setoran * k.w,
+      laju[k.type],
+      months,
+      k.biaya
+    ).forEach((v, m) => (nilai[m] += v));
+  });
+
+  // indeks portofolio beli-tahan: Σ bobot × nilai kumulatif instrumen
+  const kumulatif = kontribusi.map(() => 1);
+  const indeks = [1];
+  for (let m = 1; m <= months; m++) {
+    kontribusi.forEach((k, i) => (kumulatif[i] *= 1 + laju[k.type](m)));
+    indeks.push(kontribusi.reduce((s, k, i) => s + k.w * kumulatif[i], 0));
+  }
+  let puncak = 0;
+  let turun = 0;
+  let bulanPuncak = 0;
+  let bulanDasar = 0;
+  indeks.forEach((v, m) => {
+    if (v > indeks[puncak]) puncak = m;
+    const dd = v / indeks[puncak] - 1;
+    if (dd < turun) {
+      turun = dd;
+      bulanPuncak = puncak;
+      bulanDasar = m;
+    }
+  });
+  // pulih = bulan pertama setelah dasar saat indeks kembali ke puncak sebelumnya
+  let bulanPulih = null;
+  if (turun < 0)
+    for (let m = bulanDasar + 1; m <= months; m++)
+      if (indeks[m] >= indeks[bulanPuncak]) {
+        bulanPulih = m;
+        break;
+      }
+
+  return {
+    nilai,
+    nilaiAkhir: nilai[months],
+    nilaiTerendah: Math.min(...nilai),
+    turunPct: turun * 100,
+    bulanPuncak,
+    bulanDasar,
+    lamaPulih: bulanPulih === null ? null : bulanPulih - bulanDasar,
+  };
+}
+
+// Putar ulang krisis di atas portofolio & durasi pengguna: bulan ke-1 = awal
+// krisis; setelah jalur krisis habis, tiap instrumen kembali ke laju moderat.
+function replayKrisis(krisis, hasil) {
+  const { modal, setoran, months, kontribusi } = hasil;
+  const laju = {};
+  kontribusi.forEach((k) => {
+    const jalur = lajuDariJangkar(krisis.jangkar[k.type]);
+    laju[k.type] = (m) => (m <= jalur.length ? jalur[m - 1] : k.r.mod);
+  });
+  const { nilai, ...ringkas } = jalankanJalur(laju, hasil);
+  return {
+    ...ringkas,
+    seri: nilai.map((v, m) => ({
+      bulan: m,
+      krisis: v,
+      disetor: modal + setoran * m,
+    })),
+    terpotong: months < panjangKrisis(krisis),
+  };
+}
+
+/* ============ Data historis 2005–2024 (backtest) ============ */
+// Titik akhir tahun (indeks 0 = akhir 2004) & rata-rata tahunan, ditambah titik
+// bulanan saat gejolak besar. Nilai bulanan lain diinterpolasi dari titik ini →
+// cukup untuk belajar, bukan data resmi per bulan.
+
+const HISTORIS = {
+  tahunAwal: 2005,
+  // IHSG penutupan akhir tahun (indeks harga, tanpa dividen)
+  ihsg: [
+    1000.23, 1162.64, 1805.52, 2745.83, 1355.41, 2534.36, 3703.51, 3821.99,
+    4316.69, 4274.18, 5226.95, 4593.01, 5296.71, 6355.65, 6194.5, 6299.54,
+    5979.07, 6581.48, 6850.62, 7272.8, 7079.9,
+  ],
+  // Titik tambahan akhir bulan saat gejolak besar, supaya penurunan tajam di
+  // tengah tahun tidak hilang tertutup interpolasi
+  ihsgTambahan: {
+    "2008-10": 1256.7,
+    "2008-11": 1241.54,
+    "2011-09": 3549.03,
+    "2013-08": 4195.09,
+    "2015-09": 4223.91,
+    "2018-06": 5799.24,
+    "2020-03": 4538.93,
+    "2020-04": 4716.4,
+    "2020-09": 4870.04,
+  },
+  // Perkiraan harga emas Antam (Rp/gram) akhir tahun: emas dunia × kurs + premi ±10%
+  emas: [
+    144_000, 178_000, 202_000, 278_000, 337_000, 362_000, 447_000, 502_000,
+    569_000, 519_000, 528_000, 518_000, 545_000, 624_000, 655_000, 746_000,
+    942_000, 911_000, 1_008_000, 1_124_000, 1_500_000,
+  ],
+  emasTambahan: { "2013-06": 470_000, "2020-07": 1_022_000 },
+  // Yield SBN 10 tahun (%) akhir tahun
+  sbn10: [
+    10.3, 13.6, 9.9, 10.0, 12.0, 10.1, 7.6, 6.0, 5.2, 8.5, 7.8, 8.7, 7.9, 6.3,
+    8.0, 7.0, 5.9, 6.4, 6.9, 6.5, 7.0,
+  ],
+  // Rata-rata bunga deposito rupiah 1 bulan (%/tahun) per tahun 2005–2024
+  deposito: [
+    8.1, 9.7, 7.2, 8.5, 7.5, 6.9, 6.9, 5.8, 6.3, 8.3, 7.9, 6.7, 5.8, 6.0, 6.3,
+    4.9, 3.4, 3.3, 4.5, 4.7,
+  ],
+  // Return tahunan indeks reksadana pasar uang (%) 2005–2024
+  pasarUang: [
+    6.5, 9.0, 7.0, 7.5, 7.5, 6.2, 6.3, 5.3, 4.8, 6.9, 6.1, 6.3, 5.5, 4.9, 5.6,
+    5.2, 3.6, 2.9, 4.1, 4.6,
+  ],
+  // Inflasi IHK Desember ke Desember (%) 2005–2024
+  inflasi: [
+    17.11, 6.6, 6.59, 11.06, 2.78, 6.96, 3.79, 4.3, 8.38, 8.36, 3.35, 3.02,
+    3.61, 3.13, 2.72, 1.68, 1.87, 5.51, 2.61, 1.57,
+  ],
+  sumber: [
+    {
+      nama: "IDX",
+      data: "IHSG penutupan akhir tahun",
+      en: { data: "Year-end JCI close" },
+      url: "https://www.idx.co.id",
+    },
+    {
+      nama: "Logam Mulia (Antam) / LBMA",
+      data: "Harga emas (perkiraan dari emas dunia × kurs)",
+      en: { data: "Gold price (estimated from world gold × FX rate)" },
+      url: "https://www.logammulia.com",
+    },
+    {
+      nama: "Bank Indonesia",
+      data: "Suku bunga deposito & kurs",
+      en: { data: "Deposit rates & exchange rate" },
+      url: "https://www.bi.go.id",
+    },
+    {
+      nama: "DJPPR Kemenkeu",
+      data: "Yield SBN 10 tahun",
+      en: { data: "10-year government bond yield" },
+      url: "https://www.djppr.kemenkeu.go.id",
+    },
+    {
+      nama: "Infovesta",
+      data: "Indeks reksadana pasar uang",
+      en: { data: "Money-market fund index" },
+      url: "https://www.infovesta.com",
+    },
+    {
+      nama: "BPS",
+      data: "Inflasi IHK",
+      en: { data: "CPI inflation" },
+      url: "https://www.bps.go.id",
+    },
+  ],
+};
+
+const DURASI_OBLIGASI = 7; // tahun (perkiraan durasi SBN 10 th)
+
+// Bangun laju bulanan per instrumen (Jan 2005 = indeks 0) dari HISTORIS
+function bangunSeriHistoris(h) {
+  const n = h.deposito.length * 12;
+  const bulan = [];
+  // indeks harga: akhir tahun + titik tambahan → jangkar, interpolasi majemuk
+  const lajuHarga = (akhirTahun, tambahan) => {
+    const jangkar = akhirTahun.map((v, th) => [th * 12, v]);
+    Object.entries(tambahan).forEach(([bl, v]) => {
+      const [y, m] = bl.split("-").map(Number);
+      jangkar.push([(y - h.tahunAwal) * 12 + m, v]);
+    });
+    return lajuDariJangkar(jangkar.sort((a, b) => a[0] - b[0]));
+  };
+  const laju = {
+    saham: lajuHarga(h.ihsg, h.ihsgTambahan),
+    obligasi: [],
+    deposito: [],
+    emas: lajuHarga(h.emas, h.emasTambahan),
+    reksadana: [],
+  };
+  const inflasi = [];
+  const titik = (arr, i) => {
+    const th = Math.floor(i / 12);
+    return [arr[th], arr[th + 1], (i % 12) / 12, ((i % 12) + 1) / 12];
+  };
+  for (let i = 0; i < n; i++) {
+    const th = Math.floor(i / 12);
+    bulan.push(`${h.tahunAwal + th}-${String((i % 12) + 1).padStart(2, "0")}`);
+    // obligasi: kupon (yield/12) − durasi × perubahan yield
+    const [ya, yb, fa, fb] = titik(h.sbn10, i);
+    const y0 = ya + (yb - ya) * fa;
+    const y1 = ya + (yb - ya) * fb;
+    laju.obligasi.push(y0 / 1200 - (DURASI_OBLIGASI * (y1 - y0)) / 100);
+    laju.deposito.push(h.deposito[th] / 1200);
+    laju.reksadana.push(Math.pow(1 + h.pasarUang[th] / 100, 1 / 12) - 1);
+    inflasi.push(inflasiBulanan(h.inflasi[th]));
+  }
+  return { bulan, laju, inflasi };
+}
+const SERI_HISTORIS = bangunSeriHistoris(HISTORIS);
+const BACKTEST_MIN = SERI_HISTORIS.bulan[0];
+const BACKTEST_MAX = SERI_HISTORIS.bulan[SERI_HISTORIS.bulan.length - 1];
+
+// Backtest: modal masuk di awal bulan "mulai", laju realisasi tiap bulan.
+// Durasi dipotong bila melewati data terakhir.
+function backtestHistoris(mulai, hasil) {
+  const s = SERI_HISTORIS.bulan.indexOf(mulai);
+  if (s < 0) return null;
+  const months = Math.min(hasil.months, SERI_HISTORIS.bulan.length - s);
+  const laju = {};
+  hasil.kontribusi.forEach((k) => {
+    laju[k.type] = (m) => SERI_HISTORIS.laju[k.type][s + m - 1];
+  });
+  const jalan = jalankanJalur(laju, { ...hasil, months });
+  const lajuInflasi = (m) => SERI_HISTORIS.inflasi[s + m - 1];
+  const seriInflasi = seriSaldo(
+    hasil.modal,
+    hasil.setoran,
+    lajuInflasi,
+    months,
+    TANPA_BIAYA
+  );
+  let kumInflasi = 1;
+  for (let m = 1; m <= months; m++) kumInflasi *= 1 + lajuInflasi(m);
+  const r = lajuSetara(hasil.modal, hasil.setoran, jalan.nilaiAkhir, months);
+  const totalSetor = hasil.modal + hasil.setoran * months;
+  return {
+    mulai,
+    sampai: SERI_HISTORIS.bulan[s + months - 1],
+    months,
+    terpotong: months < hasil.months,
+    totalSetor,
+    ...jalan,
+    annualized: (Math.pow(1 + r, 12) - 1) * 100,
+    inflasiRealisasi: (Math.pow(kumInflasi, 12 / months) - 1) * 100,
+    targetInflasi: seriInflasi[months],
+    seri: jalan.nilai.map((v, m) => ({
+      bulan: m,
+      backtest: v,
+      disetor: hasil.modal + hasil.setoran * m,
+      inflasi: seriInflasi[m],
+    })),
+  };
+}
+
+/* ============ Mata uang tampilan (Rp / USD / gram emas) ============ */
+// "Apakah aku benar-benar lebih kaya?" → nilai akhir dikonversi memakai jalur
+// asumsi: rupiah melemah & harga emas (Rp/gram) naik dengan laju tahunan tetap.
+const MATA_UANG = {
+  IDR: { label: "Rp" },
+  USD: { label: "USD" },
+  emas: { label: "gram emas", en: { label: "gram of gold" } },
+};
+const cagrPct = (awal, akhir, tahun) =>
+  (Math.pow(akhir / awal, 1 / tahun) - 1) * 100;
+// Default = rata-rata historis: kurs akhir tahun Rp 9.830 (2005) → Rp 16.160/USD
+// (2024); emas Antam dari HISTORIS.emas.
+const ASUMSI_MATA_UANG = {
+  depresiasi: Number(cagrPct(9830, 16160, 19).toFixed(1)),
+  emas: Number(
+    cagrPct(
+      HISTORIS.emas[0],
+      HISTORIS.emas[HISTORIS.emas.length - 1],
+      HISTORIS.emas.length - 1
+    ).toFixed(1)
+  ),
+};
+// Harga 1 unit (Rp) di bulan ke-m. What-If kurs menggeser titik awal USD.
+function hargaUnit(mataUang, m, { macro, asumsi, adjKurs = 0 }) {
+  const tahun = m / 12;
+  if (mataUang === "USD")
+    return (
+      macro.hargaDolar *
+      (1 + adjKurs / 100) *
+      Math.pow(1 + asumsi.depresiasi / 100, tahun)
+    );
+  if (mataUang === "emas")
+    return macro.hargaEmas * Math.pow(1 + asumsi.emas / 100, tahun);
+  return 1;
+}
+// Hasil 3 skenario dalam unit pilihan. Tiap setoran dikonversi di bulan ia
+// disetor (modal bulan ke-0, setoran akhir bulan 1..months), nilai akhir di
+// bulan terakhir → untung/rugi dalam unit itu.
+function konversiHasil(hasil, mataUang, ctx) {
+  let disetor = hasil.modal / hargaUnit(mataUang, 0, ctx);
+  for (let m = 1; m <= hasil.months; m++)
+    disetor += hasil.setoran / hargaUnit(mataUang, m, ctx);
+  const hargaAkhir = hargaUnit(mataUang, hasil.months, ctx);
+  return {
+    hargaAkhir,
+    disetor,
+    opt: hasil.optV / hargaAkhir,
+    mod: hasil.modV / hargaAkhir,
+    pes: hasil.pesV / hargaAkhir,
+  };
+}
+
+/* ============ Perencana tujuan ============ */
+
+// Tujuan umum pelajar/pekerja muda + contoh target (bisa diubah)
+const TUJUAN = [
+  {
+    key: "kuliah",
+    label: "🎓 Kuliah",
+    en: { label: "🎓 University" },
+    target: 150_000_000,
+  },
+  {
+    key: "nikah",
+    label: "💍 Nikah",
+    en: { label: "💍 Wedding" },
+    target: 100_000_000,
+  },
+  {
+    key: "rumah",
+    label: "🏠 DP Rumah",
+    en: { label: "🏠 House down payment" },
+    target: 200_000_000,
+  },
+  {
+    key: "darurat",
+    label: "🛟 Dana Darurat",
+    en: { label: "🛟 Emergency fund" },
+    target: 30_000_000,
+  },
+];
+// jumlah bulan dari bulan ini sampai akhir bulan "TTTT-BB"
+const selisihBulan = (sekarang, tanggal) => {
+  const [y, m] = String(tanggal || "")
+    .split("-")
+    .map(Number);
+  if (!y || !m) return 0;
+  return (y - sekarang.getFullYear()) * 12 + (m - 1 - sekarang.getMonth());
+};
+// Nilai bersih linear terhadap setoran → cari setoran bulanan (dengan dana
+// yang sudah ada) atau modal sekali setor yang tepat mencapai target.
+function kebutuhanTujuan(target, dana, rate, months, b) {
+  const dariDana = proyeksiNet(dana, 0, rate, months, b);
+  const perSetoran = proyeksiNet(0, 1, rate, months, b);
+  const perModal = proyeksiNet(1, 0, rate, months, b);
+  return {
+    setoran: Math.max(0, (target - dariDana) / perSetoran),
+    modal: target / perModal,
+  };
+}
+// Hitung semua tujuan; budget bulanan dibagi mulai dari tenggat terdekat
+// memakai kebutuhan skenario pesimis → tujuan yang tidak kebagian ditandai.
+function rencanaTujuan(daftar, budget, { base, pakaiBiaya, sekarang, bhs }) {
+  const { tr } = bhs;
+  const tujuan = daftar.map((t) => {
+    const months = selisihBulan(sekarang, t.tanggal);
+    const target = Number(onlyDigits(t.target) || 0);
+    const dana = Number(onlyDigits(t.dana) || 0);
+    const r = { ...t, months, targetRp: target, danaRp: dana };
+    if (!target) return { ...r, error: tr("tujuan.galatTarget") };
+    if (months < 1) return { ...r, error: tr("tujuan.galatTanggal") };
+    r.kebutuhan = {};
+    JENIS.forEach((j) => {
+      const b = pakaiBiaya ? BIAYA_INSTRUMEN[j] : TANPA_BIAYA;
+      r.kebutuhan[j] = {};
+      SKENARIO.forEach(
+        (sk) =>
+          (r.kebutuhan[j][sk] = kebutuhanTujuan(
+            target,
+            dana,
+            base[j][sk],
+            months,
+            b
+          ))
+      );
+    });
+    return r;
+  });
+  const valid = tujuan.filter((t) => t.kebutuhan);
+  const total = (sk) =>
+    valid.reduce((s, t) => s + t.kebutuhan[t.instrumen][sk].setoran, 0);
+  let sisa = budget;
+  [...valid]
+    .sort((a, b) => a.months - b.months)
+    .forEach((t) => {
+      const perlu = t.kebutuhan[t.instrumen].pes.setoran;
+      t.kurangPes = budget > 0 ? Math.max(0, perlu - sisa) : null;
+      sisa = Math.max(0, sisa - perlu);
+    });
+  return {
+    tujuan,
+    totalOpt: total("opt"),
+    totalMod: total("mod"),
+    totalPes: total("pes"),
+    sisa,
+  };
+}
+
+/* ============ Kuis profil risiko (Langkah 2) ============ */
+// 4 pertanyaan standar, skor 1–4 per jawaban → total 4–16
+const KUIS_RISIKO = [
+  {
+    key: "horizon",
+    tanya: "Kapan kira-kira uang ini akan kamu pakai?",
+    opsi: ["< 1 tahun", "1–3 tahun", "3–5 tahun", "> 5 tahun"],
+    en: {
+      tanya: "Roughly when will you need this money?",
+      opsi: ["< 1 year", "1–3 years", "3–5 years", "> 5 years"],
+    },
+  },
+  {
+    key: "reaksi",
+    tanya: "Kalau nilai investasimu turun 20% dalam sebulan, kamu akan…",
+    opsi: [
+      "Jual semua, takut rugi makin dalam",
+      "Jual sebagian",
+      "Diam & tunggu pulih",
+      "Beli lagi selagi murah",
+    ],
+    en: {
+      tanya: "If your investment dropped 20% in a month, you would…",
+      opsi: [
+        "Sell everything before it gets worse",
+        "Sell some",
+        "Hold & wait for a recovery",
+        "Buy more while it's cheap",
+      ],
+    },
+  },
+  {
+    key: "pendapatan",
+    tanya: "Seberapa stabil pemasukanmu (uang saku/gaji)?",
+    opsi: [
+      "Belum ada / tidak tentu",
+      "Naik-turun",
+      "Cukup stabil",
+      "Stabil + sudah ada dana darurat",
+    ],
+    en: {
+      tanya: "How steady is your income (allowance/salary)?",
+      opsi: [
+        "None yet / irregular",
+        "Goes up and down",
+        "Fairly steady",
+        "Steady + emergency fund in place",
+      ],
+    },
+  },
+  {
+    key: "pengalaman",
+    tanya: "Pengalaman investasimu sejauh ini?",
+    opsi: [
+      "Belum pernah",
+      "Tabungan / deposito / emas",
+      "Reksadana / obligasi",
+      "Aktif jual-beli saham",
+    ],
+    en: {
+      tanya: "Your investing experience so far?",
+      opsi: [
+        "None",
+        "Savings / deposits / gold",
+        "Mutual funds / bonds",
+        "Actively trading stocks",
+      ],
+    },
+  },
+];
+const PROFIL_RISIKO = {
+  konservatif: {
+    label: "Konservatif",
+    icon: "🛡️",
+    bg: "#dcfce7",
+    penjelasan:
+      "Keamanan modal nomor satu. Cocok dominan deposito, SBN/obligasi, emas & reksadana pasar uang; saham cukup porsi kecil.",
+    en: {
+      label: "Conservative",
+      penjelasan:
+        "Protecting capital comes first. Mostly deposits, government bonds, gold & money-market funds; only a small slice of stocks.",
+    },
+  },
+  moderat: {
+    label: "Moderat",
+    icon: "⚖️",
+    bg: "#e0e7ff",
+    penjelasan:
+      "Siap naik-turun wajar demi hasil lebih baik. Cocok campuran: sebagian obligasi/emas sebagai penyeimbang, sebagian saham/reksadana.",
+    en: {
+      label: "Moderate",
+      penjelasan:
+        "Fine with normal ups and downs for a better return. A mix suits you: some bonds/gold as ballast, some stocks/mutual funds.",
+    },
+  },
+  agresif: {
+    label: "Agresif",
+    icon: "🚀",
+    bg: "#fee2e2",
+    penjelasan:
+      "Tahan melihat penurunan besar & punya waktu panjang. Porsi saham/reksadana saham boleh besar, tetap sisakan dana darurat.",
+    en: {
+      label: "Aggressive",
+      penjelasan:
+        "Can stomach big drops & has a long horizon. Stocks/equity funds can be a large share — still keep an emergency fund.",
+    },
+  },
+};
+// jawaban { key: 1–4 } → profil; null bila belum lengkap
+function profilRisiko(jawaban, bhs) {
+  const { lok } = bhs;
+  if (KUIS_RISIKO.some((q) => !jawaban[q.key])) return null;
+  const skor = KUIS_RISIKO.reduce((s, q) => s + jawaban[q.key], 0);
+  const key = skor <= 8 ? "konservatif" : skor <= 12 ? "moderat" : "agresif";
+  // jawaban paling "hati-hati" → alasan utama yang menahan skor
+  const penahan = KUIS_RISIKO.filter((q) => jawaban[q.key] <= 2).map(
+    (q) => `${lok(q).tanya} → ${lok(q).opsi[jawaban[q.key] - 1]}`
+  );
+  return { key, skor, ...lok(PROFIL_RISIKO[key]), penahan };
+}
+
+/* ============ Rekomendasi personal ============ */
+// Isi kartu "REKOMENDASI BUAT KAMU!" (urutan tampil ditentukan peringkat)
+const KARTU_REKOMENDASI = {
+  emas: {
+    judul: "🏆 Emas",
+    border: "#f4c542", // kuning pastel
+    bg: "#fffbea",
+    cocok: [
+      "Tipe main aman, suka stabilitas, anti drama grafik.",
+      "Punya tujuan jangka panjang (nikah, rumah, dana darurat).",
+      "Pendapatan apa pun, modal kecil pun bisa mulai investasi emas.",
+    ],
+    aksi: [
+      ["🟢", "Beli", "saat harga emas turun / rupiah lagi kuat."],
+      ["🔴", "Jual", "pas inflasi tinggi atau harga emas dunia rekor."],
+    ],
+    en: {
+      judul: "🏆 Gold",
+      cocok: [
+        "Plays it safe, likes stability, no chart drama.",
+        "Has long-term goals (wedding, house, emergency fund).",
+        "Any income level — you can start with gold even with little capital.",
+      ],
+      aksi: [
+        ["🟢", "Buy", "when gold dips / the rupiah is strong."],
+        ["🔴", "Sell", "when inflation is high or world gold hits a record."],
+      ],
+    },
+  },
+  saham: {
+    judul: "🚀 Saham",
+    border: "#5ac75a", // hijau
+    bg: "#f3fff3",
+    cocok: [
+      "Suka tantangan & rajin update berita ekonomi.",
+      "Punya dana nganggur & siap jangka panjang.",
+      "Mental kuat lihat harga naik turun.",
+    ],
+    aksi: [
+      ["🟢", "Beli", "pas IHSG koreksi besar & emiten fundamental oke."],
+      ["🔴", "Jual", "target cuan tercapai atau kinerja perusahaan drop."],
+    ],
+    en: {
+      judul: "🚀 Stocks",
+      cocok: [
+        "Enjoys a challenge & follows economic news.",
+        "Has idle money & a long horizon.",
+        "Strong nerves when prices swing.",
+      ],
+      aksi: [
+        ["🟢", "Buy", "on a big JCI correction with solid fundamentals."],
+        ["🔴", "Sell", "when the profit target is hit or earnings drop."],
+      ],
+    },
+  },
+  obligasi: {
+    judul: "💵 Obligasi",
+    border: "#5ba6f0", // biru
+    bg: "#f2f8ff",
+    cocok: [
+      "Cari pendapatan rutin (kupon) dan stabil.",
+      "Cocok buat yang butuh cash-flow bulanan.",
+    ],
+    aksi: [
+      ["🟢", "Beli", "ketika suku bunga tinggi (kupon menarik)."],
+      ["🔴", "Jual", "sebelum jatuh tempo jika butuh dana cepat."],
+    ],
+    en: {
+      judul: "💵 Bonds",
+      cocok: [
+        "Wants steady, regular income (coupons).",
+        "Suits anyone who needs monthly cash flow.",
+      ],
+      aksi: [
+        ["🟢", "Buy", "when interest rates are high (attractive coupons)."],
+        ["🔴", "Sell", "before maturity if you need cash quickly."],
+      ],
+    },
+  },
+  deposito: {
+    judul: "🏦 Deposito",
+    border: "#bfbfbf", // abu netral
+    bg: "#f9f9f9",
+    cocok: [
+      "Super konservatif, dana aman dijamin LPS.",
+      "Cocok buat parkir dana jangka pendek sambil dapat bunga lebih dari tabungan.",
+    ],
+    aksi: [
+      ["🟢", "Perpanjang", "saat tren suku bunga tinggi."],
+      ["🔴", "Tarik", "ketika butuh dana atau bunga terus menurun."],
+    ],
+    en: {
+      judul: "🏦 Time deposit",
+      cocok: [
+        "Ultra-conservative; funds guaranteed by the LPS.",
+        "Good for parking short-term money at a better rate than savings.",
+      ],
+      aksi: [
+        ["🟢", "Roll over", "while rates are trending high."],
+        ["🔴", "Withdraw", "when you need the money or rates keep falling."],
+      ],
+    },
+  },
+  reksadana: {
+    judul: "📊 Reksadana",
+    border: "#a478f5", // ungu
+    bg: "#f7f3ff",
+    cocok: [
+      "Pemula yang pengen portofolio beragam tanpa ribet analisis.",
+      "Punya jadwal sibuk & mau auto-diversifikasi.",
+    ],
+    aksi: [
+      ["🟢", "Beli", "rutin tiap bulan (DCA) biar harga rata."],
+      ["🔴", "Jual", "saat target return tercapai atau butuh dana."],
+    ],
+    en: {
+      judul: "📊 Mutual fund",
+      cocok: [
+        "Beginners who want a diversified portfolio without the analysis.",
+        "Busy schedule & wants automatic diversification.",
+      ],
+      aksi: [
+        ["🟢", "Buy", "every month (DCA) to average the price."],
+        ["🔴", "Sell", "when the return target is hit or you need the money."],
+      ],
+    },
+  },
+};
+const BATAS_PROFIL = { konservatif: 1, moderat: 2, agresif: 3 };
+
+// Skor kecocokan tiap instrumen dari usia, durasi, modal, pekerjaan & risiko.
+// Tiap aturan menambah/mengurangi skor dan meninggalkan alasan yang bisa dibaca.
+function peringkatInstrumen({
+  usia,
+  months,
+  modal,
+  setoran,
+  pekerjaan,
+  profil,
+  infoJenis,
+  bhs,
+}) {
+  const { tr, fmtRp, niceYears } = bhs;
+  const skor = {};
+  const alasan = {};
+  JENIS.forEach((j) => {
+    skor[j] = 50;
+    alasan[j] = [];
+  });
+  const atur = (nilai, teks) =>
+    Object.entries(nilai).forEach(([j, d]) => {
+      skor[j] += d;
+      alasan[j].push({ d, teks });
+    });
+
+  // 1) horizon
+  if (months < 12)
+    atur(
+      { deposito: 30, reksadana: 15, obligasi: 5, emas: -10, saham: -30 },
+      tr("alasan.horizonPendek", months)
+    );
+  else if (months <= 36)
+    atur(
+      { obligasi: 20, reksadana: 15, deposito: 10, emas: 5, saham: -10 },
+      tr("alasan.horizonMenengah", niceYears(months))
+    );
+  else if (months <= 60)
+    atur(
+      { reksadana: 15, obligasi: 10, emas: 10, saham: 5 },
+      tr("alasan.horizonCampuran", niceYears(months))
+    );
+  else
+    atur(
+      { saham: 25, reksadana: 20, emas: 10, deposito: -15 },
+      tr("alasan.horizonPanjang", niceYears(months))
+    );
+
+  // 2) usia
+  const u = Number(usia || 0);
+  if (u && u < 25) atur({ saham: 10, reksadana: 5 }, tr("alasan.usiaMuda", u));
+  else if (u >= 50)
+    atur({ saham: -15, deposito: 10, obligasi: 10 }, tr("alasan.usiaTua", u));
+
+  // 3) besar modal (atau setoran bila modal awal kosong)
+  const dana = modal || setoran;
+  if (dana && dana < 1_000_000)
+    atur(
+      { reksadana: 10, emas: 5, deposito: -20, obligasi: -5 },
+      tr("alasan.modalKecil", fmtRp(dana))
+    );
+  else if (dana >= 100_000_000)
+    atur({ obligasi: 5, deposito: 5 }, tr("alasan.modalBesar", fmtRp(dana)));
+
+  // 4) pekerjaan
+  const p = String(pekerjaan || "").toLowerCase();
+  if (/pelajar|siswa|mahasiswa/.test(p))
+    atur({ reksadana: 10, emas: 5, saham: -5 }, tr("alasan.pelajar"));
+  else if (/wiraswasta|usaha|freelance|pedagang|wirausaha/.test(p))
+    atur({ deposito: 10, reksadana: 5 }, tr("alasan.wiraswasta"));
+  else if (/karyawan|pegawai|pns|asn|guru|dosen|buruh/.test(p))
+    atur({ reksadana: 5, obligasi: 5 }, tr("alasan.karyawan"));
+
+  // 5) risiko instrumen vs batas profil (kuis Langkah 2, atau dari horizon)
+  const batas = profil
+    ? BATAS_PROFIL[profil.key]
+    : months < 12
+    ? 1
+    : months <= 60
+    ? 2
+    : 3;
+  const namaBatas = profil
+    ? tr("alasan.batasProfil", profil.label)
+    : tr("alasan.batasHorizon", months);
+  JENIS.forEach((j) => {
+    const lebih = RISK_SKOR[infoJenis[j].risk] - batas;
+    if (lebih > 0)
+      atur(
+        { [j]: -20 * lebih },
+        tr("alasan.risikoLebih", tr(`risiko.${infoJenis[j].risk}`), namaBatas)
+      );
+  });
+
+  return JENIS.map((j) => ({
+    type: j,
+    skor: skor[j],
+    terlaluBerisiko: RISK_SKOR[infoJenis[j].risk] > batas,
+    alasanPlus: alasan[j].filter((a) => a.d > 0).map((a) => a.teks),
+    alasanMinus: alasan[j].filter((a) => a.d < 0).map((a) => a.teks),
+  })).sort((a, b) => b.skor - a.skor);
+}
+// Instrumen pilihan (bobot ≥ 20%) yang tidak cocok: risikonya melebihi batas
+// atau termasuk 2 peringkat terbawah
+function ketidakcocokan(peringkat, bobot) {
+  return peringkat
+    .map((r, i) => ({ ...r, w: bobot[r.type] || 0, posisi: i + 1 }))
+    .filter((r) => r.w >= 0.2 && (r.terlaluBerisiko || r.posisi >= 4));
+}
+
+/* ============ Risiko ============ */
+const RISK_SKOR = { Rendah: 1, Menengah: 2, Tinggi: 3 };
+const riskBg = (risk) =>
+  risk === "Tinggi" ? "#fee2e2" : risk === "Menengah" ? "#e0e7ff" : "#dcfce7";
+// rata-rata tertimbang skor risiko (1–3) → label kembali ke Rendah/Menengah/Tinggi
+const riskCampuran = (bobot, infoJenis) => {
+  const skor = Object.entries(bobot).reduce(
+    (s, [type, w]) => s + w * RISK_SKOR[infoJenis[type].risk],
+    0
+  );
+  const label = skor < 1.67 ? "Rendah" : skor < 2.34 ? "Menengah" : "Tinggi";
+  return { skor, label };
+};
+
+/* ============ UI primitives (inline style supaya aman) ============ */
+// pembungkus halaman: gaya dasar + paket bahasa aktif untuk seluruh isinya
+const Wrap = ({ children, bhs }) => (
+  <BahasaKonteks.Provider value={bhs}>
+    <div
+      style={{
+        padding: 20,
+        fontFamily:
+          "Inter, system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif",
+        maxWidth: 1100,
+        margin: "0 auto",
+        color: "#0f172a",
+        background: "#f8fafc",
+      }}
+    >
+      {children}
+    </div>
+  </BahasaKonteks.Provider>
+);
+const Row = ({ children, gap = 12, wrap = true, align = "stretch" }) => (
+  <div
+    style={{
+      display: "flex",
+      gap,
+      flexWrap: wrap ? "wrap" : "nowrap",
+      alignItems: align,
+    }}
+  >
+    {children}
+  </div>
+);
+const Box = ({ children, style }) => (
+  <div
+    style={{
+      background: "#ffffff",
+      border: "1px solid #e5e7eb",
+      borderRadius: 16,
+      padding: 16,
+      marginTop: 14,
+      boxShadow: "0 1px 0 rgba(15,23,42,.03)",
+      ...style,
+    }}
+  >
+    {children}
+  </div>
+);
+const Card = ({ children, style }) => (
+  <div
+    style={{
+      background: "#ffffff",
+      border: "1px solid #e5e7eb",
+      borderRadius: 12,
+      padding: 14,
+      ...style,
+    }}
+  >
+    {children}
+  </div>
+);
+const Tips = ({ children }) => (
+  <div
+    style={{
+      background: "#fef3c7",
+      color: "#78350f",
+      border: "1px solid #fde68a",
+      borderRadius: 10,
+      padding: "8px 12px",
+    }}
+  >
+    {children}
+  </div>
+);
+const Badge = ({ children, bg = "#e5e7eb", color = "#111827" }) => (
+  <span
+    style={{
+      background: bg,
+      color,
+      borderRadius: 999,
+      padding: "4px 10px",
+      fontSize: 12,
+      whiteSpace: "nowrap",
+    }}
+  >
+    {children}
+  </span>
+);
+const BtnPrimary = ({ children, style, ...props }) => (
+  <button
+    {...props}
+    style={{
+      background: "linear-gradient(135deg,#2563eb,#7c3aed)",
+      color: "#fff",
+      border: "none",
+      padding: "12px 18px",
+      borderRadius: 12,
+      cursor: "pointer",
+      boxShadow: "0 6px 20px rgba(37,99,235,.25)",
+      ...style,
+    }}
+  >
+    {children}
+  </button>
+);
+const Btn = ({ children, style, ...props }) => (
+  <button
+    {...props}
+    style={{
+      background: "#e5e7eb",
+      color: "#111827",
+      border: "none",
+      padding: "10px 14px",
+      borderRadius: 10,
+      cursor: "pointer",
+      ...style,
+    }}
+  >
+    {children}
+  </button>
+);
+const Pill = ({ children, active = false, style, ...props }) => (
+  <button
+    {...props}
+    style={{
+      background: active ? "#0ea5e9" : "#e5e7eb",
+      color: active ? "#fff" : "#111827",
+      border: "none",
+      borderRadius: 999,
+      padding: "8px 12px",
+      cursor: "pointer",
+      ...style,
+    }}
+  >
+    {children}
+  </button>
+);
+
+/* Accordion sederhana (FAQ/Kamus) */
+const Accordion = ({ items }) => {
+  const [open, setOpen] = useState(null);
+  return (
+    <div>
+      {items.map((it, i) => (
+        <Card key={i} style={{ marginTop: 10 }}>
+          <div
+            onClick={() => setOpen(open === i ? null : i)}
+            style={{
+              display: "flex",
+              justifyContent: "space-between",
+              cursor: "pointer",
+              alignItems: "center",
+            }}
+          >
+            <h4 style={{ margin: 0 }}>{it.title}</h4>
+            <span style={{ fontSize: 18, color: "#475569" }}>
+              {open === i ? "−" : "+"}
+            </span>
+          </div>
+          {open === i && (
+            <div style={{ marginTop: 10, color: "#374151", lineHeight: 1.6 }}>
+              {it.content}
+            </div>
+          )}
+        </Card>
+      ))}
+    </div>
+  );
+};
+
+/* ============ SVG Line Chart (korelasi) ============ */
+/* kita gambar garis sederhana: x=jumlah investor (skala), y=estimasi dampak IHSG (%) */
+function LineChart({
+  width = 520,
+  height = 160,
+  points = [],
+  color = "#2563eb",
+}) {
+  const { tr, pct } = useBahasa();
+  const pad = 24;
+  const W = width - pad * 2;
+  const H = height - pad * 2;
+
+  if (!points.length) {
+    return (
+      <div style={{ fontSize: 12, color: "#64748b", padding: 8 }}>
+        {tr("grafik.kosong")}
+      </div>
+    );
+  }
+
+  const xs = points.map((p) => p.x);
+  const ys = points.map((p) => p.hi ?? p.y);
+  const minX = Math.min(...xs);
+  const maxX = Math.max(...xs);
+  const minY = 0; // mulai dari 0 biar mudah dibaca
+  const maxY = Math.max(...ys) > 0 ? Math.max(...ys) : 1;
+  const desimal = maxY < 10 ? 2 : 0; // dorongan kecil tetap terbaca
+
+  const sx = (x) => pad + ((x - minX) / (maxX - minX || 1)) * W;
+  const sy = (y) => height - pad - ((y - minY) / (maxY - minY || 1)) * H;
+
+  let d = "";
+  points.forEach((p, i) => {
+    const X = sx(p.x);
+    const Y = sy(p.y);
+    d += i === 0 ? `M ${X} ${Y}` : ` L ${X} ${Y}`;
+  });
+  // pita rentang keyakinan (opsional): lo di bawah, hi di atas
+  const adaPita = points.every((p) => p.lo !== undefined && p.hi !== undefined);
+  const pita = adaPita
+    ? points
+        .map((p) => `${sx(p.x)},${sy(p.hi)}`)
+        .concat([...points].reverse().map((p) => `${sx(p.x)},${sy(p.lo)}`))
+        .join(" ")
+    : "";
+
+  // grid horizontal sederhana (3 garis)
+  const grid = [0, 0.5, 1].map((t) => {
+    const Y = sy(minY + t * (maxY - minY));
+    return (
+      <line
+        key={t}
+        x1={pad}
+        x2={width - pad}
+        y1={Y}
+        y2={Y}
+        stroke="#e5e7eb"
+        strokeWidth="1"
+      />
+    );
+  });
+
+  return (
+    <svg width={width} height={height}>
+      {/* axes */}
+      <line x1={pad} x2={pad} y1={pad} y2={height - pad} stroke="#94a3b8" />
+      <line
+        x1={pad}
+        x2={width - pad}
+        y1={height - pad}
+        y2={height - pad}
+        stroke="#94a3b8"
+      />
+      {grid}
+      {adaPita && <polygon points={pita} fill={color} fillOpacity="0.15" />}
+      {/* path */}
+      <path d={d} fill="none" stroke={color} strokeWidth="2.2" />
+      {/* last dot */}
+      {points.length ? (
+        <circle
+          cx={sx(points[points.length - 1].x)}
+          cy={sy(points[points.length - 1].y)}
+          r="3.5"
+          fill={color}
+        />
+      ) : null}
+      {/* labels (min/max Y) */}
+      <text
+        x={pad - 8}
+        y={sy(minY)}
+        textAnchor="end"
+        fontSize="10"
+        fill="#64748b"
+      >
+        {pct(minY, desimal)}
+      </text>
+      <text
+        x={pad - 8}
+        y={sy(maxY)}
+        textAnchor="end"
+        fontSize="10"
+        fill="#64748b"
+      >
+        {pct(maxY, desimal)}
+      </text>
+    </svg>
+  );
+}
+
+/* ============ Grafik pertumbuhan (Recharts) ============ */
+const GARIS_SKENARIO = [
+  {
+    key: "optimis",
+    label: "Optimis",
+    en: { label: "Optimistic" },
+    color: "#16a34a",
+  },
+  {
+    key: "moderat",
+    label: "Moderat",
+    en: { label: "Moderate" },
+    color: "#1d4ed8",
+  },
+  {
+    key: "pesimis",
+    label: "Pesimis",
+    en: { label: "Pessimistic" },
+    color: "#dc2626",
+  },
+  {
+    key: "disetor",
+    label: "Total disetor",
+    en: { label: "Total contributed" },
+    color: "#64748b",
+    dash: "6 4",
+  },
+  {
+    key: "inflasi",
+    label: "Hanya setara inflasi",
+    en: { label: "Inflation-only growth" },
+    color: "#f59e0b",
+    dash: "3 3",
+  },
+];
+function GrafikPertumbuhan({
+  seri,
+  months,
+  garis: garisData = GARIS_SKENARIO,
+  judul,
+  catatan,
+}) {
+  const { tr, lok, fmtRp, fmtRpSingkat, niceYears } = useBahasa();
+  const garis = garisData.map(lok);
+  // durasi panjang → penanda per tahun (atau per 5 tahun) di sumbu X
+  const panjang = months > 24;
+  const langkah = months > 120 ? 60 : 12;
+  const ticks = panjang
+    ? seri.filter((d) => d.bulan % langkah === 0).map((d) => d.bulan)
+    : undefined;
+  return (
+    <div style={{ marginTop: 16 }}>
+      <h4 style={{ margin: "0 0 6px" }}>{judul ?? tr("grafik.judul")}</h4>
+      <div style={{ width: "100%", height: 300 }}>
+        <ResponsiveContainer>
+          <InflasiChart
+            data={seri}
+            margin={{ top: 8, right: 16, left: 8, bottom: 8 }}
+          >
+            <XAxis
+              dataKey="bulan"
+              ticks={ticks}
+              tickFormatter={(m) =>
+                panjang
+                  ? tr("grafik.tickTahun", m / 12)
+                  : tr("grafik.tickBulan", m)
+              }
+              fontSize={12}
+            />
+            <YAxis tickFormatter={fmtRpSingkat} width={90} fontSize={12} />
+            <InflasiTooltip
+              formatter={(v, name) => [fmtRp(v), name]}
+              labelFormatter={(m) => niceYears(m)}
+            />
+            {garis.map((g) => (
+              <InflasiLine
+                key={g.key}
+                type="monotone"
+                dataKey={g.key}
+                name={g.label}
+                stroke={g.color}
+                strokeDasharray={g.dash}
+                strokeWidth={g.dash ? 1.5 : 2.2}
+                dot={false}
+                isAnimationActive={false}
+              />
+            ))}
+          </InflasiChart>
+        </ResponsiveContainer>
+      </div>
+      <Row gap={8}>
+        {garis.map((g) => (
+          <span key={g.key} style={{ fontSize: 12, color: g.color }}>
+            {g.dash ? "┄" : "━"} {g.label}
+          </span>
+        ))}
+      </Row>
+      <p style={{ fontSize: 12, color: "#64748b", marginTop: 6 }}>
+        {catatan ?? tr("grafik.catatan")}
+      </p>
+    </div>
+  );
+}
+
+/* ============ Jalur inflasi (Recharts) ============ */
+const GARIS_INFLASI = [
+  {
+    key: "baseline",
+    label: "Tanpa investasi (inflasi awal)",
+    en: { label: "Without the investment (baseline)" },
+    color: "#64748b",
+    dash: "6 4",
+  },
+  {
+    key: "inflasi",
+    label: "Dengan investasi",
+    en: { label: "With the investment" },
+    color: "#ea580c",
+  },
+];
+function GrafikInflasi({ jalur }) {
+  const { tr, lok, pct } = useBahasa();
+  const garis = GARIS_INFLASI.map(lok);
+  // selisih biasanya sangat kecil → tambah desimal supaya garis bisa dibaca
+  const nilai = jalur.flatMap((j) => [j.baseline, j.inflasi]);
+  const rentang = Math.max(...nilai) - Math.min(...nilai);
+  const desimal = rentang < 0.01 ? 4 : rentang < 0.1 ? 3 : 2;
+  return (
+    <div style={{ marginTop: 16 }}>
+      <h4 style={{ margin: "0 0 6px" }}>{tr("infl.grafikJudul")}</h4>
+      <div style={{ width: "100%", height: 240 }}>
+        <ResponsiveContainer>
+          <InflasiChart
+            data={jalur}
+            margin={{ top: 8, right: 16, left: 8, bottom: 8 }}
+          >
+            <XAxis
+              dataKey="tahun"
+              tickFormatter={(t) => tr("grafik.tickTahun", t)}
+              fontSize={12}
+            />
+            <YAxis
+              domain={["auto", "auto"]}
+              tickFormatter={(v) => pct(v, desimal)}
+              width={80}
+              fontSize={12}
+            />
+            <InflasiTooltip
+              formatter={(v, name) => [pct(v, desimal), name]}
+              labelFormatter={(t) => tr("infl.tahunKe", t)}
+            />
+            {garis.map((g) => (
+              <InflasiLine
+                key={g.key}
+                type="monotone"
+                dataKey={g.key}
+                name={g.label}
+                stroke={g.color}
+                strokeDasharray={g.dash}
+                strokeWidth={g.dash ? 1.5 : 2.2}
+                dot={false}
+                isAnimationActive={false}
+              />
+            ))}
+          </InflasiChart>
+        </ResponsiveContainer>
+      </div>
+      <Row gap={8}>
+        {garis.map((g) => (
+          <span key={g.key} style={{ fontSize: 12, color: g.color }}>
+            {g.dash ? "┄" : "━"} {g.label}
+          </span>
+        ))}
+      </Row>
+    </div>
+  );
+}
+// Teks rumus inflasi dirakit dari KOMPONEN_INFLASI (sumber yang sama dengan
+// angkanya di dampakInflasi) → penjelasan di layar & PDF tidak bisa beda.
+function teksRumusInflasi(d, { porsiProduktif, pdb, bhs }) {
+  const { tr, lok, pct, fmtAngka, lokal } = bhs;
+  const komponen = KOMPONEN_INFLASI.map(lok);
+  // tanda ikut persamaan (komponen bertanda −1 disimpan negatif di jalur)
+  const contoh = (j) =>
+    `${tr("infl.tahunKe", j.tahun)}: ${pct(j.baseline)} ${komponen
+      .map((x) => `${x.tanda > 0 ? "+" : "−"} ${pct(Math.abs(j[x.key]), 4)}`)
+      .join(" ")} = ${pct(j.inflasi, 4)}`;
+  const akhir = d.jalur[d.jalur.length - 1];
+  return {
+    persamaan: tr(
+      "infl.persamaan",
+      komponen
+        .map((x) => `${x.tanda > 0 ? "+" : "−"} ${x.label.toLowerCase()}`)
+        .join(" ")
+    ),
+    rincian: komponen.map(({ label, rumus, ket }) => ({ label, rumus, ket })),
+    parameter: tr("infl.parameter", {
+      k: fmtAngka(d.k, 2),
+      icor: fmtAngka(d.icor, 1),
+      porsi: pct(porsiProduktif * 100, 0),
+      pdb: Number(pdb).toLocaleString(lokal),
+    }),
+    contoh: [d.jalur[1], ...(akhir.tahun > 1 ? [akhir] : [])].map(contoh),
+  };
+}
+
+const GARIS_BACKTEST = [
+  {
+    key: "backtest",
+    label: "Portofolio (historis)",
+    en: { label: "Portfolio (historical)" },
+    color: "#1d4ed8",
+  },
+  {
+    key: "disetor",
+    label: "Total disetor",
+    en: { label: "Total contributed" },
+    color: "#64748b",
+    dash: "6 4",
+  },
+  {
+    key: "inflasi",
+    label: "Setara inflasi nyata",
+    en: { label: "Actual inflation" },
+    color: "#f59e0b",
+    dash: "3 3",
+  },
+];
+
+/* Bandingkan semua instrumen: input sama, satu instrumen penuh (100%) */
+const WARNA_INSTRUMEN = {
+  saham: "#dc2626",
+  obligasi: "#7c3aed",
+  deposito: "#16a34a",
+  emas: "#ca8a04",
+  reksadana: "#0891b2",
+};
+const KOLOM_BANDINGAN = [
+  { key: "optV", label: "Optimis", en: { label: "Optimistic" } },
+  { key: "modV", label: "Moderat", en: { label: "Moderate" } },
+  { key: "pesV", label: "Pesimis", en: { label: "Pessimistic" } },
+  { key: "annual", label: "Annualized" },
+  {
+    key: "riil",
+    label: "vs Inflasi (riil/th)",
+    en: { label: "vs Inflation (real/yr)" },
+  },
+  { key: "risk", label: "Risiko", en: { label: "Risk" } },
+];
+function TabelBandingan({ bandingan, result, infoJenis, instrumenAktif }) {
+  const { tr, lok, fmtRp, pct, niceYears } = useBahasa();
+  const [urut, setUrut] = useState({ key: "modV", turun: true });
+  const nilaiUrut = (b) =>
+    urut.key === "risk" ? RISK_SKOR[infoJenis[b.type].risk] : b[urut.key];
+  const baris = [...bandingan].sort((a, b) =>
+    urut.turun ? nilaiUrut(b) - nilaiUrut(a) : nilaiUrut(a) - nilaiUrut(b)
+  );
+  const klik = (key) =>
+    setUrut((u) =>
+      u.key === key ? { key, turun: !u.turun } : { key, turun: true }
+    );
+  const garis = [
+    ...bandingan.map((b) => ({
+      key: b.type,
+      label: infoJenis[b.type].title,
+      color: WARNA_INSTRUMEN[b.type] || "#1d4ed8",
+    })),
+    GARIS_SKENARIO.find((g) => g.key === "disetor"),
+    GARIS_SKENARIO.find((g) => g.key === "inflasi"),
+  ];
+  const seri = result.seri.map((d) => {
+    const titik = { bulan: d.bulan, disetor: d.disetor, inflasi: d.inflasi };
+    bandingan.forEach((b) => (titik[b.type] = b.seri[d.bulan]));
+    return titik;
+  });
+
+  return (
+    <Card style={{ marginTop: 12 }}>
+      <h3 style={{ fontSize: "1.5rem", marginTop: 2, marginBottom: 8 }}>
+        {tr("banding.judul")}
+      </h3>
+      <p style={{ marginTop: 0, color: "#444" }}>
+        {tr("banding.intro", {
+          modal: fmtRp(result.modal),
+          setoran: fmtRp(result.setoran),
+          durasi: niceYears(result.months),
+          pakaiBiaya: result.pakaiBiaya,
+        })}
+      </p>
+      <div style={{ overflowX: "auto" }}>
+        <table
+          style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}
+        >
+          <thead>
+            <tr style={{ textAlign: "left", color: "#475569" }}>
+              <th>{tr("umum.instrumen")}</th>
+              {KOLOM_BANDINGAN.map(lok).map((k) => (
+                <th
+                  key={k.key}
+                  onClick={() => klik(k.key)}
+                  style={{ cursor: "pointer", whiteSpace: "nowrap" }}
+                  aria-sort={
+                    urut.key === k.key
+                      ? urut.turun
+                        ? "descending"
+                        : "ascending"
+                      : "none"
+                  }
+                >
+                  {k.label} {urut.key === k.key ? (urut.turun ? "▼" : "▲") : ""}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {baris.map((b) => (
+              <tr
+                key={b.type}
+                style={{
+                  borderTop: "1px solid #e5e7eb",
+                  background: instrumenAktif.includes(b.type)
+                    ? "#f0f9ff"
+                    : undefined,
+                }}
+              >
+                <td style={{ color: WARNA_INSTRUMEN[b.type] }}>
+                  <b>
+                    {infoJenis[b.type].icon} {infoJenis[b.type].title}
+                  </b>
+                </td>
+                <td style={{ color: "green" }}>{fmtRp(b.optV)}</td>
+                <td style={{ color: "#1d4ed8" }}>
+                  <b>{fmtRp(b.modV)}</b>
+                </td>
+                <td style={{ color: "crimson" }}>{fmtRp(b.pesV)}</td>
+                <td>{pct(b.annual)}</td>
+                <td style={{ color: b.riil >= 0 ? "green" : "crimson" }}>
+                  {pct(b.riil)} {b.modV > result.targetInflasi ? "✅" : "❌"}
+                </td>
+                <td>
+                  <Badge bg={riskBg(infoJenis[b.type].risk)}>
+                    {tr(`risiko.${infoJenis[b.type].risk}`)}
+                  </Badge>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <GrafikPertumbuhan
+        seri={seri}
+        months={result.months}
+        garis={garis}
+        judul={tr("banding.grafikJudul")}
+        catatan={tr("banding.grafikCatatan")}
+      />
+    </Card>
+  );
+}
+
+/* Perencana tujuan: target & tanggal → setoran/modal yang dibutuhkan */
+const tujuanBaru = (jenis = "kuliah") => {
+  const d = new Date();
+  const tahun = jenis === "darurat" ? 1 : 5;
+  return {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+    jenis,
+    target: String(TUJUAN.find((t) => t.key === jenis).target),
+    tanggal: `${d.getFullYear() + tahun}-${String(d.getMonth() + 1).padStart(
+      2,
+      "0"
+    )}`,
+    dana: "",
+    instrumen: jenis === "darurat" ? "deposito" : "reksadana",
+  };
+};
+function PerencanaTujuan({
+  tujuan,
+  setTujuan,
+  budgetStr,
+  setBudgetStr,
+  rencana,
+  infoJenis,
+  pakaiBiaya,
+}) {
+  const { tr, lok, fmtRp, niceYears } = useBahasa();
+  const [cari, setCari] = useState("setoran"); // "setoran" | "modal"
+  const ubah = (id, patch) =>
+    setTujuan((ts) => ts.map((t) => (t.id === id ? { ...t, ...patch } : t)));
+  const isian = {
+    padding: "8px 10px",
+    borderRadius: 8,
+    border: "1px solid #d1d5db",
+    marginTop: 4,
+  };
+  const budget = Number(onlyDigits(budgetStr) || 0);
+
+  return (
+    <Card style={{ marginTop: 12 }}>
+      <h3 style={{ fontSize: "1.5rem", marginTop: 2, marginBottom: 8 }}>
+        {tr("tujuan.judul")}
+      </h3>
+      <p style={{ marginTop: 0, color: "#444" }}>
+        {tr("tujuan.intro")}
+        {pakaiBiaya && tr("tujuan.netBiaya")}
+      </p>
+      <Row align="center">
+        <label>
+          {tr("tujuan.budget")}
+          <input
+            type="text"
+            inputMode="numeric"
+            placeholder={tr("tujuan.budgetContoh")}
+            value={budgetStr}
+            onChange={(e) => setBudgetStr(onlyDigits(e.target.value))}
+            style={{ ...isian, marginLeft: 8, width: 180 }}
+          />
+        </label>
+        <Pill active={cari === "setoran"} onClick={() => setCari("setoran")}>
+          {tr("tujuan.cariSetoran")}
+        </Pill>
+        <Pill active={cari === "modal"} onClick={() => setCari("modal")}>
+          {tr("tujuan.cariModal")}
+        </Pill>
+      </Row>
+
+      {rencana.tujuan.map((t, i) => (
+        <div
+          key={t.id}
+          style={{
+            border: `1px solid ${t.kurangPes ? "#fecaca" : "#e5e7eb"}`,
+            background: t.kurangPes ? "#fef2f2" : "#fff",
+            borderRadius: 12,
+            padding: 12,
+            marginTop: 12,
+          }}
+        >
+          <Row wrap gap={8} align="center">
+            <b>{tr("tujuan.ke", i + 1)}</b>
+            {TUJUAN.map((g) => (
+              <Pill
+                key={g.key}
+                active={t.jenis === g.key}
+                onClick={() =>
+                  ubah(t.id, {
+                    jenis: g.key,
+                    // target contoh ikut berganti selama belum diubah sendiri
+                    ...(t.target ===
+                    String(TUJUAN.find((x) => x.key === t.jenis).target)
+                      ? { target: String(g.target) }
+                      : {}),
+                  })
+                }
+              >
+                {lok(g).label}
+              </Pill>
+            ))}
+            {tujuan.length > 1 && (
+              <Btn
+                style={{ marginLeft: "auto", padding: "6px 10px" }}
+                onClick={() =>
+                  setTujuan((ts) => ts.filter((x) => x.id !== t.id))
+                }
+              >
+                {tr("umum.hapus")}
+              </Btn>
+            )}
+          </Row>
+          <Row wrap>
+            <label style={{ flex: 1, minWidth: 160 }}>
+              {tr("tujuan.target")}
+              <br />
+              <input
+                type="text"
+                inputMode="numeric"
+                aria-label={tr("tujuan.ariaTarget", i + 1)}
+                value={t.target}
+                onChange={(e) =>
+                  ubah(t.id, { target: onlyDigits(e.target.value) })
+                }
+                style={{ ...isian, width: "90%" }}
+              />
+            </label>
+            <label style={{ flex: 1, minWidth: 160 }}>
+              {tr("tujuan.tanggal")}
+              <br />
+              <input
+                type="month"
+                aria-label={tr("tujuan.ariaTanggal", i + 1)}
+                value={t.tanggal}
+                onChange={(e) => ubah(t.id, { tanggal: e.target.value })}
+                style={{ ...isian, width: "90%" }}
+              />
+            </label>
+            <label style={{ flex: 1, minWidth: 160 }}>
+              {tr("tujuan.dana")}
+              <br />
+              <input
+                type="text"
+                inputMode="numeric"
+                placeholder="0"
+                value={t.dana}
+                onChange={(e) =>
+                  ubah(t.id, { dana: onlyDigits(e.target.value) })
+                }
+                style={{ ...isian, width: "90%" }}
+              />
+            </label>
+            <label style={{ flex: 1, minWidth: 160 }}>
+              {tr("tujuan.instrumen")}
+              <br />
+              <select
+                value={t.instrumen}
+                onChange={(e) => ubah(t.id, { instrumen: e.target.value })}
+                style={{ ...isian, width: "95%" }}
+              >
+                {JENIS.map((j) => (
+                  <option key={j} value={j}>
+                    {infoJenis[j].icon} {infoJenis[j].title}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </Row>
+
+          {t.error ? (
+            <p style={{ color: "crimson", marginBottom: 0 }}>⚠️ {t.error}</p>
+          ) : (
+            <>
+              <p style={{ fontSize: 13, color: "#475569" }}>
+                {tr("tujuan.ringkas", {
+                  target: fmtRp(t.targetRp),
+                  durasi: niceYears(t.months),
+                  dana: t.danaRp > 0 && fmtRp(t.danaRp),
+                })}
+              </p>
+              <div style={{ overflowX: "auto" }}>
+                <table
+                  style={{
+                    borderCollapse: "collapse",
+                    fontSize: 13,
+                    width: "100%",
+                  }}
+                >
+                  <thead>
+                    <tr style={{ background: "#f1f5f9" }}>
+                      <th style={{ textAlign: "left", padding: 6 }}>
+                        {cari === "setoran"
+                          ? tr("tujuan.kolomSetoran")
+                          : tr("tujuan.kolomModal")}
+                      </th>
+                      <th style={{ padding: 6, color: "green" }}>
+                        {tr("sk.optimis")}
+                      </th>
+                      <th style={{ padding: 6, color: "#1d4ed8" }}>
+                        {tr("sk.moderat")}
+                      </th>
+                      <th style={{ padding: 6, color: "crimson" }}>
+                        {tr("sk.pesimis")}
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {JENIS.map((j) => (
+                      <tr
+                        key={j}
+                        style={{
+                          borderTop: "1px solid #e5e7eb",
+                          background: j === t.instrumen ? "#eff6ff" : undefined,
+                          fontWeight: j === t.instrumen ? 700 : 400,
+                        }}
+                      >
+                        <td style={{ padding: 6 }}>
+                          {infoJenis[j].icon} {infoJenis[j].title}
+                        </td>
+                        {SKENARIO.map((sk) => (
+                          <td
+                            key={sk}
+                            style={{ padding: 6, textAlign: "right" }}
+                          >
+                            {fmtRp(t.kebutuhan[j][sk][cari])}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              {t.kurangPes > 0 && (
+                <p style={{ color: "crimson", margin: "8px 0 0" }}>
+                  {tr("tujuan.kurang", fmtRp(t.kurangPes))}
+                </p>
+              )}
+              {t.kurangPes === 0 && (
+                <p style={{ color: "green", margin: "8px 0 0" }}>
+                  {tr("tujuan.aman")}
+                </p>
+              )}
+            </>
+          )}
+        </div>
+      ))}
+
+      <Row wrap>
+        <Btn
+          style={{ marginTop: 12 }}
+          onClick={() => setTujuan((ts) => [...ts, tujuanBaru("nikah")])}
+        >
+          {tr("tujuan.tambah")}
+        </Btn>
+      </Row>
+
+      <div
+        style={{
+          marginTop: 12,
+          background: "#f8fafc",
+          border: "1px solid #e5e7eb",
+          borderRadius: 12,
+          padding: 12,
+        }}
+      >
+        <b>{tr("tujuan.total")}</b>
+        <ul style={{ margin: "6px 0", lineHeight: 1.6 }}>
+          <li>
+            {tr("sk.optimis")}: {fmtRp(rencana.totalOpt)}
+          </li>
+          <li>
+            {tr("sk.moderat")}: {fmtRp(rencana.totalMod)}
+          </li>
+          <li>
+            {tr("sk.pesimis")}: {fmtRp(rencana.totalPes)}
+          </li>
+        </ul>
+        {budget > 0 ? (
+          <span
+            style={{
+              color: budget >= rencana.totalPes ? "green" : "crimson",
+            }}
+          >
+            {tr("tujuan.budgetStatus", fmtRp(budget))}{" "}
+            {budget >= rencana.totalPes
+              ? tr("tujuan.budgetCukup", fmtRp(rencana.sisa))
+              : budget >= rencana.totalMod
+              ? tr("tujuan.budgetModerat")
+              : tr("tujuan.budgetKurang")}
+          </span>
+        ) : (
+          <span style={{ color: "#6b7280" }}>{tr("tujuan.budgetKosong")}</span>
+        )}
+      </div>
+    </Card>
+  );
+}
+
+/* Replay krisis historis di atas portofolio & durasi pengguna */
+
+const GARIS_KRISIS = [
+  {
+    key: "krisis",
+    label: "Replay krisis",
+    en: { label: "Crisis replay" },
+    color: "#dc2626",
+  },
+  {
+    key: "moderat",
+    label: "Moderat (kondisi normal)",
+    en: { label: "Moderate (normal conditions)" },
+    color: "#1d4ed8",
+  },
+  {
+    key: "disetor",
+    label: "Total disetor",
+    en: { label: "Total contributed" },
+    color: "#64748b",
+    dash: "6 4",
+  },
+];
+function ReplayKrisis({ result }) {
+  const { tr, lok, fmtRp, pct, niceYears, fmtAsOf } = useBahasa();
+  const [pilih, setPilih] = useState(KRISIS[0].key);
+  const krisisData = KRISIS.find((k) => k.key === pilih);
+  const r = useMemo(
+    () => replayKrisis(krisisData, result),
+    [krisisData, result]
+  );
+  const krisis = lok(krisisData);
+  const seri = r.seri.map((d) => ({
+    ...d,
+    moderat: result.seri[d.bulan].moderat,
+  }));
+  const kartu = {
+    background: "#fff",
+    border: "1px solid #e5e7eb",
+    borderRadius: 12,
+    padding: 12,
+    flex: 1,
+    minWidth: 180,
+  };
+
+  return (
+    <Box style={{ marginTop: 12 }}>
+      <h3 style={{ marginTop: 0 }}>{tr("krisis.judul")}</h3>
+      <p style={{ marginTop: 0, fontSize: 13, color: "#475569" }}>
+        {tr("krisis.intro")}
+      </p>
+      <Row wrap gap={8}>
+        {KRISIS.map((k) => (
+          <Pill
+            key={k.key}
+            active={k.key === pilih}
+            onClick={() => setPilih(k.key)}
+          >
+            {lok(k).nama}
+          </Pill>
+        ))}
+      </Row>
+      <p style={{ fontSize: 14, marginBottom: 4 }}>
+        <b>{tr("krisis.mulai", fmtAsOf(krisis.mulai))}</b> {krisis.ringkasan}
+      </p>
+      <ul style={{ margin: "0 0 8px 18px", fontSize: 13, color: "#475569" }}>
+        {krisis.konteks.map((t) => (
+          <li key={t}>{t}</li>
+        ))}
+      </ul>
+      <Row wrap>
+        <div style={kartu}>
+          <div style={{ fontSize: 12, color: "#6b7280" }}>
+            {tr("krisis.turun")}
+          </div>
+          <b style={{ color: r.turunPct < 0 ? "crimson" : "green" }}>
+            {r.turunPct < 0 ? pct(r.turunPct) : tr("krisis.tidakTurun")}
+          </b>
+          {r.turunPct < 0 && (
+            <div style={{ fontSize: 12, color: "#6b7280" }}>
+              {tr("krisis.bulanTurun", r.bulanPuncak, r.bulanDasar)}
+            </div>
+          )}
+        </div>
+        <div style={kartu}>
+          <div style={{ fontSize: 12, color: "#6b7280" }}>
+            {tr("krisis.pulih")}
+          </div>
+          <b>
+            {r.turunPct >= 0
+              ? "-"
+              : r.lamaPulih === null
+              ? tr("krisis.belumPulih", result.months)
+              : niceYears(r.lamaPulih)}
+          </b>
+          {r.turunPct < 0 && (
+            <div style={{ fontSize: 12, color: "#6b7280" }}>
+              {tr("krisis.pulihKet")}
+            </div>
+          )}
+        </div>
+        <div style={kartu}>
+          <div style={{ fontSize: 12, color: "#6b7280" }}>
+            {tr("krisis.terendah")}
+          </div>
+          <b>{fmtRp(r.nilaiTerendah)}</b>
+        </div>
+        <div style={kartu}>
+          <div style={{ fontSize: 12, color: "#6b7280" }}>
+            {tr("krisis.akhir")}
+          </div>
+          <b
+            style={{
+              color: r.nilaiAkhir >= result.totalSetor ? "green" : "crimson",
+            }}
+          >
+            {fmtRp(r.nilaiAkhir)}
+          </b>
+          <div style={{ fontSize: 12, color: "#6b7280" }}>
+            {tr("krisis.vsModerat", fmtRp(result.modV))}
+          </div>
+        </div>
+      </Row>
+      <GrafikPertumbuhan
+        seri={seri}
+        months={result.months}
+        garis={GARIS_KRISIS}
+        judul={tr("krisis.grafikJudul", krisis.nama)}
+        catatan={tr("krisis.grafikCatatan", r.terpotong)}
+      />
+    </Box>
+  );
+}
+
+/* ============ Panel Data Ekonomi (override makro) ============ */
+function PanelDataEkonomi({ dataset, onSave, onImpor, onReset }) {
+  const { lokal, tr, lok, fmtAsOf } = useBahasa();
+  const [draft, setDraft] = useState(() => {
+    const d = { asOf: dataset.asOf };
+    MACRO_FIELDS.forEach((f) => (d[f.key] = String(dataset.macro[f.key])));
+    return d;
+  });
+  const [err, setErr] = useState({});
+  const [imporErr, setImporErr] = useState([]);
+
+  function simpan() {
+    const e = {};
+    const macro = { ...dataset.macro };
+    if (!/^\d{4}-\d{2}$/.test(draft.asOf || ""))
+      e.asOf = tr("dataEko.galatBulan");
+    MACRO_FIELDS.forEach((f) => {
+      const v = Number(String(draft[f.key]).replace(",", "."));
+      if (draft[f.key] === "" || isNaN(v)) e[f.key] = tr("dataEko.galatAngka");
+      else if (v < f.min || v > f.max)
+        e[f.key] = tr(
+          "dataEko.galatBatas",
+          f.min.toLocaleString(lokal),
+          f.max.toLocaleString(lokal)
+        );
+      else macro[f.key] = v;
+    });
+    setErr(e);
+    if (!Object.keys(e).length) onSave({ ...dataset, asOf: draft.asOf, macro });
+  }
+
+  function impor(e) {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // file yang sama bisa dipilih ulang
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const teks = String(reader.result || "");
+      let obj;
+      try {
+        obj = /\.csv$/i.test(file.name) ? csvKeDataset(teks) : JSON.parse(teks);
+      } catch {
+        return setImporErr([tr("dataEko.bukanFile", file.name)]);
+      }
+      const { data, errors } = validasiDataset(obj, tr);
+      setImporErr(errors);
+      if (data) onImpor(data);
+    };
+    reader.readAsText(file);
+  }
+
+  return (
+    <Card style={{ marginTop: 12, background: "#f8fafc" }}>
+      <h3 style={{ marginTop: 0 }}>{tr("dataEko.judul")}</h3>
+      <p style={{ marginTop: 0, fontSize: 13, color: "#475569" }}>
+        {tr("dataEko.intro")}
+      </p>
+      <Row>
+        <label style={{ flex: 1, minWidth: 240 }}>
+          {tr("dataEko.bulan")}
+          <br />
+          <input
+            type="month"
+            value={draft.asOf}
+            onChange={(e) => setDraft((d) => ({ ...d, asOf: e.target.value }))}
+            style={{ padding: "6px 8px", marginTop: 4 }}
+          />
+          {err.asOf && <div style={{ color: "crimson" }}>{err.asOf}</div>}
+        </label>
+        {MACRO_FIELDS.map((f) => (
+          <label key={f.key} style={{ flex: 1, minWidth: 240 }}>
+            {lok(f).label}:
+            <br />
+            <input
+              type="text"
+              inputMode="decimal"
+              value={draft[f.key]}
+              onChange={(e) =>
+                setDraft((d) => ({ ...d, [f.key]: e.target.value }))
+              }
+              style={{ padding: "6px 8px", marginTop: 4, width: 200 }}
+              aria-invalid={!!err[f.key]}
+            />
+            {err[f.key] && (
+              <div style={{ color: "crimson", fontSize: 13 }}>{err[f.key]}</div>
+            )}
+          </label>
+        ))}
+      </Row>
+      <div style={{ marginTop: 12 }}>
+        <BtnPrimary onClick={simpan}>{tr("umum.simpan")}</BtnPrimary>{" "}
+        <Btn onClick={onReset}>{tr("umum.kembalikan")}</Btn>
+      </div>
+
+      <h4 style={{ marginBottom: 6 }}>{tr("dataEko.fileJudul")}</h4>
+      <p style={{ marginTop: 0, fontSize: 13, color: "#475569" }}>
+        {tr("dataEko.fileIntro")}
+      </p>
+      <p style={{ fontSize: 13, margin: "0 0 8px" }}>
+        {tr("dataEko.aktif", dataset.versi, fmtAsOf(dataset.asOf))}{" "}
+        {dataset.sumber.map((s, i) => (
+          <span key={i}>
+            {i ? ", " : ""}
+            {s.url ? (
+              <a href={s.url} target="_blank" rel="noreferrer">
+                {s.nama}
+              </a>
+            ) : (
+              s.nama
+            )}
+            {s.data ? ` (${s.data})` : ""}
+          </span>
+        ))}
+      </p>
+      <Row align="center">
+        <label>
+          <span
+            style={{
+              background: "#e5e7eb",
+              padding: "10px 14px",
+              borderRadius: 10,
+              cursor: "pointer",
+              display: "inline-block",
+            }}
+          >
+            {tr("dataEko.impor")}
+          </span>
+          <input
+            type="file"
+            accept=".json,.csv,application/json,text/csv"
+            onChange={impor}
+            style={{ display: "none" }}
+          />
+        </label>
+        <Btn
+          onClick={() =>
+            unduhFile(
+              `RUPACAYA_dataset_${dataset.asOf}.json`,
+              JSON.stringify(dataset, null, 2),
+              "application/json"
+            )
+          }
+        >
+          {tr("dataEko.eksporJson")}
+        </Btn>
+        <Btn
+          onClick={() =>
+            unduhFile(
+              `RUPACAYA_dataset_${dataset.asOf}.csv`,
+              datasetKeCsv(dataset),
+              "text/csv;charset=utf-8"
+            )
+          }
+        >
+          {tr("dataEko.eksporCsv")}
+        </Btn>
+      </Row>
+      {imporErr.length > 0 && (
+        <div style={{ color: "crimson", fontSize: 13, marginTop: 8 }}>
+          {tr("dataEko.gagalImpor")}
+          <ul style={{ margin: "4px 0 0 18px" }}>
+            {imporErr.map((m, i) => (
+              <li key={i}>{m}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </Card>
+  );
+}
+
+/* Impor file ekspor JSON → langsung ke hasil (mis. diserahkan ke guru) */
+function ImporSimulasi({ onImpor }) {
+  const bhs = useBahasa();
+  const { tr } = bhs;
+  const [galat, setGalat] = useState([]);
+  function impor(e) {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // file yang sama bisa dipilih ulang
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      let obj;
+      try {
+        obj = JSON.parse(String(reader.result || ""));
+      } catch {
+        return setGalat([tr("impor.bukanJson", file.name)]);
+      }
+      const { snapshot, errors } = validasiSimulasi(obj, bhs);
+      setGalat(errors || []);
+      if (snapshot) onImpor(snapshot);
+    };
+    reader.readAsText(file);
+  }
+  return (
+    <div style={{ marginTop: 12 }}>
+      <label>
+        <span
+          style={{
+            background: "#e5e7eb",
+            padding: "10px 14px",
+            borderRadius: 10,
+            cursor: "pointer",
+            display: "inline-block",
+          }}
+        >
+          {tr("impor.tombol")}
+        </span>
+        <input
+          type="file"
+          accept=".json,application/json"
+          onChange={impor}
+          style={{ display: "none" }}
+        />
+      </label>
+      <span style={{ fontSize: 12, color: "#6b7280", marginLeft: 8 }}>
+        {tr("impor.ket")}
+      </span>
+      {galat.length > 0 && (
+        <div style={{ color: "crimson", fontSize: 13, marginTop: 8 }}>
+          {tr("impor.gagal")}
+          <ul style={{ margin: "4px 0 0 18px" }}>
+            {galat.map((m, i) => (
+              <li key={i}>{m}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* Daftar simulasi tersimpan: buka, ganti nama, hapus */
+function DaftarSimpanan({ simpanan, onMuat, onGantiNama, onHapus }) {
+  const { tr, fmtWaktu } = useBahasa();
+  const [edit, setEdit] = useState(null); // { id, nama }
+  if (!simpanan.length) return null;
+  return (
+    <Card style={{ marginTop: 12, background: "#f8fafc" }}>
+      <h3 style={{ marginTop: 0 }}>{tr("simpan.judul")}</h3>
+      {simpanan.map((s) => (
+        <div
+          key={s.id}
+          style={{
+            borderTop: "1px solid #e5e7eb",
+            padding: "8px 0",
+          }}
+        >
+          {edit?.id === s.id ? (
+            <Row align="center" gap={8}>
+              <input
+                type="text"
+                aria-label={tr("simpan.ariaNama")}
+                value={edit.nama}
+                onChange={(e) => setEdit({ ...edit, nama: e.target.value })}
+                style={{ padding: "6px 8px", borderRadius: 8, width: 220 }}
+              />
+              <Btn
+                disabled={!edit.nama.trim()}
+                onClick={() => {
+                  onGantiNama(s.id, edit.nama.trim());
+                  setEdit(null);
+                }}
+              >
+                {tr("simpan.simpanNama")}
+              </Btn>
+              <Btn onClick={() => setEdit(null)}>{tr("umum.batal")}</Btn>
+            </Row>
+          ) : (
+            <Row align="center" gap={8}>
+              <div style={{ flex: 1, minWidth: 200 }}>
+                <b>{s.nama}</b>
+                <div style={{ fontSize: 12, color: "#6b7280" }}>
+                  {fmtWaktu(s.waktu)} • {tr("simpan.langkah", s.data.step)}
+                </div>
+              </div>
+              <Btn onClick={() => onMuat(s.id)}>{tr("simpan.buka")}</Btn>
+              <Btn onClick={() => setEdit({ id: s.id, nama: s.nama })}>
+                {tr("simpan.gantiNama")}
+              </Btn>
+              <Btn onClick={() => onHapus(s.id)}>{tr("umum.hapus")}</Btn>
+            </Row>
           )}
-        </Card>
+        </div>
       ))}
-    </div>
+    </Card>
   );
-};
-
-/* ============ SVG Line Chart (korelasi) ============ */
-/* kita gambar garis sederhana: x=jumlah investor (skala), y=estimasi dampak IHSG (%) */
-function LineChart({
-  width = 520,
-  height = 160,
-  points = [],
-  color = "#2563eb",
-}) {
-  const pad = 24;
-  const W = width - pad * 2;
-  const H = height - pad * 2;
+}
 
-  if (!points.length) {
-    return (
-      <div style={{ fontSize: 12, color: "#64748b", padding: 8 }}>
-        (Grafik akan muncul setelah input terisi)
-      </div>
+/* Tabel sensitivitas What-If: angka dalam % laju per bulan, bisa diubah siswa */
+function TabelSensitivitas({ sensitivitas, asal, infoJenis, onSave, onReset }) {
+  const { tr, lok } = useBahasa();
+  const keTeks = (s) => {
+    const d = {};
+    WHATIF.forEach(({ key }) =>
+      JENIS.forEach(
+        (j) => (d[`${key}.${j}`] = String(+(s[key][j] * 100).toFixed(4)))
+      )
     );
-  }
-
-  const xs = points.map((p) => p.x);
-  const ys = points.map((p) => p.y);
-  const minX = Math.min(...xs);
-  const maxX = Math.max(...xs);
-  const minY = 0; // mulai dari 0 biar mudah dibaca
-  const maxY = Math.max(...ys, 1);
-
-  const sx = (x) => pad + ((x - minX) / (maxX - minX || 1)) * W;
-  const sy = (y) => height - pad - ((y - minY) / (maxY - minY || 1)) * H;
-
-  let d = "";
-  points.forEach((p, i) => {
-    const X = sx(p.x);
-    const Y = sy(p.y);
-    d += i === 0 ? `M ${X} ${Y}` : ` L ${X} ${Y}`;
-  });
+    return d;
+  };
+  const [draft, setDraft] = useState(() => keTeks(sensitivitas));
 
-  // grid horizontal sederhana (3 garis)
-  const grid = [0, 0.5, 1].map((t) => {
-    const Y = sy(minY + t * (maxY - minY));
-    return (
-      <line
-        key={t}
-        x1={pad}
-        x2={width - pad}
-        y1={Y}
-        y2={Y}
-        stroke="#e5e7eb"
-        strokeWidth="1"
-      />
-    );
-  });
+  function ubah(key, j, teks) {
+    setDraft((d) => ({ ...d, [`${key}.${j}`]: teks }));
+    const v = Number(teks.replace(",", "."));
+    // simpan langsung bila valid (±2 %/bulan) → hasil ikut berubah
+    if (teks.trim() === "" || isNaN(v) || Math.abs(v) > 2) return;
+    onSave({
+      ...sensitivitas,
+      [key]: { ...sensitivitas[key], [j]: v / 100 },
+    });
+  }
 
   return (
-    <svg width={width} height={height}>
-      {/* axes */}
-      <line x1={pad} x2={pad} y1={pad} y2={height - pad} stroke="#94a3b8" />
-      <line
-        x1={pad}
-        x2={width - pad}
-        y1={height - pad}
-        y2={height - pad}
-        stroke="#94a3b8"
-      />
-      {grid}
-      {/* path */}
-      <path d={d} fill="none" stroke={color} strokeWidth="2.2" />
-      {/* last dot */}
-      {points.length ? (
-        <circle
-          cx={sx(points[points.length - 1].x)}
-          cy={sy(points[points.length - 1].y)}
-          r="3.5"
-          fill={color}
-        />
-      ) : null}
-      {/* labels (min/max Y) */}
-      <text
-        x={pad - 8}
-        y={sy(minY)}
-        textAnchor="end"
-        fontSize="10"
-        fill="#64748b"
+    <div style={{ overflowX: "auto", marginTop: 12 }}>
+      <table
+        style={{ borderCollapse: "collapse", fontSize: 13, width: "100%" }}
       >
-        {pct(minY, 0)}
-      </text>
-      <text
-        x={pad - 8}
-        y={sy(maxY)}
-        textAnchor="end"
-        fontSize="10"
-        fill="#64748b"
+        <thead>
+          <tr style={{ background: "#f1f5f9" }}>
+            <th style={{ textAlign: "left", padding: 6 }}>
+              {tr("sens.kolom")}
+            </th>
+            {JENIS.map((j) => (
+              <th key={j} style={{ padding: 6 }}>
+                {infoJenis[j].icon} {infoJenis[j].title}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {WHATIF.map(lok).map((w) => (
+            <tr key={w.key} style={{ borderTop: "1px solid #e5e7eb" }}>
+              <td style={{ padding: 6 }}>
+                {w.label} +1 {w.satuan}
+              </td>
+              {JENIS.map((j) => {
+                const teks = draft[`${w.key}.${j}`];
+                const v = Number(teks.replace(",", "."));
+                const salah = teks.trim() === "" || isNaN(v) || Math.abs(v) > 2;
+                return (
+                  <td key={j} style={{ padding: 6, textAlign: "center" }}>
+                    <input
+                      type="text"
+                      inputMode="decimal"
+                      aria-label={`${w.label} ${j}`}
+                      value={teks}
+                      onChange={(e) => ubah(w.key, j, e.target.value)}
+                      aria-invalid={salah}
+                      style={{
+                        width: 64,
+                        padding: "4px 6px",
+                        borderRadius: 6,
+                        border: `1px solid ${salah ? "crimson" : "#d1d5db"}`,
+                        textAlign: "right",
+                      }}
+                    />
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p style={{ fontSize: 12, color: "#6b7280", margin: "6px 0" }}>
+        {tr("sens.ket")}
+      </p>
+      <Btn
+        onClick={() => {
+          setDraft(keTeks(asal));
+          onReset();
+        }}
       >
-        {pct(maxY, 0)}
-      </text>
-    </svg>
+        {tr("sens.reset")}
+      </Btn>
+    </div>
   );
 }
 
+/* ============ Katalog teks (ID/EN) ============ */
+// Kunci dikelompokkan per bagian layar. Nilai fungsi menerima sisipan
+// (angka, nama, …) dan boleh mengembalikan JSX untuk teks bercetak tebal.
+const TEKS = {
+  id: {
+    "satuan.bulan": (n) => `${n} bulan`,
+    "satuan.tahun": (n) => `${n} tahun`,
+    // --- pesan galat (validasi) ---
+    ...PESAN_DATASET, // galat dataset → mesin.mjs (dipakai juga CLI)
+    "galat.bukanObjek": "File bukan objek JSON.",
+    "galat.wajibAda": "wajib ada.",
+    "galat.harusTeks": "harus teks.",
+    "galat.harusBoolean": "harus true/false.",
+    "galat.angkaPositif": "harus angka ≥ 0.",
+    "galat.persenBulat": "harus bilangan bulat 0–100.",
+    "galat.modeAlokasi": 'harus "tunggal" atau "campuran".',
+    "galat.rentang": (label, min, max, satuan) =>
+      `${label} harus ${min} s/d ${max} ${satuan}.`,
+    "galat.nama": "Nama 2–30 karakter.",
+    "galat.usia": "Usia 10–100.",
+    "galat.pilihInstrumen": "Pilih instrumen dulu.",
+    "galat.totalAlokasi": (total) =>
+      `Total alokasi harus 100% (sekarang ${total}%).`,
+    "galat.modal": "Isi modal awal atau setoran bulanan (> 0)",
+    "galat.durasi": "Durasi 1–600 bulan",
+    "galat.investor": "Investor harus angka > 0",
+    "galat.instrumenAsing": (j) => `Instrumen "${j}" tidak dikenal.`,
+    "galat.tautanRusak": "Tautan rusak (tidak bisa dibaca).",
+    "galat.tautanVersi": (v) => `Versi tautan tidak dikenal (${v}).`,
+    "galat.tautanAlokasi": (p) => `Alokasi "${p}" tidak valid.`,
+    "galat.tautanAngka": (k) => `Parameter ${k} harus angka.`,
+    "galat.tautanWhatIf": (p) => `What-If "${p}" di luar batas.`,
+    "tujuan.galatTarget": "Isi target dana.",
+    "tujuan.galatTanggal": "Tanggal target harus setelah bulan ini.",
+    "risiko.Rendah": "Rendah",
+    "risiko.Menengah": "Menengah",
+    "risiko.Tinggi": "Tinggi",
+    "alasan.horizonPendek": (m) =>
+      `horizon ${m} bulan → deposito/pasar uang lebih cocok`,
+    "alasan.horizonMenengah": (t) =>
+      `horizon ${t} → obligasi/reksadana pas, saham masih riskan`,
+    "alasan.horizonCampuran": (t) =>
+      `horizon ${t} → cukup waktu untuk campuran`,
+    "alasan.horizonPanjang": (t) =>
+      `horizon ${t} → aset pertumbuhan sempat pulih dari koreksi`,
+    "alasan.usiaMuda": (u) => `usia ${u} → waktu ada di pihakmu`,
+    "alasan.usiaTua": (u) => `usia ${u} → utamakan kelestarian modal`,
+    "alasan.modalKecil": (m) =>
+      `modal ${m} → reksadana/emas bisa mulai dari nominal kecil`,
+    "alasan.modalBesar": (m) =>
+      `modal ${m} → sebagian bisa dikunci di instrumen stabil`,
+    "alasan.pelajar":
+      "pelajar → pemasukan belum tetap, mulai dari yang sederhana",
+    "alasan.wiraswasta":
+      "pemasukan naik-turun → sisakan dana yang mudah dicairkan",
+    "alasan.karyawan": "gaji rutin → cocok setor bulanan (DCA)",
+    "alasan.batasProfil": (p) => `profil ${p}`,
+    "alasan.batasHorizon": (m) => `horizon ${m} bulan`,
+    "alasan.risikoLebih": (r, b) => `risiko ${r} melebihi ${b}`,
+    "umum.instrumen": "Instrumen",
+    "grafik.kosong": "(Grafik akan muncul setelah input terisi)",
+    "grafik.judul": "📈 Pertumbuhan Bulan per Bulan",
+    "grafik.catatan":
+      "Garis oranye = nilai setoranmu bila hanya tumbuh setara inflasi. Kalau garis skenario di atasnya → daya beli bertambah.",
+    "grafik.tickTahun": (t) => `Th ${t}`,
+    "grafik.tickBulan": (m) => `Bln ${m}`,
+    "banding.judul": "⚖️ Bandingkan Instrumen",
+    "banding.intro": (r) => (
+      <>
+        Modal <b>{r.modal}</b>, setoran <b>{r.setoran}/bulan</b> selama{" "}
+        <b>{r.durasi}</b> dimasukkan <b>100%</b> ke tiap instrumen
+        {r.pakaiBiaya ? " (net pajak & biaya)" : ""}, dengan setelan What-If
+        yang sama. Klik judul kolom untuk mengurutkan.
+      </>
+    ),
+    "banding.grafikJudul": "📈 Skenario Moderat per Instrumen",
+    "banding.grafikCatatan":
+      "Tiap garis = skenario moderat bila seluruh dana masuk ke satu instrumen. Baris yang disorot = pilihanmu sekarang.",
+    "umum.hapus": "🗑️ Hapus",
+    "sk.optimis": "Optimis",
+    "sk.moderat": "Moderat",
+    "sk.pesimis": "Pesimis",
+    "tujuan.judul": "🎯 Rencana Tujuan",
+    "tujuan.intro": (
+      <>
+        Bukan lagi "dapat berapa?", tapi <b>"harus setor berapa?"</b>. Isi
+        target dana & kapan dibutuhkan, lalu lihat setoran bulanan (atau modal
+        sekali setor) yang dibutuhkan tiap instrumen di 3 skenario.
+      </>
+    ),
+    "tujuan.netBiaya": " Sudah termasuk pajak & biaya.",
+    "tujuan.budget": "Budget investasi per bulan (semua tujuan):",
+    "tujuan.budgetContoh": "misal: 1500000",
+    "tujuan.cariSetoran": "Cari setoran bulanan",
+    "tujuan.cariModal": "Cari modal sekali setor",
+    "tujuan.ke": (n) => `Tujuan ${n}:`,
+    "tujuan.target": "Target dana (Rp)",
+    "tujuan.ariaTarget": (n) => `Target tujuan ${n}`,
+    "tujuan.tanggal": "Dibutuhkan bulan",
+    "tujuan.ariaTanggal": (n) => `Tanggal tujuan ${n}`,
+    "tujuan.dana": "Dana yang sudah ada (Rp)",
+    "tujuan.instrumen": "Instrumen pilihan",
+    "tujuan.ringkas": (t) => (
+      <>
+        {t.target} dalam <b>{t.durasi}</b>
+        {t.dana && ` (sudah ada ${t.dana})`}.
+      </>
+    ),
+    "tujuan.kolomSetoran": "Setoran per bulan",
+    "tujuan.kolomModal": "Modal sekali setor",
+    "tujuan.kurang": (rp) => (
+      <>
+        ❌ Tidak tercapai di skenario pesimis: budget kurang <b>{rp}/bulan</b>{" "}
+        setelah tujuan yang tenggatnya lebih dekat. Geser tanggal, turunkan
+        target, atau tambah budget.
+      </>
+    ),
+    "tujuan.aman": "✅ Tetap tercapai walau skenario pesimis.",
+    "tujuan.tambah": "➕ Tambah tujuan",
+    "tujuan.total": "Total setoran bulanan (instrumen pilihan tiap tujuan):",
+    "tujuan.budgetStatus": (rp) => `Budget ${rp}/bulan`,
+    "tujuan.budgetCukup": (sisa) =>
+      `cukup untuk semua tujuan walau pesimis (sisa ${sisa}).`,
+    "tujuan.budgetModerat":
+      "cukup di skenario moderat, tapi tidak di skenario pesimis.",
+    "tujuan.budgetKurang": "belum cukup bahkan di skenario moderat.",
+    "tujuan.budgetKosong":
+      "Isi budget per bulan untuk cek tujuan mana yang aman.",
+    "umum.simpan": "💾 Simpan",
+    "umum.kembalikan": "↩️ Kembalikan default",
+    "krisis.judul": "🌪️ Replay Krisis Historis",
+    "krisis.intro":
+      "Bagaimana kalau krisis sungguhan terjadi tepat saat kamu mulai berinvestasi? Jalur bulanan tiap instrumen diputar ulang di atas modal, setoran & durasimu.",
+    "krisis.mulai": (t) => `Mulai ${t}:`,
+    "krisis.turun": "Turun puncak → dasar",
+    "krisis.tidakTurun": "Tidak turun",
+    "krisis.bulanTurun": (a, b) => `bulan ke-${a} → ke-${b}`,
+    "krisis.pulih": "Waktu pulih",
+    "krisis.belumPulih": (m) => `Belum pulih dalam ${m} bulan`,
+    "krisis.pulihKet": "dari titik dasar kembali ke puncak",
+    "krisis.terendah": "Nilai terendah portofolio",
+    "krisis.akhir": "Nilai akhir",
+    "krisis.vsModerat": (rp) => `vs moderat ${rp}`,
+    "krisis.grafikJudul": (nama) => `📉 ${nama} vs Kondisi Normal`,
+    "krisis.grafikCatatan": (terpotong) =>
+      `Turun & pulih diukur dari indeks portofolio tanpa setoran, supaya kerugian tidak tertutup setoran baru. Setelah jalur krisis habis, tiap instrumen kembali ke laju moderat.${
+        terpotong
+          ? " Durasimu lebih pendek dari jalur krisis → hanya awal krisis yang diputar."
+          : ""
+      } Angka bulanan disederhanakan dari data historis (IHSG, kurs, emas, bunga) untuk edukasi.`,
+    "dataEko.galatBulan": "Isi bulan data.",
+    "dataEko.galatAngka": "Harus angka.",
+    "dataEko.galatBatas": (min, max) => `Di luar batas wajar (${min}–${max}).`,
+    "dataEko.bukanFile": (f) => `${f}: bukan JSON/CSV yang valid.`,
+    "dataEko.judul": "⚙️ Data Ekonomi",
+    "dataEko.intro":
+      "Perbarui angka tiap semester dari sumber resmi (BI, BPS, OJK/IDX, Antam). Semua perhitungan — kartu data, konversi emas/USD, cek inflasi, dampak nasional & inflasi, dan file TXT — ikut memakai angka ini. Tersimpan di browser ini.",
+    "dataEko.bulan": "Data per bulan:",
+    "dataEko.fileJudul": "📁 File Dataset (JSON / CSV)",
+    "dataEko.fileIntro":
+      "Berisi data makro, base rate optimis/moderat/pesimis per instrumen, sensitivitas What-If, default jumlah investor & PDB — lengkap dengan versi skema, tanggal data & sitasi sumber. Ekspor → review bersama → bagikan satu file ke semua kelas.",
+    "dataEko.aktif": (versi, asOf) => (
+      <>
+        Dataset aktif: <b>versi {versi}</b> • per <b>{asOf}</b> • sumber:
+      </>
+    ),
+    "dataEko.impor": "📂 Impor dataset",
+    "dataEko.eksporJson": "⬇️ Ekspor JSON",
+    "dataEko.eksporCsv": "⬇️ Ekspor CSV",
+    "dataEko.gagalImpor": "❌ Dataset tidak diimpor:",
+    "impor.bukanJson": (f) => `${f}: bukan JSON yang valid.`,
+    "impor.tombol": "📥 Impor simulasi",
+    "impor.ket":
+      'File JSON dari tombol "🧾 JSON (input & hasil)" di halaman hasil.',
+    "impor.gagal": "❌ Simulasi tidak diimpor:",
+    "umum.batal": "Batal",
+    "simpan.judul": "💾 Simulasi Tersimpan",
+    "simpan.ariaNama": "Nama simulasi",
+    "simpan.simpanNama": "✔️ Simpan nama",
+    "simpan.langkah": (n) => `Langkah ${n}/5`,
+    "simpan.buka": "▶️ Buka",
+    "simpan.gantiNama": "✏️ Ganti nama",
+    "sens.kolom": "Per +1 unit geseran",
+    "sens.ket": (
+      <>
+        Angka = perubahan laju <b>% per bulan</b> (skenario optimis & moderat;
+        pesimis kena separuhnya). Contoh: -0.2 di baris Inflasi kolom Saham
+        artinya tiap inflasi naik 1 pp, laju saham turun 0,2%/bulan. Batas ±2.
+        Tersimpan di dataset (ikut ekspor JSON/CSV).
+      </>
+    ),
+    "sens.reset": "↩️ Kembalikan sensitivitas dataset",
+    "pdf.ya": "(ya)",
+    "pdf.tidak": "(tidak)",
+    "pdf.halaman": (i, n) => `Halaman ${i} / ${n}`,
+    "umum.portoCampuran": (isi) => `Portofolio Campuran (${isi})`,
+    "usia.remaja": "🚀 Start paling awal—biasakan nabung & belajar dasar.",
+    "usia.muda":
+      "🌱 Waktu ada di pihakmu Investor Muda! Mulai dengan DCA kecil & kuncinya adalah konsisten.",
+    "usia.dewasa": "⚖️ Gabungkan pertumbuhan & stabilitas. Asah Pengalamanmu!",
+    "usia.keluarga":
+      "🏡 Seimbangkan growth & proteksi keluarga! dan Review secara berkala.",
+    "usia.matang": "🛡️ Prioritaskan kelestarian modal! Naikkan porsi stabil.",
+    "usia.senior":
+      "🌳 Pengalamanmu adalah kekuatan! fokus pada strategi dan kenyamanan.",
+    "txt.judul": "RUPACAYA — Ringkasan Simulasi",
+    "txt.namaFile": "RUPACAYA_Ringkasan.txt",
+    "txt.nama": "Nama       ",
+    "txt.usia": "Usia       ",
+    "txt.usiaTahun": (u) => `${u} tahun`,
+    "txt.pekerjaan": "Pekerjaan  ",
+    "txt.pesanUsia": "Pesan Usia ",
+    "txt.profil": "Profil risiko",
+    "txt.skor": (s) => `skor ${s}/16`,
+    "txt.belumDiisi": "belum diisi",
+    "txt.instrumen": "Instrumen  ",
+    "txt.risiko": "Risiko     ",
+    "txt.modal": "Modal      ",
+    "txt.setoran": "Setoran    ",
+    "txt.perBulan": (x) => `${x}/bulan`,
+    "txt.durasi": "Durasi     ",
+    "txt.totalSetor": "Total setor",
+    "txt.hasil3": "Hasil 3 Skenario (nilai akhir | keuntungan):",
+    "txt.rataModerat": (x) =>
+      `Moderat rata-rata/bulan: ${x.bulanan} | Annualized: ${x.tahunan} | Inflasi: ${x.inflasi} | Return riil: ${x.riil}/th`,
+    "txt.patokan": (rp) =>
+      `Patokan inflasi (setoran yang sama tumbuh setara inflasi): ${rp}`,
+    "txt.menangInflasi": "moderat menang inflasi",
+    "txt.kalahInflasi": "moderat di bawah inflasi",
+    "txt.nilaiRiil": "Nilai riil (daya beli rupiah hari ini, nominal → riil):",
+    "txt.biaya": "Pajak, biaya & spread (gross → net):",
+    "txt.feeDrag": "Fee drag (moderat)",
+    "txt.asumsi": "Asumsi",
+    "txt.tanpaBiaya": "Pajak, biaya & spread: tidak dihitung (angka gross).",
+    "txt.kontribusi": "Kontribusi per instrumen (moderat):",
+    "txt.kontribusiBaris": (x) =>
+      `setor ${x.setor} → ${x.mod} (optimis ${x.opt}, pesimis ${x.pes})`,
+    "txt.banding": "Perbandingan instrumen (100% dana, urut moderat):",
+    "txt.bandingBaris": (x) =>
+      `${x.mod} (optimis ${x.opt}, pesimis ${x.pes}) | annualized ${x.annual} | riil ${x.riil}/th | risiko ${x.risiko}`,
+    "txt.backtest": (b) =>
+      `Backtest historis ${b.mulai} – ${b.sampai} (${b.months} bulan${
+        b.terpotong ? ", dipotong sampai data terakhir" : ""
+      }):`,
+    "txt.nilaiAkhir": "Nilai akhir",
+    "txt.totalSetorKecil": "total setor",
+    "txt.returnTahunan": (r, i) =>
+      `Return tahunan: ${r} | Inflasi realisasi: ${i}/tahun`,
+    "txt.turunTerdalam": "Turun terdalam",
+    "txt.pulih": "pulih",
+    "txt.belumPeriode": "belum dalam periode",
+    "txt.sumberHistoris": "Sumber data historis:",
+    "txt.catatanHistoris":
+      "Catatan: titik akhir tahun (+ titik bulanan saat gejolak) diinterpolasi per bulan; emas & reksadana pasar uang berupa perkiraan.",
+    "txt.tujuan":
+      "Rencana Tujuan (setoran per bulan: optimis / moderat / pesimis):",
+    "txt.tujuanBaris": (x) =>
+      `${x.target} pada ${x.tanggal} (${x.months} bulan) via ${x.instrumen}`,
+    "txt.tujuanGagal": (rp) =>
+      `TIDAK TERCAPAI saat pesimis (kurang ${rp}/bulan)`,
+    "txt.tujuanTotal": "Total semua tujuan",
+    "txt.montecarlo": (n) => `Monte Carlo (${n} jalur acak):`,
+    "txt.peluang": (rugi, menang) =>
+      `Peluang rugi: ${rugi} | Peluang menang inflasi: ${menang}`,
+    "txt.sensitivitas": "Sensitivitas (geseran laju %/bulan per +1 unit):",
+    "txt.krisis": "Replay Krisis Historis (portofolio & durasi kamu):",
+    "txt.krisisBaris": (x) =>
+      `turun ${x.turun} | pulih ${x.pulih} | nilai akhir ${x.akhir}`,
+    "txt.belumDurasi": "belum dalam durasi",
+    "txt.rekomendasi": "Rekomendasi buat kamu (peringkat):",
+    "txt.pilihanmu": "pilihanmu",
+    "txt.perhatian": "perhatian",
+    "txt.kurangCocok": (nama, posisi) =>
+      `${nama} kurang cocok dengan profilmu (peringkat ${posisi}).`,
+    "txt.dampak": "Dampak Nasional (ilustratif):",
+    "txt.investor": (n) => `Investor nasional: ${n} orang`,
+    "txt.danaPerOrang": (dana, dasar) =>
+      `Dana masuk per orang: ${dana} (${dasar})`,
+    "txt.danaKolektif": "Total dana kolektif",
+    "txt.dorongan": "Estimasi dorongan IHSG (indikatif harian)",
+    "txt.catatanDampak":
+      "Catatan: Ini ilustrasi likuiditas → bukan prediksi literal indeks.",
+    "txt.strategi": "Strategi Praktis:",
+    "txt.strategiIsi": [
+      "Profit: ambil 20–30%, sisanya dibiarkan tumbuh; diversifikasi.",
+      "Rugi: evaluasi fundamental; DCA jika prospek jangka panjang baik.",
+      "Selalu siapkan dana darurat; hindari utang konsumtif untuk investasi.",
+    ],
+    "txt.dataEkonomi": (t) => `Data ekonomi yang dipakai (per ${t}):`,
+    "txt.inflasi": "Inflasi",
+    "txt.kurs": "Kurs",
+    "txt.emas": "Emas",
+    "txt.trxBEI": "Transaksi harian BEI",
+    "txt.sumber": (versi, t) =>
+      `Sumber data (rujukan resmi, dataset versi ${versi} per ${t}):`,
+    "pdf.judul": "RUPACAYA — Ringkasan Simulasi Investasi",
+    "pdf.namaFile": "RUPACAYA_Ringkasan.pdf",
+    "pdf.dibuat": (t) => `Dibuat ${t}`,
+    "pdf.profil": "Profil",
+    "pdf.kolomProfil": ["Nama", "Usia", "Pekerjaan", "Profil risiko"],
+    "pdf.simulasi": "Simulasi",
+    "pdf.simulasiIsi": (x) =>
+      `Instrumen: ${x.instrumen} • Risiko ${x.risiko}. Modal ${
+        x.modal
+      }, setoran ${x.setoran}/bulan selama ${x.durasi} → total disetor ${
+        x.total
+      }.${
+        x.pakaiBiaya
+          ? " Angka sudah net pajak, biaya & spread."
+          : " Pajak & biaya tidak dihitung (gross)."
+      }`,
+    "pdf.kolomSkenario": [
+      "Skenario",
+      "Nilai akhir",
+      "Keuntungan",
+      "Riil (Rp hari ini)",
+    ],
+    "pdf.moderatIsi": (x) =>
+      `Moderat: annualized ${x.annual}, inflasi ${x.inflasi}, return riil ${
+        x.riil
+      }/tahun → ${
+        x.menang ? "menang inflasi" : "di bawah inflasi"
+      } (patokan setara inflasi ${x.patokan}).`,
+    "pdf.whatIfGeser": (t) => `Kondisi ekonomi digeser dari data ${t}:`,
+    "pdf.whatIfNol": (t) => `Tanpa geseran — memakai data ${t} apa adanya.`,
+    "pdf.kolomWhatIf": ["Faktor", "Geseran"],
+    "pdf.whatIfKet":
+      "Angka per instrumen = geseran laju %/bulan untuk tiap +1 unit faktor.",
+    "pdf.dampak": "Dampak Nasional (ilustratif)",
+    "pdf.dampakIsi": (x) =>
+      `Jika ${x.investor} investor melakukan hal yang sama, total dana kolektif ${x.dana} (${x.perOrang} per orang: ${x.dasar}). Estimasi dorongan likuiditas ke IHSG (indikatif harian, model ${x.model}, porsi saham dibagi ${x.hari} hari bursa): ${x.dorongan}. Ini ilustrasi likuiditas, bukan prediksi literal indeks.`,
+    "pdf.inflasi": "Dampak Investasi terhadap Inflasi",
+    "pdf.kolomInflasi": (komponen) => [
+      "Tahun",
+      "Dana masuk",
+      ...komponen,
+      "Inflasi simulasi",
+    ],
+    "pdf.rekomendasi": "Rekomendasi buat kamu",
+    "pdf.kolomRekomendasi": [
+      "#",
+      "Instrumen",
+      "Kenapa cocok",
+      "Perlu diperhatikan",
+    ],
+    "pdf.sumber": (versi, t) => `Sumber data (dataset versi ${versi} per ${t})`,
+    "pdf.disclaimer":
+      "Simulasi edukatif, bukan saran investasi. Hasil nyata bisa berbeda.",
+    "simpan.tanpaNama": "Tanpa nama",
+    "simpan.konfirmasiHapus":
+      "Hapus semua data RUPACAYA di browser ini (profil, simulasi tersimpan & dataset)?",
+    "nav.cekProfil": "Periksa nama/usia kamu ya.",
+    "nav.cekAngka": "Periksa input angka di langkah ini.",
+    "app.tagline": "RUPACAYA — Rupiah & Kepercayaan Generasi Muda",
+    "umum.tutup": "Tutup",
+    "nav.kembali": "⬅️ Back",
+    "tautan.gagal": "⚠️ Tautan simulasi tidak bisa dibuka:",
+    "simpan.lanjut": (nama, step) => (
+      <>
+        📂 Melanjutkan simulasi terakhir {nama && <b>{nama}</b>} di Langkah{" "}
+        {step}.
+      </>
+    ),
+    "simpan.mulaiBaru": "Mulai baru",
+    "simpan.privasi":
+      "🔒 Profil & simulasi hanya disimpan di browser ini (tidak dikirim ke mana pun).",
+    "simpan.hapusSemua": "Hapus semua data saya",
+    "langkah1.judul": "🤔 Kenapasih Perlu Investasi?",
+    "langkah1.pentingJudul": "💡 KENAPA INVESTASI ITU PENTING?",
+    "langkah1.pentingIsi":
+      "Sebelum melihat angka-angka ekonomi, mari pahami konteksnya. Data berikut menunjukkan kondisi seperti inflasi, suku bunga, dan harga emas yang memengaruhi nilai uang.",
+    "langkah1.dataJudul": (t) => `📊 Data Ekonomi Indonesia (${t})`,
+    "langkah1.poin": (n) => `${n} poin`,
+    "langkah1.perTahun": (x) => `${x}%/tahun`,
+    "langkah1.rateUsd": "Rate USD",
+    "langkah1.trxBEI": "Transaksi Harian BEI",
+    "langkah1.hargaEmas": "Harga Emas",
+    "langkah1.ubahData": "⚙️ Ubah Data Ekonomi",
+    "langkah1.tutupData": "⚙️ Tutup Data Ekonomi",
+    "langkah1.bandingJudul": "🧮 Perbandingan 1 Tahun (Rp1 juta)",
+    "langkah1.bandingIsi": (inflasi, dayaBeli) => (
+      <>
+        Tabungan 0,5% → <b>Rp1.005.000</b>
+        <br />
+        Inflasi {inflasi}% → daya beli ± <b>{dayaBeli}</b>
+        <br />
+        Investasi moderat 8% → <b>Rp1.080.000</b> (menang inflasi)
+      </>
+    ),
+    "langkah1.target":
+      "🚀Target? RETURN INVESTASI KAMU > INFLASI. menyebabkan ekonomi negara membaik!",
+    "langkah1.artiJudul": "📈 APA ARTINYA DATA DIATAS?",
+    "langkah1.arti1": (
+      <>
+        Angka IHSG, inflasi, dan BI Rate menunjukkan bahwa
+        <b> inflasi terus menggerus daya beli</b>. Tabungan biasa sering kalah
+        cepat dengan kenaikan harga barang. Dengan berinvestasi, kamu memberi
+        uangmu kesempatan tumbuh lebih cepat daripada inflasi dan{" "}
+        <b>melindungi nilai</b> dan memperbesar aset masa depan.
+      </>
+    ),
+    "langkah1.arti2": (
+      <>
+        Setiap rupiah yang diinvestasikan juga bukan cuma bikin uangmu tumbuh,
+        tapi juga jadi
+        <b> bahan bakar ekonomi Indonesia</b>. Dana investor dipakai perusahaan
+        untuk ekspansi, membuka lapangan kerja, dan meningkatkan produksi. Saat
+        modal dalam negeri makin besar, ketergantungan pada investor asing
+        berkurang, nilai rupiah lebih kuat, dan pertumbuhan PDB bisa jadi lebih
+        stabil.{" "}
+        <b>Jadi, langkah investasimu, menentukan masa depan negaramu!.</b>
+      </>
+    ),
+    "langkah1.tentang": (
+      <>
+        <b>RUPACAYA</b> adalah aplikasi simulasi investasi yang dirancang supaya
+        kamu bisa paham gimana keputusan investasimu bisa berpengaruh ke ekonomi
+        Indonesia secara nyata dan logis. kamu bisa lihat secara langsung gimana
+        uang yang kamu tanam bisa ikut muter di sistem ekonomi negara, nambah
+        likuiditas, dan bantu stabilin nilai rupiah. Intinya, <b>RUPACAYA</b>{" "}
+        ngajarin kamu buat ngeliat investasi bukan cuma soal cuan pribadi, tapi
+        juga kontribusi buat ekonomi bangsa. 🌍💸
+      </>
+    ),
+    "langkah1.mulai": "Yuk Investasi! ✈️ ",
+    "langkah2.judul": "👤 Profil Investor",
+    "langkah2.nama": "Nama:",
+    "langkah2.contohNama": "contoh: Arfa",
+    "langkah2.usia": "Usia:",
+    "langkah2.contohUsia": "contoh: 17",
+    "langkah2.pekerjaan": "Status/Pekerjaan:",
+    "langkah2.contohPekerjaan": "Pelajar / Karyawan / Wiraswasta / etc.",
+    "langkah2.investorMuda": "Investor Muda!",
+    "langkah2.lanjut": "Lanjut → Pilih Instrumen",
+    "kuis.judul": "🧭 Kenali Profil Risikomu",
+    "kuis.intro":
+      "4 pertanyaan singkat. Jawab jujur — tidak ada jawaban benar atau salah.",
+    "kuis.hasil": (p) => (
+      <>
+        Profil kamu: <b>{p.label}</b> (skor {p.skor}/16).
+      </>
+    ),
+    "kuis.belum": (n, total) =>
+      `Jawab semua pertanyaan untuk melihat profilmu (${n}/${total}).`,
+    "langkah3.judul": "📦 Pilih Jenis Investasi",
+    "langkah3.tunggal": "🎯 Satu Instrumen",
+    "langkah3.campuran": "🧺 Portofolio Campuran",
+    "langkah3.campuranIntro": (
+      <>
+        Bagi modal & setoran ke beberapa instrumen (dalam %). Total{" "}
+        <b>harus 100%</b> — inilah <b>diversifikasi</b>.
+      </>
+    ),
+    "langkah3.risiko": (r) => `Risiko: ${r}`,
+    "langkah3.kelebihan": (n) => `❌ (kelebihan ${n}%)`,
+    "langkah3.kurang": (n) => `❌ (kurang ${n}%)`,
+    "langkah3.risikoCampuran": (r) => `Risiko campuran: ${r}`,
+    "langkah3.contohSeimbang": "Contoh seimbang",
+    "langkah3.contohKonservatif": "Contoh konservatif",
+    "langkah3.kosongkan": "Kosongkan",
+    "langkah3.pilihJenis": "-- pilih jenis --",
+    "langkah3.faktor": "🔗 Faktor Pengaruh",
+    "langkah3.plusMinus": "⚖️ Plus/Minus & Tips",
+    "langkah3.contoh": (t) => `Contoh: ${t}`,
+    "langkah3.lanjut": "Lanjut → Masukkan Angka",
+    "langkah4.judul": "🔢 Masukkan Data Investasi",
+    "langkah4.modal": "Modal Awal (Rp):",
+    "langkah4.contohModal": "misal: 1000000",
+    "langkah4.tambah100rb": "+ 100 rb",
+    "langkah4.tambah500rb": "+ 500 rb",
+    "langkah4.tambah1jt": "+ 1 jt",
+    "langkah4.tambah5jt": "+ 5 jt",
+    "langkah4.durasi": "Durasi (bulan):",
+    "langkah4.contohDurasi": "misal: 24",
+    "langkah4.bln": (n) => `${n} bln`,
+    "langkah4.durasiKet": "Durasi akan dikonversi ke tahun.",
+    "langkah4.setoran": "Setoran Bulanan (Rp):",
+    "langkah4.contohSetoran": "misal: 200000 (boleh kosong)",
+    "langkah4.tanpaSetoran": "Tanpa setoran",
+    "langkah4.dca": (
+      <>
+        💡 Setoran rutin = <b>DCA</b>. Modal kecil + konsisten top-up tiap bulan
+        sering lebih realistis daripada satu kali setor besar.
+      </>
+    ),
+    "langkah4.totalDisetor": "Total disetor",
+    "langkah4.investor": "Jumlah Investor Nasional:",
+    "langkah4.investorKet": (juta, asOf) => (
+      <>
+        Default <b>{juta} juta SID</b> — dari dataset per {asOf}. Biarkan
+        default bila belum yakin. 💡 Untuk update, cari:{" "}
+        <i>“jumlah investor pasar modal Indonesia OJK/IDX”</i>.
+      </>
+    ),
+    "langkah4.pakaiBiaya": (
+      <>
+        <b>Hitung pajak, biaya & spread</b> (disarankan)
+      </>
+    ),
+    "langkah4.biayaKet":
+      "Hasil investasi nyata selalu dipotong pajak/biaya. Asumsi yang dipakai:",
+    "langkah4.lanjut": "Lihat Hasil →",
+    "langkah5.judul": "📊 Simulasi Investasi Kamu!",
+    "langkah5.tanpaNama": "(tanpa nama)",
+    "langkah5.penahan": (t) => ` Yang paling menahan skormu: ${t}.`,
+    "langkah5.profilKosong": "belum diisi (kuis di Langkah 2)",
+    "langkah5.modal": "Modal",
+    "langkah5.setoran": "Setoran",
+    "langkah5.durasi": "Durasi",
+    "langkah5.perTh": (x) => `${x}%/th`,
+    "mode.skenario": "📐 3 Skenario Tetap",
+    "mode.montecarlo": "🎲 Monte Carlo (Stokastik)",
+    "mode.backtest": "🕰️ Backtest Historis",
+    "mc.judul": "🎲 Simulasi Monte Carlo",
+    "mc.intro": (
+      <>
+        Return tiap bulan <b>diundi acak</b> per instrumen (rata-rata = laju
+        moderat, ditambah volatilitas), lalu diulang ribuan kali. Hasilnya bukan
+        satu angka, tapi <b>rentang kemungkinan</b>.
+      </>
+    ),
+    "mc.jumlahJalur": "Jumlah jalur:",
+    "mc.menghitung": (n) => `⏳ Menghitung ${n} jalur...`,
+    "mc.p10": "P10 (pesimis wajar)",
+    "mc.p50": "P50 (median)",
+    "mc.p90": "P90 (optimis wajar)",
+    "mc.dariSetoran": "dari total setoran",
+    "mc.peluangRugi": (setor) => (
+      <>
+        Peluang <b>rugi</b> (nilai akhir &lt; total setoran {setor}):
+      </>
+    ),
+    "mc.peluangInflasi": (inflasi, patokan) => (
+      <>
+        Peluang <b>menang inflasi</b> ({inflasi}%/th, patokan {patokan}):
+      </>
+    ),
+    "mc.artinya": (p10, p90) => (
+      <>
+        💡 Artinya: 10% jalur berakhir di bawah <b>{p10}</b> dan 10% di atas{" "}
+        <b>{p90}</b>. "Pesimis" itu sebuah <b>rentang</b>, bukan satu angka
+        pasti.
+      </>
+    ),
+    "mc.asumsiVol": "Asumsi volatilitas bulanan:",
+    "mc.catatanVol":
+      ". Saham & reksadana bergerak searah pasar; emas cenderung berlawanan. Seed acak tetap, jadi input sama → hasil sama.",
+    "bt.intro": (
+      <>
+        "Bagaimana kalau aku mulai dulu?" Modal & setoranmu dijalankan memakai{" "}
+        <b>data nyata</b> IHSG, emas Antam, bunga deposito, yield SBN &
+        reksadana pasar uang — bukan laju asumsi.
+      </>
+    ),
+    "bt.mulai": "Mulai bulan:",
+    "bt.tersedia": (dari, sampai) => `Data tersedia ${dari} – ${sampai}.`,
+    "bt.periode": "Periode",
+    "bt.terpotong": (bulan, sampai) =>
+      ` — durasimu ${bulan} bulan dipotong karena data hanya sampai ${sampai}`,
+    "bt.nilaiAkhir": "Nilai akhir (realisasi)",
+    "bt.totalSetor": (x) => `Total setor ${x}`,
+    "bt.vsInflasi": "Return vs inflasi",
+    "bt.perTahun": "/tahun",
+    "bt.inflasiNyata": (x) => `Inflasi nyata periode ini ${x}/tahun →`,
+    "bt.menang": "menang inflasi ✅",
+    "bt.kalah": "kalah inflasi ❌",
+    "bt.turunTerdalam": "Turun terdalam",
+    "bt.tidakTurun": "Tidak pernah turun",
+    "bt.belumPulih": "belum pulih di akhir periode",
+    "bt.pulih": (n) => `pulih dalam ${n} bulan`,
+    "bt.grafikJudul": "📈 Perjalanan Nilai (Data Historis)",
+    "bt.grafikCatatan":
+      "Garis oranye = setoranmu bila hanya mengikuti inflasi yang benar-benar terjadi. Turun terdalam diukur dari indeks portofolio tanpa setoran.",
+    "bt.sumber": (s) =>
+      `Sumber: ${s}. Titik akhir tahun (+ titik bulanan saat gejolak besar) diinterpolasi per bulan; IHSG tanpa dividen, emas Antam & reksadana pasar uang berupa perkiraan. Pajak & biaya mengikuti pilihan di Langkah 4. Kinerja masa lalu tidak menjamin hasil masa depan.`,
+    "sk.judul": "🎯 Proyeksi Investasi",
+    "sk.intro1": (
+      <>
+        ℹ️ Angka di bawah menunjukkan <b>perkiraan hasil investasi kamu </b>
+        berdasarkan tiga skenario ekonomi:
+        <b style={{ color: "#16a34a" }}> Optimis</b>,
+        <b style={{ color: "#1e40af" }}> Moderat</b>, dan
+        <b style={{ color: "#b91c1c" }}> Pesimis</b>.
+      </>
+    ),
+    "sk.intro2": (
+      <>
+        Nilai persentase menunjukkan{" "}
+        <b>kenaikan atau penurunan total setoran</b> (modal awal + setoran
+        bulanan). Dengan memahami ketiga skenario, kamu bisa menilai{" "}
+        <b>risiko dan potensi keuntungan </b>
+        sebelum memutuskan berinvestasi.
+      </>
+    ),
+    "sk.sentimenKuat": "Sentimen kuat",
+    "sk.ekonomiStabil": "Ekonomi stabil",
+    "sk.tekananPasar": "Tekanan pasar",
+    "sk.totalDisetor": (x) => (
+      <>
+        Total disetor: <b>{x.total}</b> (modal {x.modal} + {x.setoran} ×{" "}
+        {x.months} bulan) • Keuntungan moderat: <b>{x.untung}</b>
+      </>
+    ),
+    "sk.rataBulan": "Moderat rata-rata/bulan:",
+    "sk.inflasi": "Inflasi:",
+    "sk.menang": "→ menang inflasi ✅",
+    "sk.kalah": "→ di bawah inflasi ❌",
+    "sk.patokan": (x) =>
+      `Patokan: setoran yang sama bila hanya tumbuh setara inflasi ≈ ${x}`,
+    "sk.riilJudul": "🛒 Nominal vs Riil (daya beli rupiah hari ini)",
+    "sk.skenario": "Skenario",
+    "sk.riilKolom": "Riil (Rp hari ini)",
+    "sk.tergerus": "Tergerus inflasi",
+    "sk.returnRiil": "Return riil moderat:",
+    "sk.riilKet": (x) =>
+      `(≈ annualized ${x.annual} dikurangi efek inflasi ${x.inflasi}${
+        x.whatIf ? `, sudah termasuk What-If inflasi ${x.whatIf}` : ""
+      }). Nilai nominal dideflasi tiap bulan selama ${x.months} bulan.`,
+    "sk.netJudul": "🧾 Gross vs Net (setelah pajak, biaya & spread)",
+    "sk.feeDrag": "💸 Fee drag moderat:",
+    "sk.feeDragKet": (
+      <>
+        {" "}
+        dari keuntungan gross). Semua angka di atas (termasuk "menang inflasi")
+        memakai nilai <b>net</b>.
+      </>
+    ),
+    "sk.kontribusiJudul": "🧺 Kontribusi per Instrumen",
+    "sk.porsi": "Porsi",
+    "sk.disetor": "Disetor",
+    "sk.andil": "Andil moderat",
+    "sk.keuntungan": "Keuntungan:",
+    "sk.ketOptimis":
+      "Biasanya saat BI Rate turun / IHSG reli / sentimen global positif.",
+    "sk.ketModerat": "Kondisi normal: inflasi terjaga & ekonomi tumbuh stabil.",
+    "sk.ketPesimis":
+      "Capital outflow / gejolak global / pelemahan rupiah tajam.",
+    "sk.keteranganJudul": "🔎 KETERANGAN & PENJELASAN",
+    "sk.keterangan": (
+      <>
+        • <b>Moderat rata-rata/bulan</b>
+        <br />
+        Estimasi kenaikan nilai investasi <i>per bulan</i> berdasarkan skenario
+        ekonomi normal (inflasi terjaga dan pertumbuhan stabil).
+        <br />• <b>Annualized</b>
+        <br />
+        Proyeksi return tahunan jika pola kenaikan bulanan berlangsung konsisten
+        selama 12 bulan.
+        <br />• <b>Inflasi</b>
+        <br />
+        Menunjukkan tingkat kenaikan harga barang/jasa di Indonesia. Jika{" "}
+        <i>return investasi</i> lebih tinggi daripada inflasi → disebut{" "}
+        <i>menang inflasi</i> (daya beli tetap naik). Jika lebih rendah →{" "}
+        <i>kalah inflasi</i> (nilai nominal naik tapi daya beli turun).
+        <br />
+        <br />
+        💡 <i> Tips Membaca Data </i>
+        <br />
+        Bandingkan angka moderat/optimis/pesimis dengan inflasi untuk menilai
+        apakah investasi cukup melawan kenaikan harga.
+        <br />
+        <p>
+          (Semua angka disini dihitung dengan rumus yang berdasarkan dengan
+          model, historis, dan spekulasi ekonomi global. Angka diatas tidak
+          dapat dipastikan 100% akurat karena setiap karakteristik investasi
+          berbeda-beda dan kondisi elemen, unsur, dan data yang bersifat
+          dinamis)
+        </p>
+      </>
+    ),
+    "whatif.intro": (t) =>
+      `Geser kondisi ekonomi dari data ${t} — hasil di atas langsung ikut berubah.`,
+    "whatif.kursKet": " (+ = rupiah melemah)",
+    "strategi.judul": "💡 STRATEGI BIAR KAMU CUAN!",
+    "strategi.poin": [
+      [
+        "Kalau Profit:",
+        "realisasikan 20–30%, sisanya biarkan tumbuh; pertimbangkan diversifikasi ke obligasi/deposito.",
+      ],
+      [
+        "Kalau Rugi:",
+        "jangan panik; cek fundamental. Lakukan DCA (beli bertahap), jika prospek jangka panjang masih masuk akal.",
+      ],
+      [
+        "Kamu Harus Apa?",
+        "Utamakan dana darurat dulu, hindari utang konsumtif untuk investasi, konsisten top-up untuk memaksimalkan compounding.",
+      ],
+      [
+        "Kenali Profil Risiko!",
+        "Jangan cuma ikut trend. Ukur seberapa siap kamu lihat portofolio kamu. Kalau mental belum siap, pilih instrumen aman (emas, deposito).",
+      ],
+      [
+        "Perluas Ilmu Ekonomi!",
+        "Ikuti tren ekonomi, kebijakan BI, atau kebijakan pemerintah. Analisis dan pikirkan secara kritis akan dampaknya pada investasi kamu.",
+      ],
+    ],
+    "rekom.judul": "🫵 REKOMENDASI BUAT KAMU!",
+    "rekom.intro": (adaProfil) =>
+      `Diurutkan dari yang paling cocok dengan usia, durasi, modal, pekerjaan${
+        adaProfil ? " & profil risikomu" : ""
+      }.`,
+    "rekom.kurangCocok": "Pilihanmu kurang cocok:",
+    "rekom.peringkat": (n) => ` — peringkat ${n} dari 5`,
+    "rekom.palingCocok": " Paling cocok",
+    "rekom.pilihanmu": "Pilihanmu",
+    "rekom.cocok": "COCOK BUAT KAMU YANG:",
+    "rekom.kapan": "KAPAN HARUS?",
+    "dampak.judul": "🌏 Dampak Nasional",
+    "dampak.ariaInfo": "Ringkasan cepat",
+    "faq.judul": "❓ FAQ",
+    "glosarium.judul": "📚 Glosarium Ekonomi",
+    "unduh.judul": "📥 AMANKAN RINGKASAN INVESTASIMU!",
+    "unduh.salinTautan": "🔗 Salin tautan",
+    "unduh.ubahAngka": "⬅️ Kembali (ubah angka)",
+    "unduh.mulaiLagi": "🔄 Mulai Lagi",
+    "unduh.tanpaPribadi": "Tautan tanpa data pribadi (nama, usia, pekerjaan)",
+    "unduh.tersalin":
+      "✅ Tautan tersalin. Penerima akan langsung melihat hasil yang sama.",
+    "unduh.salinManual": "Salin tautan ini secara manual:",
+    "unduh.ariaTautan": "Tautan simulasi",
+    "unduh.catatanTautan":
+      "Catatan: perubahan dataset/sensitivitas di panel data ekonomi tidak ikut dalam tautan.",
+    "unduh.ariaNamaSimpan": "Nama simulasi baru",
+    "unduh.simpan": "💾 Simpan simulasi",
+    "unduh.spreadsheet": "Data untuk spreadsheet:",
+    "unduh.json": "🧾 JSON (input & hasil)",
+    "unduh.csv": "📊 CSV (jadwal per bulan)",
+    "unduh.sumber":
+      "Sumber rujukan: Bank Indonesia (BI-Rate & Inflasi), OJK/IDX (IHSG & Statistik Investor), BPS (indikator makro).",
+    "app.footer":
+      "RUPACAYA © 2025 • Olimpiade Penelitian Siswa Indonesia (OPSI 2025) oleh Arfa, Hanif, Yudist, Krista, Eshan, Aiesha © RUPACAYA Team",
+    "dampak.info": (
+      <>
+        🔥 <b>Fitur Unggulan!:</b> Bagian ini menampilkan <b>skala nasional</b>,
+        jika semua investor menanam modal bersama. Angka di sini dipakai sebagai
+        <b> ilustrasi potensi likuiditas</b>, bukan prediksi harga.
+      </>
+    ),
+    "dampak.dasarDana": (x) =>
+      x.kali
+        ? `modal awal + ${x.kali}× setoran bulanan yang jatuh dalam ${x.hari} hari bursa`
+        : "modal awal saja, tanpa setoran bulanan",
+    "dampak.totalDana": (orang, setor, dasar, total) => (
+      <>
+        Jika <b>{orang}</b> orang masing-masing memasukkan <b>{setor}</b> ke
+        pasar ({dasar}; setoran sesudahnya belum dihitung), total dana masuk ≈{" "}
+        <b>{total} </b>.
+      </>
+    ),
+    "dampak.artiJudul": "🤔APA ARTINYA?",
+    "dampak.arti": (total) => (
+      <>
+        dana sebesar <b>{total}</b> berarti ada uang baru yang siap{" "}
+        <b>diperdagangkan</b> di bursa.
+      </>
+    ),
+    "dampak.penjelasan": (total) => (
+      <>
+        🔎 <strong>PENJELASAN:</strong> <br />
+        <i>{total}</i> bisa dianggap sebagai <em>“tenaga baru”</em> yang masuk
+        ke sistem keuangan nasional. Uang sebesar itu tidak diam, tapi berputar
+        melalui berbagai instrumen seperti{" "}
+        <strong>
+          saham, reksa dana, obligasi, dana deposito, maupun emas digital
+        </strong>{" "}
+        yang tercatat dan diawasi lewat{" "}
+        <strong>Bursa Efek Indonesia (BEI)</strong> atau lembaga keuangan resmi
+        lainnya. Ketika masyarakat menanamkan uangnya, dana itu digunakan
+        kembali oleh perusahaan atau pemerintah untuk proyek, ekspansi, atau
+        pembiayaan, dan investor bisa memindahkan atau menariknya kapan saja.
+        Karena terus berputar dan bekerja di pasar, dana <b>{total}</b> itu
+        disebut <em>“diperdagangkan.”</em>
+      </>
+    ),
+    "dampak.dampaknya": "Dampaknya:",
+    "dampak.likuiditas": (
+      <>
+        <li>
+          <b>Likuiditas naik</b> → <b>order beli</b> dan <b>jual</b> jadi{" "}
+          <b>lebih banyak</b>.
+        </li>
+        <li>
+          <b>Bid–ask spread</b> (selisih harga beli–jual) makin <b>tipis</b> →
+          harga makin wajar.
+        </li>
+        <li>
+          Transaksi <b>lebih cepat</b> dan biaya implisit <b>lebih rendah</b>.
+        </li>
+      </>
+    ),
+    "dampak.analogi": (
+      <>
+        <i>Analogi:</i> pasar seperti <b>bazar</b>. Makin banyak pembeli &
+        penjual bawa uang, barang jadi <b>lebih mudah laku</b> dengan{" "}
+        <b>harga wajar</b> → itulah <b>likuiditas</b>.
+      </>
+    ),
+    "dampak.poin": (dorongan) => (
+      <>
+        <li>
+          Estimasi dorongan likuiditas ke IHSG (indikatif harian):{" "}
+          <b>{dorongan}</b>. likuiditas bertambah → transaksi makin ramai.
+        </li>
+        <li>
+          Likuiditas naik → biaya modal emiten turun → ekspansi &{" "}
+          <b>lapangan kerja</b> berpotensi tumbuh.
+        </li>
+        <li>
+          <b>Pajak</b> dari aktivitas pasar meningkat → ruang fiskal negara
+          bertambah untuk <b>pendidikan, kesehatan, dan infrastruktur</b>.
+        </li>
+        <li>
+          Dana domestik yang kuat mengurangi ketergantungan pada modal asing →{" "}
+          <b>rupiah lebih stabil</b>.
+        </li>
+      </>
+    ),
+    "dampak.korelasiJudul": "Grafik korelasi:",
+    "dampak.korelasiSumbu": (
+      <>
+        X: jumlah investor (skala 10–100% dari input) • Y: estimasi dorongan
+        harian IHSG (%) dengan model di atas; area arsir = rentang keyakinan.
+      </>
+    ),
+    "dampak.korelasiCatatan": (
+      <>
+        Catatan: Perhitungan ini bukan proyeksi kenaikan indeks. Angka hanya
+        menunjukkan perbandingan dana hipotetis. Kenaikan indeks IHSG bergantung
+        pada banyak faktor (laba emiten, kebijakan suku bunga, arus modal asing,
+        dll), sehingga tidak bisa dihitung langsung dari jumlah dana masuk.
+      </>
+    ),
+    "infl.judul": "💹 Dampak Investasi terhadap Inflasi",
+    "infl.pdb": (
+      <>
+        📊 <b>PDB Indonesia (Triliun Rp)</b>
+      </>
+    ),
+    "infl.pdbKet": (
+      <>
+        💡Data PDB diambil dari <b>BPS</b>. Cari “PDB Indonesia BPS” di Google
+        untuk update terbaru.
+      </>
+    ),
+    "infl.porsi": (
+      <>
+        ⚙️ <b>Porsi Dana Produktif (%)</b>
+      </>
+    ),
+    "infl.porsiKet": (
+      <>
+        💡Semakin besar porsi produktif (misal untuk pabrik, riset,
+        infrastruktur) → inflasi lebih terkendali.
+      </>
+    ),
+    "infl.awal": (x, whatIf) => (
+      <>
+        📊 Inflasi Awal (BPS): {x}
+        {whatIf && ` (termasuk What-If inflasi ${whatIf})`}
+      </>
+    ),
+    "infl.edukasi": (
+      <>
+        <p>
+          Perhitungan ini menghubungkan <b>total dana investasi</b> user dengan{" "}
+          <b>PDB nasional</b>, tahun demi tahun selama durasi investasimu.
+          Koefisien <b>k</b> (bawaan 0,05, bisa diubah di atas) adalah angka
+          sensitivitas: seberapa kuat harga bereaksi terhadap dana yang masuk
+          dibanding PDB.
+        </p>
+
+        <p>
+          <b>📊 Logika sederhana:</b> semakin besar total investasi terhadap
+          PDB, potensi tekanan inflasi bertambah. Tapi bila dana banyak
+          disalurkan ke sektor produktif, peningkatan kapasitas produksi bisa
+          menahan kenaikan harga.
+        </p>
+
+        <ul
+          style={{
+            margin: 0,
+            paddingLeft: 18,
+            color: "#1F2937",
+            lineHeight: 1.55,
+          }}
+        >
+          <li>
+            <b>Koefisien (k)</b> → Angka asumsi edukatif yang menunjukkan
+            sensitivitas tambahan inflasi jika porsi dana produktif kecil. Nilai
+            bawaan 0,05 dipilih agar simulasi terasa realistis (tambahan inflasi
+            biasanya ±0,1–0,3 % dari PDB) tetapi tetap aman untuk edukasi.{" "}
+            <i>
+              k = 0,05 → parameter buatan yang diambil dari kisaran dampak
+              historis (berdasarkan PDB & inflasi BPS) agar simulasi inflasi
+              tambahan terasa masuk akal.
+            </i>{" "}
+            Ini bukan angka resmi, tapi contoh koefisien sensitivitas yang bisa
+            diubah jika ada data riset yang lebih spesifik.{" "}
+          </li>
+          <li>
+            <b>PDB (Produk Domestik Bruto)</b> → nilai semua barang & jasa yang
+            dihasilkan Indonesia dalam satu tahun. Bayangkan PDB seperti{" "}
+            <i>pasar raksasa</i>: semakin besar nilai transaksinya, semakin
+            besar pula kapasitas ekonomi.
+          </li>
+          <li>
+            <b>Porsi Dana Produktif (%) </b> → Persentase dana investasi yang
+            dialokasikan ke kegiatan 
+            <i>produktif</i> seperti pabrik, riset, infrastruktur, atau usaha
+            yang menciptakan lapangan kerja. Semakin besar porsinya, inflasi
+            cenderung lebih terkendali karena uang masuk ke sektor riil, bukan
+            hanya diparkir di aset pasif. Angka dapat diestimasi dari data
+            realisasi investasi BKPM (misal proporsi Penanaman Modal Asing &
+            Dalam Negeri yang masuk ke sektor manufaktur/infrastruktur). Dapat
+            dicari dengan kata kunci 
+            <i>“laporan realisasi investasi BKPM sektor”</i> di Internet/BPS
+            untuk referensi terkini.
+          </li>
+          <li>
+            <b>Korelasi Investasi & Inflasi</b> → semakin besar dana yang masuk
+            ke ekonomi domestik, uang beredar makin banyak. Jika dana dipakai
+            produktif, hasilnya adalah pertumbuhan ekonomi sehat. Tetapi jika
+            dana hanya memicu konsumsi cepat (misal beli barang mewah), inflasi
+            bisa naik.
+          </li>
+        </ul>
+        <p>
+          <i> Analogi:</i> Jika 10 juta orang masing-masing berinvestasi Rp20
+          juta, maka total dana ≈ Rp200 triliun. Jika 70% digunakan untuk
+          pembangunan pabrik, efeknya lebih ke lapangan kerja → inflasi tetap
+          terkendali. Jika hanya 20% yang produktif, dana besar berputar di
+          pasar konsumsi → harga barang bisa melonjak.
+        </p>
+      </>
+    ),
+    "infl.tambahan": (x, n, akhir) =>
+      n > 1
+        ? `🔺 Tambahan Inflasi (Estimasi): tahun ke-1 ${x} → tahun ke-${n} ${akhir}`
+        : `🔺 Tambahan Inflasi (Estimasi): ${x}`,
+    "infl.simulasi": (x, n, akhir) =>
+      n > 1 ? `💥INFLASI: ≈ ${x} → ${akhir}` : `💥INFLASI: ≈ ${x}`,
+    "faq.items": [
+      {
+        title: "Kenapa inflasi mempengaruhi IHSG dan suku bunga?",
+        content:
+          "Inflasi naik → BI cenderung menaikkan suku bunga untuk menahan lonjakan harga. Suku bunga lebih tinggi meningkatkan biaya modal emiten (menekan valuasi), sementara deposito jadi relatif menarik. Jika inflasi terkendali, IHSG lebih mudah tumbuh.",
+      },
+      {
+        title: "Bagaimana BI Rate memengaruhi deposito & obligasi?",
+        content:
+          "BI Rate turun → bunga simpanan turun (deposito kurang menarik), harga obligasi cenderung naik karena kupon menjadi relatif lebih baik. Sebaliknya, BI Rate naik menekan harga obligasi.",
+      },
+      {
+        title: "Kenapa jumlah investor domestik penting bagi rupiah?",
+        content:
+          "Semakin banyak investor domestik, semakin stabil arus dana internal. Ketika sentimen global negatif, pasar tidak terlalu bergantung pada modal asing. Ini membantu stabilitas IHSG dan rupiah.",
+      },
+      {
+        title: "Apa kaitan likuiditas pasar dengan lapangan kerja?",
+        content:
+          "Likuiditas tinggi memudahkan perusahaan menerbitkan saham/obligasi dengan biaya lebih rendah. Dana ini dipakai untuk ekspansi bisnis dan merekrut tenaga kerja baru.",
+      },
+      {
+        title:
+          "Apa yang terjadi kepada ekonomi negara apabila problematika politik terus berlangsung?",
+        content:
+          "Bila terus terjadi problematika politik (kerusuhan, demo anarkis, korupsi, dsb.) maka ketidakpastian politik yang berkepanjangan membuat investor ragu, modal asing keluar (capital outflow), nilai mata uang melemah dan pertumbuhan ekonomi melambat karena dunia usaha menunda ekspansi dan perekrutan . Contoh nyatanya bisa kamu putar di bagian Replay Krisis Historis: krisis 1998 membuat IHSG turun ±64% dan rupiah melemah ±6×, sementara emas dalam rupiah justru melonjak.",
+      },
+    ],
+    "glosarium.items": [
+      {
+        t: "Investasi",
+        c: "Adalah kegiatan menanamkan modal atau menempatkan sejumlah dana pada suatu aset, proyek, atau instrumen keuangan dengan tujuan memperoleh keuntungan (return) di masa depan",
+      },
+      {
+        t: "BI Rate",
+        c: "Suku bunga acuan Bank Indonesia. Mempengaruhi bunga pinjaman & simpanan, juga valuasi aset finansial.",
+      },
+      {
+        t: "IHSG",
+        c: "Indeks Harga Saham Gabungan (semua saham BEI). Indikator kesehatan pasar modal Indonesia.",
+      },
+      {
+        t: "LPS",
+        c: "Lembaga Penjamin Simpanan. Menjamin simpanan bank sampai batas tertentu per nasabah per bank.",
+      },
+      {
+        t: "OJK",
+        c: "Otoritas Jasa Keuangan. Mengatur dan mengawasi industri keuangan (bank, pasar modal, non-bank).",
+      },
+      {
+        t: "BPS",
+        c: "Badan Pusat Statistik. Lembaga pemerintah resmi di Indonesia yang bertugas mengumpulkan, mengolah, dan mempublikasikan data statistik nasional.",
+      },
+      {
+        t: "Annualized",
+        c: "Konversi return periodik (mis. bulanan) menjadi setara tahunan dengan efek majemuk.",
+      },
+      {
+        t: "Inflasi",
+        c: "Kenaikan harga barang/jasa secara umum. Jika return < inflasi, daya beli uang turun.",
+      },
+      {
+        t: "  Bursa/BEI",
+        c: "Bursa Efek Indonesia. Lembaga resmi tempat jual beli efek seperti saham, obligasi, dan reksadana terjadi, BEI berfungsi sebagai pasar besar tempat investor dan perusahaan bertemu untuk memperdagangkan surat berharga secara transparan dan diawasi pemerintah",
+      },
+      {
+        t: "Likuiditas",
+        c: "Kemudahan suatu aset untuk segera dicairkan menjadi uang tunai tanpa memengaruhi harganya secara signifikan. Semakin tinggi likuiditas, semakin cepat investor dapat menjual asetnya di pasar",
+      },
+      {
+        t: "DCA",
+        c: "Dolar Cost Averaging. Strategi Investasi dengan cara membeli secara rutin dalam jumlah tetap, tanpa peduli harga naik atau turun. Tujuannya meratakan harga beli sehingga risiko fluktuasi pasar menjadi lebih kecil.",
+      },
+      {
+        t: "Yield",
+        c: "Imbal hasil (return) yang diperoleh dari instrumen investasi obligasi atau instrumen pendapatan tetap, biasanya dalam bentuk persentase tahunan dari harga beli. Semakin tinggi yield, semakin besar pendapatan yang diterima investor.",
+      },
+      {
+        t: "PDB",
+        c: "Produk Domestik Bruto. Nilai seluruh barang dan jasa yang dihasilkan Indonesia dalam 1 tahun. Data resmi PDB bisa dilihat di BPS",
+      },
+      {
+        t: "Porsi Dana Produktif",
+        c: "Persentase dana yang dialokasikan ke sektor produktif (pabrik, riset, infrastruktur). Semakin besar porsi ini, inflasi tambahan semakin kecil karena dana digunakan untuk produksi barang/jasa",
+      },
+      {
+        t: "BKPM",
+        c: "Badan Koordinasi Penanaman Modal. Lembaga pemerintah yang mengelola dan melaporkan data resmi investasi di Indonesia (misalnya porsi Penanaman Modal Dalam Negeri/PMDN dan Penanaman Modal Asing/PMA)",
+      },
+    ],
+    "mu.tampilkan": "💱 Tampilkan hasil dalam:",
+    "mu.judul": (unit) => `💱 Benar-benar lebih kaya dalam ${unit}?`,
+    "mu.depresiasi": "Rupiah melemah (%/th)",
+    "mu.emasNaik": "Harga emas naik (%/th)",
+    "mu.rataHistoris": "↺ Rata-rata 2005–2024",
+    "mu.hargaAkhir": (bulan, harga, unit) =>
+      `Asumsi di bulan ke-${bulan}: ${harga}/${unit}`,
+    "mu.whatIfKurs": (x) => ` (termasuk What-If kurs ${x})`,
+    "mu.kolom": ["Skenario", "Nilai akhir", "Disetor", "Untung/rugi"],
+    "mu.lebihKaya": "lebih kaya ✅",
+    "mu.lebihMiskin": "lebih miskin ❌",
+    "mu.catatan":
+      "Tiap setoran dikonversi memakai kurs/harga emas di bulan ia disetor, nilai akhir memakai kurs/harga di akhir durasi. Untung dalam rupiah belum tentu untung dalam dolar atau emas.",
+    "dampak.modelJudul": "📐 Model dampak pasar",
+    "dampak.hari": "Dana masuk bertahap selama (hari bursa)",
+    "dampak.volHarian": "Volatilitas harian IHSG (%)",
+    "dampak.bawaan": "↺ Bawaan",
+    "dampak.alur": (x) => (
+      <>
+        Porsi saham portofolio <b>{x.porsi}</b> → <b>{x.danaSaham}</b> masuk ke
+        pasar saham, dibagi {x.hari} hari bursa ≈ <b>{x.perHari}</b>/hari ={" "}
+        <b>{x.partisipasi}</b> dari transaksi harian BEI ({x.volume}, panel Data
+        Ekonomi). Obligasi, deposito & emas tidak mendorong IHSG; reksa dana
+        dihitung separuh (campuran).
+      </>
+    ),
+    "dampak.hasilModel": (x) => (
+      <>
+        Dorongan harian IHSG: <b>{x.tengah}</b> (rentang {x.rendah}–{x.tinggi})
+        • kumulatif selama {x.hari} hari ≈ <b>{x.kumulatif}</b>
+      </>
+    ),
+    "dampak.kurangAndal": (batas) =>
+      `⚠️ Dana per hari melebihi ${batas} transaksi harian BEI → di luar rentang yang teruji untuk model ini. Anggap angkanya batas atas kasar, atau sebar dana ke lebih banyak hari.`,
+    "dampak.rumus.akar": (rendah, tengah, tinggi) =>
+      `Rumus: dorongan harian = Y × volatilitas harian × √(dana saham per hari ÷ transaksi harian), Y = ${tengah} (rentang ${rendah}–${tinggi}); kumulatif = harian × √hari. Dana 4× lipat → dorongan ± 2× lipat.`,
+    "dampak.rumus.linear": (rendah, tengah, tinggi) =>
+      `Rumus versi lama: dorongan harian = ${tengah} × (dana saham per hari ÷ transaksi harian), rentang koefisien ${rendah}–${tinggi}; kumulatif = harian × hari. Dana 10× lipat → dorongan 10× lipat, jadi input besar memberi angka yang tidak masuk akal.`,
+    "txt.modelDampak": (model, hari) =>
+      `Model dampak: ${model}, porsi saham masuk bertahap ${hari} hari bursa`,
+    "infl.k": (
+      <>
+        🎚️ <b>Koefisien sensitivitas k</b>
+      </>
+    ),
+    "infl.kAria": "Koefisien sensitivitas k",
+    "infl.kKet": (
+      <>
+        💡Angka asumsi edukatif (bawaan 0,05). Makin besar k, makin kuat harga
+        bereaksi — baik terhadap tekanan permintaan maupun tambahan kapasitas.
+      </>
+    ),
+    "infl.grafikJudul": "📈 Jalur inflasi per tahun vs tanpa investasi",
+    "infl.tahunKe": (t) => (t ? `Tahun ke-${t}` : "Awal"),
+    "infl.rumusJudul":
+      "💡 RUMUS INFLASI SIMULATIF (model yang sama dengan angka di atas)",
+    "infl.persamaan": (komponen) =>
+      `Inflasi tahun ke-t = inflasi awal ${komponen}`,
+    "infl.parameter": (x) =>
+      `Dengan k = ${x.k}, ICOR = ${x.icor}, porsi produktif = ${x.porsi}, PDB = Rp ${x.pdb} triliun (dianggap tetap). Dana tiap tahun = modal (tahun ke-1) + setoran bulanan seluruh investor.`,
+  },
+  en: {
+    "satuan.bulan": (n) => `${n} month${n === 1 ? "" : "s"}`,
+    "satuan.tahun": (n) => `${n} year${n === 1 ? "" : "s"}`,
+    // --- validation errors ---
+    "galat.bukanDataset": "This file is not a RUPACAYA dataset.",
+    "galat.bukanObjek": "This file is not a JSON object.",
+    "galat.wajibAngka": "must be a number.",
+    "galat.wajibIsi": "is required.",
+    "galat.wajibAda": "is required.",
+    "galat.harusTeks": "must be text.",
+    "galat.harusBoolean": "must be true/false.",
+    "galat.angkaPositif": "must be a number ≥ 0.",
+    "galat.persenBulat": "must be a whole number 0–100.",
+    "galat.modeAlokasi": 'must be "tunggal" (single) or "campuran" (mixed).',
+    "galat.luarBatas": (v, min, max) =>
+      `${v} is outside the reasonable range (${min} to ${max}).`,
+    "galat.rentang": (label, min, max, satuan) =>
+      `${label} must be between ${min} and ${max} ${satuan}.`,
+    "galat.harus": (nilai) => `must be "${nilai}".`,
+    "galat.versiBulat": "must be a whole number ≥ 1.",
+    "galat.versiBaru": (v, maks) =>
+      `${v} is newer than this app supports (${maks}).`,
+    "galat.formatAsOf": "must use the YYYY-MM format (e.g. 2025-09).",
+    "galat.sumberKosong": "cite at least one data source.",
+    "galat.urutanBase": "must be ordered opt ≥ mod ≥ pes.",
+    "galat.nama": "Name must be 2–30 characters.",
+    "galat.usia": "Age must be 10–100.",
+    "galat.pilihInstrumen": "Choose an instrument first.",
+    "galat.totalAlokasi": (total) =>
+      `Total allocation must be 100% (currently ${total}%).`,
+    "galat.modal": "Enter an initial capital or a monthly deposit (> 0)",
+    "galat.durasi": "Duration must be 1–600 months",
+    "galat.investor": "Investors must be a number > 0",
+    "galat.instrumenAsing": (j) => `Unknown instrument "${j}".`,
+    "galat.tautanRusak": "The link is broken (cannot be read).",
+    "galat.tautanVersi": (v) => `Unknown link version (${v}).`,
+    "galat.tautanAlokasi": (p) => `Allocation "${p}" is invalid.`,
+    "galat.tautanAngka": (k) => `Parameter ${k} must be a number.`,
+    "galat.tautanWhatIf": (p) => `What-If "${p}" is out of range.`,
+    "tujuan.galatTarget": "Enter a target amount.",
+    "tujuan.galatTanggal": "The target date must be after this month.",
+    "risiko.Rendah": "Low",
+    "risiko.Menengah": "Medium",
+    "risiko.Tinggi": "High",
+    "alasan.horizonPendek": (m) =>
+      `${m}-month horizon → deposits/money market fit better`,
+    "alasan.horizonMenengah": (t) =>
+      `${t} horizon → bonds/mutual funds fit, stocks still risky`,
+    "alasan.horizonCampuran": (t) => `${t} horizon → enough time for a mix`,
+    "alasan.horizonPanjang": (t) =>
+      `${t} horizon → growth assets have time to recover from dips`,
+    "alasan.usiaMuda": (u) => `age ${u} → time is on your side`,
+    "alasan.usiaTua": (u) => `age ${u} → preserve your capital first`,
+    "alasan.modalKecil": (m) =>
+      `capital ${m} → mutual funds/gold can start small`,
+    "alasan.modalBesar": (m) =>
+      `capital ${m} → part of it can be locked in stable instruments`,
+    "alasan.pelajar": "student → income not steady yet, start simple",
+    "alasan.wiraswasta": "income varies → keep some easily withdrawable funds",
+    "alasan.karyawan": "regular salary → suits monthly top-ups (DCA)",
+    "alasan.batasProfil": (p) => `the ${p} profile`,
+    "alasan.batasHorizon": (m) => `a ${m}-month horizon`,
+    "alasan.risikoLebih": (r, b) => `${r} risk exceeds ${b}`,
+    "umum.instrumen": "Instrument",
+    "grafik.kosong": "(The chart appears once the inputs are filled in)",
+    "grafik.judul": "📈 Month-by-Month Growth",
+    "grafik.catatan":
+      "Orange line = your contributions if they only grew with inflation. A scenario line above it → your purchasing power grows.",
+    "grafik.tickTahun": (t) => `Yr ${t}`,
+    "grafik.tickBulan": (m) => `Mo ${m}`,
+    "banding.judul": "⚖️ Compare Instruments",
+    "banding.intro": (r) => (
+      <>
+        Capital <b>{r.modal}</b>, top-up <b>{r.setoran}/month</b> for{" "}
+        <b>{r.durasi}</b> put <b>100%</b> into each instrument
+        {r.pakaiBiaya ? " (net of tax & fees)" : ""}, with the same What-If
+        settings. Click a column header to sort.
+      </>
+    ),
+    "banding.grafikJudul": "📈 Moderate Scenario per Instrument",
+    "banding.grafikCatatan":
+      "Each line = the moderate scenario if all the money went into one instrument. Highlighted row = your current pick.",
+    "umum.hapus": "🗑️ Delete",
+    "sk.optimis": "Optimistic",
+    "sk.moderat": "Moderate",
+    "sk.pesimis": "Pessimistic",
+    "tujuan.judul": "🎯 Goal Planner",
+    "tujuan.intro": (
+      <>
+        Not "how much will I get?" but <b>"how much must I put in?"</b>. Enter a
+        target amount & when you need it, then see the monthly top-up (or
+        one-off capital) each instrument needs in 3 scenarios.
+      </>
+    ),
+    "tujuan.netBiaya": " Tax & fees included.",
+    "tujuan.budget": "Monthly investment budget (all goals):",
+    "tujuan.budgetContoh": "e.g. 1500000",
+    "tujuan.cariSetoran": "Solve for monthly top-up",
+    "tujuan.cariModal": "Solve for one-off capital",
+    "tujuan.ke": (n) => `Goal ${n}:`,
+    "tujuan.target": "Target amount (Rp)",
+    "tujuan.ariaTarget": (n) => `Goal ${n} target`,
+    "tujuan.tanggal": "Needed by",
+    "tujuan.ariaTanggal": (n) => `Goal ${n} date`,
+    "tujuan.dana": "Money already saved (Rp)",
+    "tujuan.instrumen": "Chosen instrument",
+    "tujuan.ringkas": (t) => (
+      <>
+        {t.target} in <b>{t.durasi}</b>
+        {t.dana && ` (${t.dana} already saved)`}.
+      </>
+    ),
+    "tujuan.kolomSetoran": "Monthly top-up",
+    "tujuan.kolomModal": "One-off capital",
+    "tujuan.kurang": (rp) => (
+      <>
+        ❌ Not reached in the pessimistic scenario: the budget is short by{" "}
+        <b>{rp}/month</b> after goals with earlier deadlines. Move the date,
+        lower the target, or raise the budget.
+      </>
+    ),
+    "tujuan.aman": "✅ Still reached even in the pessimistic scenario.",
+    "tujuan.tambah": "➕ Add goal",
+    "tujuan.total": "Total monthly top-up (chosen instrument per goal):",
+    "tujuan.budgetStatus": (rp) => `A budget of ${rp}/month is`,
+    "tujuan.budgetCukup": (sisa) =>
+      `enough for every goal even when pessimistic (${sisa} left over).`,
+    "tujuan.budgetModerat":
+      "enough in the moderate scenario, but not the pessimistic one.",
+    "tujuan.budgetKurang": "not enough even in the moderate scenario.",
+    "tujuan.budgetKosong":
+      "Enter a monthly budget to see which goals are safe.",
+    "umum.simpan": "💾 Save",
+    "umum.kembalikan": "↩️ Restore defaults",
+    "krisis.judul": "🌪️ Historical Crisis Replay",
+    "krisis.intro":
+      "What if a real crisis hit right when you started investing? Each instrument's monthly path is replayed on top of your capital, top-ups & duration.",
+    "krisis.mulai": (t) => `Starting ${t}:`,
+    "krisis.turun": "Peak → trough drop",
+    "krisis.tidakTurun": "No drop",
+    "krisis.bulanTurun": (a, b) => `month ${a} → ${b}`,
+    "krisis.pulih": "Recovery time",
+    "krisis.belumPulih": (m) => `Not recovered within ${m} months`,
+    "krisis.pulihKet": "from the trough back to the peak",
+    "krisis.terendah": "Lowest portfolio value",
+    "krisis.akhir": "Final value",
+    "krisis.vsModerat": (rp) => `vs moderate ${rp}`,
+    "krisis.grafikJudul": (nama) => `📉 ${nama} vs Normal Conditions`,
+    "krisis.grafikCatatan": (terpotong) =>
+      `Drop & recovery are measured on the portfolio index without top-ups, so new contributions don't hide losses. Once the crisis path ends, each instrument returns to its moderate rate.${
+        terpotong
+          ? " Your duration is shorter than the crisis path → only its start is replayed."
+          : ""
+      } Monthly figures are simplified from historical data (JCI, FX, gold, rates) for education.`,
+    "dataEko.galatBulan": "Enter the data month.",
+    "dataEko.galatAngka": "Must be a number.",
+    "dataEko.galatBatas": (min, max) =>
+      `Outside the reasonable range (${min}–${max}).`,
+    "dataEko.bukanFile": (f) => `${f}: not valid JSON/CSV.`,
+    "dataEko.judul": "⚙️ Economic Data",
+    "dataEko.intro":
+      "Update the figures every semester from official sources (BI, BPS, OJK/IDX, Antam). Every calculation — data cards, gold/USD conversion, inflation check, national & inflation impact, and the TXT file — uses these numbers. Saved in this browser.",
+    "dataEko.bulan": "Data as of month:",
+    "dataEko.fileJudul": "📁 Dataset File (JSON / CSV)",
+    "dataEko.fileIntro":
+      "Holds macro data, optimistic/moderate/pessimistic base rates per instrument, What-If sensitivities, default investor count & GDP — with schema version, data date & source citations. Export → review together → share one file with every class.",
+    "dataEko.aktif": (versi, asOf) => (
+      <>
+        Active dataset: <b>version {versi}</b> • as of <b>{asOf}</b> • sources:
+      </>
+    ),
+    "dataEko.impor": "📂 Import dataset",
+    "dataEko.eksporJson": "⬇️ Export JSON",
+    "dataEko.eksporCsv": "⬇️ Export CSV",
+    "dataEko.gagalImpor": "❌ Dataset not imported:",
+    "impor.bukanJson": (f) => `${f}: not valid JSON.`,
+    "impor.tombol": "📥 Import simulation",
+    "impor.ket":
+      'The JSON file from the "🧾 JSON (inputs & results)" button on the results page.',
+    "impor.gagal": "❌ Simulation not imported:",
+    "umum.batal": "Cancel",
+    "simpan.judul": "💾 Saved Simulations",
+    "simpan.ariaNama": "Simulation name",
+    "simpan.simpanNama": "✔️ Save name",
+    "simpan.langkah": (n) => `Step ${n}/5`,
+    "simpan.buka": "▶️ Open",
+    "simpan.gantiNama": "✏️ Rename",
+    "sens.kolom": "Per +1 unit shift",
+    "sens.ket": (
+      <>
+        Number = change in growth rate, <b>% per month</b> (optimistic &
+        moderate scenarios; pessimistic gets half). Example: -0.2 in the
+        Inflation row, Stocks column means every 1 pp rise in inflation cuts the
+        stock rate by 0.2%/month. Limit ±2. Saved in the dataset (included in
+        JSON/CSV exports).
+      </>
+    ),
+    "sens.reset": "↩️ Restore dataset sensitivities",
+    "pdf.ya": "(yes)",
+    "pdf.tidak": "(no)",
+    "pdf.halaman": (i, n) => `Page ${i} / ${n}`,
+    "umum.portoCampuran": (isi) => `Mixed Portfolio (${isi})`,
+    "usia.remaja":
+      "🚀 The earliest start—build the saving habit & learn the basics.",
+    "usia.muda":
+      "🌱 Time is on your side, Young Investor! Start with small DCA — the key is consistency.",
+    "usia.dewasa": "⚖️ Combine growth & stability. Sharpen your experience!",
+    "usia.keluarga":
+      "🏡 Balance growth & protecting your family! And review regularly.",
+    "usia.matang": "🛡️ Put preserving capital first! Raise the stable share.",
+    "usia.senior":
+      "🌳 Your experience is your strength! Focus on strategy and comfort.",
+    "txt.judul": "RUPACAYA — Simulation Summary",
+    "txt.namaFile": "RUPACAYA_Summary.txt",
+    "txt.nama": "Name       ",
+    "txt.usia": "Age        ",
+    "txt.usiaTahun": (u) => `${u} years`,
+    "txt.pekerjaan": "Occupation ",
+    "txt.pesanUsia": "Age note   ",
+    "txt.profil": "Risk profile",
+    "txt.skor": (s) => `score ${s}/16`,
+    "txt.belumDiisi": "not filled in",
+    "txt.instrumen": "Instrument ",
+    "txt.risiko": "Risk       ",
+    "txt.modal": "Capital    ",
+    "txt.setoran": "Top-up     ",
+    "txt.perBulan": (x) => `${x}/month`,
+    "txt.durasi": "Duration   ",
+    "txt.totalSetor": "Total in   ",
+    "txt.hasil3": "3-Scenario Results (final value | profit):",
+    "txt.rataModerat": (x) =>
+      `Moderate average/month: ${x.bulanan} | Annualized: ${x.tahunan} | Inflation: ${x.inflasi} | Real return: ${x.riil}/yr`,
+    "txt.patokan": (rp) =>
+      `Inflation benchmark (same contributions growing with inflation): ${rp}`,
+    "txt.menangInflasi": "moderate beats inflation",
+    "txt.kalahInflasi": "moderate falls short of inflation",
+    "txt.nilaiRiil":
+      "Real value (today's rupiah purchasing power, nominal → real):",
+    "txt.biaya": "Tax, fees & spread (gross → net):",
+    "txt.feeDrag": "Fee drag (moderate)",
+    "txt.asumsi": "Assumptions",
+    "txt.tanpaBiaya": "Tax, fees & spread: not included (gross figures).",
+    "txt.kontribusi": "Contribution per instrument (moderate):",
+    "txt.kontribusiBaris": (x) =>
+      `put in ${x.setor} → ${x.mod} (optimistic ${x.opt}, pessimistic ${x.pes})`,
+    "txt.banding": "Instrument comparison (100% of funds, sorted by moderate):",
+    "txt.bandingBaris": (x) =>
+      `${x.mod} (optimistic ${x.opt}, pessimistic ${x.pes}) | annualized ${x.annual} | real ${x.riil}/yr | risk ${x.risiko}`,
+    "txt.backtest": (b) =>
+      `Historical backtest ${b.mulai} – ${b.sampai} (${b.months} months${
+        b.terpotong ? ", cut at the latest data" : ""
+      }):`,
+    "txt.nilaiAkhir": "Final value",
+    "txt.totalSetorKecil": "total put in",
+    "txt.returnTahunan": (r, i) =>
+      `Annual return: ${r} | Actual inflation: ${i}/year`,
+    "txt.turunTerdalam": "Deepest drop",
+    "txt.pulih": "recovery",
+    "txt.belumPeriode": "not within the period",
+    "txt.sumberHistoris": "Historical data sources:",
+    "txt.catatanHistoris":
+      "Note: year-end points (+ monthly points during turmoil) are interpolated monthly; gold & money-market funds are estimates.",
+    "txt.tujuan":
+      "Goal Planner (monthly top-up: optimistic / moderate / pessimistic):",
+    "txt.tujuanBaris": (x) =>
+      `${x.target} by ${x.tanggal} (${x.months} months) via ${x.instrumen}`,
+    "txt.tujuanGagal": (rp) =>
+      `NOT REACHED when pessimistic (short by ${rp}/month)`,
+    "txt.tujuanTotal": "Total for all goals",
+    "txt.montecarlo": (n) => `Monte Carlo (${n} random paths):`,
+    "txt.peluang": (rugi, menang) =>
+      `Chance of loss: ${rugi} | Chance of beating inflation: ${menang}`,
+    "txt.sensitivitas": "Sensitivities (rate shift %/month per +1 unit):",
+    "txt.krisis": "Historical Crisis Replay (your portfolio & duration):",
+    "txt.krisisBaris": (x) =>
+      `drop ${x.turun} | recovery ${x.pulih} | final value ${x.akhir}`,
+    "txt.belumDurasi": "not within the duration",
+    "txt.rekomendasi": "Recommendations for you (ranked):",
+    "txt.pilihanmu": "your pick",
+    "txt.perhatian": "watch out",
+    "txt.kurangCocok": (nama, posisi) =>
+      `${nama} is a poor fit for your profile (rank ${posisi}).`,
+    "txt.dampak": "National Impact (illustrative):",
+    "txt.investor": (n) => `National investors: ${n} people`,
+    "txt.danaPerOrang": (dana, dasar) =>
+      `Inflow per person: ${dana} (${dasar})`,
+    "txt.danaKolektif": "Total collective funds",
+    "txt.dorongan": "Estimated JCI push (indicative, daily)",
+    "txt.catatanDampak":
+      "Note: this illustrates liquidity → not a literal index forecast.",
+    "txt.strategi": "Practical Strategy:",
+    "txt.strategiIsi": [
+      "Profit: take 20–30%, let the rest keep growing; diversify.",
+      "Loss: review the fundamentals; DCA if the long-term outlook is good.",
+      "Always keep an emergency fund; never borrow for consumption to invest.",
+    ],
+    "txt.dataEkonomi": (t) => `Economic data used (as of ${t}):`,
+    "txt.inflasi": "Inflation",
+    "txt.kurs": "FX",
+    "txt.emas": "Gold",
+    "txt.trxBEI": "IDX daily turnover",
+    "txt.sumber": (versi, t) =>
+      `Data sources (official references, dataset version ${versi} as of ${t}):`,
+    "pdf.judul": "RUPACAYA — Investment Simulation Summary",
+    "pdf.namaFile": "RUPACAYA_Summary.pdf",
+    "pdf.dibuat": (t) => `Created ${t}`,
+    "pdf.profil": "Profile",
+    "pdf.kolomProfil": ["Name", "Age", "Occupation", "Risk profile"],
+    "pdf.simulasi": "Simulation",
+    "pdf.simulasiIsi": (x) =>
+      `Instrument: ${x.instrumen} • ${x.risiko} risk. Capital ${
+        x.modal
+      }, top-up ${x.setoran}/month for ${x.durasi} → total put in ${x.total}.${
+        x.pakaiBiaya
+          ? " Figures are net of tax, fees & spread."
+          : " Tax & fees not included (gross)."
+      }`,
+    "pdf.kolomSkenario": [
+      "Scenario",
+      "Final value",
+      "Profit",
+      "Real (today's Rp)",
+    ],
+    "pdf.moderatIsi": (x) =>
+      `Moderate: annualized ${x.annual}, inflation ${x.inflasi}, real return ${
+        x.riil
+      }/year → ${
+        x.menang ? "beats inflation" : "below inflation"
+      } (inflation benchmark ${x.patokan}).`,
+    "pdf.whatIfGeser": (t) => `Economic conditions shifted from the ${t} data:`,
+    "pdf.whatIfNol": (t) => `No shifts — using the ${t} data as is.`,
+    "pdf.kolomWhatIf": ["Factor", "Shift"],
+    "pdf.whatIfKet":
+      "Per-instrument figure = rate shift in %/month for each +1 unit of the factor.",
+    "pdf.dampak": "National Impact (illustrative)",
+    "pdf.dampakIsi": (x) =>
+      `If ${x.investor} investors did the same, collective funds would total ${x.dana} (${x.perOrang} per person: ${x.dasar}). Estimated liquidity push on the JCI (indicative, daily, ${x.model} model, equity share spread over ${x.hari} trading days): ${x.dorongan}. This illustrates liquidity; it is not a literal index forecast.`,
+    "pdf.inflasi": "Investment Impact on Inflation",
+    "pdf.kolomInflasi": (komponen) => [
+      "Year",
+      "Funds in",
+      ...komponen,
+      "Simulated inflation",
+    ],
+    "pdf.rekomendasi": "Recommendations for you",
+    "pdf.kolomRekomendasi": ["#", "Instrument", "Why it fits", "Watch out for"],
+    "pdf.sumber": (versi, t) =>
+      `Data sources (dataset version ${versi} as of ${t})`,
+    "pdf.disclaimer":
+      "Educational simulation, not investment advice. Real results may differ.",
+    "simpan.tanpaNama": "Unnamed",
+    "simpan.konfirmasiHapus":
+      "Delete all RUPACAYA data in this browser (profile, saved simulations & dataset)?",
+    "nav.cekProfil": "Please check your name/age.",
+    "nav.cekAngka": "Please check the numbers on this step.",
+    "app.tagline": "RUPACAYA — Rupiah & Young Generation Trust",
+    "umum.tutup": "Close",
+    "nav.kembali": "⬅️ Back",
+    "tautan.gagal": "⚠️ The simulation link can't be opened:",
+    "simpan.lanjut": (nama, step) => (
+      <>
+        📂 Continuing your last simulation {nama && <b>{nama}</b>} at Step{" "}
+        {step}.
+      </>
+    ),
+    "simpan.mulaiBaru": "Start over",
+    "simpan.privasi":
+      "🔒 Your profile & simulations are only stored in this browser (never sent anywhere).",
+    "simpan.hapusSemua": "Delete all my data",
+    "langkah1.judul": "🤔 Why Invest at All?",
+    "langkah1.pentingJudul": "💡 WHY DOES INVESTING MATTER?",
+    "langkah1.pentingIsi":
+      "Before looking at the economic numbers, let's understand the context. The data below shows conditions such as inflation, interest rates and the gold price that affect what money is worth.",
+    "langkah1.dataJudul": (t) => `📊 Indonesian Economic Data (${t})`,
+    "langkah1.poin": (n) => `${n} points`,
+    "langkah1.perTahun": (x) => `${x}%/year`,
+    "langkah1.rateUsd": "USD rate",
+    "langkah1.trxBEI": "IDX daily turnover",
+    "langkah1.hargaEmas": "Gold price",
+    "langkah1.ubahData": "⚙️ Edit Economic Data",
+    "langkah1.tutupData": "⚙️ Close Economic Data",
+    "langkah1.bandingJudul": "🧮 1-Year Comparison (Rp1 million)",
+    "langkah1.bandingIsi": (inflasi, dayaBeli) => (
+      <>
+        Savings 0.5% → <b>Rp1,005,000</b>
+        <br />
+        Inflation {inflasi}% → purchasing power ± <b>{dayaBeli}</b>
+        <br />
+        Moderate investment 8% → <b>Rp1,080,000</b> (beats inflation)
+      </>
+    ),
+    "langkah1.target":
+      "🚀Goal? YOUR INVESTMENT RETURN > INFLATION. That makes the country's economy better!",
+    "langkah1.artiJudul": "📈 WHAT DOES THE DATA ABOVE MEAN?",
+    "langkah1.arti1": (
+      <>
+        The JCI, inflation and BI Rate figures show that
+        <b> inflation keeps eating away at purchasing power</b>. Ordinary
+        savings often can't keep up with rising prices. By investing, you give
+        your money a chance to grow faster than inflation,{" "}
+        <b>protecting its value</b> and growing your future assets.
+      </>
+    ),
+    "langkah1.arti2": (
+      <>
+        Every rupiah you invest doesn't just grow your money — it also becomes
+        <b> fuel for Indonesia's economy</b>. Companies use investors' money to
+        expand, create jobs and raise production. As domestic capital grows,
+        reliance on foreign investors falls, the rupiah gets stronger, and GDP
+        growth can become more stable.{" "}
+        <b>So your investing decisions shape your country's future!</b>
+      </>
+    ),
+    "langkah1.tentang": (
+      <>
+        <b>RUPACAYA</b> is an investment simulator built so you can understand
+        how your investing decisions affect Indonesia's economy, realistically
+        and logically. You can see first-hand how the money you put in
+        circulates through the national economy, adds liquidity and helps
+        stabilise the rupiah. In short, <b>RUPACAYA</b> teaches you to see
+        investing not just as personal profit, but as a contribution to the
+        nation's economy. 🌍💸
+      </>
+    ),
+    "langkah1.mulai": "Let's Invest! ✈️ ",
+    "langkah2.judul": "👤 Investor Profile",
+    "langkah2.nama": "Name:",
+    "langkah2.contohNama": "e.g. Arfa",
+    "langkah2.usia": "Age:",
+    "langkah2.contohUsia": "e.g. 17",
+    "langkah2.pekerjaan": "Status/Occupation:",
+    "langkah2.contohPekerjaan": "Student / Employee / Self-employed / etc.",
+    "langkah2.investorMuda": "Young Investor!",
+    "langkah2.lanjut": "Next → Choose Instrument",
+    "kuis.judul": "🧭 Know Your Risk Profile",
+    "kuis.intro":
+      "4 quick questions. Answer honestly — there are no right or wrong answers.",
+    "kuis.hasil": (p) => (
+      <>
+        Your profile: <b>{p.label}</b> (score {p.skor}/16).
+      </>
+    ),
+    "kuis.belum": (n, total) =>
+      `Answer every question to see your profile (${n}/${total}).`,
+    "langkah3.judul": "📦 Choose an Investment Type",
+    "langkah3.tunggal": "🎯 Single Instrument",
+    "langkah3.campuran": "🧺 Mixed Portfolio",
+    "langkah3.campuranIntro": (
+      <>
+        Split your capital & top-ups across several instruments (in %). The
+        total <b>must be 100%</b> — that's <b>diversification</b>.
+      </>
+    ),
+    "langkah3.risiko": (r) => `Risk: ${r}`,
+    "langkah3.kelebihan": (n) => `❌ (${n}% over)`,
+    "langkah3.kurang": (n) => `❌ (${n}% short)`,
+    "langkah3.risikoCampuran": (r) => `Blended risk: ${r}`,
+    "langkah3.contohSeimbang": "Balanced example",
+    "langkah3.contohKonservatif": "Conservative example",
+    "langkah3.kosongkan": "Clear",
+    "langkah3.pilihJenis": "-- choose a type --",
+    "langkah3.faktor": "🔗 Driving Factors",
+    "langkah3.plusMinus": "⚖️ Pros/Cons & Tips",
+    "langkah3.contoh": (t) => `Example: ${t}`,
+    "langkah3.lanjut": "Next → Enter Numbers",
+    "langkah4.judul": "🔢 Enter Your Investment Data",
+    "langkah4.modal": "Initial Capital (Rp):",
+    "langkah4.contohModal": "e.g. 1000000",
+    "langkah4.tambah100rb": "+ 100K",
+    "langkah4.tambah500rb": "+ 500K",
+    "langkah4.tambah1jt": "+ 1M",
+    "langkah4.tambah5jt": "+ 5M",
+    "langkah4.durasi": "Duration (months):",
+    "langkah4.contohDurasi": "e.g. 24",
+    "langkah4.bln": (n) => `${n} mo`,
+    "langkah4.durasiKet": "The duration will be converted to years.",
+    "langkah4.setoran": "Monthly Top-up (Rp):",
+    "langkah4.contohSetoran": "e.g. 200000 (optional)",
+    "langkah4.tanpaSetoran": "No top-up",
+    "langkah4.dca": (
+      <>
+        💡 Regular top-ups = <b>DCA</b>. Small capital + consistent monthly
+        top-ups is often more realistic than one big deposit.
+      </>
+    ),
+    "langkah4.totalDisetor": "Total put in",
+    "langkah4.investor": "Number of National Investors:",
+    "langkah4.investorKet": (juta, asOf) => (
+      <>
+        Default <b>{juta} million SIDs</b> — from the dataset as of {asOf}. Keep
+        the default if unsure. 💡 To update, search:{" "}
+        <i>“number of Indonesian capital market investors OJK/IDX”</i>.
+      </>
+    ),
+    "langkah4.pakaiBiaya": (
+      <>
+        <b>Include tax, fees & spread</b> (recommended)
+      </>
+    ),
+    "langkah4.biayaKet":
+      "Real investment returns are always reduced by tax/fees. Assumptions used:",
+    "langkah4.lanjut": "See Results →",
+    "langkah5.judul": "📊 Your Investment Simulation!",
+    "langkah5.tanpaNama": "(unnamed)",
+    "langkah5.penahan": (t) => ` What held your score back most: ${t}.`,
+    "langkah5.profilKosong": "not filled in (quiz on Step 2)",
+    "langkah5.modal": "Capital",
+    "langkah5.setoran": "Top-up",
+    "langkah5.durasi": "Duration",
+    "langkah5.perTh": (x) => `${x}%/yr`,
+    "mode.skenario": "📐 3 Fixed Scenarios",
+    "mode.montecarlo": "🎲 Monte Carlo (Stochastic)",
+    "mode.backtest": "🕰️ Historical Backtest",
+    "mc.judul": "🎲 Monte Carlo Simulation",
+    "mc.intro": (
+      <>
+        Each month's return is <b>drawn at random</b> per instrument (mean = the
+        moderate rate, plus volatility), then repeated thousands of times. The
+        result isn't one number but a <b>range of possibilities</b>.
+      </>
+    ),
+    "mc.jumlahJalur": "Number of paths:",
+    "mc.menghitung": (n) => `⏳ Computing ${n} paths...`,
+    "mc.p10": "P10 (reasonable pessimistic)",
+    "mc.p50": "P50 (median)",
+    "mc.p90": "P90 (reasonable optimistic)",
+    "mc.dariSetoran": "of total contributions",
+    "mc.peluangRugi": (setor) => (
+      <>
+        Chance of a <b>loss</b> (final value &lt; total contributions {setor}):
+      </>
+    ),
+    "mc.peluangInflasi": (inflasi, patokan) => (
+      <>
+        Chance of <b>beating inflation</b> ({inflasi}%/yr, benchmark {patokan}):
+      </>
+    ),
+    "mc.artinya": (p10, p90) => (
+      <>
+        💡 Meaning: 10% of paths end below <b>{p10}</b> and 10% above{" "}
+        <b>{p90}</b>. "Pessimistic" is a <b>range</b>, not one exact number.
+      </>
+    ),
+    "mc.asumsiVol": "Assumed monthly volatility:",
+    "mc.catatanVol":
+      ". Stocks & mutual funds move with the market; gold tends to move the other way. The random seed is fixed, so same input → same result.",
+    "bt.intro": (
+      <>
+        "What if I had started earlier?" Your capital & top-ups are run on{" "}
+        <b>real data</b> for the IDX Composite, Antam gold, deposit rates,
+        government bond yields & money market funds — not assumed rates.
+      </>
+    ),
+    "bt.mulai": "Start month:",
+    "bt.tersedia": (dari, sampai) => `Data available ${dari} – ${sampai}.`,
+    "bt.periode": "Period",
+    "bt.terpotong": (bulan, sampai) =>
+      ` — your ${bulan}-month duration was cut because data only runs to ${sampai}`,
+    "bt.nilaiAkhir": "Final value (realized)",
+    "bt.totalSetor": (x) => `Total contributed ${x}`,
+    "bt.vsInflasi": "Return vs inflation",
+    "bt.perTahun": "/year",
+    "bt.inflasiNyata": (x) => `Actual inflation this period ${x}/year →`,
+    "bt.menang": "beat inflation ✅",
+    "bt.kalah": "lost to inflation ❌",
+    "bt.turunTerdalam": "Deepest drawdown",
+    "bt.tidakTurun": "Never dropped",
+    "bt.belumPulih": "not recovered by the end of the period",
+    "bt.pulih": (n) => `recovered in ${n} months`,
+    "bt.grafikJudul": "📈 Value Over Time (Historical Data)",
+    "bt.grafikCatatan":
+      "Orange line = your contributions if they only kept pace with the inflation that actually happened. Deepest drawdown is measured on the portfolio index without top-ups.",
+    "bt.sumber": (s) =>
+      `Sources: ${s}. Year-end points (+ monthly points during big shocks) are interpolated per month; IDX Composite excludes dividends, Antam gold & money market funds are estimates. Tax & fees follow your choice on Step 4. Past performance does not guarantee future results.`,
+    "sk.judul": "🎯 Investment Projection",
+    "sk.intro1": (
+      <>
+        ℹ️ The numbers below show <b>your estimated investment outcome </b>
+        under three economic scenarios:
+        <b style={{ color: "#16a34a" }}> Optimistic</b>,
+        <b style={{ color: "#1e40af" }}> Moderate</b>, and
+        <b style={{ color: "#b91c1c" }}> Pessimistic</b>.
+      </>
+    ),
+    "sk.intro2": (
+      <>
+        The percentages show the <b>gain or loss on your total contributions</b>{" "}
+        (initial capital + monthly top-ups). Understanding all three scenarios
+        helps you weigh the <b>risks and potential returns </b>
+        before deciding to invest.
+      </>
+    ),
+    "sk.sentimenKuat": "Strong sentiment",
+    "sk.ekonomiStabil": "Stable economy",
+    "sk.tekananPasar": "Market stress",
+    "sk.totalDisetor": (x) => (
+      <>
+        Total contributed: <b>{x.total}</b> (capital {x.modal} + {x.setoran} ×{" "}
+        {x.months} months) • Moderate gain: <b>{x.untung}</b>
+      </>
+    ),
+    "sk.rataBulan": "Moderate average/month:",
+    "sk.inflasi": "Inflation:",
+    "sk.menang": "→ beats inflation ✅",
+    "sk.kalah": "→ below inflation ❌",
+    "sk.patokan": (x) =>
+      `Benchmark: the same contributions growing only at inflation ≈ ${x}`,
+    "sk.riilJudul": "🛒 Nominal vs Real (today's rupiah purchasing power)",
+    "sk.skenario": "Scenario",
+    "sk.riilKolom": "Real (today's Rp)",
+    "sk.tergerus": "Eroded by inflation",
+    "sk.returnRiil": "Moderate real return:",
+    "sk.riilKet": (x) =>
+      `(≈ annualized ${x.annual} minus the effect of ${x.inflasi} inflation${
+        x.whatIf ? `, including the What-If inflation shift ${x.whatIf}` : ""
+      }). Nominal values are deflated monthly over ${x.months} months.`,
+    "sk.netJudul": "🧾 Gross vs Net (after tax, fees & spread)",
+    "sk.feeDrag": "💸 Moderate fee drag:",
+    "sk.feeDragKet": (
+      <>
+        {" "}
+        of the gross gain). Every figure above (including "beats inflation")
+        uses the <b>net</b> value.
+      </>
+    ),
+    "sk.kontribusiJudul": "🧺 Contribution per Instrument",
+    "sk.porsi": "Share",
+    "sk.disetor": "Contributed",
+    "sk.andil": "Moderate contribution",
+    "sk.keuntungan": "Gain:",
+    "sk.ketOptimis":
+      "Usually when the BI Rate falls / the IDX rallies / global sentiment is positive.",
+    "sk.ketModerat": "Normal conditions: inflation in check & steady growth.",
+    "sk.ketPesimis":
+      "Capital outflow / global turmoil / sharp rupiah depreciation.",
+    "sk.keteranganJudul": "🔎 NOTES & EXPLANATION",
+    "sk.keterangan": (
+      <>
+        • <b>Moderate average/month</b>
+        <br />
+        The estimated growth of the investment <i>per month</i> under a normal
+        economic scenario (inflation in check and steady growth).
+        <br />• <b>Annualized</b>
+        <br />
+        The yearly return if the monthly growth pattern holds for 12 months.
+        <br />• <b>Inflation</b>
+        <br />
+        The rate at which prices of goods/services in Indonesia rise. If the{" "}
+        <i>investment return</i> is higher than inflation, it{" "}
+        <i>beats inflation</i> (purchasing power still grows). If it's lower, it{" "}
+        <i>loses to inflation</i> (the nominal value rises but purchasing power
+        falls).
+        <br />
+        <br />
+        💡 <i> Reading the Data </i>
+        <br />
+        Compare the moderate/optimistic/pessimistic figures with inflation to
+        judge whether the investment keeps up with rising prices.
+        <br />
+        <p>
+          (All figures here are computed from formulas based on models, history
+          and assumptions about the global economy. They cannot be guaranteed
+          100% accurate, because every investment behaves differently and the
+          underlying conditions and data keep changing.)
+        </p>
+      </>
+    ),
+    "whatif.intro": (t) =>
+      `Shift the economic conditions from the ${t} data — the results above update instantly.`,
+    "whatif.kursKet": " (+ = weaker rupiah)",
+    "strategi.judul": "💡 STRATEGIES TO COME OUT AHEAD!",
+    "strategi.poin": [
+      [
+        "In Profit:",
+        "take 20–30% off the table and let the rest grow; consider diversifying into bonds/deposits.",
+      ],
+      [
+        "At a Loss:",
+        "don't panic; check the fundamentals. Use DCA (buy gradually) if the long-term outlook still makes sense.",
+      ],
+      [
+        "What Should You Do?",
+        "Build an emergency fund first, never use consumer debt to invest, and top up consistently to maximise compounding.",
+      ],
+      [
+        "Know Your Risk Profile!",
+        "Don't just follow trends. Be honest about how ready you are to watch your portfolio swing. If you're not ready, pick safer instruments (gold, deposits).",
+      ],
+      [
+        "Keep Learning Economics!",
+        "Follow economic trends and BI or government policy. Think critically about how they affect your investments.",
+      ],
+    ],
+    "rekom.judul": "🫵 RECOMMENDATIONS FOR YOU!",
+    "rekom.intro": (adaProfil) =>
+      `Sorted from the best match for your age, duration, capital, occupation${
+        adaProfil ? " & risk profile" : ""
+      }.`,
+    "rekom.kurangCocok": "Your choice is a poor fit:",
+    "rekom.peringkat": (n) => ` — ranked ${n} of 5`,
+    "rekom.palingCocok": " Best match",
+    "rekom.pilihanmu": "Your pick",
+    "rekom.cocok": "WHO IT SUITS:",
+    "rekom.kapan": "WHEN TO ACT?",
+    "dampak.judul": "🌏 National Impact",
+    "dampak.ariaInfo": "Quick summary",
+    "dampak.info": (
+      <>
+        🔥 <b>Featured!:</b> This section shows the <b>national scale</b>, as if
+        every investor put money in together. The figures here are an
+        <b> illustration of potential liquidity</b>, not a price forecast.
+      </>
+    ),
+    "dampak.dasarDana": (x) =>
+      x.kali
+        ? `initial capital + ${x.kali}× monthly top-up falling within ${x.hari} trading days`
+        : "initial capital only, no monthly top-up",
+    "dampak.totalDana": (orang, setor, dasar, total) => (
+      <>
+        If <b>{orang}</b> people each put <b>{setor}</b> into the market (
+        {dasar}; later top-ups are not counted), the total inflow ≈{" "}
+        <b>{total} </b>.
+      </>
+    ),
+    "dampak.artiJudul": "🤔WHAT DOES IT MEAN?",
+    "dampak.arti": (total) => (
+      <>
+        a fund of <b>{total}</b> means new money ready to be <b>traded</b> on
+        the exchange.
+      </>
+    ),
+    "dampak.penjelasan": (total) => (
+      <>
+        🔎 <strong>EXPLANATION:</strong> <br />
+        <i>{total}</i> can be seen as <em>“new energy”</em> entering the
+        national financial system. That money doesn't sit still; it circulates
+        through instruments such as{" "}
+        <strong>stocks, mutual funds, bonds, deposits and digital gold</strong>{" "}
+        that are listed and supervised through the{" "}
+        <strong>Indonesia Stock Exchange (IDX)</strong> or other official
+        financial institutions. When people invest, companies or the government
+        put that money to work in projects, expansion or financing, and
+        investors can move or withdraw it at any time. Because it keeps
+        circulating and working in the market, the <b>{total}</b> is said to be{" "}
+        <em>“traded.”</em>
+      </>
+    ),
+    "dampak.dampaknya": "The effects:",
+    "dampak.likuiditas": (
+      <>
+        <li>
+          <b>Liquidity rises</b> → <b>buy</b> and <b>sell</b> orders become{" "}
+          <b>more plentiful</b>.
+        </li>
+        <li>
+          The <b>bid–ask spread</b> (gap between buy and sell prices) gets{" "}
+          <b>thinner</b> → fairer prices.
+        </li>
+        <li>
+          Trades are <b>faster</b> and implicit costs are <b>lower</b>.
+        </li>
+      </>
+    ),
+    "dampak.analogi": (
+      <>
+        <i>Analogy:</i> a market is like a <b>bazaar</b>. The more buyers and
+        sellers bring money, the <b>easier goods sell</b> at a <b>fair price</b>{" "}
+        → that's <b>liquidity</b>.
+      </>
+    ),
+    "dampak.poin": (dorongan) => (
+      <>
+        <li>
+          Estimated liquidity push on the IDX Composite (indicative, daily):{" "}
+          <b>{dorongan}</b>. More liquidity → busier trading.
+        </li>
+        <li>
+          Liquidity rises → issuers' cost of capital falls → expansion &{" "}
+          <b>jobs</b> can grow.
+        </li>
+        <li>
+          <b>Tax</b> from market activity rises → more fiscal room for{" "}
+          <b>education, health and infrastructure</b>.
+        </li>
+        <li>
+          Strong domestic money reduces reliance on foreign capital →{" "}
+          <b>a more stable rupiah</b>.
+        </li>
+      </>
+    ),
+    "dampak.korelasiJudul": "Correlation chart:",
+    "dampak.korelasiSumbu": (
+      <>
+        X: number of investors (10–100% of your input) • Y: estimated daily JCI
+        push (%) under the model above; shaded area = confidence band.
+      </>
+    ),
+    "dampak.korelasiCatatan": (
+      <>
+        Note: this is not a projection of the index. The numbers only compare
+        hypothetical fund sizes. The IDX Composite depends on many factors
+        (corporate earnings, interest-rate policy, foreign flows, etc.), so it
+        can't be computed directly from the amount of money flowing in.
+      </>
+    ),
+    "infl.judul": "💹 Investment Impact on Inflation",
+    "infl.pdb": (
+      <>
+        📊 <b>Indonesia's GDP (Rp trillion)</b>
+      </>
+    ),
+    "infl.pdbKet": (
+      <>
+        💡GDP data comes from <b>BPS</b> (Statistics Indonesia). Search “PDB
+        Indonesia BPS” for the latest figure.
+      </>
+    ),
+    "infl.porsi": (
+      <>
+        ⚙️ <b>Productive Share (%)</b>
+      </>
+    ),
+    "infl.porsiKet": (
+      <>
+        💡The bigger the productive share (e.g. factories, research,
+        infrastructure) → the more contained inflation is.
+      </>
+    ),
+    "infl.awal": (x, whatIf) => (
+      <>
+        📊 Baseline Inflation (BPS): {x}
+        {whatIf && ` (including the What-If inflation shift ${whatIf})`}
+      </>
+    ),
+    "infl.tambahan": (x, n, akhir) =>
+      n > 1
+        ? `🔺 Additional Inflation (Estimate): year 1 ${x} → year ${n} ${akhir}`
+        : `🔺 Additional Inflation (Estimate): ${x}`,
+    "infl.simulasi": (x, n, akhir) =>
+      n > 1 ? `💥INFLATION: ≈ ${x} → ${akhir}` : `💥INFLATION: ≈ ${x}`,
+    "infl.edukasi": (
+      <>
+        <p>
+          This calculation links the user's <b>total invested funds</b> to{" "}
+          <b>national GDP</b>, year by year over your investment horizon. The
+          coefficient <b>k</b> (default 0.05, adjustable above) is a sensitivity
+          figure: how strongly prices react to incoming funds relative to GDP.
+        </p>
+
+        <p>
+          <b>📊 Simple logic:</b> the larger total investment is relative to
+          GDP, the more inflationary pressure builds. But if much of it goes to
+          productive sectors, higher production capacity can hold prices back.
+        </p>
+
+        <ul
+          style={{
+            margin: 0,
+            paddingLeft: 18,
+            color: "#1F2937",
+            lineHeight: 1.55,
+          }}
+        >
+          <li>
+            <b>Coefficient (k)</b> → an educational assumption for how sensitive
+            extra inflation is when the productive share is small. The default
+            0.05 was chosen so the simulation feels realistic (extra inflation
+            is typically ±0.1–0.3% of GDP) while staying safe for learning.{" "}
+            <i>
+              k = 0.05 → a made-up parameter drawn from the range of historical
+              effects (based on BPS GDP & inflation) so the extra inflation
+              feels plausible.
+            </i>{" "}
+            It isn't an official figure, just an example sensitivity that can be
+            changed if more specific research is available.{" "}
+          </li>
+          <li>
+            <b>GDP (Gross Domestic Product)</b> → the value of all goods &
+            services Indonesia produces in a year. Think of GDP as a{" "}
+            <i>giant market</i>: the bigger its turnover, the bigger the
+            economy's capacity.
+          </li>
+          <li>
+            <b>Productive Share (%) </b> → the percentage of invested funds
+            allocated to <i>productive</i> activity such as factories, research,
+            infrastructure or job-creating businesses. The larger it is, the
+            more contained inflation tends to be, because the money reaches the
+            real sector instead of sitting in passive assets. It can be
+            estimated from BKPM investment realization data (e.g. the share of
+            foreign & domestic investment going into
+            manufacturing/infrastructure). Search for{" "}
+            <i>“laporan realisasi investasi BKPM sektor”</i> online/on BPS for
+            the latest reference.
+          </li>
+          <li>
+            <b>Investment & Inflation Correlation</b> → the more money enters
+            the domestic economy, the more money circulates. Used productively,
+            it means healthy growth. But if it only fuels quick consumption
+            (e.g. luxury goods), inflation can rise.
+          </li>
+        </ul>
+        <p>
+          <i> Analogy:</i> if 10 million people each invest Rp20 million, the
+          total ≈ Rp200 trillion. If 70% goes into building factories, the
+          effect is mostly more jobs → inflation stays contained. If only 20% is
+          productive, the money circulates in consumer markets → prices can
+          spike.
+        </p>
+      </>
+    ),
+    "faq.judul": "❓ FAQ",
+    "faq.items": [
+      {
+        title: "Why does inflation affect the IDX and interest rates?",
+        content:
+          "Rising inflation → BI tends to raise rates to curb price spikes. Higher rates raise issuers' cost of capital (pressuring valuations), while deposits become relatively attractive. When inflation is under control, the IDX grows more easily.",
+      },
+      {
+        title: "How does the BI Rate affect deposits & bonds?",
+        content:
+          "A lower BI Rate → lower deposit rates (deposits less attractive), and bond prices tend to rise because existing coupons look relatively better. Conversely, a higher BI Rate pushes bond prices down.",
+      },
+      {
+        title: "Why do domestic investors matter for the rupiah?",
+        content:
+          "The more domestic investors there are, the steadier internal fund flows become. When global sentiment turns negative, the market relies less on foreign capital. That helps stabilise the IDX and the rupiah.",
+      },
+      {
+        title: "How is market liquidity linked to jobs?",
+        content:
+          "High liquidity makes it cheaper for companies to issue shares/bonds. That money funds business expansion and new hiring.",
+      },
+      {
+        title:
+          "What happens to the economy if political problems keep dragging on?",
+        content:
+          "Prolonged political trouble (riots, violent protests, corruption, etc.) creates uncertainty that makes investors hesitate, pushes foreign capital out (capital outflow), weakens the currency and slows growth as businesses delay expansion and hiring. You can replay a real example in the Historical Crisis Replay: the 1998 crisis sent the IDX down ±64% and the rupiah weakened ±6×, while gold in rupiah soared.",
+      },
+    ],
+    "glosarium.judul": "📚 Economics Glossary",
+    "glosarium.items": [
+      {
+        t: "Investment",
+        c: "Putting capital or funds into an asset, project or financial instrument with the aim of earning a return in the future.",
+      },
+      {
+        t: "BI Rate",
+        c: "Bank Indonesia's policy rate. It drives loan and deposit rates and the valuation of financial assets.",
+      },
+      {
+        t: "IHSG",
+        c: "The IDX Composite Index (all shares listed on the IDX). A gauge of the health of Indonesia's capital market.",
+      },
+      {
+        t: "LPS",
+        c: "The Indonesia Deposit Insurance Corporation. It guarantees bank deposits up to a limit per customer per bank.",
+      },
+      {
+        t: "OJK",
+        c: "The Financial Services Authority. It regulates and supervises the financial industry (banks, capital markets, non-banks).",
+      },
+      {
+        t: "BPS",
+        c: "Statistics Indonesia. The official government agency that collects, processes and publishes national statistics.",
+      },
+      {
+        t: "Annualized",
+        c: "Converting a periodic return (e.g. monthly) into its yearly equivalent with compounding.",
+      },
+      {
+        t: "Inflation",
+        c: "A general rise in the prices of goods/services. If return < inflation, money loses purchasing power.",
+      },
+      {
+        t: "Exchange/IDX",
+        c: "The Indonesia Stock Exchange. The official venue where securities such as stocks, bonds and mutual funds are traded — a big marketplace where investors and companies meet to trade securities transparently under government supervision.",
+      },
+      {
+        t: "Liquidity",
+        c: "How easily an asset can be turned into cash quickly without moving its price much. The higher the liquidity, the faster investors can sell in the market.",
+      },
+      {
+        t: "DCA",
+        c: "Dollar Cost Averaging. Investing a fixed amount on a regular schedule regardless of price, to average out the purchase price and reduce the impact of market swings.",
+      },
+      {
+        t: "Yield",
+        c: "The return earned on bonds or other fixed-income instruments, usually as an annual percentage of the purchase price. The higher the yield, the more income the investor receives.",
+      },
+      {
+        t: "GDP (PDB)",
+        c: "Gross Domestic Product. The value of all goods and services Indonesia produces in a year. Official GDP data is published by BPS.",
+      },
+      {
+        t: "Productive Share",
+        c: "The percentage of funds allocated to productive sectors (factories, research, infrastructure). The larger this share, the smaller the extra inflation, because the money is used to produce goods/services.",
+      },
+      {
+        t: "BKPM",
+        c: "The Investment Coordinating Board. The government agency that manages and reports official investment data in Indonesia (e.g. the shares of domestic/PMDN and foreign/PMA investment).",
+      },
+    ],
+    "unduh.judul": "📥 SAVE YOUR INVESTMENT SUMMARY!",
+    "unduh.salinTautan": "🔗 Copy link",
+    "unduh.ubahAngka": "⬅️ Back (change numbers)",
+    "unduh.mulaiLagi": "🔄 Start Over",
+    "unduh.tanpaPribadi": "Link without personal data (name, age, occupation)",
+    "unduh.tersalin":
+      "✅ Link copied. The recipient will see exactly the same result.",
+    "unduh.salinManual": "Copy this link manually:",
+    "unduh.ariaTautan": "Simulation link",
+    "unduh.catatanTautan":
+      "Note: dataset/sensitivity changes in the economic data panel are not included in the link.",
+    "unduh.ariaNamaSimpan": "New simulation name",
+    "unduh.simpan": "💾 Save simulation",
+    "unduh.spreadsheet": "Data for spreadsheets:",
+    "unduh.json": "🧾 JSON (inputs & results)",
+    "unduh.csv": "📊 CSV (monthly schedule)",
+    "unduh.sumber":
+      "References: Bank Indonesia (BI-Rate & Inflation), OJK/IDX (IDX Composite & Investor Statistics), BPS (macro indicators).",
+    "app.footer":
+      "RUPACAYA © 2025 • Indonesian Student Research Olympiad (OPSI 2025) by Arfa, Hanif, Yudist, Krista, Eshan, Aiesha © RUPACAYA Team",
+    "mu.tampilkan": "💱 Show results in:",
+    "mu.judul": (unit) => `💱 Actually richer in ${unit}?`,
+    "mu.depresiasi": "Rupiah depreciation (%/yr)",
+    "mu.emasNaik": "Gold price growth (%/yr)",
+    "mu.rataHistoris": "↺ 2005–2024 average",
+    "mu.hargaAkhir": (bulan, harga, unit) =>
+      `Assumed at month ${bulan}: ${harga}/${unit}`,
+    "mu.whatIfKurs": (x) => ` (including the What-If FX shift ${x})`,
+    "mu.kolom": ["Scenario", "Final value", "Contributed", "Gain/loss"],
+    "mu.lebihKaya": "richer ✅",
+    "mu.lebihMiskin": "poorer ❌",
+    "mu.catatan":
+      "Each contribution is converted at the FX rate/gold price of the month it was made; the final value uses the rate/price at the end of the duration. A gain in rupiah is not necessarily a gain in dollars or gold.",
+    "dampak.modelJudul": "📐 Market-impact model",
+    "dampak.hari": "Money flows in over (trading days)",
+    "dampak.volHarian": "JCI daily volatility (%)",
+    "dampak.bawaan": "↺ Defaults",
+    "dampak.alur": (x) => (
+      <>
+        Equity share of the portfolio <b>{x.porsi}</b> → <b>{x.danaSaham}</b>{" "}
+        goes into stocks, spread over {x.hari} trading days ≈ <b>{x.perHari}</b>
+        /day = <b>{x.partisipasi}</b> of IDX daily turnover ({x.volume},
+        Economic Data panel). Bonds, deposits & gold do not push the JCI; mutual
+        funds count as half (balanced funds).
+      </>
+    ),
+    "dampak.hasilModel": (x) => (
+      <>
+        Daily JCI push: <b>{x.tengah}</b> (band {x.rendah}–{x.tinggi}) •
+        cumulative over {x.hari} days ≈ <b>{x.kumulatif}</b>
+      </>
+    ),
+    "dampak.kurangAndal": (batas) =>
+      `⚠️ Money per day exceeds ${batas} of IDX daily turnover → outside the range this model has been tested on. Treat the figure as a rough upper bound, or spread the money over more days.`,
+    "dampak.rumus.akar": (rendah, tengah, tinggi) =>
+      `Formula: daily push = Y × daily volatility × √(equity money per day ÷ daily turnover), Y = ${tengah} (band ${rendah}–${tinggi}); cumulative = daily × √days. 4× the money → about 2× the push.`,
+    "dampak.rumus.linear": (rendah, tengah, tinggi) =>
+      `Legacy formula: daily push = ${tengah} × (equity money per day ÷ daily turnover), coefficient band ${rendah}–${tinggi}; cumulative = daily × days. 10× the money → 10× the push, so large inputs give implausible numbers.`,
+    "txt.modelDampak": (model, hari) =>
+      `Impact model: ${model}, equity share flowing in over ${hari} trading days`,
+    "infl.k": (
+      <>
+        🎚️ <b>Sensitivity coefficient k</b>
+      </>
+    ),
+    "infl.kAria": "Sensitivity coefficient k",
+    "infl.kKet": (
+      <>
+        💡An educational assumption (default 0.05). The larger k, the more
+        strongly prices react — to both demand pressure and added capacity.
+      </>
+    ),
+    "infl.grafikJudul": "📈 Yearly inflation path vs without the investment",
+    "infl.tahunKe": (t) => (t ? `Year ${t}` : "Start"),
+    "infl.rumusJudul":
+      "💡 SIMULATED INFLATION FORMULA (same model as the numbers above)",
+    "infl.persamaan": (komponen) =>
+      `Inflation in year t = baseline inflation ${komponen}`,
+    "infl.parameter": (x) =>
+      `With k = ${x.k}, ICOR = ${x.icor}, productive share = ${x.porsi}, GDP = Rp ${x.pdb} trillion (held constant). Funds each year = lump sum (year 1) + monthly contributions of all investors.`,
+  },
+};
+
 /* ============ App ============ */
+
 export default function App() {
+  /* -------- Bahasa (ID/EN) → dibagikan ke komponen lewat BahasaKonteks -------- */
+  const [bahasa, setBahasa] = useState(() => bacaLokal(KEY_BAHASA, "id"));
+  const bhs = PAKET_BAHASA[bahasa] || PAKET_BAHASA.id;
+  const {
+    lokal,
+    tr,
+    lok,
+    fmtRp,
+    fmtAngka,
+    pct,
+    pctTanda,
+    fmtGeser,
+    fmtMataUang,
+    niceYears,
+    fmtAsOf,
+    fmtWaktu,
+  } = bhs;
+  function gantiBahasa(b) {
+    setBahasa(b);
+    tulisLokal(KEY_BAHASA, b);
+  }
+
   const [showInfo, setShowInfo] = useState(false); // <-- Tambah ini di DALAM App()
 
   /* -------- NAV -------- */
@@ -313,351 +5701,1165 @@ export default function App() {
   const [nama, setNama] = useState("");
   const [usia, setUsia] = useState("");
   const [pekerjaan, setPekerjaan] = useState("");
+  const [jawabanRisiko, setJawabanRisiko] = useState({}); // { horizon: 1–4, ... }
+  const profil = useMemo(
+    () => profilRisiko(jawabanRisiko, bhs),
+    [jawabanRisiko, bhs]
+  );
 
   const pesanUsia = useMemo(() => {
     const u = Number(usia || 0);
     if (!u) return "";
-    if (u < 18) return "🚀 Start paling awal—biasakan nabung & belajar dasar.";
-    if (u < 25)
-      return "🌱 Waktu ada di pihakmu Investor Muda! Mulai dengan DCA kecil & kuncinya adalah konsisten.";
-    if (u < 35)
-      return "⚖️ Gabungkan pertumbuhan & stabilitas. Asah Pengalamanmu!";
-    if (u < 50)
-      return "🏡 Seimbangkan growth & proteksi keluarga! dan Review secara berkala.";
-    if (u < 60)
-      return "🛡️ Prioritaskan kelestarian modal! Naikkan porsi stabil.";
-    return "🌳 Pengalamanmu adalah kekuatan! fokus pada strategi dan kenyamanan.";
-  }, [usia]);
-
-  /* -------- Data makro (Sept 2025) -------- */
-  const macro = {
-    IHSG: 7789.94,
-    hargaDolar: 16791.15,
-    inflasiTahunan: 2.92, // %
-    biRate: 4.75, // %
-    hargaEmas: 3293000, // Rp/gram (Januari 2026)
-    trxHarianBEI: 45_502_425_930_931, // Rp
-    sumber: [
-      "BI (BI-Rate & inflasi)",
-      "OJK/IDX (IHSG & statistik investor)",
-      "BPS (indikator makro)",
-    ],
-  };
+    if (u < 18) return tr("usia.remaja");
+    if (u < 25) return tr("usia.muda");
+    if (u < 35) return tr("usia.dewasa");
+    if (u < 50) return tr("usia.keluarga");
+    if (u < 60) return tr("usia.matang");
+    return tr("usia.senior");
+  }, [usia, tr]);
+
+  /* -------- Dataset & data makro (bisa diubah/diimpor di panel Data Ekonomi) -------- */
+  const [dataset, setDataset] = useState(muatDataset);
+  const macro = useMemo(
+    () => ({ ...dataset.macro, asOf: dataset.asOf }),
+    [dataset]
+  );
+  const [showMacroPanel, setShowMacroPanel] = useState(false);
+  function simpanDataset(baru) {
+    // dataset baru membawa default PDB & jumlah investor sendiri
+    if (baru.pdb !== dataset.pdb) setPdb(baru.pdb);
+    if (baru.investorsDefault !== dataset.investorsDefault)
+      setInvestorsStr(String(baru.investorsDefault));
+    setDataset(baru);
+    try {
+      if (baru === DATASET_DEFAULT) localStorage.removeItem(KEY_DATASET);
+      else localStorage.setItem(KEY_DATASET, JSON.stringify(baru));
+    } catch {
+      // localStorage bisa diblokir (mode privat) → tetap jalan tanpa simpan
+    }
+  }
+  const [sensitivitasAsal, setSensitivitasAsal] = useState(() =>
+    muatSensitivitasAsal(dataset)
+  );
+  // dataset utuh baru (impor / kembali ke bawaan) → sensitivitasnya jadi patokan reset
+  function gantiDataset(baru) {
+    simpanDataset(baru);
+    setSensitivitasAsal(baru.sensitivitas);
+    tulisLokal(KEY_SENS_ASAL, null);
+  }
+  function simpanSensitivitas(sensitivitas) {
+    simpanDataset({ ...dataset, sensitivitas });
+    tulisLokal(
+      KEY_SENS_ASAL,
+      sensitivitas === sensitivitasAsal ? null : sensitivitasAsal
+    );
+  }
 
   /* -------- Instrumen -------- */
-  const infoJenis = {
-    saham: {
-      icon: "📈",
-      title: "Saham",
-      risk: "Tinggi",
-      definisi:
-        "Bukti kepemilikan perusahaan. Keuntungan dari kenaikan harga (capital gain) dan dividen (jika dibagikan).",
-      bagaimana:
-        "Beli di harga P₀, jual di Pₜ → selisihnya jadi cuan/rugi. Harga dipengaruhi kinerja emiten, suku bunga, sentimen global, dan kurs.",
-      pengaruh: [
-        "BI Rate turun → discount rate turun → valuasi relatif naik",
-        "Inflasi stabil → daya beli & laba emiten lebih terjaga",
-        "Sentimen global & aliran dana asing",
-      ],
-      plus: [
-        "Potensi return jangka panjang tertinggi",
-        "Likuiditas tinggi (emiten besar/blue chip)",
-      ],
-      minus: [
-        "Volatilitas tinggi (naik-turun tajam)",
-        "Butuh disiplin & literasi",
-      ],
-      tips: "Mulai dari indeks/blue chip; hindari FOMO; pakai DCA.",
-      contoh:
-        "Indeks Harga Saham Gabungan (IHSG) melemah ke 7839,75 poin, turun sekitar 5%/hari dibanding penutupan sebelumnya.",
-    },
-    obligasi: {
-      icon: "💵",
-      title: "Obligasi",
-      risk: "Menengah",
-      definisi:
-        "Surat utang pemerintah/perusahaan. Investor menerima kupon berkala hingga jatuh tempo; harga bisa naik-turun.",
-      bagaimana:
-        "Nilai wajar sangat dipengaruhi suku bunga. Saat bunga turun, harga obligasi cenderung naik.",
-      pengaruh: [
-        "BI Rate turun → kupon relatif menarik → harga naik",
-        "Inflasi terlalu tinggi → bunga naik → harga turun",
-      ],
-      plus: ["Arus kas stabil", "Risiko moderat (terutama SBN)"],
-      minus: ["Harga sensitif terhadap kenaikan suku bunga"],
-      tips: "SBN ritel (ORI/SBR) cocok pemula, pahami tenor & kupon.",
-      contoh:
-        "Yield obligasi pemerintah tenor 10 tahun Indonesia sekitar 7,85% per tahun.",
-    },
-    deposito: {
-      icon: "🏦",
-      title: "Deposito",
-      risk: "Rendah",
-      definisi:
-        "Tabungan berjangka dengan bunga tetap; cair saat jatuh tempo. Dijamin LPS (hingga batas tertentu).",
-      bagaimana:
-        "Cocok untuk dana darurat. Return biasanya di bawah aset berisiko.",
-      pengaruh: [
-        "BI Rate naik → bunga deposito naik",
-        "Inflasi tinggi → return riil bisa tergerus",
-      ],
-      plus: ["Sangat aman", "Mudah dipahami"],
-      minus: ["Return kecil; sering kalah inflasi"],
-      tips: "Bandingkan bunga antar bank; perhatikan penalti pencairan.",
-      contoh:
-        "Suku bunga deposito berjangka di Indonesia berkisar 2,25% – 4,75% per tahun, tergantung bank, tenor, dan jumlah setoran.",
-    },
-    emas: {
-      icon: "🥇",
-      title: "Emas",
-      risk: "Menengah",
-      definisi:
-        "Aset lindung nilai (safe haven). Harga terpengaruh emas dunia & kurs rupiah.",
-      bagaimana:
-        "Tidak memberi arus kas; lebih ke penyimpan nilai dan diversifikasi.",
-
-      pengaruh: [
-        "Inflasi & ketidakpastian naik → emas menarik",
-        "Penguatan rupiah → harga emas rupiah bisa turun",
-      ],
-      plus: ["Tahan inflasi & krisis", "Diversifikasi portofolio"],
-      minus: ["Bisa sideways lama; spread beli-jual"],
-      tips: "Porsi 10–20% portofolio; beli berkala; simpan bersertifikat.",
-      contoh:
-        "Informasi harga emas hari ini (per gram) di Indonesia: Rp 3.293.000/gram (Emas batangan Logam Mulia – Antam)",
-    },
-    reksadana: {
-      icon: "📊",
-      title: "Reksadana",
-      risk: "Tinggi",
-      definisi:
-        "Wadah kolektif yang dikelola Manajer Investasi; aset bisa saham/obligasi/pasar uang. Diversifikasi otomatis.",
-      bagaimana:
-        "Cocok pemula; pahami prospektus dan jenis RD (pasar uang, pendapatan tetap, campuran, saham).",
-      pengaruh: [
-        "Dipengaruhi aset dasar (saham/obligasi) & biaya",
-        "Kondisi pasar & performa Manajer Investasi",
-      ],
-      plus: ["Praktis untuk pemula", "Minimum kecil, auto-diversifikasi"],
-      minus: ["Ada biaya; tergantung kinerja MI"],
-      tips: "Pilih indeks/biaya rendah untuk jangka panjang.",
-      contoh:
-        "Nilai Aktiva Bersih (NAB) rata-rata reksa dana pasar uang di Indonesia per 28 Januari 2026 tercatat sekitar Rp 1.000 – 3.000+ per unit (tergantung produk dan manajer investasi).",
-    },
-  };
+  const infoJenis = useMemo(() => {
+    const info = {
+      saham: {
+        icon: "📈",
+        title: "Saham",
+        risk: "Tinggi",
+        definisi:
+          "Bukti kepemilikan perusahaan. Keuntungan dari kenaikan harga (capital gain) dan dividen (jika dibagikan).",
+        bagaimana:
+          "Beli di harga P₀, jual di Pₜ → selisihnya jadi cuan/rugi. Harga dipengaruhi kinerja emiten, suku bunga, sentimen global, dan kurs.",
+        pengaruh: [
+          "BI Rate turun → discount rate turun → valuasi relatif naik",
+          "Inflasi stabil → daya beli & laba emiten lebih terjaga",
+          "Sentimen global & aliran dana asing",
+        ],
+        plus: [
+          "Potensi return jangka panjang tertinggi",
+          "Likuiditas tinggi (emiten besar/blue chip)",
+        ],
+        minus: [
+          "Volatilitas tinggi (naik-turun tajam)",
+          "Butuh disiplin & literasi",
+        ],
+        tips: "Mulai dari indeks/blue chip; hindari FOMO; pakai DCA.",
+        contoh:
+          "Indeks Harga Saham Gabungan (IHSG) melemah ke 7839,75 poin, turun sekitar 5%/hari dibanding penutupan sebelumnya.",
+        en: {
+          title: "Stocks",
+          definisi:
+            "Proof of ownership in a company. Profit comes from price rises (capital gain) and dividends (if paid).",
+          bagaimana:
+            "Buy at price P₀, sell at Pₜ → the difference is your gain/loss. Prices move with company results, interest rates, global sentiment and the exchange rate.",
+          pengaruh: [
+            "BI Rate down → discount rate down → valuations tend to rise",
+            "Stable inflation → purchasing power & company profits hold up",
+            "Global sentiment & foreign fund flows",
+          ],
+          plus: [
+            "Highest long-term return potential",
+            "Highly liquid (large/blue-chip issuers)",
+          ],
+          minus: [
+            "High volatility (sharp swings)",
+            "Needs discipline & literacy",
+          ],
+          tips: "Start with index/blue-chip stocks; avoid FOMO; use DCA.",
+          contoh:
+            "The Jakarta Composite Index (JCI/IHSG) weakened to 7,839.75 points, down about 5% in a day versus the previous close.",
+        },
+      },
+      obligasi: {
+        icon: "💵",
+        title: "Obligasi",
+        risk: "Menengah",
+        definisi:
+          "Surat utang pemerintah/perusahaan. Investor menerima kupon berkala hingga jatuh tempo; harga bisa naik-turun.",
+        bagaimana:
+          "Nilai wajar sangat dipengaruhi suku bunga. Saat bunga turun, harga obligasi cenderung naik.",
+        pengaruh: [
+          "BI Rate turun → kupon relatif menarik → harga naik",
+          "Inflasi terlalu tinggi → bunga naik → harga turun",
+        ],
+        plus: ["Arus kas stabil", "Risiko moderat (terutama SBN)"],
+        minus: ["Harga sensitif terhadap kenaikan suku bunga"],
+        tips: "SBN ritel (ORI/SBR) cocok pemula, pahami tenor & kupon.",
+        contoh:
+          "Yield obligasi pemerintah tenor 10 tahun Indonesia sekitar 7,85% per tahun.",
+        en: {
+          title: "Bonds",
+          definisi:
+            "Government/corporate debt. Investors receive regular coupons until maturity; the price can rise and fall.",
+          bagaimana:
+            "Fair value depends heavily on interest rates. When rates fall, bond prices tend to rise.",
+          pengaruh: [
+            "BI Rate down → coupons relatively attractive → prices rise",
+            "Inflation too high → rates rise → prices fall",
+          ],
+          plus: [
+            "Steady cash flow",
+            "Moderate risk (especially government bonds)",
+          ],
+          minus: ["Prices are sensitive to rising interest rates"],
+          tips: "Retail government bonds (ORI/SBR) suit beginners; understand tenor & coupon.",
+          contoh:
+            "Indonesia's 10-year government bond yields about 7.85% per year.",
+        },
+      },
+      deposito: {
+        icon: "🏦",
+        title: "Deposito",
+        risk: "Rendah",
+        definisi:
+          "Tabungan berjangka dengan bunga tetap; cair saat jatuh tempo. Dijamin LPS (hingga batas tertentu).",
+        bagaimana:
+          "Cocok untuk dana darurat. Return biasanya di bawah aset berisiko.",
+        pengaruh: [
+          "BI Rate naik → bunga deposito naik",
+          "Inflasi tinggi → return riil bisa tergerus",
+        ],
+        plus: ["Sangat aman", "Mudah dipahami"],
+        minus: ["Return kecil; sering kalah inflasi"],
+        tips: "Bandingkan bunga antar bank; perhatikan penalti pencairan.",
+        contoh:
+          "Suku bunga deposito berjangka di Indonesia berkisar 2,25% – 4,75% per tahun, tergantung bank, tenor, dan jumlah setoran.",
+        en: {
+          title: "Time deposit",
+          definisi:
+            "A fixed-term savings account with a fixed rate; paid out at maturity. Guaranteed by the LPS (up to a limit).",
+          bagaimana:
+            "Good for an emergency fund. Returns are usually below risky assets.",
+          pengaruh: [
+            "BI Rate up → deposit rates up",
+            "High inflation → real returns can be eroded",
+          ],
+          plus: ["Very safe", "Easy to understand"],
+          minus: ["Small returns; often lose to inflation"],
+          tips: "Compare rates across banks; watch for early-withdrawal penalties.",
+          contoh:
+            "Time-deposit rates in Indonesia range from 2.25% to 4.75% per year, depending on the bank, tenor and amount.",
+        },
+      },
+      emas: {
+        icon: "🥇",
+        title: "Emas",
+        risk: "Menengah",
+        definisi:
+          "Aset lindung nilai (safe haven). Harga terpengaruh emas dunia & kurs rupiah.",
+        bagaimana:
+          "Tidak memberi arus kas; lebih ke penyimpan nilai dan diversifikasi.",
+
+        pengaruh: [
+          "Inflasi & ketidakpastian naik → emas menarik",
+          "Penguatan rupiah → harga emas rupiah bisa turun",
+        ],
+        plus: ["Tahan inflasi & krisis", "Diversifikasi portofolio"],
+        minus: ["Bisa sideways lama; spread beli-jual"],
+        tips: "Porsi 10–20% portofolio; beli berkala; simpan bersertifikat.",
+        contoh: `Informasi harga emas (per gram) di Indonesia per ${fmtAsOf(
+          macro.asOf
+        )}: ${fmtRp(macro.hargaEmas)}/gram (Emas batangan Logam Mulia – Antam)`,
+        en: {
+          title: "Gold",
+          definisi:
+            "A safe-haven asset. The price follows world gold and the rupiah exchange rate.",
+          bagaimana:
+            "Pays no cash flow; it's more a store of value and a diversifier.",
+          pengaruh: [
+            "Rising inflation & uncertainty → gold becomes attractive",
+            "A stronger rupiah → the rupiah gold price can fall",
+          ],
+          plus: [
+            "Holds up against inflation & crises",
+            "Diversifies a portfolio",
+          ],
+          minus: ["Can move sideways for a long time; buy-sell spread"],
+          tips: "10–20% of a portfolio; buy regularly; keep certified bars.",
+          contoh: `Gold price (per gram) in Indonesia as of ${fmtAsOf(
+            macro.asOf
+          )}: ${fmtRp(macro.hargaEmas)}/gram (Logam Mulia – Antam gold bars)`,
+        },
+      },
+      reksadana: {
+        icon: "📊",
+        title: "Reksadana",
+        risk: "Tinggi",
+        definisi:
+          "Wadah kolektif yang dikelola Manajer Investasi; aset bisa saham/obligasi/pasar uang. Diversifikasi otomatis.",
+        bagaimana:
+          "Cocok pemula; pahami prospektus dan jenis RD (pasar uang, pendapatan tetap, campuran, saham).",
+        pengaruh: [
+          "Dipengaruhi aset dasar (saham/obligasi) & biaya",
+          "Kondisi pasar & performa Manajer Investasi",
+        ],
+        plus: ["Praktis untuk pemula", "Minimum kecil, auto-diversifikasi"],
+        minus: ["Ada biaya; tergantung kinerja MI"],
+        tips: "Pilih indeks/biaya rendah untuk jangka panjang.",
+        contoh:
+          "Nilai Aktiva Bersih (NAB) rata-rata reksa dana pasar uang di Indonesia per 28 Januari 2026 tercatat sekitar Rp 1.000 – 3.000+ per unit (tergantung produk dan manajer investasi).",
+        en: {
+          title: "Mutual fund",
+          definisi:
+            "A pooled fund run by an Investment Manager; it can hold stocks/bonds/money market. Automatic diversification.",
+          bagaimana:
+            "Good for beginners; read the prospectus and know the fund type (money market, fixed income, balanced, equity).",
+          pengaruh: [
+            "Driven by the underlying assets (stocks/bonds) & fees",
+            "Market conditions & the Investment Manager's performance",
+          ],
+          plus: ["Convenient for beginners", "Small minimum, auto-diversified"],
+          minus: ["Has fees; depends on the manager's performance"],
+          tips: "Pick index/low-fee funds for the long term.",
+          contoh:
+            "The average Net Asset Value (NAV) of Indonesian money-market funds as of 28 January 2026 was about Rp 1,000 – 3,000+ per unit (depending on the product and manager).",
+        },
+      },
+    };
+    // kartu instrumen di bahasa aktif (risk tetap kunci Rendah/Menengah/Tinggi)
+    JENIS.forEach((j) => (info[j] = lok(info[j])));
+    return info;
+  }, [macro, fmtAsOf, fmtRp, lok]);
 
   /* -------- Input utama -------- */
   const [investment, setInvestment] = useState("");
+  // "tunggal" = satu instrumen; "campuran" = modal dibagi ke beberapa instrumen (%)
+  const [modeAlokasi, setModeAlokasi] = useState("tunggal");
+  const [alokasi, setAlokasi] = useState({
+    saham: "",
+    obligasi: "",
+    deposito: "",
+    emas: "",
+    reksadana: "",
+  });
+  const totalAlokasi = Object.values(alokasi).reduce(
+    (s, v) => s + Number(v || 0),
+    0
+  );
+  // bobot instrumen (0–1) yang benar-benar dipakai di perhitungan
+  const bobot = useMemo(() => {
+    if (modeAlokasi === "tunggal") return investment ? { [investment]: 1 } : {};
+    const b = {};
+    Object.keys(alokasi).forEach((type) => {
+      const w = Number(alokasi[type] || 0);
+      if (w > 0) b[type] = w / 100;
+    });
+    return b;
+  }, [modeAlokasi, investment, alokasi]);
+  const instrumenSiap =
+    modeAlokasi === "campuran" ? totalAlokasi === 100 : !!investment;
+  const labelInstrumen =
+    modeAlokasi === "campuran"
+      ? tr(
+          "umum.portoCampuran",
+          Object.entries(bobot)
+            .map(
+              ([type, w]) => `${infoJenis[type].title} ${Math.round(w * 100)}%`
+            )
+            .join(", ")
+        )
+      : investment
+      ? infoJenis[investment].title
+      : "-";
   const [modalStr, setModalStr] = useState(""); // pakai string biar sanitizer mulus
   const [monthsStr, setMonthsStr] = useState("");
-  const [investorsStr, setInvestorsStr] = useState("18000000"); // default 18 juta SID (OJK/IDX 2025)
+  const [setoranStr, setSetoranStr] = useState(""); // setoran rutin per bulan (DCA)
+  const [pakaiBiaya, setPakaiBiaya] = useState(true); // hitung pajak, biaya & spread
+
+  const [investorsStr, setInvestorsStr] = useState(() =>
+    String(dataset.investorsDefault)
+  ); // default dari dataset (18 juta SID, OJK/IDX 2025)
 
   const modal = Number(onlyDigits(modalStr) || 0);
   const months = Number(onlyDigits(monthsStr) || 0);
+  const setoran = Number(onlyDigits(setoranStr) || 0);
+  const totalSetor = modal + setoran * months; // modal awal + semua setoran
   const investors = Number(onlyDigits(investorsStr) || 0);
   const gramEmas = modal / macro.hargaEmas;
   const rateDolar = modal / macro.hargaDolar;
 
-  /* -------- Base rates (per bulan, edukatif realistis) -------- */
-  const base = {
-    saham: { opt: 0.015, mod: 0.008, pes: -0.01 },
-    obligasi: { opt: 0.007, mod: 0.004, pes: -0.003 },
-    deposito: { opt: 0.004, mod: 0.003, pes: 0.002 },
-    emas: { opt: 0.006, mod: 0.004, pes: 0.0002 },
-    reksadana: { opt: 0.012, mod: 0.006, pes: -0.007 },
-  };
+  /* -------- Base rates (per bulan, edukatif realistis) → dari dataset -------- */
+  const base = dataset.base;
 
   /* -------- What-If (HARUS di bawah hasil) -------- */
-  const [adj, setAdj] = useState({
-    inflasiUp: false,
-    biDown: false,
-    ihsgUp: false,
-  });
-
-  function adjustedRatesFor(type) {
-    const b = base[type];
-    if (!b) return null;
-    let d = 0;
-    if (adj.inflasiUp) {
-      if (type === "saham") d -= 0.002;
-      if (type === "obligasi") d -= 0.001;
-      if (type === "deposito") d += 0.0005;
-      if (type === "emas") d += 0.001;
-      if (type === "reksadana") d -= 0.001;
-    }
-    if (adj.biDown) {
-      if (type === "saham") d += 0.0015;
-      if (type === "obligasi") d += 0.001;
-      if (type === "deposito") d -= 0.0004;
-      if (type === "emas") d += 0.0002;
-      if (type === "reksadana") d += 0.001;
-    }
-    if (adj.ihsgUp) {
-      if (type === "saham") d += 0.002;
-      if (type === "reksadana") d += 0.0015;
-      if (type === "emas") d -= 0.0005;
-    }
-    return {
-      opt: b.opt + d,
-      mod: b.mod + d,
-      pes: b.pes + d * 0.5, // pesimis tidak naik sebanyak optimis
-    };
-  }
+  const [adj, setAdj] = useState(WHATIF_NOL);
+  const adjAktif = WHATIF.some((w) => adj[w.key] !== 0);
 
   /* -------- Hitung hasil -------- */
-  const [result, setResult] = useState(null);
-  const [impact, setImpact] = useState(null);
-
-  function calcAll() {
-    const r = adjustedRatesFor(investment);
-    if (!r || !modal || !months) return;
-
-    const grow = (rate) => modal * Math.pow(1 + rate, months);
-    const optV = grow(r.opt);
-    const modV = grow(r.mod);
-    const pesV = grow(r.pes);
-
-    const monthlyModeratePct = (Math.pow(modV / modal, 1 / months) - 1) * 100;
-    const annualModerate = (Math.pow(1 + r.mod, 12) - 1) * 100;
-
-    setResult({
-      optV,
-      modV,
-      pesV,
-      monthlyModeratePct,
-      annualModerate,
-    });
+  // Diturunkan langsung dari input di Langkah 5: geser What-If, ubah dataset
+  // (makro, base rate, sensitivitas) atau buka simulasi → hasil ikut berubah.
+  // Logika hitung ada di mesin.mjs (sama persis dengan CLI simulasi-batch).
+  const siapHitung = instrumenSiap && (modal > 0 || setoran > 0) && months > 0;
+  const result = useMemo(
+    () =>
+      step === 5 && siapHitung
+        ? {
+            ...hitungProyeksi({
+              bobot,
+              modal,
+              setoran,
+              months,
+              pakaiBiaya,
+              adj,
+              dataset,
+            }),
+            risk: riskCampuran(bobot, infoJenis),
+          }
+        : null,
+    [
+      step,
+      siapHitung,
+      bobot,
+      modal,
+      setoran,
+      months,
+      pakaiBiaya,
+      adj,
+      dataset,
+      infoJenis,
+    ]
+  );
 
-    // Dampak nasional — lebih realistis (bukan cap kaku 10%)
-    const totalDana = investors * modal;
-    // Rasionalisasi: misal “elastisitas likuiditas terhadap pergerakan harian” ~ 8% * (rasio total dana / transaksi harian)
-    // menghasilkan persentase harian indikatif (bukan jaminan pergerakan literal indeks).
-    const impactPct = 8 * (totalDana / macro.trxHarianBEI); // hasil dalam 0,0%
-    setImpact({
-      totalDana,
-      impactPct, // bisa > 20% jika input ekstrem; akan dijelaskan sebagai ilustrasi, bukan prediksi literal
-    });
-  }
+  // Dampak nasional: model dampak pasar bisa dipilih → dihitung ulang langsung
+  const [paramDampak, setParamDampak] = useState(PARAM_DAMPAK_DEFAULT);
+  const impact = useMemo(
+    () =>
+      result &&
+      dampakNasional({
+        investors,
+        modal: result.modal,
+        setoran: result.setoran,
+        months: result.months,
+        bobot: Object.fromEntries(result.kontribusi.map((k) => [k.type, k.w])),
+        macro,
+        param: paramDampak,
+      }),
+    [result, investors, macro, paramDampak]
+  );
+
+  // Bandingkan: tiap instrumen di `base` dengan modal, durasi & What-If yang sama
+  const bandingan = useMemo(() => {
+    if (!result) return null;
+    const { modal, setoran, months, inflasi } = result;
+    return Object.keys(base)
+      .filter((type) => infoJenis[type])
+      .map((type) => {
+        const r = lajuDisesuaikan(dataset, type, adj);
+        const biaya = result.pakaiBiaya ? BIAYA_INSTRUMEN[type] : TANPA_BIAYA;
+        const grow = (rate) => proyeksiNet(modal, setoran, rate, months, biaya);
+        const modV = grow(r.mod);
+        const annual =
+          (Math.pow(1 + lajuSetara(modal, setoran, modV, months), 12) - 1) *
+          100;
+        return {
+          type,
+          optV: grow(r.opt),
+          modV,
+          pesV: grow(r.pes),
+          annual,
+          riil: ((1 + annual / 100) / (1 + inflasi / 100) - 1) * 100,
+          seri: seriSaldo(modal, setoran, r.mod, months, biaya),
+        };
+      });
+  }, [result, base, infoJenis, dataset, adj]);
+
+  /* -------- Monte Carlo -------- */
+  const [modeProyeksi, setModeProyeksi] = useState("skenario"); // "skenario" | "montecarlo" | "backtest" | "tujuan" | "banding"
+
+  const [jumlahJalur, setJumlahJalur] = useState(5000);
+  const [mc, setMc] = useState(null);
+  useEffect(() => {
+    if (modeProyeksi !== "montecarlo" || !result) return;
+    setMc({ status: "jalan" });
+    return jalankanMonteCarlo(
+      {
+        seed: MC_SEED,
+        paths: jumlahJalur,
+        modal: result.modal,
+        setoran: result.setoran,
+        months: result.months,
+        totalSetor: result.totalSetor,
+        targetInflasi: result.targetInflasi,
+        instrumen: result.kontribusi.map((k) => ({
+          w: k.w,
+          mean: k.r.mod, // rata-rata = laju moderat (sudah kena What-If)
+          vol: RISIKO_MC[k.type].vol,
+          beta: RISIKO_MC[k.type].beta,
+          pajakReturn: k.biaya.pajakReturn,
+          feeTahunan: k.biaya.feeTahunan,
+          feeBeli: k.biaya.feeBeli,
+          feeJual: k.biaya.feeJual,
+        })),
+      },
+      (hasil) => setMc({ status: "selesai", ...hasil })
+    );
+  }, [modeProyeksi, jumlahJalur, result]);
+
+  /* -------- Rekomendasi personal -------- */
+  const peringkat = useMemo(
+    () =>
+      peringkatInstrumen({
+        usia,
+        months,
+        modal,
+        setoran,
+        pekerjaan,
+        profil,
+        infoJenis,
+        bhs,
+      }),
+    [usia, months, modal, setoran, pekerjaan, profil, infoJenis, bhs]
+  );
+  const tidakCocok = ketidakcocokan(peringkat, bobot);
+
+  /* -------- Perencana tujuan -------- */
+
+  const [tujuan, setTujuan] = useState(() => [tujuanBaru()]);
+  const [budgetTujuanStr, setBudgetTujuanStr] = useState("");
+  const rencana = useMemo(
+    () =>
+      rencanaTujuan(tujuan, Number(onlyDigits(budgetTujuanStr) || 0), {
+        base,
+        pakaiBiaya,
+        sekarang: new Date(),
+        bhs,
+      }),
+    [tujuan, budgetTujuanStr, base, pakaiBiaya, bhs]
+  );
+
+  /* -------- Backtest historis -------- */
+  const [mulaiBacktest, setMulaiBacktest] = useState("2015-01");
+
+  /* -------- Mata uang tampilan (Rp / USD / gram emas) -------- */
+  const [mataUang, setMataUang] = useState("IDR");
+  const [asumsiMataUang, setAsumsiMataUang] = useState(ASUMSI_MATA_UANG);
+  const hasilMataUang = useMemo(
+    () =>
+      result &&
+      konversiHasil(result, mataUang, {
+        macro,
+        asumsi: asumsiMataUang,
+        adjKurs: adj.kurs,
+      }),
+    [result, mataUang, macro, asumsiMataUang, adj.kurs]
+  );
+  const backtest = useMemo(
+    () =>
+      modeProyeksi === "backtest" && result
+        ? backtestHistoris(mulaiBacktest, result)
+        : null,
+    [modeProyeksi, mulaiBacktest, result]
+  );
 
   /* -------- Progress bar -------- */
+
   const progress = (step / 5) * 100;
 
   /* -------- Validasi ringan -------- */
   const [errors, setErrors] = useState({});
   useEffect(() => {
-    const e = {};
-    if (step >= 2 && (nama.trim().length < 2 || nama.trim().length > 30)) {
-      e.nama = "Nama 2–30 karakter.";
-    }
-    if (step >= 2 && usia && (Number(usia) < 10 || Number(usia) > 100)) {
-      e.usia = "Usia 10–100.";
-    }
-    if (step >= 3 && !investment) e.investment = "Pilih instrumen dulu.";
-    if (step >= 4) {
-      if (!modal) e.modal = "Modal harus angka > 0";
-      if (!months || months < 1 || months > 600)
-        e.months = "Durasi 1–600 bulan";
-      if (investorsStr && !investors) e.investors = "Investor harus angka > 0";
-    }
-    setErrors(e);
-  }, [step, nama, usia, investment, modal, months, investors, investorsStr]);
+    setErrors(
+      validasiLangkah({
+        step,
+        nama,
+        usia,
+        investment,
+        modeAlokasi,
+        totalAlokasi,
+        modal,
+        setoran,
+        months,
+        investors,
+        investorsStr,
+        bhs,
+      })
+    );
+  }, [
+    step,
+    nama,
+    usia,
+    investment,
+    modeAlokasi,
+    totalAlokasi,
+    modal,
+    setoran,
+    months,
+    investors,
+    investorsStr,
+    bhs,
+  ]);
 
   /* -------- Download TXT -------- */
+
   const aRef = useRef(null);
   function downloadTXT() {
     if (!result) return;
     const lines = [];
-    lines.push("RUPACAYA — Ringkasan Simulasi");
+    lines.push(tr("txt.judul"));
     lines.push("====================================");
-    lines.push(`Nama       : ${nama || "-"}`);
-    lines.push(`Usia       : ${usia || "-"} tahun`);
-    lines.push(`Pekerjaan  : ${pekerjaan || "-"}`);
-    lines.push(`Pesan Usia : ${pesanUsia || "-"}`);
-    lines.push("");
+    lines.push(`${tr("txt.nama")}: ${nama || "-"}`);
+    lines.push(`${tr("txt.usia")}: ${usia ? tr("txt.usiaTahun", usia) : "-"}`);
+    lines.push(`${tr("txt.pekerjaan")}: ${pekerjaan || "-"}`);
+    lines.push(`${tr("txt.pesanUsia")}: ${pesanUsia || "-"}`);
     lines.push(
-      `Instrumen  : ${investment ? infoJenis[investment].title : "-"}`
+      `${tr("txt.profil")}: ${
+        profil
+          ? `${profil.label} (${tr("txt.skor", profil.skor)})`
+          : tr("txt.belumDiisi")
+      }`
     );
-    lines.push(`Modal      : ${fmtRp(modal)}`);
-    lines.push(`Durasi     : ${niceYears(months)}`);
+    if (profil) {
+      lines.push(`  ${profil.penjelasan}`);
+      KUIS_RISIKO.map(lok).forEach((q) =>
+        lines.push(`  - ${q.tanya} ${q.opsi[jawabanRisiko[q.key] - 1]}`)
+      );
+    }
     lines.push("");
-    lines.push("Hasil 3 Skenario:");
-    lines.push(`  Optimis  : ${fmtRp(result.optV)}`);
-    lines.push(`  Moderat  : ${fmtRp(result.modV)}`);
-    lines.push(`  Pesimis  : ${fmtRp(result.pesV)}`);
+    lines.push(`${tr("txt.instrumen")}: ${labelInstrumen}`);
+    lines.push(`${tr("txt.risiko")}: ${tr(`risiko.${result.risk.label}`)}`);
+    lines.push(`${tr("txt.modal")}: ${fmtRp(modal)}`);
+    lines.push(`${tr("txt.setoran")}: ${tr("txt.perBulan", fmtRp(setoran))}`);
+    lines.push(`${tr("txt.durasi")}: ${niceYears(months)}`);
+    lines.push(`${tr("txt.totalSetor")}: ${fmtRp(result.totalSetor)}`);
+    lines.push("");
+    lines.push(tr("txt.hasil3"));
+    const skenarioTxt = [
+      ["optimis", result.optV, result.optReal, result.optGross],
+      ["moderat", result.modV, result.modReal, result.modGross],
+      ["pesimis", result.pesV, result.pesReal, result.pesGross],
+    ];
+    const labelSk = (sk) => tr(`sk.${sk}`).padEnd(11);
+    skenarioTxt.forEach(([sk, v]) =>
+      lines.push(
+        `  ${labelSk(sk)}: ${fmtRp(v)} | ${fmtRp(v - result.totalSetor)}`
+      )
+    );
     lines.push(
-      `  Moderat rata-rata/bulan: ${pct(
-        result.monthlyModeratePct
-      )} | Annualized: ${pct(result.annualModerate)} | Inflasi: ${pct(
-        macro.inflasiTahunan
-      )}`
+      `  ${tr("txt.rataModerat", {
+        bulanan: pct(result.monthlyModeratePct),
+        tahunan: pct(result.annualModerate),
+        inflasi: pct(result.inflasi),
+        riil: pct(result.annualReal),
+      })}`
+    );
+    lines.push(
+      `  ${tr("txt.patokan", fmtRp(result.targetInflasi))} → ${
+        result.modV > result.targetInflasi
+          ? tr("txt.menangInflasi")
+          : tr("txt.kalahInflasi")
+      }`
     );
     lines.push("");
+    lines.push(tr("txt.nilaiRiil"));
+    skenarioTxt.forEach(([sk, v, riil]) =>
+      lines.push(`  ${labelSk(sk)}: ${fmtRp(v)} → ${fmtRp(riil)}`)
+    );
+    lines.push("");
+    if (result.pakaiBiaya) {
+      lines.push(tr("txt.biaya"));
+      skenarioTxt.forEach(([sk, v, , gross]) =>
+        lines.push(`  ${labelSk(sk)}: ${fmtRp(gross)} → ${fmtRp(v)}`)
+      );
+      lines.push(`  ${tr("txt.feeDrag")}: ${fmtRp(result.feeDrag)}`);
+      lines.push(`  ${tr("txt.asumsi")}:`);
+      result.kontribusi.forEach((k) =>
+        lines.push(`  • ${infoJenis[k.type].title}: ${lok(k.biaya).catatan}`)
+      );
+    } else {
+      lines.push(tr("txt.tanpaBiaya"));
+    }
+
+    if (result.kontribusi.length > 1) {
+      lines.push("");
+      lines.push(tr("txt.kontribusi"));
+      result.kontribusi.forEach((k) =>
+        lines.push(
+          `  ${infoJenis[k.type].title} ${Math.round(k.w * 100)}%: ${tr(
+            "txt.kontribusiBaris",
+            {
+              setor: fmtRp(k.setor),
+              mod: fmtRp(k.modV),
+              opt: fmtRp(k.optV),
+              pes: fmtRp(k.pesV),
+            }
+          )}`
+        )
+      );
+    }
+    if (bandingan) {
+      lines.push("");
+      lines.push(tr("txt.banding"));
+      [...bandingan]
+        .sort((a, b) => b.modV - a.modV)
+        .forEach((b) =>
+          lines.push(
+            `  ${infoJenis[b.type].title.padEnd(12)}: ${tr("txt.bandingBaris", {
+              mod: fmtRp(b.modV),
+              opt: fmtRp(b.optV),
+              pes: fmtRp(b.pesV),
+              annual: pct(b.annual),
+              riil: pct(b.riil),
+              risiko: tr(`risiko.${infoJenis[b.type].risk}`),
+            })}`
+          )
+        );
+    }
+    if (backtest) {
+      lines.push("");
+      lines.push(
+        tr("txt.backtest", {
+          ...backtest,
+          mulai: fmtAsOf(backtest.mulai),
+          sampai: fmtAsOf(backtest.sampai),
+        })
+      );
+      lines.push(
+        `  ${tr("txt.nilaiAkhir")}: ${fmtRp(backtest.nilaiAkhir)} (${tr(
+          "txt.totalSetorKecil"
+        )} ${fmtRp(backtest.totalSetor)})`
+      );
+      lines.push(
+        `  ${tr(
+          "txt.returnTahunan",
+          pct(backtest.annualized),
+          pct(backtest.inflasiRealisasi)
+        )}`
+      );
+      lines.push(
+        `  ${tr("txt.turunTerdalam")}: ${
+          backtest.turunPct < 0 ? pct(backtest.turunPct) : pct(0, 0)
+        }${
+          backtest.turunPct < 0
+            ? ` | ${tr("txt.pulih")}: ${
+                backtest.lamaPulih === null
+                  ? tr("txt.belumPeriode")
+                  : tr("satuan.bulan", backtest.lamaPulih)
+              }`
+            : ""
+        }`
+      );
+      lines.push(`  ${tr("txt.sumberHistoris")}`);
+      HISTORIS.sumber
+        .map(lok)
+        .forEach((s) => lines.push(`  - ${s.nama}: ${s.data} (${s.url})`));
+      lines.push(`  ${tr("txt.catatanHistoris")}`);
+    }
+    if (modeProyeksi === "tujuan") {
+      lines.push("");
+      lines.push(tr("txt.tujuan"));
+      rencana.tujuan.forEach((t, i) => {
+        const label = lok(TUJUAN.find((g) => g.key === t.jenis)).label;
+        if (t.error) return lines.push(`  ${i + 1}. ${label}: ${t.error}`);
+        const k = t.kebutuhan[t.instrumen];
+        lines.push(
+          `  ${i + 1}. ${label} ${tr("txt.tujuanBaris", {
+            target: fmtRp(t.targetRp),
+            tanggal: fmtAsOf(t.tanggal),
+            months: t.months,
+            instrumen: infoJenis[t.instrumen].title,
+          })}: ${fmtRp(k.opt.setoran)} / ${fmtRp(k.mod.setoran)} / ${fmtRp(
+            k.pes.setoran
+          )}${
+            t.kurangPes > 0
+              ? ` — ${tr("txt.tujuanGagal", fmtRp(t.kurangPes))}`
+              : ""
+          }`
+        );
+      });
+      lines.push(
+        `  ${tr(
+          "txt.perBulan",
+          `${tr("txt.tujuanTotal")}: ${fmtRp(rencana.totalOpt)} / ${fmtRp(
+            rencana.totalMod
+          )} / ${fmtRp(rencana.totalPes)}`
+        )}${
+          Number(budgetTujuanStr)
+            ? ` | ${tr("tujuan.budgetStatus", fmtRp(Number(budgetTujuanStr)))}`
+            : ""
+        }`
+      );
+    }
+    if (modeProyeksi === "montecarlo" && mc?.status === "selesai") {
+      lines.push("");
+      lines.push(tr("txt.montecarlo", mc.paths.toLocaleString(lokal)));
+      lines.push(
+        `  P10: ${fmtRp(mc.p10)} | P50: ${fmtRp(mc.p50)} | P90: ${fmtRp(
+          mc.p90
+        )}`
+      );
+      lines.push(
+        `  ${tr(
+          "txt.peluang",
+          pct(mc.probRugi, 1),
+          pct(mc.probMenangInflasi, 1)
+        )}`
+      );
+    }
+    lines.push("");
     lines.push("What-If:");
+    const whatIf = WHATIF.map(lok);
     lines.push(
-      `  Inflasi +1%: ${adj.inflasiUp ? "ON" : "OFF"} | BI Rate −0,25%: ${
-        adj.biDown ? "ON" : "OFF"
-      } | IHSG +5%: ${adj.ihsgUp ? "ON" : "OFF"}`
+      "  " +
+        whatIf
+          .map((w) => `${w.label} ${fmtGeser(adj[w.key], w.satuan)}`)
+          .join(" | ")
+    );
+    lines.push(`  ${tr("txt.sensitivitas")}`);
+    whatIf.forEach((w) =>
+      lines.push(
+        `    ${w.label} +1 ${w.satuan}: ` +
+          JENIS.map(
+            (j) =>
+              `${infoJenis[j].title} ${(
+                dataset.sensitivitas[w.key][j] * 100
+              ).toLocaleString(lokal, { maximumFractionDigits: 3 })}`
+          ).join(", ")
+      )
+    );
+    lines.push("");
+    lines.push(tr("txt.krisis"));
+    KRISIS.forEach((k) => {
+      const r = replayKrisis(k, result);
+      lines.push(
+        `  ${lok(k).nama}: ${tr("txt.krisisBaris", {
+          turun: r.turunPct < 0 ? pct(r.turunPct) : pct(0, 0),
+          pulih:
+            r.turunPct >= 0
+              ? "-"
+              : r.lamaPulih === null
+              ? tr("txt.belumDurasi")
+              : tr("satuan.bulan", r.lamaPulih),
+          akhir: fmtRp(r.nilaiAkhir),
+        })}`
+      );
+    });
+    lines.push("");
+    lines.push(tr("txt.rekomendasi"));
+    peringkat.forEach((r, i) =>
+      lines.push(
+        `  ${i + 1}. ${infoJenis[r.type].title}${
+          bobot[r.type] > 0 ? ` (${tr("txt.pilihanmu")})` : ""
+        }${r.alasanPlus.length ? ` — ${r.alasanPlus.join("; ")}` : ""}${
+          r.alasanMinus.length
+            ? ` | ${tr("txt.perhatian")}: ${r.alasanMinus.join("; ")}`
+            : ""
+        }`
+      )
+    );
+    tidakCocok.forEach((r) =>
+      lines.push(
+        `  ⚠️ ${tr("txt.kurangCocok", infoJenis[r.type].title, r.posisi)}`
+      )
     );
     lines.push("");
-    lines.push("Dampak Nasional (ilustratif):");
+    lines.push(tr("txt.dampak"));
     lines.push(
-      `  Investor nasional: ${Number(investors).toLocaleString("id-ID")} orang`
+      `  ${tr("txt.investor", Number(investors).toLocaleString(lokal))}`
     );
-    lines.push(`  Total dana kolektif: ${fmtRp(impact?.totalDana || 0)}`);
     lines.push(
-      `  Estimasi dorongan IHSG (indikatif harian): ${pct(
-        impact?.impactPct || 0
+      `  ${tr(
+        "txt.danaPerOrang",
+        fmtRp(impact.danaPerOrang),
+        tr("dampak.dasarDana", { kali: impact.setoranMasuk, hari: impact.hari })
       )}`
     );
+    lines.push(`  ${tr("txt.danaKolektif")}: ${fmtRp(impact.totalDana)}`);
     lines.push(
-      "  Catatan: Ini ilustrasi likuiditas → bukan prediksi literal indeks."
+      `  ${tr("txt.dorongan")}: ${pct(impact.impactPct)} (${pct(
+        impact.rendahPct
+      )}–${pct(impact.tinggiPct)})`
     );
-    lines.push("");
-    lines.push("Strategi Praktis:");
     lines.push(
-      "  - Profit: ambil 20–30%, sisanya dibiarkan tumbuh; diversifikasi."
+      `  ${tr(
+        "txt.modelDampak",
+        lok(MODEL_DAMPAK[impact.model]).label,
+        impact.hari
+      )}`
     );
+    lines.push(`  ${tr("txt.catatanDampak")}`);
+    lines.push("");
+    lines.push(tr("txt.strategi"));
+    tr("txt.strategiIsi").forEach((s) => lines.push(`  - ${s}`));
+    lines.push("");
+    lines.push(tr("txt.dataEkonomi", fmtAsOf(macro.asOf)));
     lines.push(
-      "  - Rugi: evaluasi fundamental; DCA jika prospek jangka panjang baik."
+      `  IHSG ${macro.IHSG.toLocaleString(lokal)} | ${tr("txt.inflasi")} ${pct(
+        macro.inflasiTahunan
+      )} | BI Rate ${pct(macro.biRate)}`
     );
     lines.push(
-      "  - Selalu siapkan dana darurat; hindari utang konsumtif untuk investasi."
+      `  ${tr("txt.kurs")} ${fmtRp(macro.hargaDolar)}/USD | ${tr(
+        "txt.emas"
+      )} ${fmtRp(macro.hargaEmas)}/gram | ${tr("txt.trxBEI")} ${fmtRp(
+        macro.trxHarianBEI
+      )}`
+    );
+    lines.push("");
+    lines.push(tr("txt.sumber", dataset.versi, fmtAsOf(dataset.asOf)));
+    dataset.sumber.forEach((s) =>
+      lines.push(
+        `  • ${s.nama}${s.data ? ` (${s.data})` : ""}${
+          s.url ? ` — ${s.url}` : ""
+        }`
+      )
+    );
+    const blob = new Blob([lines.join("\n")], {
+      type: "text/plain;charset=utf-8",
+    });
+    const url = URL.createObjectURL(blob);
+    const a = aRef.current;
+    a.href = url;
+    a.download = tr("txt.namaFile");
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1500);
+  }
+
+  /* -------- Ekspor data (JSON + CSV) untuk dianalisis di spreadsheet -------- */
+  function dataEkspor() {
+    const bulat = (n) => Math.round(n);
+    return {
+      schema: SIMULASI_SCHEMA,
+      versi: SIMULASI_VERSI,
+      dibuat: new Date().toISOString(),
+      input: {
+        nama,
+        usia: usia ? Number(usia) : null,
+        pekerjaan,
+        modeAlokasi,
+        investment: modeAlokasi === "tunggal" ? investment : "",
+        alokasi:
+          modeAlokasi === "campuran"
+            ? Object.fromEntries(JENIS.map((j) => [j, Number(alokasi[j] || 0)]))
+            : null,
+        modal,
+        setoran,
+        months,
+        investors,
+        pakaiBiaya,
+        adj,
+      },
+      macro,
+      dataset: { versi: dataset.versi, asOf: dataset.asOf },
+      // laju per bulan yang benar-benar dipakai (base + What-If × sensitivitas)
+      laju: result.kontribusi.map((k) => ({
+        instrumen: k.type,
+        bobot: k.w,
+        opt: k.r.opt,
+        mod: k.r.mod,
+        pes: k.r.pes,
+        // catatan ikut bahasa aktif; blok terjemahan `en` tidak ikut diekspor
+        biaya: (({ en, ...b }) => b)(lok(k.biaya)),
+      })),
+      hasil: {
+        totalSetor: result.totalSetor,
+        optimis: bulat(result.optV),
+        moderat: bulat(result.modV),
+        pesimis: bulat(result.pesV),
+        optimisGross: bulat(result.optGross),
+        moderatGross: bulat(result.modGross),
+        pesimisGross: bulat(result.pesGross),
+        optimisRiil: bulat(result.optReal),
+        moderatRiil: bulat(result.modReal),
+        pesimisRiil: bulat(result.pesReal),
+        moderatPerBulanPct: result.monthlyModeratePct,
+        annualizedPct: result.annualModerate,
+        riilPerTahunPct: result.annualReal,
+        inflasiPct: result.inflasi,
+        patokanInflasi: bulat(result.targetInflasi),
+        risiko: result.risk.label,
+      },
+      dampak: {
+        nasional: {
+          investors,
+          danaPerOrang: impact.danaPerOrang,
+          setoranMasuk: impact.setoranMasuk,
+          totalDana: impact.totalDana,
+          model: impact.model,
+          hariSebar: impact.hari,
+          volHarianPct: impact.volHarian,
+          porsiSaham: impact.porsiSaham,
+          partisipasiVolumePct: impact.partisipasi * 100,
+          doronganIhsgPct: impact.impactPct,
+          doronganRendahPct: impact.rendahPct,
+          doronganTinggiPct: impact.tinggiPct,
+          doronganKumulatifPct: impact.kumulatifPct,
+        },
+        inflasi: {
+          pdbTriliun: pdb,
+          porsiProduktif,
+          k,
+          icor: dampakInfl.icor,
+          inflasiAwalPct: inflasiAwal,
+          tambahanPct: tambahanInflasi, // tahun ke-1
+          inflasiSimulasiPct: inflasiSimulasi,
+          tambahanAkhirPct: tambahanAkhir,
+          inflasiAkhirPct: inflasiAkhir,
+          jalur: dampakInfl.jalur.slice(1).map((j) => ({
+            tahun: j.tahun,
+            dana: bulat(j.dana),
+            ...Object.fromEntries(
+              KOMPONEN_INFLASI.map((x) => [`${x.key}Pct`, j[x.key]])
+            ),
+            inflasiPct: j.inflasi,
+          })),
+        },
+      },
+    };
+  }
+  const namaFileEkspor = () =>
+    `RUPACAYA_${(nama || "simulasi").replace(/[^\w-]+/g, "_")}`;
+
+  /* -------- Download PDF (dibuat di browser, tanpa internet) -------- */
+  function downloadPDF() {
+    if (!result) return;
+    const blok = [];
+    blok.push({ h: tr("pdf.profil") });
+    blok.push({
+      tabel: {
+        kolom: tr("pdf.kolomProfil"),
+        baris: [
+          [
+            nama || "-",
+            usia ? tr("txt.usiaTahun", usia) : "-",
+            pekerjaan || "-",
+            profil
+              ? `${profil.label} (${tr("txt.skor", profil.skor)})`
+              : tr("txt.belumDiisi"),
+          ],
+        ],
+      },
+    });
+    if (pesanUsia) blok.push({ p: pesanUsia, kecil: true });
+
+    blok.push({ h: tr("pdf.simulasi") });
+    blok.push({
+      p: tr("pdf.simulasiIsi", {
+        instrumen: labelInstrumen,
+        risiko: tr(`risiko.${result.risk.label}`),
+        modal: fmtRp(modal),
+        setoran: fmtRp(setoran),
+        durasi: niceYears(months),
+        total: fmtRp(result.totalSetor),
+        pakaiBiaya: result.pakaiBiaya,
+      }),
+    });
+    blok.push({
+      tabel: {
+        kolom: tr("pdf.kolomSkenario"),
+        baris: [
+          ["optimis", result.optV, result.optReal],
+          ["moderat", result.modV, result.modReal],
+          ["pesimis", result.pesV, result.pesReal],
+        ].map(([sk, v, riil]) => [
+          tr(`sk.${sk}`),
+          fmtRp(v),
+          fmtRp(v - result.totalSetor),
+          fmtRp(riil),
+        ]),
+      },
+    });
+    blok.push({
+      p: tr("pdf.moderatIsi", {
+        annual: pct(result.annualModerate),
+        inflasi: pct(result.inflasi),
+        riil: pct(result.annualReal),
+        menang: result.modV > result.targetInflasi,
+        patokan: fmtRp(result.targetInflasi),
+      }),
+    });
+    blok.push({
+      grafik: { seri: result.seri, garis: GARIS_SKENARIO.map(lok) },
+    });
+
+    blok.push({ h: "What-If" });
+    blok.push({
+      p: adjAktif
+        ? tr("pdf.whatIfGeser", fmtAsOf(macro.asOf))
+        : tr("pdf.whatIfNol", fmtAsOf(macro.asOf)),
+    });
+    blok.push({
+      tabel: {
+        kolom: [
+          ...tr("pdf.kolomWhatIf"),
+          ...JENIS.map((j) => infoJenis[j].title),
+        ],
+        lebar: [0.2, 0.15, 0.13, 0.13, 0.13, 0.13, 0.13],
+        baris: WHATIF.map(lok).map((w) => [
+          w.label,
+          fmtGeser(adj[w.key], w.satuan),
+          ...JENIS.map((j) =>
+            (dataset.sensitivitas[w.key][j] * 100).toLocaleString(lokal, {
+              maximumFractionDigits: 3,
+            })
+          ),
+        ]),
+      },
+    });
+    blok.push({
+      p: tr("pdf.whatIfKet"),
+      kecil: true,
+      warna: "#64748b",
+    });
+
+    blok.push({ h: tr("pdf.dampak") });
+    blok.push({
+      p: tr("pdf.dampakIsi", {
+        investor: Number(investors).toLocaleString(lokal),
+        dana: fmtRp(impact.totalDana),
+        perOrang: fmtRp(impact.danaPerOrang),
+        dasar: tr("dampak.dasarDana", {
+          kali: impact.setoranMasuk,
+          hari: impact.hari,
+        }),
+        dorongan: `${pct(impact.impactPct)} (${pct(impact.rendahPct)}–${pct(
+          impact.tinggiPct
+        )})`,
+        model: lok(MODEL_DAMPAK[impact.model]).label,
+        hari: impact.hari,
+      }),
+    });
+
+    blok.push({ h: tr("pdf.inflasi") });
+    blok.push({
+      tabel: {
+        kolom: tr(
+          "pdf.kolomInflasi",
+          KOMPONEN_INFLASI.map((x) => lok(x).label)
+        ),
+        // durasi panjang → maksimal ± 10 baris (tiap n tahun + tahun terakhir)
+        baris: dampakInfl.jalur
+          .slice(1)
+          .filter(
+            (j, i, arr) =>
+              i % Math.ceil(arr.length / 10) === 0 || i === arr.length - 1
+          )
+          .map((j) => [
+            tr("infl.tahunKe", j.tahun),
+            fmtRp(j.dana),
+            ...KOMPONEN_INFLASI.map((x) => pctTanda(j[x.key], 4)),
+            pct(j.inflasi, 4),
+          ]),
+      },
+    });
+    blok.push({
+      p: [
+        rumusInfl.persamaan,
+        ...rumusInfl.rincian.map((r) => `${r.label} = ${r.rumus}`),
+        rumusInfl.parameter,
+      ].join(" • "),
+      kecil: true,
+      warna: "#64748b",
+    });
+
+    blok.push({ h: tr("pdf.rekomendasi") });
+    blok.push({
+      tabel: {
+        kolom: tr("pdf.kolomRekomendasi"),
+        lebar: [0.06, 0.18, 0.4, 0.36],
+        baris: peringkat.map((r, i) => [
+          String(i + 1),
+          `${infoJenis[r.type].title}${
+            bobot[r.type] > 0 ? ` (${tr("txt.pilihanmu")})` : ""
+          }`,
+          r.alasanPlus.join("; ") || "-",
+          r.alasanMinus.join("; ") || "-",
+        ]),
+      },
+    });
+    tidakCocok.forEach((r) =>
+      blok.push({
+        p: `⚠ ${tr("txt.kurangCocok", infoJenis[r.type].title, r.posisi)}`,
+        warna: "#b91c1c",
+      })
     );
-    lines.push("");
-    lines.push("Sumber data (rujukan resmi):");
-    lines.push("  • Bank Indonesia (BI-Rate, Inflasi) — bi.go.id");
-    lines.push(
-      "  • OJK / IDX (IHSG, Statistik Investor) — ojk.go.id / idx.co.id"
+
+    blok.push({
+      h: tr("pdf.sumber", dataset.versi, fmtAsOf(dataset.asOf)),
+    });
+    dataset.sumber.forEach((s) =>
+      blok.push({
+        p: `• ${s.nama}${s.data ? ` (${s.data})` : ""}${
+          s.url ? ` — ${s.url}` : ""
+        }`,
+        kecil: true,
+      })
     );
-    lines.push("  • BPS (indikator makro) — bps.go.id");
-    const blob = new Blob([lines.join("\n")], {
-      type: "text/plain;charset=utf-8",
+    blok.push({
+      p: tr("pdf.disclaimer"),
+      kecil: true,
+      warna: "#64748b",
     });
-    const url = URL.createObjectURL(blob);
-    const a = aRef.current;
-    a.href = url;
-    a.download = "RUPACAYA_Ringkasan.txt";
-    a.click();
-    setTimeout(() => URL.revokeObjectURL(url), 1500);
+
+    const isi = buatPdf(blok, {
+      judul: tr("pdf.judul"),
+      subjudul: tr("pdf.dibuat", fmtWaktu(new Date().toISOString())),
+      kredit:
+        "RUPACAYA © 2025 • OPSI 2025 • RUPACAYA Team: Arfa, Hanif, Yudist, Krista, Eshan, Aiesha",
+      bhs,
+    });
+    unduhFile(tr("pdf.namaFile"), isi, "application/pdf");
   }
 
   /* -------- Grafik korelasi (points) -------- */
-  // Kita buat 10 titik dari 10% sampai 100% jumlah investor yg diinput user, y = estimasi % dorongan (pakai formula sama, tapi skala investor)
+  // Kita buat 10 titik dari 10% sampai 100% jumlah investor yg diinput user, y = estimasi % dorongan (model dampak yang sama, tapi skala investor)
   const corrPoints = useMemo(() => {
-    if (!modal || !investors) return [];
+    if (!(modal || setoran) || !months || !investors) return [];
     const n = 10;
     const pts = [];
     for (let i = 1; i <= n; i++) {
       const frac = i / n;
       const inv = investors * frac;
-      const totalDana = inv * modal;
-      const yPct = 8 * (totalDana / macro.trxHarianBEI); // % indikatif
-      pts.push({ x: inv, y: Math.max(0, yPct) });
+      const d = dampakNasional({
+        investors: inv,
+        modal,
+        setoran,
+        months,
+        bobot,
+        macro,
+        param: paramDampak,
+      }); // % indikatif + rentang keyakinan
+      pts.push({ x: inv, y: d.impactPct, lo: d.rendahPct, hi: d.tinggiPct });
     }
     return pts;
-  }, [modal, investors]);
+  }, [modal, setoran, months, investors, bobot, macro, paramDampak]);
 
-  const modalValue = Number(modal); // langsung pakai Number
+  const modalValue = Number(result?.totalSetor ?? totalSetor); // total uang yang disetor
   const valOpt = Number(result?.optV ?? 0);
   const valMod = Number(result?.modV ?? 0);
   const valPes = Number(result?.pesV ?? 0);
@@ -671,42 +6873,239 @@ export default function App() {
 
   // === Inflasi Impact Feature ===
   // Data dasar (edukasi)
-  const [pdb, setPdb] = useState(20000); // PDB Indonesia (triliun rupiah) → contoh 20.000 (BPS 2025)
+  const [pdb, setPdb] = useState(dataset.pdb); // PDB Indonesia (triliun rupiah) → default dataset (BPS 2025)
   const [porsiProduktif, setPorsiProduktif] = useState(0.7); // porsi dana masuk sektor produktif (default 70%)
-  const k = 0.05; // koefisien sensitivitas (edukatif)
-  const inflasiAwal = 2.92; // inflasi tahunan (%) → asumsi BPS 2025
+  const [k, setK] = useState(K_INFLASI); // koefisien sensitivitas (edukatif) → bisa diubah user
+  // inflasi tahunan (%) dari panel Data Ekonomi + geser What-If → sama dengan hasil simulasi
+  const inflasiAwal = result?.inflasi ?? macro.inflasiTahunan + adj.inflasi;
+
+  // jalur per tahun: modal + setoran seluruh investor yang masuk tiap tahun ÷ PDB
+  const dampakInfl = dampakInflasi({
+    modal: Number(result?.modal ?? modal),
+    setoran: Number(result?.setoran ?? setoran),
+    months: Number(result?.months ?? months),
+    investors: Number(investors || 0),
+    pdb,
+    porsiProduktif,
+    inflasiAwal,
+    k,
+  });
+  const { tambahanInflasi, inflasiSimulasi, tambahanAkhir, inflasiAkhir } =
+    dampakInfl;
+  const tahunInflasi = dampakInfl.jalur.length - 1;
+  const rumusInfl = teksRumusInflasi(dampakInfl, {
+    porsiProduktif,
+    pdb,
+    bhs,
+  });
+
+  /* -------- Autosave, simpanan bernama & lanjutkan -------- */
+  const snapshot = useMemo(
+    () => ({
+      step,
+      nama,
+      usia,
+      pekerjaan,
+      jawabanRisiko,
+      investment,
+      modeAlokasi,
+      alokasi,
+      modalStr,
+      monthsStr,
+      setoranStr,
+      pakaiBiaya,
+      investorsStr,
+      adj,
+      modeProyeksi,
+      jumlahJalur,
+      mulaiBacktest,
+      mataUang,
+      asumsiMataUang,
+      paramDampak,
+      tujuan,
+      budgetTujuanStr,
+      pdb,
+      porsiProduktif,
+      kInflasi: k,
+    }),
+    [
+      step,
+      nama,
+      usia,
+      pekerjaan,
+      jawabanRisiko,
+      investment,
+      modeAlokasi,
+      alokasi,
+      modalStr,
+      monthsStr,
+      setoranStr,
+      pakaiBiaya,
+      investorsStr,
+      adj,
+      modeProyeksi,
+      jumlahJalur,
+      mulaiBacktest,
+      mataUang,
+      asumsiMataUang,
+      paramDampak,
+      tujuan,
+      budgetTujuanStr,
+      pdb,
+      porsiProduktif,
+      k,
+    ]
+  );
+  const [simpanan, setSimpanan] = useState(() => bacaLokal(KEY_SIMPANAN, []));
+  const [dilanjutkan, setDilanjutkan] = useState(false);
+  const [namaSimpan, setNamaSimpan] = useState("");
 
-  // ----- Hitung total dana investasi user -----
-  // Ambil nilai modal dan jumlah investor yang sudah ada di aplikasi
-  const modalNumber = Number(modalValue || 0); // modal user (rupiah)
-  const investorCount = Number(investors || 0); // jumlah investor
-  const totalDana = modalValue * investorCount; // total dana seluruh investor (rupiah)
+  function terapkanSnapshot(s) {
+    setStep(s.step || 1);
+    setNama(s.nama || "");
+    setUsia(s.usia || "");
+    setPekerjaan(s.pekerjaan || "");
+    setJawabanRisiko(s.jawabanRisiko || {});
+    setInvestment(s.investment || "");
+    setModeAlokasi(s.modeAlokasi || "tunggal");
+    if (s.alokasi) setAlokasi(s.alokasi);
+    setModalStr(s.modalStr || "");
+    setMonthsStr(s.monthsStr || "");
+    setSetoranStr(s.setoranStr || "");
+    setPakaiBiaya(s.pakaiBiaya !== false);
+    setInvestorsStr(s.investorsStr || String(dataset.investorsDefault));
+    setAdj({ ...WHATIF_NOL, ...s.adj });
+    setModeProyeksi(s.modeProyeksi || "skenario");
+    setJumlahJalur(s.jumlahJalur || 5000);
+    setMulaiBacktest(s.mulaiBacktest || "2015-01");
+    setMataUang(MATA_UANG[s.mataUang] ? s.mataUang : "IDR");
+    setAsumsiMataUang({ ...ASUMSI_MATA_UANG, ...s.asumsiMataUang });
+    setParamDampak(
+      MODEL_DAMPAK[s.paramDampak?.model]
+        ? { ...PARAM_DAMPAK_DEFAULT, ...s.paramDampak }
+        : PARAM_DAMPAK_DEFAULT
+    );
+    setTujuan(s.tujuan?.length ? s.tujuan : [tujuanBaru()]);
+    setBudgetTujuanStr(s.budgetTujuanStr || "");
+    setPdb(s.pdb || dataset.pdb);
+    setPorsiProduktif(s.porsiProduktif ?? 0.7);
+    setK(s.kInflasi ?? K_INFLASI);
+    setMc(null);
+  }
 
-  // ----- Konversi & rasio terhadap PDB -----
-  const totalDanaTriliun = totalDana / 1_000_000_000_000; // ubah ke triliun
-  const ratioDanaPdb = pdb > 0 ? totalDanaTriliun / pdb : 0;
+  // tautan #sim=... didahulukan; kalau tidak ada, buka lagi wizard terakhir
+  // (mis. mulai di kelas, lanjut di rumah)
+  const [galatTautan, setGalatTautan] = useState(null);
+  function bukaTautan() {
+    const hasil = bacaTautan(window.location.hash, bhs);
+    if (!hasil) return false;
+    if (hasil.errors) setGalatTautan(hasil.errors);
+    else {
+      terapkanSnapshot(hasil.snapshot);
+      setGalatTautan(null);
+      setDilanjutkan(false);
+    }
+    // hash dibersihkan supaya refresh tidak menimpa perubahan berikutnya
+    window.history.replaceState(
+      null,
+      "",
+      window.location.pathname + window.location.search
+    );
+    return true;
+  }
+  // efek di bawah dipasang sekali → lewat ref selalu memanggil versi terbaru
+  // (bahasa pesan galat & dataset aktif, mis. setelah impor dataset)
+  const penanganTautan = useRef(null);
+  penanganTautan.current = { bukaTautan, terapkanSnapshot };
+  // StrictMode (dev) menjalankan efek mount dua kali: run kedua tidak boleh
+  // memulihkan draft lama di atas tautan yang baru saja dibuka
+  const sudahDipulihkan = useRef(false);
+  useEffect(() => {
+    if (sudahDipulihkan.current) return;
+    sudahDipulihkan.current = true;
+    if (penanganTautan.current.bukaTautan()) return;
+    const draft = bacaLokal(KEY_DRAFT, null);
+    if (draft) {
+      penanganTautan.current.terapkanSnapshot(draft);
+      setDilanjutkan(true);
+    }
+  }, []);
+  useEffect(() => {
+    const onHash = () => penanganTautan.current.bukaTautan();
+    window.addEventListener("hashchange", onHash);
+    return () => window.removeEventListener("hashchange", onHash);
+  }, []);
+  const [tanpaPribadi, setTanpaPribadi] = useState(true);
+  const [tautanSalin, setTautanSalin] = useState(null); // { url, tersalin }
+  useEffect(() => setTautanSalin(null), [snapshot]); // tautan lama basi
+  function salinTautan() {
+    const url =
+      window.location.origin +
+      window.location.pathname +
+      buatTautan(snapshot, { pribadi: !tanpaPribadi });
+    const tampilkan = (tersalin) => setTautanSalin({ url, tersalin });
+    if (navigator.clipboard?.writeText)
+      navigator.clipboard.writeText(url).then(
+        () => tampilkan(true),
+        () => tampilkan(false)
+      );
+    else tampilkan(false);
+  }
+  // autosave tiap ada perubahan; wizard kosong di Langkah 1 tidak disimpan
+  const autosaveSiap = useRef(false);
+  useEffect(() => {
+    if (!autosaveSiap.current) {
+      autosaveSiap.current = true; // lewati render pertama (sebelum dipulihkan)
+      return;
+    }
+    tulisLokal(KEY_DRAFT, snapshot.step > 1 || snapshot.nama ? snapshot : null);
+  }, [snapshot]);
 
-  // ----- Hitung tambahan inflasi & simulasi -----
-  const tambahanInflasi = k * (1 - porsiProduktif) * ratioDanaPdb * 100; // % tambahan
-  const inflasiSimulasi = inflasiAwal + tambahanInflasi;
+  function ubahSimpanan(baru) {
+    setSimpanan(baru);
+    tulisLokal(KEY_SIMPANAN, baru);
+  }
+  function simpanSimulasi() {
+    const label =
+      namaSimpan.trim() ||
+      `${nama || tr("simpan.tanpaNama")} — ${labelInstrumen}`;
+    ubahSimpanan([
+      {
+        id: `${Date.now()}`,
+        nama: label,
+        waktu: new Date().toISOString(),
+        data: snapshot,
+      },
+      ...simpanan,
+    ]);
+    setNamaSimpan("");
+  }
+  function hapusSemuaData() {
+    if (!window.confirm(tr("simpan.konfirmasiHapus"))) return;
+    hapusSemuaLokal();
+    setSimpanan([]);
+    resetAll();
+    setDataset(DATASET_DEFAULT);
+    setSensitivitasAsal(DATASET_DEFAULT.sensitivitas);
+    setPdb(DATASET_DEFAULT.pdb);
+    setInvestorsStr(String(DATASET_DEFAULT.investorsDefault));
+  }
 
   /* -------- NAV handlers -------- */
   function next() {
     if (step === 1) return setStep(2);
     if (step === 2) {
-      if (errors.nama || errors.usia)
-        return alert("Periksa nama/usia kamu ya.");
+      if (errors.nama || errors.usia) return alert(tr("nav.cekProfil"));
       return setStep(3);
     }
     if (step === 3) {
-      if (errors.investment) return alert("Pilih instrumen dulu.");
+      if (errors.investment) return alert(errors.investment);
       return setStep(4);
     }
     if (step === 4) {
       if (errors.modal || errors.months || errors.investors) {
-        return alert("Periksa input angka di langkah ini.");
+        return alert(tr("nav.cekAngka"));
       }
-      calcAll();
       return setStep(5);
     }
   }
@@ -718,13 +7117,34 @@ export default function App() {
     setNama("");
     setUsia("");
     setPekerjaan("");
+    setJawabanRisiko({});
     setInvestment("");
+    setModeAlokasi("tunggal");
+    setAlokasi({
+      saham: "",
+      obligasi: "",
+      deposito: "",
+      emas: "",
+      reksadana: "",
+    });
     setModalStr("");
     setMonthsStr("");
-    setInvestorsStr("18000000");
-    setAdj({ inflasiUp: false, biDown: false, ihsgUp: false });
-    setResult(null);
-    setImpact(null);
+    setSetoranStr("");
+    setPakaiBiaya(true);
+    setInvestorsStr(String(dataset.investorsDefault));
+    setAdj(WHATIF_NOL);
+    setModeProyeksi("skenario");
+    setMc(null);
+    setMulaiBacktest("2015-01");
+    setMataUang("IDR");
+    setAsumsiMataUang(ASUMSI_MATA_UANG);
+    setParamDampak(PARAM_DAMPAK_DEFAULT);
+    setTujuan([tujuanBaru()]);
+    setBudgetTujuanStr("");
+    setPdb(dataset.pdb);
+    setPorsiProduktif(0.7);
+    setK(K_INFLASI);
+    setDilanjutkan(false);
   }
 
   /* -------- Input styles -------- */
@@ -739,7 +7159,7 @@ export default function App() {
 
   /* ---------------- RENDER ---------------- */
   return (
-    <Wrap>
+    <Wrap bhs={bhs}>
       {/* Header + Progress */}
       <div style={{ marginBottom: 16 }}>
         <div
@@ -751,7 +7171,20 @@ export default function App() {
           }}
         >
           <span>Progress {step} / 5</span>
-          <span>RUPACAYA — Rupiah & Kepercayaan Generasi Muda</span>
+          <span>
+            {tr("app.tagline")}{" "}
+            {Object.entries(BAHASA).map(([b, { label }]) => (
+              <Pill
+                key={b}
+                active={bahasa === b}
+                aria-pressed={bahasa === b}
+                onClick={() => gantiBahasa(b)}
+                style={{ padding: "2px 8px", fontSize: 12, marginLeft: 4 }}
+              >
+                {label}
+              </Pill>
+            ))}
+          </span>
         </div>
         <div
           style={{
@@ -773,6 +7206,43 @@ export default function App() {
         </div>
       </div>
 
+      {/* Tautan berbagi yang tidak valid */}
+      {galatTautan && (
+        <Tips>
+          {tr("tautan.gagal")}
+          <ul style={{ margin: "6px 0" }}>
+            {galatTautan.map((g) => (
+              <li key={g}>{g}</li>
+            ))}
+          </ul>
+          <Btn
+            style={{ padding: "4px 10px" }}
+            onClick={() => setGalatTautan(null)}
+          >
+            {tr("umum.tutup")}
+          </Btn>
+        </Tips>
+      )}
+
+      {/* Lanjutan dari autosave */}
+      {dilanjutkan && (
+        <Tips>
+          {tr("simpan.lanjut", nama, step)}{" "}
+          <Btn
+            style={{ padding: "4px 10px", marginLeft: 6 }}
+            onClick={resetAll}
+          >
+            {tr("simpan.mulaiBaru")}
+          </Btn>{" "}
+          <Btn
+            style={{ padding: "4px 10px" }}
+            onClick={() => setDilanjutkan(false)}
+          >
+            {tr("umum.tutup")}
+          </Btn>
+        </Tips>
+      )}
+
       {/* STEP 1 — Intro */}
       {step === 1 && (
         <>
@@ -782,7 +7252,7 @@ export default function App() {
               borderColor: "#e5e7eb",
             }}
           >
-            <h1 style={{ marginTop: 0 }}>🤔 Kenapasih Perlu Investasi?</h1>
+            <h1 style={{ marginTop: 0 }}>{tr("langkah1.judul")}</h1>
 
             <div
               style={{
@@ -805,56 +7275,70 @@ export default function App() {
                   fontSize: "1.15em",
                 }}
               >
-                💡 KENAPA INVESTASI ITU PENTING?
+                {tr("langkah1.pentingJudul")}
               </h3>
               <p style={{ margin: 0, color: "#333" }}>
-                Sebelum melihat angka-angka ekonomi, mari pahami konteksnya.
-                Data berikut menunjukkan kondisi seperti inflasi, suku bunga,
-                dan harga emas yang memengaruhi nilai uang.
+                {tr("langkah1.pentingIsi")}
               </p>
             </div>
 
             <Row>
               <Card style={col}>
                 <p style={{ margin: 0, fontWeight: 700 }}>
-                  📊 Data Ekonomi Indonesia (Sept 2025)
+                  {tr("langkah1.dataJudul", fmtAsOf(macro.asOf))}
                 </p>
                 <ul style={{ margin: "8px 0 0 18px" }}>
                   <li>
-                    IHSG: <b>{macro.IHSG.toLocaleString("id-ID")} poin</b>
+                    IHSG:{" "}
+                    <b>
+                      {tr("langkah1.poin", macro.IHSG.toLocaleString(lokal))}
+                    </b>
                   </li>
                   <li>
-                    Inflasi: <b>{macro.inflasiTahunan}%/tahun</b>
+                    {tr("txt.inflasi")}:{" "}
+                    <b>
+                      {tr(
+                        "langkah1.perTahun",
+                        macro.inflasiTahunan.toLocaleString(lokal)
+                      )}
+                    </b>
                   </li>
                   <li>
-                    BI Rate: <b>{macro.biRate}%</b>
+                    BI Rate: <b>{macro.biRate.toLocaleString(lokal)}%</b>
                   </li>
                   <li>
-                    Rate USD: <b>{fmtRp(macro.hargaDolar)}/USD</b>
+                    {tr("langkah1.rateUsd")}:{" "}
+                    <b>{fmtRp(macro.hargaDolar)}/USD</b>
                   </li>
                   <li>
-                    Transaksi Harian BEI: <b>{fmtRp(macro.trxHarianBEI)}</b>
+                    {tr("langkah1.trxBEI")}: <b>{fmtRp(macro.trxHarianBEI)}</b>
                   </li>
                   <li>
-                    Harga Emas: <b>{fmtRp(macro.hargaEmas)}/gram</b>
+                    {tr("langkah1.hargaEmas")}:{" "}
+                    <b>{fmtRp(macro.hargaEmas)}/gram</b>
                   </li>
                 </ul>
+                <Btn
+                  style={{ marginTop: 10, fontSize: 13, padding: "6px 10px" }}
+                  onClick={() => setShowMacroPanel((s) => !s)}
+                >
+                  {showMacroPanel
+                    ? tr("langkah1.tutupData")
+                    : tr("langkah1.ubahData")}
+                </Btn>
               </Card>
               <Card style={col}>
                 <p style={{ margin: 0, fontWeight: 700 }}>
-                  🧮 Perbandingan 1 Tahun (Rp1 juta)
+                  {tr("langkah1.bandingJudul")}
                 </p>
                 <p style={{ marginTop: 8 }}>
-                  Tabungan 0,5% → <b>Rp1.005.000</b>
-                  <br />
-                  Inflasi 2,8% → daya beli ± <b>Rp974.000</b>
-                  <br />
-                  Investasi moderat 8% → <b>Rp1.080.000</b> (menang inflasi)
+                  {tr(
+                    "langkah1.bandingIsi",
+                    macro.inflasiTahunan.toLocaleString(lokal),
+                    fmtRp(1_000_000 / (1 + macro.inflasiTahunan / 100))
+                  )}
                 </p>
-                <Tips>
-                  🚀Target? RETURN INVESTASI KAMU &gt; INFLASI. menyebabkan
-                  ekonomi negara membaik!
-                </Tips>
+                <Tips>{tr("langkah1.target")}</Tips>
               </Card>
 
               <div
@@ -876,66 +7360,93 @@ export default function App() {
                     fontSize: "1.2em",
                   }}
                 >
-                  📈 APA ARTINYA DATA DIATAS?
+                  {tr("langkah1.artiJudul")}
                 </h3>
                 <p style={{ marginBottom: "10px", color: "#333" }}>
-                  Angka IHSG, inflasi, dan BI Rate menunjukkan bahwa
-                  <b> inflasi terus menggerus daya beli</b>. Tabungan biasa
-                  sering kalah cepat dengan kenaikan harga barang. Dengan
-                  berinvestasi, kamu memberi uangmu kesempatan tumbuh lebih
-                  cepat daripada inflasi dan 
-                  <b>melindungi nilai</b> dan memperbesar aset masa depan.
+                  {tr("langkah1.arti1")}
                 </p>
                 <p style={{ margin: 0, color: "#333" }}>
-                  Setiap rupiah yang diinvestasikan juga bukan cuma bikin uangmu
-                  tumbuh, tapi juga jadi
-                  <b> bahan bakar ekonomi Indonesia</b>. Dana investor dipakai
-                  perusahaan untuk ekspansi, membuka lapangan kerja, dan
-                  meningkatkan produksi. Saat modal dalam negeri makin besar,
-                  ketergantungan pada investor asing berkurang, nilai rupiah
-                  lebih kuat, dan pertumbuhan PDB bisa jadi lebih stabil.{" "}
-                  <b>
-                    Jadi, langkah investasimu, menentukan masa depan negaramu!.
-                  </b>
+                  {tr("langkah1.arti2")}
                 </p>
 
                 <card>
                   {" "}
                   <p style={{ fontSize: "16px", lineHeight: "1.3" }}>
-                    <b>RUPACAYA</b> adalah aplikasi simulasi investasi yang
-                    dirancang supaya kamu bisa paham gimana keputusan
-                    investasimu bisa berpengaruh ke ekonomi Indonesia secara
-                    nyata dan logis. kamu bisa lihat secara langsung gimana uang
-                    yang kamu tanam bisa ikut muter di sistem ekonomi negara,
-                    nambah likuiditas, dan bantu stabilin nilai rupiah. Intinya,{" "}
-                    <b>RUPACAYA</b> ngajarin kamu buat ngeliat investasi bukan
-                    cuma soal cuan pribadi, tapi juga kontribusi buat ekonomi
-                    bangsa. 🌍💸
+                    {tr("langkah1.tentang")}
                   </p>
                 </card>
               </div>
             </Row>
 
+            {showMacroPanel && (
+              <PanelDataEkonomi
+                key={JSON.stringify(dataset)}
+                dataset={dataset}
+                onSave={simpanDataset}
+                onImpor={gantiDataset}
+                onReset={() => gantiDataset(DATASET_DEFAULT)}
+              />
+            )}
+
             <div style={{ marginTop: 12 }}>
-              <BtnPrimary onClick={next}>Yuk Investasi! ✈️ </BtnPrimary>
+              <BtnPrimary onClick={next}>{tr("langkah1.mulai")}</BtnPrimary>
             </div>
           </Box>
+
+          <ImporSimulasi
+            onImpor={(s) => {
+              terapkanSnapshot(s);
+              setDilanjutkan(false);
+            }}
+          />
+          <DaftarSimpanan
+            simpanan={simpanan}
+            onMuat={(id) => {
+              terapkanSnapshot(simpanan.find((s) => s.id === id).data);
+              setDilanjutkan(false);
+            }}
+            onGantiNama={(id, namaBaru) =>
+              ubahSimpanan(
+                simpanan.map((s) =>
+                  s.id === id ? { ...s, nama: namaBaru } : s
+                )
+              )
+            }
+            onHapus={(id) => ubahSimpanan(simpanan.filter((s) => s.id !== id))}
+          />
+          <p style={{ fontSize: 12, color: "#6b7280", marginTop: 12 }}>
+            {tr("simpan.privasi")}{" "}
+            <button
+              onClick={hapusSemuaData}
+              style={{
+                background: "none",
+                border: "none",
+                color: "crimson",
+                cursor: "pointer",
+                textDecoration: "underline",
+                padding: 0,
+              }}
+            >
+              {tr("simpan.hapusSemua")}
+            </button>
+          </p>
         </>
       )}
 
       {/* STEP 2 — Profil */}
       {step === 2 && (
         <>
-          <h1>👤 Profil Investor</h1>
+          <h1>{tr("langkah2.judul")}</h1>
           <Box>
             <Row>
               <label style={col}>
-                Nama:<span style={{ visibility: "hidden" }}>opsional</span>
+                {tr("langkah2.nama")}
+                <span style={{ visibility: "hidden" }}>opsional</span>
                 <input
                   type="text"
                   value={nama}
                   onChange={(e) => setNama(e.target.value)}
-                  placeholder="contoh: Arfa"
+                  placeholder={tr("langkah2.contohNama")}
                   style={input}
                   aria-invalid={!!errors.nama}
                 />
@@ -946,13 +7457,14 @@ export default function App() {
                 )}
               </label>
               <label style={col}>
-                Usia: <span style={{ visibility: "hidden" }}>opsional</span>
+                {tr("langkah2.usia")}{" "}
+                <span style={{ visibility: "hidden" }}>opsional</span>
                 <input
                   type="text"
                   inputMode="numeric"
                   value={usia}
                   onChange={(e) => setUsia(onlyDigits(e.target.value))}
-                  placeholder="contoh: 17"
+                  placeholder={tr("langkah2.contohUsia")}
                   style={input}
                   aria-invalid={!!errors.usia}
                 />
@@ -966,19 +7478,19 @@ export default function App() {
             <Row>
               <label style={col}>
                 <br /> {/* baris kosong */}
-                Status/Pekerjaan:
+                {tr("langkah2.pekerjaan")}
                 <input
                   type="text"
                   value={pekerjaan}
                   onChange={(e) => setPekerjaan(e.target.value)}
-                  placeholder="Pelajar / Karyawan / Wiraswasta / etc."
+                  placeholder={tr("langkah2.contohPekerjaan")}
                   style={input}
                 />
               </label>
               {usia ? (
                 <div style={{ ...col }}>
                   <Tips>
-                    <b>Investor Muda!</b> {pesanUsia}
+                    <b>{tr("langkah2.investorMuda")}</b> {pesanUsia}
                   </Tips>
                 </div>
               ) : (
@@ -994,13 +7506,54 @@ export default function App() {
               )}
             </Row>
           </Box>
+
+          {/* Kuis profil risiko */}
+          <Box style={{ marginTop: 12 }}>
+            <h3 style={{ marginTop: 0 }}>{tr("kuis.judul")}</h3>
+            <p style={{ marginTop: 0, fontSize: 13, color: "#475569" }}>
+              {tr("kuis.intro")}
+            </p>
+            {KUIS_RISIKO.map(lok).map((q, i) => (
+              <div key={q.key} style={{ marginBottom: 10 }}>
+                <div style={{ marginBottom: 6 }}>
+                  {i + 1}. {q.tanya}
+                </div>
+                <Row wrap gap={8}>
+                  {q.opsi.map((o, j) => (
+                    <Pill
+                      key={o}
+                      active={jawabanRisiko[q.key] === j + 1}
+                      onClick={() =>
+                        setJawabanRisiko((a) => ({ ...a, [q.key]: j + 1 }))
+                      }
+                    >
+                      {o}
+                    </Pill>
+                  ))}
+                </Row>
+              </div>
+            ))}
+            {profil ? (
+              <Tips>
+                {profil.icon} {tr("kuis.hasil", profil)} {profil.penjelasan}
+              </Tips>
+            ) : (
+              <p style={{ fontSize: 13, color: "#6b7280", marginBottom: 0 }}>
+                {tr(
+                  "kuis.belum",
+                  Object.keys(jawabanRisiko).length,
+                  KUIS_RISIKO.length
+                )}
+              </p>
+            )}
+          </Box>
           <div style={{ marginTop: 16 }}>
-            <Btn onClick={back}>⬅️ Back</Btn>{" "}
+            <Btn onClick={back}>{tr("nav.kembali")}</Btn>{" "}
             <BtnPrimary
               onClick={next}
               disabled={!!errors.nama || !!errors.usia || !nama}
             >
-              Lanjut → Pilih Instrumen
+              {tr("langkah2.lanjut")}
             </BtnPrimary>
           </div>
         </>
@@ -1009,84 +7562,201 @@ export default function App() {
       {/* STEP 3 — Instrumen */}
       {step === 3 && (
         <>
-          <h1>📦 Pilih Jenis Investasi</h1>
+          <h1>{tr("langkah3.judul")}</h1>
           <Box>
             <Row align="center">
-              <select
-                value={investment}
-                onChange={(e) => setInvestment(e.target.value)}
-                style={{ ...input, width: 320 }}
+              <Pill
+                active={modeAlokasi === "tunggal"}
+                onClick={() => setModeAlokasi("tunggal")}
               >
-                <option value="">-- pilih jenis --</option>
-                {Object.keys(infoJenis).map((k) => (
-                  <option key={k} value={k}>
-                    {infoJenis[k].icon} {infoJenis[k].title.toUpperCase()}
-                  </option>
-                ))}
-              </select>
-              {investment && (
-                <Badge
-                  bg={
-                    infoJenis[investment].risk === "Tinggi"
-                      ? "#fee2e2"
-                      : infoJenis[investment].risk === "Menengah"
-                      ? "#e0e7ff"
-                      : "#dcfce7"
-                  }
-                >
-                  Risiko: {infoJenis[investment].risk}
-                </Badge>
-              )}
+                {tr("langkah3.tunggal")}
+              </Pill>
+              <Pill
+                active={modeAlokasi === "campuran"}
+                onClick={() => setModeAlokasi("campuran")}
+              >
+                {tr("langkah3.campuran")}
+              </Pill>
             </Row>
+          </Box>
 
-            {investment && (
-              <Card style={{ marginTop: 12 }}>
-                <h3 style={{ marginTop: 0 }}>
-                  {infoJenis[investment].icon} {infoJenis[investment].title}
-                </h3>
-                <p style={{ marginTop: 6 }}>{infoJenis[investment].definisi}</p>
-                <p style={{ marginTop: 6 }}>
-                  {infoJenis[investment].bagaimana}
-                </p>
-                <Row>
-                  <div style={col}>
-                    <p style={{ margin: "6px 0 4px", fontWeight: 700 }}>
-                      🔗 Faktor Pengaruh
-                    </p>
-                    <ul style={{ margin: "0 0 0 18px" }}>
-                      {infoJenis[investment].pengaruh.map((t, i) => (
-                        <li key={i}>{t}</li>
-                      ))}
-                    </ul>
+          {modeAlokasi === "campuran" && (
+            <Box>
+              <p style={{ marginTop: 0 }}>{tr("langkah3.campuranIntro")}</p>
+              {Object.keys(infoJenis).map((k) => (
+                <Row key={k} align="center">
+                  <div style={{ width: 160, marginTop: 8 }}>
+                    {infoJenis[k].icon} {infoJenis[k].title}
                   </div>
-                  <div style={col}>
-                    <p style={{ margin: "6px 0 4px", fontWeight: 700 }}>
-                      ⚖️ Plus/Minus & Tips
-                    </p>
-                    <ul style={{ margin: "0 0 0 18px" }}>
-                      {infoJenis[investment].plus.map((t, i) => (
-                        <li key={`p${i}`}>➕ {t}</li>
-                      ))}
-                      {infoJenis[investment].minus.map((t, i) => (
-                        <li key={`m${i}`}>➖ {t}</li>
-                      ))}
-                    </ul>
-                    <Tips style={{ marginTop: 8 }}>
-                      💡 {infoJenis[investment].tips}
-                    </Tips>
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    value={alokasi[k]}
+                    onChange={(e) =>
+                      setAlokasi((a) => ({
+                        ...a,
+                        [k]: onlyDigits(
+                          clamp(Number(onlyDigits(e.target.value) || 0), 0, 100)
+                        ),
+                      }))
+                    }
+                    placeholder="0"
+                    style={{ ...input, width: 80, marginTop: 8 }}
+                  />
+                  <span style={{ marginTop: 8 }}>%</span>
+                  <div style={{ marginTop: 8 }}>
+                    <Badge bg={riskBg(infoJenis[k].risk)}>
+                      {tr("langkah3.risiko", tr(`risiko.${infoJenis[k].risk}`))}
+                    </Badge>
                   </div>
                 </Row>
-                <p style={{ fontSize: 13, color: "#64748b", marginTop: 10 }}>
-                  Contoh: {infoJenis[investment].contoh}
+              ))}
+              <Row align="center">
+                <p
+                  style={{
+                    margin: "12px 0 0",
+                    fontWeight: 700,
+                    color: totalAlokasi === 100 ? "green" : "crimson",
+                  }}
+                >
+                  Total: {totalAlokasi}%{" "}
+                  {totalAlokasi === 100
+                    ? "✅"
+                    : totalAlokasi > 100
+                    ? tr("langkah3.kelebihan", totalAlokasi - 100)
+                    : tr("langkah3.kurang", 100 - totalAlokasi)}
                 </p>
-              </Card>
-            )}
-          </Box>
+                {Object.keys(bobot).length > 0 && (
+                  <div style={{ marginTop: 12 }}>
+                    <Badge bg={riskBg(riskCampuran(bobot, infoJenis).label)}>
+                      {tr(
+                        "langkah3.risikoCampuran",
+                        tr(`risiko.${riskCampuran(bobot, infoJenis).label}`)
+                      )}
+                    </Badge>
+                  </div>
+                )}
+              </Row>
+              <div style={{ marginTop: 10 }}>
+                <Btn
+                  onClick={() =>
+                    setAlokasi({
+                      saham: "30",
+                      obligasi: "25",
+                      deposito: "15",
+                      emas: "15",
+                      reksadana: "15",
+                    })
+                  }
+                >
+                  {tr("langkah3.contohSeimbang")}
+                </Btn>{" "}
+                <Btn
+                  onClick={() =>
+                    setAlokasi({
+                      saham: "10",
+                      obligasi: "30",
+                      deposito: "40",
+                      emas: "20",
+                      reksadana: "0",
+                    })
+                  }
+                >
+                  {tr("langkah3.contohKonservatif")}
+                </Btn>{" "}
+                <Btn
+                  onClick={() =>
+                    setAlokasi({
+                      saham: "",
+                      obligasi: "",
+                      deposito: "",
+                      emas: "",
+                      reksadana: "",
+                    })
+                  }
+                >
+                  {tr("langkah3.kosongkan")}
+                </Btn>
+              </div>
+            </Box>
+          )}
+
+          {modeAlokasi === "tunggal" && (
+            <Box>
+              <Row align="center">
+                <select
+                  value={investment}
+                  onChange={(e) => setInvestment(e.target.value)}
+                  style={{ ...input, width: 320 }}
+                >
+                  <option value="">{tr("langkah3.pilihJenis")}</option>
+                  {Object.keys(infoJenis).map((k) => (
+                    <option key={k} value={k}>
+                      {infoJenis[k].icon} {infoJenis[k].title.toUpperCase()}
+                    </option>
+                  ))}
+                </select>
+                {investment && (
+                  <Badge bg={riskBg(infoJenis[investment].risk)}>
+                    {tr(
+                      "langkah3.risiko",
+                      tr(`risiko.${infoJenis[investment].risk}`)
+                    )}
+                  </Badge>
+                )}
+              </Row>
+
+              {investment && (
+                <Card style={{ marginTop: 12 }}>
+                  <h3 style={{ marginTop: 0 }}>
+                    {infoJenis[investment].icon} {infoJenis[investment].title}
+                  </h3>
+                  <p style={{ marginTop: 6 }}>
+                    {infoJenis[investment].definisi}
+                  </p>
+                  <p style={{ marginTop: 6 }}>
+                    {infoJenis[investment].bagaimana}
+                  </p>
+                  <Row>
+                    <div style={col}>
+                      <p style={{ margin: "6px 0 4px", fontWeight: 700 }}>
+                        {tr("langkah3.faktor")}
+                      </p>
+                      <ul style={{ margin: "0 0 0 18px" }}>
+                        {infoJenis[investment].pengaruh.map((t, i) => (
+                          <li key={i}>{t}</li>
+                        ))}
+                      </ul>
+                    </div>
+                    <div style={col}>
+                      <p style={{ margin: "6px 0 4px", fontWeight: 700 }}>
+                        {tr("langkah3.plusMinus")}
+                      </p>
+                      <ul style={{ margin: "0 0 0 18px" }}>
+                        {infoJenis[investment].plus.map((t, i) => (
+                          <li key={`p${i}`}>➕ {t}</li>
+                        ))}
+                        {infoJenis[investment].minus.map((t, i) => (
+                          <li key={`m${i}`}>➖ {t}</li>
+                        ))}
+                      </ul>
+                      <Tips style={{ marginTop: 8 }}>
+                        💡 {infoJenis[investment].tips}
+                      </Tips>
+                    </div>
+                  </Row>
+                  <p style={{ fontSize: 13, color: "#64748b", marginTop: 10 }}>
+                    {tr("langkah3.contoh", infoJenis[investment].contoh)}
+                  </p>
+                </Card>
+              )}
+            </Box>
+          )}
 
           <div style={{ marginTop: 16 }}>
-            <Btn onClick={back}>⬅️ Back</Btn>{" "}
-            <BtnPrimary onClick={next} disabled={!investment}>
-              Lanjut → Masukkan Angka
+            <Btn onClick={back}>{tr("nav.kembali")}</Btn>{" "}
+            <BtnPrimary onClick={next} disabled={!instrumenSiap}>
+              {tr("langkah3.lanjut")}
             </BtnPrimary>
           </div>
         </>
@@ -1095,17 +7765,17 @@ export default function App() {
       {/* STEP 4 — Angka */}
       {step === 4 && (
         <>
-          <h1>🔢 Masukkan Data Investasi</h1>
+          <h1>{tr("langkah4.judul")}</h1>
           <Box>
             <Row>
               <label style={col}>
-                Modal Awal (Rp):
+                {tr("langkah4.modal")}
                 <input
                   type="text"
                   inputMode="numeric"
                   value={modalStr}
                   onChange={(e) => setModalStr(onlyDigits(e.target.value))}
-                  placeholder="misal: 1000000"
+                  placeholder={tr("langkah4.contohModal")}
                   style={input}
                   aria-invalid={!!errors.modal}
                 />
@@ -1120,22 +7790,22 @@ export default function App() {
                       setModalStr((modal ? modal : 0 + 500000).toString())
                     }
                   >
-                    + 500 rb
+                    {tr("langkah4.tambah500rb")}
                   </Btn>{" "}
                   <Btn
                     onClick={() => setModalStr((modal + 1000000).toString())}
                   >
-                    + 1 jt
+                    {tr("langkah4.tambah1jt")}
                   </Btn>{" "}
                   <Btn
                     onClick={() => setModalStr((modal + 5000000).toString())}
                   >
-                    + 5 jt
+                    {tr("langkah4.tambah5jt")}
                   </Btn>
                 </div>
               </label>
               <label style={col}>
-                Durasi (bulan):
+                {tr("langkah4.durasi")}
                 <input
                   type="text"
                   inputMode="numeric"
@@ -1147,7 +7817,7 @@ export default function App() {
                       )
                     )
                   }
-                  placeholder="misal: 24"
+                  placeholder={tr("langkah4.contohDurasi")}
                   style={input}
                   aria-invalid={!!errors.months}
                 />
@@ -1157,15 +7827,21 @@ export default function App() {
                   </div>
                 )}
                 <div style={{ marginTop: 8 }}>
-                  <Btn onClick={() => setMonthsStr("6")}>6 bln</Btn>{" "}
-                  <Btn onClick={() => setMonthsStr("12")}>12 bln</Btn>{" "}
-                  <Btn onClick={() => setMonthsStr("36")}>36 bln</Btn>
+                  <Btn onClick={() => setMonthsStr("6")}>
+                    {tr("langkah4.bln", 6)}
+                  </Btn>{" "}
+                  <Btn onClick={() => setMonthsStr("12")}>
+                    {tr("langkah4.bln", 12)}
+                  </Btn>{" "}
+                  <Btn onClick={() => setMonthsStr("36")}>
+                    {tr("langkah4.bln", 36)}
+                  </Btn>
                 </div>
                 <div style={{ marginTop: 8, fontSize: 14, color: "#475569" }}>
                   {months ? (
                     <>⏱️ {niceYears(months)}</>
                   ) : (
-                    <>⏱️ Durasi akan dikonversi ke tahun.</>
+                    <>⏱️ {tr("langkah4.durasiKet")}</>
                   )}
                 </div>
               </label>
@@ -1174,13 +7850,49 @@ export default function App() {
             <Row>
               <label style={col}>
                 <br /> {/* baris kosong */}
-                Jumlah Investor Nasional:
+                {tr("langkah4.setoran")}
+                <input
+                  type="text"
+                  inputMode="numeric"
+                  value={setoranStr}
+                  onChange={(e) => setSetoranStr(onlyDigits(e.target.value))}
+                  placeholder={tr("langkah4.contohSetoran")}
+                  style={input}
+                />
+                <div style={{ marginTop: 8 }}>
+                  <Btn
+                    onClick={() => setSetoranStr((setoran + 100000).toString())}
+                  >
+                    {tr("langkah4.tambah100rb")}
+                  </Btn>{" "}
+                  <Btn
+                    onClick={() => setSetoranStr((setoran + 500000).toString())}
+                  >
+                    {tr("langkah4.tambah500rb")}
+                  </Btn>{" "}
+                  <Btn onClick={() => setSetoranStr("")}>
+                    {tr("langkah4.tanpaSetoran")}
+                  </Btn>
+                </div>
+                <p style={{ fontSize: 12, color: "#6b7280", marginTop: 8 }}>
+                  {tr("langkah4.dca")}
+                  {months && setoran ? (
+                    <>
+                      {" "}
+                      {tr("langkah4.totalDisetor")}: <b>{fmtRp(totalSetor)}</b>.
+                    </>
+                  ) : null}
+                </p>
+              </label>
+              <label style={col}>
+                <br /> {/* baris kosong */}
+                {tr("langkah4.investor")}
                 <input
                   type="text"
                   inputMode="numeric"
                   value={investorsStr}
                   onChange={(e) => setInvestorsStr(onlyDigits(e.target.value))}
-                  placeholder="default: 18000000"
+                  placeholder={`default: ${dataset.investorsDefault}`}
                   style={input}
                   aria-invalid={!!errors.investors}
                 />
@@ -1190,25 +7902,52 @@ export default function App() {
                   </div>
                 )}
                 <p style={{ fontSize: 12, color: "#6b7280", marginTop: 8 }}>
-                  Default <b>18 juta SID</b> — rujukan OJK/IDX (± 2025). Biarkan
-                  default bila belum yakin. 💡 Untuk update, cari:{" "}
-                  <i>“jumlah investor pasar modal Indonesia OJK/IDX”</i>.
+                  {tr(
+                    "langkah4.investorKet",
+                    (dataset.investorsDefault / 1e6).toLocaleString(lokal),
+                    fmtAsOf(dataset.asOf)
+                  )}
                 </p>
               </label>
             </Row>
+
+            <Row>
+              <div style={{ ...col, marginTop: 12 }}>
+                <label style={{ cursor: "pointer" }}>
+                  <input
+                    type="checkbox"
+                    checked={pakaiBiaya}
+                    onChange={(e) => setPakaiBiaya(e.target.checked)}
+                  />{" "}
+                  {tr("langkah4.pakaiBiaya")}
+                </label>
+                <p style={{ fontSize: 12, color: "#6b7280", marginTop: 6 }}>
+                  {tr("langkah4.biayaKet")}
+                </p>
+                <ul style={{ fontSize: 12, color: "#6b7280", marginTop: 0 }}>
+                  {Object.keys(BIAYA_INSTRUMEN)
+                    .filter((type) => bobot[type])
+                    .map((type) => (
+                      <li key={type}>
+                        {infoJenis[type].icon} {infoJenis[type].title}:{" "}
+                        {lok(BIAYA_INSTRUMEN[type]).catatan}
+                      </li>
+                    ))}
+                </ul>
+              </div>
+            </Row>
           </Box>
 
           <div style={{ marginTop: 16 }}>
-            <Btn onClick={back}>⬅️ Back</Btn>{" "}
+            <Btn onClick={back}>{tr("nav.kembali")}</Btn>{" "}
             <BtnPrimary
               onClick={() => {
                 if (errors.modal || errors.months || errors.investors) return;
-                calcAll();
                 setStep(5);
               }}
-              disabled={!modal || !months}
+              disabled={(!modal && !setoran) || !months}
             >
-              Lihat Hasil →
+              {tr("langkah4.lanjut")}
             </BtnPrimary>
           </div>
         </>
@@ -1217,35 +7956,58 @@ export default function App() {
       {/* STEP 5 — Hasil & Dampak */}
       {step === 5 && result && impact && (
         <>
-          <h1>📊 Simulasi Investasi Kamu!</h1>
+          <h1>{tr("langkah5.judul")}</h1>
 
           {/* Ringkasan Personal */}
           <Box>
             <Row>
               <div style={col}>
                 <p style={{ margin: 0, fontSize: 23 }}>
-                  👤 <b>{nama || "(tanpa nama)"}</b>
+                  👤 <b>{nama || tr("langkah5.tanpaNama")}</b>
                 </p>
                 <p style={{ margin: "6px 0 12" }}>
-                  Usia: <b>{usia || "-"}</b> • Status/Pekerjaan:{" "}
-                  <b>{pekerjaan || "-"}</b>
+                  {tr("langkah2.usia")} <b>{usia || "-"}</b> •{" "}
+                  {tr("langkah2.pekerjaan")} <b>{pekerjaan || "-"}</b>
                   <br />
                 </p>
                 {pesanUsia && (
                   <Tips style={{ marginTop: 15 }}>
-                    <b>Investor Muda!</b> {pesanUsia}
+                    <b>{tr("langkah2.investorMuda")}</b> {pesanUsia}
                   </Tips>
                 )}
+                <div style={{ marginTop: 10 }}>
+                  {tr("txt.profil")}:{" "}
+                  {profil ? (
+                    <>
+                      <Badge bg={profil.bg}>
+                        {profil.icon} {profil.label} •{" "}
+                        {tr("txt.skor", profil.skor)}
+                      </Badge>
+                      <p style={{ margin: "6px 0 0", fontSize: 13 }}>
+                        {profil.penjelasan}
+                        {profil.penahan.length > 0 &&
+                          tr("langkah5.penahan", profil.penahan.join("; "))}
+                      </p>
+                    </>
+                  ) : (
+                    <span style={{ fontSize: 13, color: "#6b7280" }}>
+                      {tr("langkah5.profilKosong")}
+                    </span>
+                  )}
+                </div>
               </div>
               <div style={col}>
                 <p style={{ margin: 0, fontSize: 18 }}>
-                  Instrumen:{" "}
-                  <b>{investment ? infoJenis[investment].title : "-"}</b>
+                  {tr("umum.instrumen")}: <b>{labelInstrumen}</b>{" "}
+                  <Badge bg={riskBg(result.risk.label)}>
+                    {tr("langkah3.risiko", tr(`risiko.${result.risk.label}`))}
+                  </Badge>
                 </p>
+
                 <p style={{ margin: "6px 0 12", fontSize: 18 }}>
-                  Modal: <b>{fmtRp(modal)}</b>{" "}
+                  {tr("langkah5.modal")}: <b>{fmtRp(modal)}</b>{" "}
                   <Badge bg="#eef2ff" color="#1e3a8a">
-                    📈 IHSG {macro.IHSG.toLocaleString("id-ID")}
+                    📈 IHSG {macro.IHSG.toLocaleString(lokal)}
                   </Badge>
                 </p>
 
@@ -1260,672 +8022,1175 @@ export default function App() {
                     marginTop: "4px",
                   }}
                 >
-                  💰 Emas ≈ <b>{gramEmas.toFixed(2)}</b> gram
-                </Badge>
-
-                <Badge
-                  bg="#f0f0f0" // warna kotak abu netral
-                  color="#123899" // teks lebih gelap biar kontras
-                  style={{
-                    padding: "13px 12px 12px",
-                    borderRadius: "12px",
-                    fontSize: "13px", // lebih kecil dari Modal
-                    display: "inline-block",
-                    marginTop: "4px",
-                    gap: "5px",
-                  }}
-                >
-                  💵 USD ≈ <b>{rateDolar.toFixed(2)}</b>
+                  💰 {tr("txt.emas")} ≈ <b>{fmtAngka(gramEmas, 2)}</b> gram
                 </Badge>
 
-                <p style={{ margin: "6px 0 0" }}>
-                  Durasi: <b>{niceYears(months)}</b>
-                </p>
-                <p style={{ margin: "6px 0 0" }}>
-                  Inflasi{" "}
-                  <Badge bg="#fff7ed" color="#78350f">
-                    {macro.inflasiTahunan}%/th
-                  </Badge>{" "}
-                  BI Rate{" "}
-                  <Badge bg="#f0f9ff" color="#075985">
-                    {macro.biRate}%
-                  </Badge>
-                </p>
-              </div>
-            </Row>
-          </Box>
-
-          {/* Hasil 3 Skenario */}
-          <Card style={{ marginTop: 12 }}>
-            <h3
-              style={{
-                fontSize: "1.5rem",
-                fontWeight: 700,
-                marginBottom: 12,
-                marginTop: 2,
-              }}
-            >
-              🎯 Proyeksi Investasi{" "}
-            </h3>
-
-            <div
-              style={{
-                marginTop: "5px",
-                padding: "14px 18px",
-                border: "1.5px solid #e0e0e0",
-                borderRadius: "10px",
-                background: "#fafafa",
-                lineHeight: "1.3",
-                maxWidth: "720px",
-                fontSize: "0.9em",
-                boxShadow: "0 2px 6px rgba(0,0,0,0.04)",
-              }}
-            >
-              <h3
-                style={{
-                  margin: "0 0 1px 0",
-                  fontSize: "0.9em",
-                  color: "#333",
-                  width: "100%",
-                }}
-              ></h3>
-              <p style={{ margin: "0 0 6px 0", color: "#444" }}>
-                ℹ️ Angka di bawah menunjukkan{" "}
-                <b>perkiraan hasil investasi kamu </b>
-                berdasarkan tiga skenario ekonomi:
-                <b style={{ color: "#16a34a" }}> Optimis</b>,
-                <b style={{ color: "#1e40af" }}> Moderat</b>, dan
-                <b style={{ color: "#b91c1c" }}> Pesimis</b>.
-              </p>
-              <p style={{ margin: 0, color: "#444" }}>
-                Nilai persentase menunjukkan{" "}
-                <b>kenaikan atau penurunan modal awal</b>. Dengan memahami
-                ketiga skenario, kamu bisa menilai{" "}
-                <b>risiko dan potensi keuntungan </b>
-                sebelum memutuskan berinvestasi.
-              </p>
-            </div>
-            <ul style={{ lineHeight: 1.6 }}>
-              <li style={{ color: "green" }}>
-                <b>Optimis:</b> {fmtRp(result.optV)}{" "}
-                <Badge bg="#dcfce7">Sentimen kuat</Badge>
-              </li>
-              <li style={{ color: "#1d4ed8" }}>
-                <b>Moderat:</b> {fmtRp(result.modV)}{" "}
-                <Badge bg="#e0e7ff">Ekonomi stabil</Badge>
-              </li>
-              <li style={{ color: "crimson" }}>
-                <b>Pesimis:</b> {fmtRp(result.pesV)}{" "}
-                <Badge bg="#fee2e2">Tekanan pasar</Badge>
-              </li>
-            </ul>
-            <p>
-              Moderat rata-rata/bulan: <b>{pct(result.monthlyModeratePct)}</b> •
-              Annualized: <b>{pct(result.annualModerate)}</b> • Inflasi:{" "}
-              <b>{pct(macro.inflasiTahunan)}</b>{" "}
-              {result.annualModerate > macro.inflasiTahunan ? (
-                <span style={{ color: "green" }}>→ menang inflasi ✅</span>
-              ) : (
-                <span style={{ color: "crimson" }}>→ di bawah inflasi ❌</span>
-              )}
-            </p>
-            <div
-              style={{
-                display: "grid",
-                gridTemplateColumns: "1fr 1fr 1fr",
-                gap: 12,
-                marginTop: 12,
-              }}
-            >
-              <div
-                style={{
-                  background: "#ecfdf5",
-                  border: "1px solid #86efac",
-                  borderRadius: 12,
-                  padding: 14,
-                }}
-              >
-                <h4 style={{ margin: 0, color: "green" }}>Optimis ✅</h4>
-                <p style={{ margin: "6px 0 0" }}>
-                  <b>{fmtRp(result.optV)}</b>
-                </p>
-
-                {modalValue > 0 && (
-                  <span
-                    style={{
-                      display: "block",
-                      fontSize: "0.8em",
-                      fontWeight: 600,
-                      padding: "2px 6px",
-                      borderRadius: "4px",
-                      background: pctOptimis >= 0 ? "#e8f8ee" : "#fff1f2",
-                      color: pctOptimis >= 0 ? "#16a34a" : "#dc2626",
-                      display: "inline-block",
-                    }}
-                  >
-                    {pctOptimis >= 0 ? "+" : ""}
-                    {pctOptimis.toFixed(2)}%
-                  </span>
-                )}
-
-                <p style={{ margin: "6px 0 0", fontSize: 13 }}>
-                  Biasanya saat BI Rate turun / IHSG reli / sentimen global
-                  positif.
-                </p>
-              </div>
-              <div
-                style={{
-                  background: "#eff6ff",
-                  border: "1px solid #93c5fd",
-                  borderRadius: 12,
-                  padding: 14,
-                }}
-              >
-                <h4 style={{ margin: 0, color: "#1d4ed8" }}>Moderat 🔵</h4>
-                <p style={{ margin: "6px 0 0" }}>
-                  <b>{fmtRp(result.modV)}</b>
-                </p>
-
-                <span
+                <Badge
+                  bg="#f0f0f0" // warna kotak abu netral
+                  color="#123899" // teks lebih gelap biar kontras
                   style={{
-                    marginLeft: "4px",
-                    color: "#1e40af", // biru
-                    fontSize: "0.8em", // lebih kecil dari Rp
-                    fontWeight: 500,
-                    background: "#e0f2fe", // latar biru muda
-                    padding: "2px 4px",
-                    borderRadius: "4px",
+                    padding: "13px 12px 12px",
+                    borderRadius: "12px",
+                    fontSize: "13px", // lebih kecil dari Modal
                     display: "inline-block",
+                    marginTop: "4px",
+                    gap: "5px",
                   }}
                 >
-                  {pctModerat >= 0 ? "+" : ""}
-                  {pctModerat.toFixed(2)}%
-                </span>
+                  💵 USD ≈ <b>{fmtAngka(rateDolar, 2)}</b>
+                </Badge>
 
-                <p style={{ margin: "6px 0 0", fontSize: 13 }}>
-                  Kondisi normal: inflasi terjaga & ekonomi tumbuh stabil.
+                <p style={{ margin: "6px 0 0" }}>
+                  {tr("langkah5.setoran")}:{" "}
+                  <b>{tr("txt.perBulan", fmtRp(setoran))}</b> •{" "}
+                  {tr("langkah4.totalDisetor")}:{" "}
+                  <b>{fmtRp(result.totalSetor)}</b>
                 </p>
-              </div>
-              <div
-                style={{
-                  background: "#fef2f2",
-                  border: "1px solid #fecaca",
-                  borderRadius: 12,
-                  padding: 14,
-                }}
-              >
-                <h4 style={{ margin: 0, color: "crimson" }}>Pesimis ❌</h4>
                 <p style={{ margin: "6px 0 0" }}>
-                  <b>{fmtRp(result.pesV)}</b>
+                  {tr("langkah5.durasi")}: <b>{niceYears(months)}</b>
                 </p>
-
-                <span
-                  style={{
-                    marginLeft: "4px",
-                    color: "#b91c1c", // merah
-                    fontSize: "0.8em", // sedikit lebih kecil
-                    fontWeight: 500,
-                    background: "#fee2e2", // merah muda
-                    padding: "2px 6px",
-                    borderRadius: "4px",
-                    display: "inline-block",
-                  }}
-                >
-                  {pctPesimis >= 0 ? "+" : ""}
-                  {pctPesimis.toFixed(2)}%
-                </span>
-
-                <p style={{ margin: "6px 0 0", fontSize: 13 }}>
-                  Capital outflow / gejolak global / pelemahan rupiah tajam.
+                <p style={{ margin: "6px 0 0" }}>
+                  {tr("txt.inflasi")}{" "}
+                  <Badge bg="#fff7ed" color="#78350f">
+                    {tr(
+                      "langkah5.perTh",
+                      macro.inflasiTahunan.toLocaleString(lokal)
+                    )}
+                  </Badge>{" "}
+                  BI Rate{" "}
+                  <Badge bg="#f0f9ff" color="#075985">
+                    {macro.biRate.toLocaleString(lokal)}%
+                  </Badge>
                 </p>
               </div>
-            </div>
+            </Row>
+          </Box>
 
-            <div
-              style={{
-                marginTop: 12,
-                padding: "18px 22px",
-                border: "1px solid #ddd",
-                borderRadius: 10,
-                background: "#fafafa",
-                fontSize: "0.80rem", // ukuran isi
-                lineHeight: 1.6,
-                width: "100%",
-                boxSizing: "border-box",
-                textAlign: "justify",
-              }}
-            >
-              <div
-                style={{
-                  fontSize: "1.18rem",
-                  fontWeight: 700,
-                  marginBottom: 8,
-                }}
+          {/* Pilih mode proyeksi */}
+          <Row align="center">
+            <div style={{ marginTop: 12 }}>
+              <Pill
+                active={modeProyeksi === "skenario"}
+                onClick={() => setModeProyeksi("skenario")}
               >
-                🔎 KETERANGAN & PENJELASAN
-              </div>
-              • <b>Moderat rata-rata/bulan</b>
-              <br />
-              Estimasi kenaikan nilai investasi <i>per bulan</i> berdasarkan
-              skenario ekonomi normal (inflasi terjaga dan pertumbuhan stabil).
-              <br />• <b>Annualized</b>
-              <br />
-              Proyeksi return tahunan jika pola kenaikan bulanan berlangsung
-              konsisten selama 12 bulan.
-              <br />• <b>Inflasi</b>
-              <br />
-              Menunjukkan tingkat kenaikan harga barang/jasa di Indonesia. Jika{" "}
-              <i>return investasi</i> lebih tinggi daripada inflasi → disebut{" "}
-              <i>menang inflasi</i> (daya beli tetap naik). Jika lebih rendah →{" "}
-              <i>kalah inflasi</i> (nilai nominal naik tapi daya beli turun).
-              <br />
-              <br />
-              💡 <i> Tips Membaca Data </i>
-              <br />
-              Bandingkan angka moderat/optimis/pesimis dengan inflasi untuk
-              menilai apakah investasi cukup melawan kenaikan harga.
-              <br />
-              <p>
-                (Semua angka disini dihitung dengan rumus yang berdasarkan
-                dengan model, historis, dan spekulasi ekonomi global. Angka
-                diatas tidak dapat dipastikan 100% akurat karena setiap
-                karakteristik investasi berbeda-beda dan kondisi elemen, unsur,
-                dan data yang bersifat dinamis)
-              </p>
-            </div>
-          </Card>
-
-          {/* WHAT-IF — *** di bawah hasil *** */}
-          <Box style={{ marginTop: 12 }}>
-            <h3 style={{ marginTop: 0 }}>🧪 What-If!?</h3>
-            <Row wrap>
+                {tr("mode.skenario")}
+              </Pill>{" "}
               <Pill
-                active={adj.inflasiUp}
-                onClick={() =>
-                  setAdj((a) => ({ ...a, inflasiUp: !a.inflasiUp }))
-                }
+                active={modeProyeksi === "montecarlo"}
+                onClick={() => setModeProyeksi("montecarlo")}
               >
-                {adj.inflasiUp ? "✓ Inflasi +1% (ON)" : "Inflasi +1%"}
-              </Pill>
+                {tr("mode.montecarlo")}
+              </Pill>{" "}
               <Pill
-                active={adj.biDown}
-                onClick={() => setAdj((a) => ({ ...a, biDown: !a.biDown }))}
+                active={modeProyeksi === "backtest"}
+                onClick={() => setModeProyeksi("backtest")}
               >
-                {adj.biDown ? "✓ BI Rate −0,25% (ON)" : "BI Rate −0,25%"}
-              </Pill>
+                {tr("mode.backtest")}
+              </Pill>{" "}
               <Pill
-                active={adj.ihsgUp}
-                onClick={() => setAdj((a) => ({ ...a, ihsgUp: !a.ihsgUp }))}
+                active={modeProyeksi === "tujuan"}
+                onClick={() => setModeProyeksi("tujuan")}
               >
-                {adj.ihsgUp ? "✓ IHSG +5% (ON)" : "IHSG +5%"}
-              </Pill>
+                {tr("tujuan.judul")}
+              </Pill>{" "}
               <Pill
-                style={{ background: "#ef4444", color: "#fff" }}
-                onClick={() =>
-                  setAdj({ inflasiUp: false, biDown: false, ihsgUp: false })
-                }
+                active={modeProyeksi === "banding"}
+                onClick={() => setModeProyeksi("banding")}
               >
-                Reset
+                {tr("banding.judul")}
               </Pill>
-              <BtnPrimary style={{ marginLeft: 8 }} onClick={calcAll}>
-                Terapkan ke hasil
-              </BtnPrimary>
-            </Row>
-            <p style={{ fontSize: 12, color: "#6b7280", marginTop: 6 }}></p>
-          </Box>
+            </div>
+          </Row>
 
-          {/* Strategi Praktis */}
-          <Box style={{ marginTop: 12 }}>
-            <h3 style={{ marginTop: 0 }}>💡 STRATEGI BIAR KAMU CUAN! </h3>
-            <ul style={{ lineHeight: 1.6, marginBottom: 0 }}>
-              <li>
-                <b>Kalau Profit:</b> realisasikan 20–30%, sisanya biarkan
-                tumbuh; pertimbangkan diversifikasi ke obligasi/deposito.
-              </li>
-              <li>
-                <b>Kalau Rugi:</b> jangan panik; cek fundamental. Lakukan DCA
-                (beli bertahap), jika prospek jangka panjang masih masuk akal.
-              </li>
-              <li>
-                <b>Kamu Harus Apa?</b> Utamakan dana darurat dulu, hindari utang
-                konsumtif untuk investasi, konsisten top-up untuk memaksimalkan
-                compounding.
-              </li>
-              <li>
-                <b>Kenali Profil Risiko!</b> Jangan cuma ikut trend. Ukur
-                seberapa siap kamu lihat portofolio kamu. Kalau mental belum
-                siap, pilih instrumen aman (emas, deposito).
-              </li>
-              <li>
-                <b>Perluas Ilmu Ekonomi!</b> Ikuti tren ekonomi, kebijakan BI,
-                atau kebijakan pemerintah. Analisis dan pikirkan secara kritis
-                akan dampaknya pada investasi kamu.
-              </li>
-            </ul>
-          </Box>
+          {/* Monte Carlo */}
+          {modeProyeksi === "montecarlo" && (
+            <Card style={{ marginTop: 12 }}>
+              <h3 style={{ fontSize: "1.5rem", marginTop: 2, marginBottom: 8 }}>
+                {tr("mc.judul")}
+              </h3>
+              <p style={{ marginTop: 0, color: "#444" }}>{tr("mc.intro")}</p>
+              <Row align="center">
+                <span>{tr("mc.jumlahJalur")}</span>
+                {[1000, 5000, 10000].map((n) => (
+                  <Pill
+                    key={n}
+                    active={jumlahJalur === n}
+                    onClick={() => setJumlahJalur(n)}
+                  >
+                    {n.toLocaleString(lokal)}
+                  </Pill>
+                ))}
+              </Row>
+              {!mc || mc.status === "jalan" ? (
+                <p style={{ color: "#64748b" }}>
+                  {tr("mc.menghitung", jumlahJalur.toLocaleString(lokal))}
+                </p>
+              ) : (
+                <>
+                  <div
+                    style={{
+                      display: "grid",
+                      gridTemplateColumns: "1fr 1fr 1fr",
+                      gap: 12,
+                      marginTop: 12,
+                    }}
+                  >
+                    {[
+                      {
+                        label: tr("mc.p10"),
+                        v: mc.p10,
+                        bg: "#fef2f2",
+                        bd: "#fecaca",
+                        c: "crimson",
+                      },
+                      {
+                        label: tr("mc.p50"),
+                        v: mc.p50,
+                        bg: "#eff6ff",
+                        bd: "#93c5fd",
+                        c: "#1d4ed8",
+                      },
+                      {
+                        label: tr("mc.p90"),
+                        v: mc.p90,
+                        bg: "#ecfdf5",
+                        bd: "#86efac",
+                        c: "green",
+                      },
+                    ].map((x) => (
+                      <div
+                        key={x.label}
+                        style={{
+                          background: x.bg,
+                          border: `1px solid ${x.bd}`,
+                          borderRadius: 12,
+                          padding: 14,
+                        }}
+                      >
+                        <h4 style={{ margin: 0, color: x.c }}>{x.label}</h4>
+                        <p style={{ margin: "6px 0 0" }}>
+                          <b>{fmtRp(x.v)}</b>
+                        </p>
+                        <p style={{ margin: "6px 0 0", fontSize: 13 }}>
+                          {x.v >= result.totalSetor ? "+" : ""}
+                          {pct(
+                            ((x.v - result.totalSetor) / result.totalSetor) *
+                              100
+                          )}{" "}
+                          {tr("mc.dariSetoran")}
+                        </p>
+                      </div>
+                    ))}
+                  </div>
+                  <ul style={{ lineHeight: 1.6 }}>
+                    <li>
+                      {tr("mc.peluangRugi", fmtRp(result.totalSetor))}{" "}
+                      <b style={{ color: "crimson" }}>{pct(mc.probRugi, 1)}</b>
+                    </li>
+                    <li>
+                      {tr(
+                        "mc.peluangInflasi",
+                        result.inflasi,
+                        fmtRp(result.targetInflasi)
+                      )}{" "}
+                      <b style={{ color: "green" }}>
+                        {pct(mc.probMenangInflasi, 1)}
+                      </b>
+                    </li>
+                  </ul>
+                  <Tips>{tr("mc.artinya", fmtRp(mc.p10), fmtRp(mc.p90))}</Tips>
+                </>
+              )}
+              <p style={{ fontSize: 12, color: "#6b7280", marginTop: 10 }}>
+                {tr("mc.asumsiVol")}{" "}
+                {result.kontribusi
+                  .map(
+                    (k) =>
+                      `${infoJenis[k.type].title} ${pct(
+                        RISIKO_MC[k.type].vol * 100,
+                        1
+                      )}`
+                  )
+                  .join(" • ")}
+                {tr("mc.catatanVol")}
+              </p>
+            </Card>
+          )}
 
-          {/* ================= Rekomendasi Investasi ================= */}
-          <Card
-            style={{
-              border: "1px solid #ccc",
-              borderRadius: "16px",
-              padding: "24px",
-              background: "#ffffff",
-              marginTop: "32px",
-              marginBottom: "32px",
-            }}
-          >
-            <h2
-              style={{
-                fontSize: "1.6rem",
-                fontWeight: "700",
-                marginBottom: "19px",
-                marginTop: 2,
-              }}
-            >
-              🫵 REKOMENDASI BUAT KAMU!
-            </h2>
+          {/* Backtest historis */}
+          {modeProyeksi === "backtest" && (
+            <Card style={{ marginTop: 12 }}>
+              <h3 style={{ fontSize: "1.5rem", marginTop: 2, marginBottom: 8 }}>
+                {tr("mode.backtest")}
+              </h3>
+              <p style={{ marginTop: 0, color: "#444" }}>{tr("bt.intro")}</p>
+              <Row align="center">
+                <label>
+                  {tr("bt.mulai")}{" "}
+                  <input
+                    type="month"
+                    min={BACKTEST_MIN}
+                    max={BACKTEST_MAX}
+                    value={mulaiBacktest}
+                    onChange={(e) =>
+                      e.target.value && setMulaiBacktest(e.target.value)
+                    }
+                    style={{ ...input, marginLeft: 4, width: 170 }}
+                  />
+                </label>
+                {["2005", "2010", "2015", "2020"].map((th) => (
+                  <Pill
+                    key={th}
+                    active={mulaiBacktest === `${th}-01`}
+                    onClick={() => setMulaiBacktest(`${th}-01`)}
+                  >
+                    {th}
+                  </Pill>
+                ))}
+              </Row>
+              {!backtest ? (
+                <p style={{ color: "crimson" }}>
+                  {tr(
+                    "bt.tersedia",
+                    fmtAsOf(BACKTEST_MIN),
+                    fmtAsOf(BACKTEST_MAX)
+                  )}
+                </p>
+              ) : (
+                <>
+                  <p style={{ fontSize: 14 }}>
+                    {tr("bt.periode")}{" "}
+                    <b>
+                      {fmtAsOf(backtest.mulai)} – {fmtAsOf(backtest.sampai)}
+                    </b>{" "}
+                    ({niceYears(backtest.months)})
+                    {backtest.terpotong &&
+                      tr("bt.terpotong", result.months, fmtAsOf(BACKTEST_MAX))}
+                    .
+                  </p>
+                  <div
+                    style={{
+                      display: "grid",
+                      gridTemplateColumns: "1fr 1fr 1fr",
+                      gap: 12,
+                    }}
+                  >
+                    <div
+                      style={{
+                        background: "#eff6ff",
+                        border: "1px solid #93c5fd",
+                        borderRadius: 12,
+                        padding: 14,
+                      }}
+                    >
+                      <h4 style={{ margin: 0, color: "#1d4ed8" }}>
+                        {tr("bt.nilaiAkhir")}
+                      </h4>
+                      <p style={{ margin: "6px 0 0" }}>
+                        <b>{fmtRp(backtest.nilaiAkhir)}</b>
+                      </p>
+                      <p style={{ margin: "6px 0 0", fontSize: 13 }}>
+                        {tr("bt.totalSetor", fmtRp(backtest.totalSetor))}
+                      </p>
+                    </div>
+                    <div
+                      style={{
+                        background:
+                          backtest.annualized >= backtest.inflasiRealisasi
+                            ? "#ecfdf5"
+                            : "#fef2f2",
+                        border: "1px solid #e5e7eb",
+                        borderRadius: 12,
+                        padding: 14,
+                      }}
+                    >
+                      <h4 style={{ margin: 0 }}>{tr("bt.vsInflasi")}</h4>
+                      <p style={{ margin: "6px 0 0" }}>
+                        <b>{pct(backtest.annualized)}</b>
+                        {tr("bt.perTahun")}
+                      </p>
+                      <p style={{ margin: "6px 0 0", fontSize: 13 }}>
+                        {tr("bt.inflasiNyata", pct(backtest.inflasiRealisasi))}{" "}
+                        {backtest.annualized >= backtest.inflasiRealisasi
+                          ? tr("bt.menang")
+                          : tr("bt.kalah")}
+                      </p>
+                    </div>
+                    <div
+                      style={{
+                        background: "#fff7ed",
+                        border: "1px solid #fed7aa",
+                        borderRadius: 12,
+                        padding: 14,
+                      }}
+                    >
+                      <h4 style={{ margin: 0, color: "#c2410c" }}>
+                        {tr("bt.turunTerdalam")}
+                      </h4>
+                      <p style={{ margin: "6px 0 0" }}>
+                        <b>
+                          {backtest.turunPct < 0
+                            ? pct(backtest.turunPct)
+                            : tr("bt.tidakTurun")}
+                        </b>
+                      </p>
+                      {backtest.turunPct < 0 && (
+                        <p style={{ margin: "6px 0 0", fontSize: 13 }}>
+                          {fmtAsOf(
+                            SERI_HISTORIS.bulan[
+                              SERI_HISTORIS.bulan.indexOf(backtest.mulai) +
+                                backtest.bulanDasar -
+                                1
+                            ]
+                          )}
+                          ;{" "}
+                          {backtest.lamaPulih === null
+                            ? tr("bt.belumPulih")
+                            : tr("bt.pulih", backtest.lamaPulih)}
+                        </p>
+                      )}
+                    </div>
+                  </div>
+                  <GrafikPertumbuhan
+                    seri={backtest.seri}
+                    months={backtest.months}
+                    garis={GARIS_BACKTEST}
+                    judul={tr("bt.grafikJudul")}
+                    catatan={tr("bt.grafikCatatan")}
+                  />
+                  <p style={{ fontSize: 12, color: "#6b7280" }}>
+                    {tr(
+                      "bt.sumber",
+                      HISTORIS.sumber.map((s) => lok(s).nama).join(", ")
+                    )}
+                  </p>
+                </>
+              )}
+            </Card>
+          )}
 
-            {/* Grid untuk 5 instrumen */}
-            <div
-              style={{
-                display: "grid",
-                gridTemplateColumns: "repeat(auto-fit, minmax(260px, 1fr))",
-                gap: "20px",
-              }}
-            >
-              {/* ===== 1. Emas ===== */}
-              <Card
+          {/* Perencana tujuan */}
+          {modeProyeksi === "tujuan" && (
+            <PerencanaTujuan
+              tujuan={tujuan}
+              setTujuan={setTujuan}
+              budgetStr={budgetTujuanStr}
+              setBudgetStr={setBudgetTujuanStr}
+              rencana={rencana}
+              infoJenis={infoJenis}
+              pakaiBiaya={pakaiBiaya}
+            />
+          )}
+
+          {/* Bandingkan semua instrumen */}
+          {modeProyeksi === "banding" && bandingan && (
+            <TabelBandingan
+              bandingan={bandingan}
+              result={result}
+              infoJenis={infoJenis}
+              instrumenAktif={Object.keys(bobot)}
+            />
+          )}
+
+          {/* Hasil 3 Skenario */}
+          {modeProyeksi === "skenario" && (
+            <Card style={{ marginTop: 12 }}>
+              <h3
                 style={{
-                  border: "1px solid #f4c542", // kuning pastel
-                  borderRadius: "12px",
-                  padding: "16px",
-                  background: "#fffbea",
+                  fontSize: "1.5rem",
+                  fontWeight: 700,
+                  marginBottom: 12,
+                  marginTop: 2,
                 }}
               >
-                <h3
-                  style={{
-                    fontSize: "1.5rem",
-                    marginBottom: "20px",
-                    marginTop: 2,
-                  }}
-                >
-                  🏆 Emas
-                </h3>
-                <h4
-                  style={{
-                    fontSize: "1.9",
-                    marginBottom: "8px",
-                    marginTop: 2,
-                  }}
-                >
-                  COCOK BUAT KAMU YANG:
-                </h4>
-                <ul
-                  style={{
-                    paddingLeft: "20px",
-                    lineHeight: 1.6,
-                    marginBottom: "12px",
-                    marginTop: 2,
-                  }}
-                >
-                  <li>Tipe main aman, suka stabilitas, anti drama grafik.</li>
-                  <li>
-                    Punya tujuan jangka panjang (nikah, rumah, dana darurat).
-                  </li>
-                  <li>
-                    {" "}
-                    Pendapatan apa pun, modal kecil pun bisa mulai investasi
-                    emas.
-                  </li>
-                </ul>
-
-                <h4
-                  style={{
-                    fontSize: "1.9",
-                    marginBottom: "2px",
-                    marginTop: 2,
-                  }}
-                >
-                  KAPAN HARUS?
-                </h4>
-                <p>
-                  🟢 <b>Beli:</b> saat harga emas turun / rupiah lagi kuat.
-                  <br />
-                  🔴 <b>Jual:</b> pas inflasi tinggi atau harga emas dunia
-                  rekor.
-                </p>
-              </Card>
+                {tr("sk.judul")}
+              </h3>
 
-              {/* ===== 2. Saham ===== */}
-              <Card
+              <div
                 style={{
-                  border: "1px solid #5ac75a", // hijau
-                  borderRadius: "12px",
-                  padding: "16px",
-                  background: "#f3fff3",
+                  marginTop: "5px",
+                  padding: "14px 18px",
+                  border: "1.5px solid #e0e0e0",
+                  borderRadius: "10px",
+                  background: "#fafafa",
+                  lineHeight: "1.3",
+                  maxWidth: "720px",
+                  fontSize: "0.9em",
+                  boxShadow: "0 2px 6px rgba(0,0,0,0.04)",
                 }}
               >
                 <h3
                   style={{
-                    fontSize: "1.5rem",
-                    marginBottom: "20px",
-                    marginTop: 2,
-                  }}
-                >
-                  🚀 Saham
-                </h3>
-                <h4
-                  style={{
-                    fontSize: "1.9",
-                    marginBottom: "8px",
-                    marginTop: 20,
-                  }}
-                >
-                  COCOK BUAT KAMU YANG:
-                </h4>
-                <ul
-                  style={{
-                    paddingLeft: "20px",
-                    lineHeight: 1.6,
-                    marginBottom: "8px",
-                    marginTop: 2,
+                    margin: "0 0 1px 0",
+                    fontSize: "0.9em",
+                    color: "#333",
+                    width: "100%",
                   }}
-                >
-                  <li>Suka tantangan & rajin update berita ekonomi.</li>
-                  <li>Punya dana nganggur & siap jangka panjang.</li>
-                  <li> Mental kuat lihat harga naik turun.</li>
-                </ul>
+                ></h3>
+                <p style={{ margin: "0 0 6px 0", color: "#444" }}>
+                  {tr("sk.intro1")}
+                </p>
+                <p style={{ margin: 0, color: "#444" }}>{tr("sk.intro2")}</p>
+              </div>
+              <Row align="center">
+                <span style={{ fontSize: 14 }}>{tr("mu.tampilkan")}</span>
+                {Object.keys(MATA_UANG).map((mu) => (
+                  <Pill
+                    key={mu}
+                    active={mataUang === mu}
+                    aria-pressed={mataUang === mu}
+                    onClick={() => setMataUang(mu)}
+                  >
+                    {lok(MATA_UANG[mu]).label}
+                  </Pill>
+                ))}
+              </Row>
+              <ul style={{ lineHeight: 1.6 }}>
+                {[
+                  ["optimis", "opt", "green", "#dcfce7", "sk.sentimenKuat"],
+                  ["moderat", "mod", "#1d4ed8", "#e0e7ff", "sk.ekonomiStabil"],
+                  ["pesimis", "pes", "crimson", "#fee2e2", "sk.tekananPasar"],
+                ].map(([sk, k, color, bg, badge]) => (
+                  <li key={sk} style={{ color }}>
+                    <b>{tr(`sk.${sk}`)}:</b>{" "}
+                    {fmtMataUang(hasilMataUang[k], mataUang)}
+                    {mataUang !== "IDR" && ` (${fmtRp(result[`${k}V`])})`}{" "}
+                    <Badge bg={bg}>{tr(badge)}</Badge>
+                  </li>
+                ))}
+              </ul>
+              {mataUang !== "IDR" && (
+                <div style={{ overflowX: "auto" }}>
+                  <h4 style={{ margin: "6px 0" }}>
+                    {tr("mu.judul", lok(MATA_UANG[mataUang]).label)}
+                  </h4>
+                  <Row align="center">
+                    {mataUang === "USD" ? (
+                      <label style={{ fontSize: 14 }}>
+                        {tr("mu.depresiasi")}{" "}
+                        <input
+                          type="number"
+                          step={0.1}
+                          value={asumsiMataUang.depresiasi}
+                          aria-label={tr("mu.depresiasi")}
+                          onChange={(e) =>
+                            setAsumsiMataUang((a) => ({
+                              ...a,
+                              depresiasi: Number(e.target.value),
+                            }))
+                          }
+                          style={{ ...input, width: 80 }}
+                        />
+                      </label>
+                    ) : (
+                      <label style={{ fontSize: 14 }}>
+                        {tr("mu.emasNaik")}{" "}
+                        <input
+                          type="number"
+                          step={0.1}
+                          value={asumsiMataUang.emas}
+                          aria-label={tr("mu.emasNaik")}
+                          onChange={(e) =>
+                            setAsumsiMataUang((a) => ({
+                              ...a,
+                              emas: Number(e.target.value),
+                            }))
+                          }
+                          style={{ ...input, width: 80 }}
+                        />
+                      </label>
+                    )}
+                    <Btn
+                      disabled={asumsiMataUang === ASUMSI_MATA_UANG}
+                      onClick={() => setAsumsiMataUang(ASUMSI_MATA_UANG)}
+                    >
+                      {tr("mu.rataHistoris")}
+                    </Btn>
+                  </Row>
+                  <p style={{ fontSize: 13, color: "#475569", marginTop: 4 }}>
+                    {tr(
+                      "mu.hargaAkhir",
+                      result.months,
+                      fmtRp(hasilMataUang.hargaAkhir),
+                      mataUang === "USD" ? "USD" : "gram"
+                    )}
+                    {mataUang === "USD" &&
+                      adj.kurs !== 0 &&
+                      tr("mu.whatIfKurs", fmtGeser(adj.kurs, "%"))}
+                  </p>
+                  <table
+                    style={{
+                      width: "100%",
+                      borderCollapse: "collapse",
+                      fontSize: 14,
+                    }}
+                  >
+                    <thead>
+                      <tr style={{ textAlign: "left", color: "#475569" }}>
+                        {tr("mu.kolom").map((h) => (
+                          <th key={h}>{h}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {[
+                        ["optimis", "opt", "green"],
+                        ["moderat", "mod", "#1d4ed8"],
+                        ["pesimis", "pes", "crimson"],
+                      ].map(([sk, k, color]) => {
+                        const selisih =
+                          hasilMataUang[k] - hasilMataUang.disetor;
+                        return (
+                          <tr
+                            key={sk}
+                            style={{ borderTop: "1px solid #e5e7eb" }}
+                          >
+                            <td style={{ color }}>
+                              <b>{tr(`sk.${sk}`)}</b>
+                            </td>
+                            <td>
+                              <b>{fmtMataUang(hasilMataUang[k], mataUang)}</b>
+                            </td>
+                            <td>
+                              {fmtMataUang(hasilMataUang.disetor, mataUang)}
+                            </td>
+                            <td
+                              style={{
+                                color: selisih >= 0 ? "green" : "crimson",
+                              }}
+                            >
+                              {selisih >= 0 ? "+" : "−"}
+                              {fmtMataUang(Math.abs(selisih), mataUang)} (
+                              {pct((selisih / hasilMataUang.disetor) * 100, 1)}){" "}
+                              {selisih >= 0
+                                ? tr("mu.lebihKaya")
+                                : tr("mu.lebihMiskin")}
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                  <p style={{ fontSize: 12, color: "#6b7280" }}>
+                    {tr("mu.catatan")}
+                  </p>
+                </div>
+              )}
 
-                <h4
+              <p style={{ marginTop: 0 }}>
+                {tr("sk.totalDisetor", {
+                  total: fmtRp(result.totalSetor),
+                  modal: fmtRp(modal),
+                  setoran: fmtRp(setoran),
+                  months,
+                  untung: fmtRp(result.modV - result.totalSetor),
+                })}
+              </p>
+              <p>
+                {tr("sk.rataBulan")} <b>{pct(result.monthlyModeratePct)}</b> •
+                Annualized: <b>{pct(result.annualModerate)}</b> •{" "}
+                {tr("sk.inflasi")} <b>{pct(result.inflasi)}</b>{" "}
+                {result.modV > result.targetInflasi ? (
+                  <span style={{ color: "green" }}>{tr("sk.menang")}</span>
+                ) : (
+                  <span style={{ color: "crimson" }}>{tr("sk.kalah")}</span>
+                )}
+                <br />
+                <span style={{ fontSize: 13, color: "#64748b" }}>
+                  {tr("sk.patokan", fmtRp(result.targetInflasi))}
+                </span>
+              </p>
+              {/* Nominal vs riil */}
+              <div style={{ overflowX: "auto" }}>
+                <h4 style={{ margin: "6px 0" }}>{tr("sk.riilJudul")}</h4>
+                <table
                   style={{
-                    fontSize: "1.9",
-                    marginBottom: "2px",
-                    marginTop: 2,
+                    width: "100%",
+                    borderCollapse: "collapse",
+                    fontSize: 14,
                   }}
                 >
-                  KAPAN HARUS?
-                </h4>
-                <p>
-                  🟢 <b>Beli:</b> pas IHSG koreksi besar & emiten fundamental
-                  oke.
-                  <br />
-                  🔴 <b>Jual:</b> target cuan tercapai atau kinerja perusahaan
-                  drop.
+                  <thead>
+                    <tr style={{ textAlign: "left", color: "#475569" }}>
+                      <th>{tr("sk.skenario")}</th>
+                      <th>Nominal</th>
+                      <th>{tr("sk.riilKolom")}</th>
+                      <th>{tr("sk.tergerus")}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {[
+                      [tr("sk.optimis"), result.optV, result.optReal, "green"],
+                      [
+                        tr("sk.moderat"),
+                        result.modV,
+                        result.modReal,
+                        "#1d4ed8",
+                      ],
+                      [
+                        tr("sk.pesimis"),
+                        result.pesV,
+                        result.pesReal,
+                        "crimson",
+                      ],
+                    ].map(([label, nominal, riil, color]) => (
+                      <tr
+                        key={label}
+                        style={{ borderTop: "1px solid #e5e7eb" }}
+                      >
+                        <td style={{ color }}>
+                          <b>{label}</b>
+                        </td>
+                        <td>{fmtRp(nominal)}</td>
+                        <td>
+                          <b>{fmtRp(riil)}</b>
+                        </td>
+                        <td style={{ color: "#b45309" }}>
+                          −{fmtRp(nominal - riil)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <p style={{ fontSize: 13, color: "#475569" }}>
+                  {tr("sk.returnRiil")}{" "}
+                  <b
+                    style={{
+                      color: result.annualReal >= 0 ? "green" : "crimson",
+                    }}
+                  >
+                    {pct(result.annualReal)}
+                    {tr("bt.perTahun")}
+                  </b>{" "}
+                  {tr("sk.riilKet", {
+                    annual: pct(result.annualModerate),
+                    inflasi: pct(result.inflasi),
+                    whatIf:
+                      result.inflasi !== macro.inflasiTahunan
+                        ? fmtGeser(result.inflasi - macro.inflasiTahunan, "pp")
+                        : null,
+                    months: result.months,
+                  })}
                 </p>
-              </Card>
+              </div>
+              {/* Gross vs net */}
+              {result.pakaiBiaya && (
+                <div style={{ overflowX: "auto" }}>
+                  <h4 style={{ margin: "6px 0" }}>{tr("sk.netJudul")}</h4>
+                  <table
+                    style={{
+                      width: "100%",
+                      borderCollapse: "collapse",
+                      fontSize: 14,
+                    }}
+                  >
+                    <thead>
+                      <tr style={{ textAlign: "left", color: "#475569" }}>
+                        <th>{tr("sk.skenario")}</th>
+                        <th>Gross</th>
+                        <th>Net</th>
+                        <th>Fee drag</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {[
+                        [
+                          tr("sk.optimis"),
+                          result.optGross,
+                          result.optV,
+                          "green",
+                        ],
+                        [
+                          tr("sk.moderat"),
+                          result.modGross,
+                          result.modV,
+                          "#1d4ed8",
+                        ],
+                        [
+                          tr("sk.pesimis"),
+                          result.pesGross,
+                          result.pesV,
+                          "crimson",
+                        ],
+                      ].map(([label, gross, net, color]) => (
+                        <tr
+                          key={label}
+                          style={{ borderTop: "1px solid #e5e7eb" }}
+                        >
+                          <td style={{ color }}>
+                            <b>{label}</b>
+                          </td>
+                          <td>{fmtRp(gross)}</td>
+                          <td>
+                            <b>{fmtRp(net)}</b>
+                          </td>
+                          <td style={{ color: "#b45309" }}>
+                            −{fmtRp(gross - net)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  <p style={{ fontSize: 13, color: "#475569" }}>
+                    {tr("sk.feeDrag")} <b>{fmtRp(result.feeDrag)}</b> (
+                    {pct(
+                      result.modGross - result.totalSetor
+                        ? (result.feeDrag /
+                            (result.modGross - result.totalSetor)) *
+                            100
+                        : 0,
+                      1
+                    )}
+                    {tr("sk.feeDragKet")}
+                  </p>
+                  <ul style={{ fontSize: 12, color: "#6b7280", marginTop: 0 }}>
+                    {result.kontribusi.map((k) => (
+                      <li key={k.type}>
+                        {infoJenis[k.type].title}: {lok(k.biaya).catatan}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
 
-              {/* ===== 3. Obligasi ===== */}
-              <Card
+              {result.kontribusi.length > 1 && (
+                <div style={{ overflowX: "auto" }}>
+                  <h4 style={{ margin: "6px 0" }}>
+                    {tr("sk.kontribusiJudul")}
+                  </h4>
+                  <table
+                    style={{
+                      width: "100%",
+                      borderCollapse: "collapse",
+                      fontSize: 14,
+                    }}
+                  >
+                    <thead>
+                      <tr style={{ textAlign: "left", color: "#475569" }}>
+                        <th>{tr("umum.instrumen")}</th>
+                        <th>{tr("sk.porsi")}</th>
+                        <th>{tr("sk.disetor")}</th>
+                        <th>{tr("sk.optimis")}</th>
+                        <th>{tr("sk.moderat")}</th>
+                        <th>{tr("sk.pesimis")}</th>
+                        <th>{tr("sk.andil")}</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {result.kontribusi.map((k) => (
+                        <tr
+                          key={k.type}
+                          style={{ borderTop: "1px solid #e5e7eb" }}
+                        >
+                          <td>
+                            {infoJenis[k.type].icon} {infoJenis[k.type].title}{" "}
+                            <Badge bg={riskBg(infoJenis[k.type].risk)}>
+                              {tr(`risiko.${infoJenis[k.type].risk}`)}
+                            </Badge>
+                          </td>
+                          <td>{Math.round(k.w * 100)}%</td>
+                          <td>{fmtRp(k.setor)}</td>
+                          <td style={{ color: "green" }}>{fmtRp(k.optV)}</td>
+                          <td style={{ color: "#1d4ed8" }}>{fmtRp(k.modV)}</td>
+                          <td style={{ color: "crimson" }}>{fmtRp(k.pesV)}</td>
+                          <td>
+                            {fmtRp(k.modV - k.setor)} (
+                            {pct(
+                              result.modV - result.totalSetor
+                                ? ((k.modV - k.setor) /
+                                    (result.modV - result.totalSetor)) *
+                                    100
+                                : 0,
+                              0
+                            )}
+                            )
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              <div
                 style={{
-                  border: "1px solid #5ba6f0", // biru
-                  borderRadius: "12px",
-                  padding: "16px",
-                  background: "#f2f8ff",
+                  display: "grid",
+                  gridTemplateColumns: "1fr 1fr 1fr",
+                  gap: 12,
+                  marginTop: 12,
                 }}
               >
-                <h3
-                  style={{
-                    fontSize: "1.5rem",
-                    marginBottom: "20px",
-                    marginTop: 2,
-                  }}
-                >
-                  💵 Obligasi
-                </h3>
-                <h4
+                <div
                   style={{
-                    fontSize: "1.9",
-                    marginBottom: "2px",
-                    marginTop: 24,
+                    background: "#ecfdf5",
+                    border: "1px solid #86efac",
+                    borderRadius: 12,
+                    padding: 14,
                   }}
                 >
-                  COCOK BUAT KAMU YANG:
-                </h4>
-                <ul
+                  <h4 style={{ margin: 0, color: "green" }}>
+                    {tr("sk.optimis")} ✅
+                  </h4>
+                  <p style={{ margin: "6px 0 0" }}>
+                    <b>{fmtRp(result.optV)}</b>
+                  </p>
+
+                  {modalValue > 0 && (
+                    <span
+                      style={{
+                        display: "block",
+                        fontSize: "0.8em",
+                        fontWeight: 600,
+                        padding: "2px 6px",
+                        borderRadius: "4px",
+                        background: pctOptimis >= 0 ? "#e8f8ee" : "#fff1f2",
+                        color: pctOptimis >= 0 ? "#16a34a" : "#dc2626",
+                        display: "inline-block",
+                      }}
+                    >
+                      {pctOptimis >= 0 ? "+" : ""}
+                      {pct(pctOptimis)}
+                    </span>
+                  )}
+                  <p style={{ margin: "6px 0 0", fontSize: 13 }}>
+                    {tr("sk.keuntungan")} <b>{fmtRp(valOpt - modalValue)}</b>
+                  </p>
+
+                  <p style={{ margin: "6px 0 0", fontSize: 13 }}>
+                    {tr("sk.ketOptimis")}
+                  </p>
+                </div>
+                <div
                   style={{
-                    paddingLeft: "20px",
-                    lineHeight: 1.6,
-                    marginBottom: "12px",
-                    marginTop: 6,
+                    background: "#eff6ff",
+                    border: "1px solid #93c5fd",
+                    borderRadius: 12,
+                    padding: 14,
                   }}
                 >
-                  <li>Cari pendapatan rutin (kupon) dan stabil.</li>
-                  <li> Cocok buat yang butuh cash-flow bulanan.</li>
-                </ul>
+                  <h4 style={{ margin: 0, color: "#1d4ed8" }}>
+                    {tr("sk.moderat")} 🔵
+                  </h4>
+                  <p style={{ margin: "6px 0 0" }}>
+                    <b>{fmtRp(result.modV)}</b>
+                  </p>
+
+                  <span
+                    style={{
+                      marginLeft: "4px",
+                      color: "#1e40af", // biru
+                      fontSize: "0.8em", // lebih kecil dari Rp
+                      fontWeight: 500,
+                      background: "#e0f2fe", // latar biru muda
+                      padding: "2px 4px",
+                      borderRadius: "4px",
+                      display: "inline-block",
+                    }}
+                  >
+                    {pctModerat >= 0 ? "+" : ""}
+                    {pct(pctModerat)}
+                  </span>
+                  <p style={{ margin: "6px 0 0", fontSize: 13 }}>
+                    {tr("sk.keuntungan")} <b>{fmtRp(valMod - modalValue)}</b>
+                  </p>
 
-                <h4
+                  <p style={{ margin: "6px 0 0", fontSize: 13 }}>
+                    {tr("sk.ketModerat")}
+                  </p>
+                </div>
+                <div
                   style={{
-                    fontSize: "1.9",
-                    marginBottom: "2px",
-                    marginTop: 2,
+                    background: "#fef2f2",
+                    border: "1px solid #fecaca",
+                    borderRadius: 12,
+                    padding: 14,
                   }}
                 >
-                  KAPAN HARUS?
-                </h4>
-                <p>
-                  🟢 <b>Beli:</b> ketika suku bunga tinggi (kupon menarik).
-                  <br />
-                  🔴 <b>Jual:</b> sebelum jatuh tempo jika butuh dana cepat.
-                </p>
-              </Card>
+                  <h4 style={{ margin: 0, color: "crimson" }}>
+                    {tr("sk.pesimis")} ❌
+                  </h4>
+                  <p style={{ margin: "6px 0 0" }}>
+                    <b>{fmtRp(result.pesV)}</b>
+                  </p>
 
-              {/* ===== 4. Deposito ===== */}
-              <Card
+                  <span
+                    style={{
+                      marginLeft: "4px",
+                      color: "#b91c1c", // merah
+                      fontSize: "0.8em", // sedikit lebih kecil
+                      fontWeight: 500,
+                      background: "#fee2e2", // merah muda
+                      padding: "2px 6px",
+                      borderRadius: "4px",
+                      display: "inline-block",
+                    }}
+                  >
+                    {pctPesimis >= 0 ? "+" : ""}
+                    {pct(pctPesimis)}
+                  </span>
+                  <p style={{ margin: "6px 0 0", fontSize: 13 }}>
+                    {tr("sk.keuntungan")} <b>{fmtRp(valPes - modalValue)}</b>
+                  </p>
+
+                  <p style={{ margin: "6px 0 0", fontSize: 13 }}>
+                    {tr("sk.ketPesimis")}
+                  </p>
+                </div>
+              </div>
+
+              <GrafikPertumbuhan seri={result.seri} months={result.months} />
+
+              <div
                 style={{
-                  border: "1px solid #bfbfbf", // abu netral
-                  borderRadius: "12px",
-                  padding: "16px",
-                  background: "#f9f9f9",
+                  marginTop: 12,
+                  padding: "18px 22px",
+                  border: "1px solid #ddd",
+                  borderRadius: 10,
+                  background: "#fafafa",
+                  fontSize: "0.80rem", // ukuran isi
+                  lineHeight: 1.6,
+                  width: "100%",
+                  boxSizing: "border-box",
+                  textAlign: "justify",
                 }}
               >
-                <h3
-                  style={{
-                    fontSize: "1.5rem",
-                    marginBottom: "8px",
-                    marginTop: 2,
-                  }}
-                >
-                  🏦 Deposito
-                </h3>
-                <h4
-                  style={{
-                    fontSize: "1.9",
-                    marginBottom: "2px",
-                    marginTop: 22,
-                  }}
-                >
-                  COCOK BUAT KAMU YANG:
-                </h4>
-                <ul
+                <div
                   style={{
-                    paddingLeft: "20px",
-                    lineHeight: 1.6,
-                    marginBottom: "12px",
-                    marginTop: 6,
+                    fontSize: "1.18rem",
+                    fontWeight: 700,
+                    marginBottom: 8,
                   }}
                 >
-                  <li> Super konservatif, dana aman dijamin LPS.</li>
-                  <li>
-                    {" "}
-                    Cocok buat parkir dana jangka pendek sambil dapat bunga
-                    lebih dari tabungan.
-                  </li>
-                </ul>
+                  {tr("sk.keteranganJudul")}
+                </div>
+                {tr("sk.keterangan")}
+              </div>
+            </Card>
+          )}
 
-                <h4
-                  style={{
-                    fontSize: "1.9",
-                    marginBottom: "2px",
-                    marginTop: 2,
-                  }}
-                >
-                  KAPAN HARUS?
-                </h4>
-                <p>
-                  🟢 <b>Perpanjang:</b> saat tren suku bunga tinggi.
+          {/* WHAT-IF — *** di bawah hasil *** */}
+          <Box style={{ marginTop: 12 }}>
+            <h3 style={{ marginTop: 0 }}>🧪 What-If!?</h3>
+            <p style={{ marginTop: 0, fontSize: 13, color: "#475569" }}>
+              {tr("whatif.intro", fmtAsOf(macro.asOf))}
+            </p>
+            <Row wrap>
+              {WHATIF.map(lok).map((w) => (
+                <label key={w.key} style={{ flex: 1, minWidth: 220 }}>
+                  {w.label}:{" "}
+                  <b style={{ color: adj[w.key] ? "#0ea5e9" : "#111827" }}>
+                    {fmtGeser(adj[w.key], w.satuan)}
+                  </b>
                   <br />
-                  🔴 <b>Tarik:</b> ketika butuh dana atau bunga terus menurun.
-                </p>
-              </Card>
+                  <input
+                    type="range"
+                    min={w.min}
+                    max={w.max}
+                    step={w.step}
+                    value={adj[w.key]}
+                    aria-label={w.label}
+                    onChange={(e) =>
+                      setAdj((a) => ({ ...a, [w.key]: Number(e.target.value) }))
+                    }
+                    style={{ width: "100%" }}
+                  />
+                  <div style={{ fontSize: 11, color: "#6b7280" }}>
+                    {fmtGeser(w.min, w.satuan)} … {fmtGeser(w.max, w.satuan)}
+                    {w.key === "kurs" && tr("whatif.kursKet")}
+                  </div>
+                </label>
+              ))}
+            </Row>
+            <Row wrap>
+              <Pill
+                style={{ background: "#ef4444", color: "#fff" }}
+                disabled={!adjAktif}
+                onClick={() => setAdj(WHATIF_NOL)}
+              >
+                Reset
+              </Pill>
+            </Row>
+            {/* key = sensitivitas asal dataset, bukan yang aktif: tiap ketikan
+                valid langsung disimpan → remount & fokus input hilang */}
+            <TabelSensitivitas
+              key={JSON.stringify(sensitivitasAsal)}
+              sensitivitas={dataset.sensitivitas}
+              asal={sensitivitasAsal}
+              infoJenis={infoJenis}
+              onSave={simpanSensitivitas}
+              onReset={() => simpanSensitivitas(sensitivitasAsal)}
+            />
+          </Box>
 
-              {/* ===== 5. Reksadana ===== */}
-              <Card
+          {result && <ReplayKrisis result={result} />}
+
+          {/* Strategi Praktis */}
+
+          <Box style={{ marginTop: 12 }}>
+            <h3 style={{ marginTop: 0 }}>{tr("strategi.judul")}</h3>
+            <ul style={{ lineHeight: 1.6, marginBottom: 0 }}>
+              {tr("strategi.poin").map(([judul, isi]) => (
+                <li key={judul}>
+                  <b>{judul}</b> {isi}
+                </li>
+              ))}
+            </ul>
+          </Box>
+
+          {/* ================= Rekomendasi Investasi ================= */}
+          <Card
+            style={{
+              border: "1px solid #ccc",
+              borderRadius: "16px",
+              padding: "24px",
+              background: "#ffffff",
+              marginTop: "32px",
+              marginBottom: "32px",
+            }}
+          >
+            <h2
+              style={{
+                fontSize: "1.6rem",
+                fontWeight: "700",
+                marginBottom: "19px",
+                marginTop: 2,
+              }}
+            >
+              {tr("rekom.judul")}
+            </h2>
+
+            <p style={{ marginTop: -8, fontSize: 13, color: "#475569" }}>
+              {tr("rekom.intro", !!profil)}
+            </p>
+
+            {/* Peringatan bila pilihan tidak cocok dengan profil */}
+            {tidakCocok.length > 0 && (
+              <div
                 style={{
-                  border: "1px solid #a478f5", // ungu
-                  borderRadius: "12px",
-                  padding: "16px",
-                  background: "#f7f3ff",
+                  background: "#fef2f2",
+                  border: "1px solid #fecaca",
+                  color: "#991b1b",
+                  borderRadius: 12,
+                  padding: "10px 14px",
+                  marginBottom: 16,
                 }}
               >
-                <h3
-                  style={{
-                    fontSize: "1.5rem",
-                    marginBottom: "8px",
-                    marginTop: 2,
-                  }}
-                >
-                  📊 Reksadana
-                </h3>
-                <h4
-                  style={{
-                    fontSize: "1.9",
-                    marginBottom: "8px",
-                    marginTop: 22,
-                  }}
-                >
-                  COCOK BUAT KAMU YANG:
-                </h4>
-                <ul
-                  style={{
-                    paddingLeft: "20px",
-                    lineHeight: 1.6,
-                    marginBottom: "12px",
-                    marginTop: 6,
-                  }}
-                >
-                  <li>
-                    {" "}
-                    Pemula yang pengen portofolio beragam tanpa ribet analisis.
-                  </li>
-                  <li> Punya jadwal sibuk & mau auto-diversifikasi.</li>
+                ⚠️ <b>{tr("rekom.kurangCocok")}</b>
+                <ul style={{ margin: "4px 0 0 18px" }}>
+                  {tidakCocok.map((r) => (
+                    <li key={r.type}>
+                      {infoJenis[r.type].title}
+                      {r.w < 1 && ` (${Math.round(r.w * 100)}%)`}
+                      {tr("rekom.peringkat", r.posisi)}
+                      {r.alasanMinus.length > 0 &&
+                        `: ${r.alasanMinus.join("; ")}`}
+                      .
+                    </li>
+                  ))}
                 </ul>
+              </div>
+            )}
 
-                <h4
-                  style={{
-                    fontSize: "1.9",
-                    marginBottom: "2px",
-                    marginTop: 2,
-                  }}
-                >
-                  KAPAN HARUS?
-                </h4>
-                <p>
-                  🟢 <b>Beli:</b> rutin tiap bulan (DCA) biar harga rata.
-                  <br />
-                  🔴 <b>Jual:</b> saat target return tercapai atau butuh dana.
-                </p>
-              </Card>
+            {/* Grid 5 instrumen, urut peringkat */}
+            <div
+              style={{
+                display: "grid",
+                gridTemplateColumns: "repeat(auto-fit, minmax(260px, 1fr))",
+                gap: "20px",
+              }}
+            >
+              {peringkat.map((r, i) => {
+                const k = lok(KARTU_REKOMENDASI[r.type]);
+                const top = i < 3;
+                return (
+                  <Card
+                    key={r.type}
+                    style={{
+                      border: `${top ? 2 : 1}px solid ${k.border}`,
+                      borderRadius: "12px",
+                      padding: "16px",
+                      background: k.bg,
+                      opacity: top ? 1 : 0.75,
+                    }}
+                  >
+                    <Row align="center" gap={8}>
+                      <h3
+                        style={{
+                          fontSize: "1.5rem",
+                          margin: "2px 0 8px",
+                        }}
+                      >
+                        {k.judul}
+                      </h3>
+                      <Badge
+                        bg={i === 0 ? "#16a34a" : top ? "#dbeafe" : "#e5e7eb"}
+                        color={i === 0 ? "#fff" : "#111827"}
+                      >
+                        #{i + 1}
+                        {i === 0 ? tr("rekom.palingCocok") : ""}
+                      </Badge>
+                      {bobot[r.type] > 0 && (
+                        <Badge bg="#fef3c7">{tr("rekom.pilihanmu")}</Badge>
+                      )}
+                    </Row>
+                    {r.alasanPlus.length > 0 && (
+                      <p style={{ margin: "0 0 6px", fontSize: 13 }}>
+                        ✅ {r.alasanPlus.join("; ")}
+                      </p>
+                    )}
+                    {r.alasanMinus.length > 0 && (
+                      <p
+                        style={{
+                          margin: "0 0 6px",
+                          fontSize: 13,
+                          color: "#b91c1c",
+                        }}
+                      >
+                        ⚠️ {r.alasanMinus.join("; ")}
+                      </p>
+                    )}
+                    <h4
+                      style={{
+                        fontSize: "1.9",
+                        marginBottom: "8px",
+                        marginTop: 12,
+                      }}
+                    >
+                      {tr("rekom.cocok")}
+                    </h4>
+                    <ul
+                      style={{
+                        paddingLeft: "20px",
+                        lineHeight: 1.6,
+                        marginBottom: "12px",
+                        marginTop: 2,
+                      }}
+                    >
+                      {k.cocok.map((t) => (
+                        <li key={t}>{t}</li>
+                      ))}
+                    </ul>
+
+                    <h4
+                      style={{
+                        fontSize: "1.9",
+                        marginBottom: "2px",
+                        marginTop: 2,
+                      }}
+                    >
+                      {tr("rekom.kapan")}
+                    </h4>
+                    <p>
+                      {k.aksi.map(([ikon, label, teks], n) => (
+                        <React.Fragment key={label}>
+                          {n > 0 && <br />}
+                          {ikon} <b>{label}:</b> {teks}
+                        </React.Fragment>
+                      ))}
+                    </p>
+                  </Card>
+                );
+              })}
             </div>
           </Card>
 
@@ -1941,7 +9206,7 @@ export default function App() {
                 fontWeight: "700",
               }}
             >
-              🌏 Dampak Nasional
+              {tr("dampak.judul")}
               <button
                 onClick={() => setShowInfo(!showInfo)}
                 style={{
@@ -1952,7 +9217,7 @@ export default function App() {
                   fontSize: "0.8rem",
                   color: "#2563EB", // biru info
                 }}
-                aria-label="Ringkasan cepat"
+                aria-label={tr("dampak.ariaInfo")}
               >
                 ℹ️
               </button>
@@ -1970,16 +9235,20 @@ export default function App() {
                   maxWidth: "600px", // batasi lebar supaya nyaman dibaca
                 }}
               >
-                🔥 <b>Fitur Unggulan!:</b> Bagian ini menampilkan{" "}
-                <b>skala nasional</b>, jika semua investor menanam modal
-                bersama. Angka di sini dipakai sebagai
-                <b> ilustrasi potensi likuiditas</b>, bukan prediksi harga.
+                {tr("dampak.info")}
               </div>
             )}
             <p>
-              Jika <b>{Number(investors).toLocaleString("id-ID")}</b> orang
-              menanam <b>{fmtRp(modal)}</b> per orang, total dana ≈{" "}
-              <b>{fmtRp(impact.totalDana)} </b>.
+              {tr(
+                "dampak.totalDana",
+                Number(investors).toLocaleString(lokal),
+                fmtRp(impact.danaPerOrang),
+                tr("dampak.dasarDana", {
+                  kali: impact.setoranMasuk,
+                  hari: impact.hari,
+                }),
+                fmtRp(impact.totalDana)
+              )}
             </p>
             {/* Penjelasan singkat dampak dana ke pasar */}
             <div
@@ -1998,7 +9267,7 @@ export default function App() {
                   color: "#0F172A",
                 }}
               >
-                🤔APA ARTINYA?
+                {tr("dampak.artiJudul")}
               </div>
 
               <p
@@ -2008,8 +9277,7 @@ export default function App() {
                   lineHeight: 1.4,
                 }}
               >
-                dana sebesar <b>{fmtRp(impact.totalDana)}</b> berarti ada uang
-                baru yang siap <b>diperdagangkan</b> di bursa.
+                {tr("dampak.arti", fmtRp(impact.totalDana))}
               </p>
 
               <Card
@@ -2020,23 +9288,7 @@ export default function App() {
                   marginTop: "8px",
                 }}
               >
-                🔎 <strong>PENJELASAN:</strong> <br />
-                <i>{fmtRp(impact.totalDana)}</i> bisa dianggap sebagai{" "}
-                <em>“tenaga baru”</em> yang masuk ke sistem keuangan nasional.
-                Uang sebesar itu tidak diam, tapi berputar melalui berbagai
-                instrumen seperti{" "}
-                <strong>
-                  saham, reksa dana, obligasi, dana deposito, maupun emas
-                  digital
-                </strong>{" "}
-                yang tercatat dan diawasi lewat{" "}
-                <strong>Bursa Efek Indonesia (BEI)</strong> atau lembaga
-                keuangan resmi lainnya. Ketika masyarakat menanamkan uangnya,
-                dana itu digunakan kembali oleh perusahaan atau pemerintah untuk
-                proyek, ekspansi, atau pembiayaan, dan investor bisa memindahkan
-                atau menariknya kapan saja. Karena terus berputar dan bekerja di
-                pasar, dana <b>{fmtRp(impact.totalDana)}</b> itu disebut{" "}
-                <em>“diperdagangkan.”</em>
+                {tr("dampak.penjelasan", fmtRp(impact.totalDana))}
               </Card>
 
               <br />
@@ -2049,7 +9301,7 @@ export default function App() {
                   marginBottom: 0.2,
                 }}
               >
-                Dampaknya:
+                {tr("dampak.dampaknya")}
               </p>
 
               <ul
@@ -2060,62 +9312,136 @@ export default function App() {
                   lineHeight: 1.55,
                 }}
               >
-                <li>
-                  <b>Likuiditas naik</b> → <b>order beli</b> dan <b>jual</b>{" "}
-                  jadi <b>lebih banyak</b>.
-                </li>
-                <li>
-                  <b>Bid–ask spread</b> (selisih harga beli–jual) makin{" "}
-                  <b>tipis</b> → harga makin wajar.
-                </li>
-                <li>
-                  Transaksi <b>lebih cepat</b> dan biaya implisit{" "}
-                  <b>lebih rendah</b>.
-                </li>
+                {tr("dampak.likuiditas")}
               </ul>
 
               <div style={{ marginTop: 8, color: "#4B5563", lineHeight: 1.55 }}>
-                <i>Analogi:</i> pasar seperti <b>bazar</b>. Makin banyak pembeli
-                & penjual bawa uang, barang jadi <b>lebih mudah laku</b> dengan{" "}
-                <b>harga wajar</b> → itulah <b>likuiditas</b>.
+                {tr("dampak.analogi")}
               </div>
             </div>
 
+            {/* Model dampak pasar: hanya porsi saham, dibagi ke beberapa hari bursa */}
+            <div
+              style={{
+                border: "1px solid #E5E7EB",
+                borderRadius: 12,
+                padding: 12,
+                margin: "8px 0 12px",
+              }}
+            >
+              <h4 style={{ margin: "0 0 6px" }}>{tr("dampak.modelJudul")}</h4>
+              <Row align="center">
+                {Object.keys(MODEL_DAMPAK).map((m) => (
+                  <Pill
+                    key={m}
+                    active={paramDampak.model === m}
+                    aria-pressed={paramDampak.model === m}
+                    onClick={() => setParamDampak((p) => ({ ...p, model: m }))}
+                  >
+                    {lok(MODEL_DAMPAK[m]).label}
+                  </Pill>
+                ))}
+              </Row>
+              <Row align="center">
+                <label style={{ fontSize: 14 }}>
+                  {tr("dampak.hari")}{" "}
+                  <input
+                    type="number"
+                    min={BATAS_PARAM_DAMPAK.hari[0]}
+                    max={BATAS_PARAM_DAMPAK.hari[1]}
+                    step={1}
+                    value={paramDampak.hari}
+                    aria-label={tr("dampak.hari")}
+                    onChange={(e) =>
+                      setParamDampak((p) => ({
+                        ...p,
+                        hari: Number(e.target.value),
+                      }))
+                    }
+                    style={{ ...input, width: 80 }}
+                  />
+                </label>
+                {paramDampak.model === "akar" && (
+                  <label style={{ fontSize: 14 }}>
+                    {tr("dampak.volHarian")}{" "}
+                    <input
+                      type="number"
+                      min={BATAS_PARAM_DAMPAK.volHarian[0]}
+                      max={BATAS_PARAM_DAMPAK.volHarian[1]}
+                      step={0.1}
+                      value={paramDampak.volHarian}
+                      aria-label={tr("dampak.volHarian")}
+                      onChange={(e) =>
+                        setParamDampak((p) => ({
+                          ...p,
+                          volHarian: Number(e.target.value),
+                        }))
+                      }
+                      style={{ ...input, width: 80 }}
+                    />
+                  </label>
+                )}
+                <Btn
+                  disabled={paramDampak === PARAM_DAMPAK_DEFAULT}
+                  onClick={() => setParamDampak(PARAM_DAMPAK_DEFAULT)}
+                >
+                  {tr("dampak.bawaan")}
+                </Btn>
+              </Row>
+              <p style={{ fontSize: 13, color: "#475569", margin: "6px 0" }}>
+                {tr("dampak.alur", {
+                  porsi: pct(impact.porsiSaham * 100, 0),
+                  danaSaham: fmtRp(impact.danaSaham),
+                  hari: impact.hari,
+                  perHari: fmtRp(impact.perHari),
+                  partisipasi: pct(impact.partisipasi * 100),
+                  volume: fmtRp(macro.trxHarianBEI),
+                })}
+              </p>
+              <p style={{ margin: "6px 0" }}>
+                {tr("dampak.hasilModel", {
+                  tengah: pct(impact.impactPct),
+                  rendah: pct(impact.rendahPct),
+                  tinggi: pct(impact.tinggiPct),
+                  kumulatif: pct(impact.kumulatifPct),
+                  hari: impact.hari,
+                })}
+              </p>
+              {!impact.andal && (
+                <p style={{ fontSize: 13, color: "#b45309", margin: "6px 0" }}>
+                  {tr("dampak.kurangAndal", pct(PARTISIPASI_MAKS * 100, 0))}
+                </p>
+              )}
+              <p style={{ fontSize: 12, color: "#64748b", margin: 0 }}>
+                {tr(
+                  `dampak.rumus.${impact.model}`,
+                  ...["rendah", "tengah", "tinggi"].map((k) =>
+                    fmtAngka(MODEL_DAMPAK[impact.model].koef[k], 2)
+                  )
+                )}
+              </p>
+            </div>
+
             <ul>
-              <li>
-                Estimasi dorongan likuiditas ke IHSG (indikatif harian):{" "}
-                <b>{pct(impact.impactPct)}</b>. likuiditas bertambah → transaksi
-                makin ramai.
-              </li>
-              <li>
-                Likuiditas naik → biaya modal emiten turun → ekspansi &{" "}
-                <b>lapangan kerja</b> berpotensi tumbuh.
-              </li>
-              <li>
-                <b>Pajak</b> dari aktivitas pasar meningkat → ruang fiskal
-                negara bertambah untuk{" "}
-                <b>pendidikan, kesehatan, dan infrastruktur</b>.
-              </li>
-              <li>
-                Dana domestik yang kuat mengurangi ketergantungan pada modal
-                asing → <b>rupiah lebih stabil</b>.
-              </li>
+              {tr(
+                "dampak.poin",
+                `${pct(impact.impactPct)} (${pct(impact.rendahPct)}–${pct(
+                  impact.tinggiPct
+                )})`
+              )}
             </ul>
 
             {/* Line chart korelasi: jumlah investor (x) vs estimasi % dorongan (y) */}
             <div style={{ marginTop: 10 }}>
-              <h4 style={{ margin: "0 0 6px" }}>Grafik korelasi:</h4>
+              <h4 style={{ margin: "0 0 6px" }}>
+                {tr("dampak.korelasiJudul")}
+              </h4>
               <p style={{ marginTop: 0, fontSize: 12, color: "#64748b" }}>
-                X: jumlah investor (skala 10–100% dari input) • Y: estimasi
-                dorongan IHSG (%).
+                {tr("dampak.korelasiSumbu")}
               </p>
               <LineChart width={560} height={180} points={corrPoints} />
               <p style={{ marginTop: 8, fontSize: 12, color: "#6b7280" }}>
-                Catatan: Perhitungan ini bukan proyeksi kenaikan indeks. Angka
-                hanya menunjukkan perbandingan dana hipotetis. Kenaikan indeks
-                IHSG bergantung pada banyak faktor (laba emiten, kebijakan suku
-                bunga, arus modal asing, dll), sehingga tidak bisa dihitung
-                langsung dari jumlah dana masuk.
+                {tr("dampak.korelasiCatatan")}
               </p>
             </div>
           </Card>
@@ -2131,13 +9457,11 @@ export default function App() {
               marginTop: 24,
             }}
           >
-            <h2 style={{ marginTop: 5 }}>
-              💹 Dampak Investasi terhadap Inflasi
-            </h2>
+            <h2 style={{ marginTop: 5 }}>{tr("infl.judul")}</h2>
 
             {/* Input Data */}
             <label>
-              📊 <b>PDB Indonesia (Triliun Rp)</b>
+              {tr("infl.pdb")}
               <input
                 type="number"
                 value={pdb}
@@ -2151,12 +9475,11 @@ export default function App() {
               />
             </label>
             <div style={{ fontSize: "0.65em", color: "#666", marginTop: 4 }}>
-              💡Data PDB diambil dari <b>BPS</b>. Cari “PDB Indonesia BPS” di
-              Google untuk update terbaru.
+              {tr("infl.pdbKet")}
             </div>
 
             <div style={{ marginTop: 12 }}>
-              ⚙️ <b>Porsi Dana Produktif (%)</b>
+              {tr("infl.porsi")}
               <input
                 type="number"
                 value={porsiProduktif}
@@ -2164,8 +9487,24 @@ export default function App() {
                 style={{ marginLeft: 10, padding: "4px 6px", width: 60 }}
               />
               <div style={{ fontSize: "0.65em", color: "#666", marginTop: 4 }}>
-                💡Semakin besar porsi produktif (misal untuk pabrik, riset,
-                infrastruktur) → inflasi lebih terkendali.
+                {tr("infl.porsiKet")}
+              </div>
+            </div>
+
+            <div style={{ marginTop: 12 }}>
+              {tr("infl.k")}
+              <input
+                type="number"
+                min={BATAS_K_INFLASI[0]}
+                max={BATAS_K_INFLASI[1]}
+                step={0.01}
+                value={k}
+                aria-label={tr("infl.kAria")}
+                onChange={(e) => setK(Number(e.target.value))}
+                style={{ marginLeft: 10, padding: "4px 6px", width: 60 }}
+              />
+              <div style={{ fontSize: "0.65em", color: "#666", marginTop: 4 }}>
+                {tr("infl.kKet")}
               </div>
             </div>
 
@@ -2184,7 +9523,13 @@ export default function App() {
                 fontSize: "1rem",
               }}
             >
-              📊 Inflasi Awal (BPS): {inflasiAwal.toFixed(2)} %
+              {tr(
+                "infl.awal",
+                pct(inflasiAwal),
+                inflasiAwal !== macro.inflasiTahunan
+                  ? fmtGeser(inflasiAwal - macro.inflasiTahunan, "pp")
+                  : null
+              )}
             </div>
 
             {/* Box Tambahan + Simulasi */}
@@ -2206,9 +9551,12 @@ export default function App() {
                   marginBottom: 8,
                 }}
               >
-                🔺 Tambahan Inflasi (Estimasi):{" "}
-                {tambahanInflasi >= 0 ? "+" : ""}
-                {tambahanInflasi.toFixed(2)} %
+                {tr(
+                  "infl.tambahan",
+                  pctTanda(tambahanInflasi, 4),
+                  tahunInflasi,
+                  pctTanda(tambahanAkhir, 4)
+                )}
               </div>
               <div
                 style={{
@@ -2217,119 +9565,51 @@ export default function App() {
                   color: "#5cb85c",
                 }}
               >
-                💥INFLASI: ≈ {inflasiSimulasi.toFixed(2)} %
+                {tr(
+                  "infl.simulasi",
+                  pct(inflasiSimulasi, 3),
+                  tahunInflasi,
+                  pct(inflasiAkhir, 3)
+                )}
               </div>
             </div>
 
-            {/* Edukasi & Analogi */}
-            <div style={{ fontSize: 16, marginTop: 20, lineHeight: 1.6 }}>
-              <p>
-                Perhitungan ini menghubungkan <b>total dana investasi</b> user
-                dengan <b>PDB nasional</b>. Koefisien <b>k</b> (0.05) adalah
-                angka sensitivitas yang menggambarkan seberapa besar tambahan
-                inflasi jika porsi dana produktif lebih kecil.
-              </p>
-
-              <p
-                style={{
-                  marginTop: "8px",
-                  padding: "10px",
-                  border: "1px solid #e2e8f0",
-                  borderRadius: "8px",
-                  backgroundColor: "#ffffff",
-                  fontSize: "14px",
-                  lineHeight: "1.5",
-                }}
-              >
-                💡 <strong>RUMUS INFLASI SIMULATIF</strong>
-                <br />
-                Inflasi simulasi dihitung dengan cara{" "}
-                <strong>inflasi awal</strong> dikurangi
-                <strong> dampak investasi produktif</strong>, rumusnya adalah:{" "}
-                <i>
-                  Inflasi Simulasi = Inflasi Awal – <em>k</em> × (Dana Investasi
-                  Produktif ÷ PDB).
-                </i>
-                <br />
-                <br />• <strong>Inflasi Awal</strong>: misalnya 2,8% per tahun,
-                data resmi bisa dilihat di <strong>BPS</strong>.<br />•{" "}
-                <strong>k (koefisien sensitivitas)</strong>: contoh 0,05,
-                menunjukkan seberapa besar dana produktif dapat menekan inflasi;
-                angkanya biasanya diambil dari studi makro atau publikasi
-                BPS/Bank Indonesia.
-                <br />• <strong>Dana Investasi Produktif</strong>: bagian dari
-                dana investasi user yang benar-benar masuk ke sektor riil.
-                <br />• <strong>PDB Indonesia</strong>: nilai produk domestik
-                bruto nasional, datanya juga tersedia di <strong>BPS</strong>.
-                <br />
-                <br />→ Semakin besar dana produktif dibanding PDB, semakin
-                besar potensi inflasi turun karena produksi barang dan jasa
-                meningkat.
-              </p>
-
-              <p>
-                <b>📊 Logika sederhana:</b> semakin besar total investasi
-                terhadap PDB, potensi tekanan inflasi bertambah. Tapi bila dana
-                banyak disalurkan ke sektor produktif, peningkatan kapasitas
-                produksi bisa menahan kenaikan harga.
-              </p>
+            <GrafikInflasi jalur={dampakInfl.jalur} />
 
-              <ul
-                style={{
-                  margin: 0,
-                  paddingLeft: 18,
-                  color: "#1F2937",
-                  lineHeight: 1.55,
-                }}
-              >
-                <li>
-                  <b>Koefisien (k)</b> → Angka asumsi edukatif yang menunjukkan
-                  sensitivitas tambahan inflasi jika porsi dana produktif kecil.
-                  Nilai 0,05 dipilih agar simulasi terasa realistis (tambahan
-                  inflasi biasanya ±0,1–0,3 % dari PDB) tetapi tetap aman untuk
-                  edukasi.{" "}
-                  <i>
-                    k = 0,05 → parameter buatan yang diambil dari kisaran dampak
-                    historis (berdasarkan PDB & inflasi BPS) agar simulasi
-                    inflasi tambahan terasa masuk akal.
-                  </i>{" "}
-                  Ini bukan angka resmi, tapi contoh koefisien sensitivitas yang
-                  bisa diubah jika ada data riset yang lebih spesifik.{" "}
-                </li>
-                <li>
-                  <b>PDB (Produk Domestik Bruto)</b> → nilai semua barang & jasa
-                  yang dihasilkan Indonesia dalam satu tahun. Bayangkan PDB
-                  seperti <i>pasar raksasa</i>: semakin besar nilai
-                  transaksinya, semakin besar pula kapasitas ekonomi.
-                </li>
-                <li>
-                  <b>Porsi Dana Produktif (%) </b> → Persentase dana investasi
-                  yang dialokasikan ke kegiatan 
-                  <i>produktif</i> seperti pabrik, riset, infrastruktur, atau
-                  usaha yang menciptakan lapangan kerja. Semakin besar porsinya,
-                  inflasi cenderung lebih terkendali karena uang masuk ke sektor
-                  riil, bukan hanya diparkir di aset pasif. Angka dapat
-                  diestimasi dari data realisasi investasi BKPM (misal proporsi
-                  Penanaman Modal Asing & Dalam Negeri yang masuk ke sektor
-                  manufaktur/infrastruktur). Dapat dicari dengan kata kunci 
-                  <i>“laporan realisasi investasi BKPM sektor”</i> di
-                  Internet/BPS untuk referensi terkini.
-                </li>
-                <li>
-                  <b>Korelasi Investasi & Inflasi</b> → semakin besar dana yang
-                  masuk ke ekonomi domestik, uang beredar makin banyak. Jika
-                  dana dipakai produktif, hasilnya adalah pertumbuhan ekonomi
-                  sehat. Tetapi jika dana hanya memicu konsumsi cepat (misal
-                  beli barang mewah), inflasi bisa naik.
-                </li>
+            {/* Rumus: dirakit dari model yang sama dengan angka di atas */}
+            <div
+              style={{
+                marginTop: 12,
+                padding: 10,
+                border: "1px solid #e2e8f0",
+                borderRadius: 8,
+                background: "#ffffff",
+                fontSize: 14,
+                lineHeight: 1.5,
+              }}
+            >
+              <strong>{tr("infl.rumusJudul")}</strong>
+              <div>
+                <i>{rumusInfl.persamaan}</i>
+              </div>
+              <ul style={{ margin: "6px 0", paddingLeft: 18 }}>
+                {rumusInfl.rincian.map((r) => (
+                  <li key={r.label}>
+                    <b>{r.label}</b> = <i>{r.rumus}</i> → {r.ket}
+                  </li>
+                ))}
               </ul>
-              <p>
-                <i> Analogi:</i> Jika 10 juta orang masing-masing berinvestasi
-                Rp20 juta, maka total dana ≈ Rp200 triliun. Jika 70% digunakan
-                untuk pembangunan pabrik, efeknya lebih ke lapangan kerja →
-                inflasi tetap terkendali. Jika hanya 20% yang produktif, dana
-                besar berputar di pasar konsumsi → harga barang bisa melonjak.
-              </p>
+              <div style={{ color: "#475569" }}>{rumusInfl.parameter}</div>
+              {rumusInfl.contoh.map((c) => (
+                <div key={c} style={{ color: "#475569" }}>
+                  {c}
+                </div>
+              ))}
+            </div>
+
+            {/* Edukasi & Analogi */}
+            <div style={{ fontSize: 16, marginTop: 20, lineHeight: 1.6 }}>
+              {tr("infl.edukasi")}
             </div>
           </div>
 
@@ -2337,107 +9617,17 @@ export default function App() {
 
           {/* FAQ Ekonomi */}
           <div style={{ marginTop: 16 }}>
-            <h2>❓ FAQ </h2>
-            <Accordion
-              items={[
-                {
-                  title: "Kenapa inflasi mempengaruhi IHSG dan suku bunga?",
-                  content:
-                    "Inflasi naik → BI cenderung menaikkan suku bunga untuk menahan lonjakan harga. Suku bunga lebih tinggi meningkatkan biaya modal emiten (menekan valuasi), sementara deposito jadi relatif menarik. Jika inflasi terkendali, IHSG lebih mudah tumbuh.",
-                },
-                {
-                  title: "Bagaimana BI Rate memengaruhi deposito & obligasi?",
-                  content:
-                    "BI Rate turun → bunga simpanan turun (deposito kurang menarik), harga obligasi cenderung naik karena kupon menjadi relatif lebih baik. Sebaliknya, BI Rate naik menekan harga obligasi.",
-                },
-                {
-                  title: "Kenapa jumlah investor domestik penting bagi rupiah?",
-                  content:
-                    "Semakin banyak investor domestik, semakin stabil arus dana internal. Ketika sentimen global negatif, pasar tidak terlalu bergantung pada modal asing. Ini membantu stabilitas IHSG dan rupiah.",
-                },
-                {
-                  title: "Apa kaitan likuiditas pasar dengan lapangan kerja?",
-                  content:
-                    "Likuiditas tinggi memudahkan perusahaan menerbitkan saham/obligasi dengan biaya lebih rendah. Dana ini dipakai untuk ekspansi bisnis dan merekrut tenaga kerja baru.",
-                },
-                {
-                  title:
-                    "Apa yang terjadi kepada ekonomi negara apabila problematika politik terus berlangsung?",
-                  content:
-                    "Bila terus terjadi problematika politik (kerusuhan, demo anarkis, korupsi, dsb.) maka ketidakpastian politik yang berkepanjangan membuat investor ragu, modal asing keluar (capital outflow), nilai mata uang melemah dan pertumbuhan ekonomi melambat karena dunia usaha menunda ekspansi dan perekrutan .",
-                },
-              ]}
-            />
+            <h2>{tr("faq.judul")}</h2>
+            <Accordion items={tr("faq.items")} />
           </div>
 
           <div style={{ height: "40px" }} />
 
           {/* Kamus Mini */}
           <div style={{ marginTop: 16 }}>
-            <h2>📚 Glosarium Ekonomi</h2>
+            <h2>{tr("glosarium.judul")}</h2>
             <Row>
-              {[
-                {
-                  t: "Investasi",
-                  c: "Adalah kegiatan menanamkan modal atau menempatkan sejumlah dana pada suatu aset, proyek, atau instrumen keuangan dengan tujuan memperoleh keuntungan (return) di masa depan",
-                },
-                {
-                  t: "BI Rate",
-                  c: "Suku bunga acuan Bank Indonesia. Mempengaruhi bunga pinjaman & simpanan, juga valuasi aset finansial.",
-                },
-                {
-                  t: "IHSG",
-                  c: "Indeks Harga Saham Gabungan (semua saham BEI). Indikator kesehatan pasar modal Indonesia.",
-                },
-                {
-                  t: "LPS",
-                  c: "Lembaga Penjamin Simpanan. Menjamin simpanan bank sampai batas tertentu per nasabah per bank.",
-                },
-                {
-                  t: "OJK",
-                  c: "Otoritas Jasa Keuangan. Mengatur dan mengawasi industri keuangan (bank, pasar modal, non-bank).",
-                },
-                {
-                  t: "BPS",
-                  c: "Badan Pusat Statistik. Lembaga pemerintah resmi di Indonesia yang bertugas mengumpulkan, mengolah, dan mempublikasikan data statistik nasional.",
-                },
-                {
-                  t: "Annualized",
-                  c: "Konversi return periodik (mis. bulanan) menjadi setara tahunan dengan efek majemuk.",
-                },
-                {
-                  t: "Inflasi",
-                  c: "Kenaikan harga barang/jasa secara umum. Jika return < inflasi, daya beli uang turun.",
-                },
-                {
-                  t: "  Bursa/BEI",
-                  c: "Bursa Efek Indonesia. Lembaga resmi tempat jual beli efek seperti saham, obligasi, dan reksadana terjadi, BEI berfungsi sebagai pasar besar tempat investor dan perusahaan bertemu untuk memperdagangkan surat berharga secara transparan dan diawasi pemerintah",
-                },
-                {
-                  t: "Likuiditas",
-                  c: "Kemudahan suatu aset untuk segera dicairkan menjadi uang tunai tanpa memengaruhi harganya secara signifikan. Semakin tinggi likuiditas, semakin cepat investor dapat menjual asetnya di pasar",
-                },
-                {
-                  t: "DCA",
-                  c: "Dolar Cost Averaging. Strategi Investasi dengan cara membeli secara rutin dalam jumlah tetap, tanpa peduli harga naik atau turun. Tujuannya meratakan harga beli sehingga risiko fluktuasi pasar menjadi lebih kecil.",
-                },
-                {
-                  t: "Yield",
-                  c: "Imbal hasil (return) yang diperoleh dari instrumen investasi obligasi atau instrumen pendapatan tetap, biasanya dalam bentuk persentase tahunan dari harga beli. Semakin tinggi yield, semakin besar pendapatan yang diterima investor.",
-                },
-                {
-                  t: "PDB",
-                  c: "Produk Domestik Bruto. Nilai seluruh barang dan jasa yang dihasilkan Indonesia dalam 1 tahun. Data resmi PDB bisa dilihat di BPS",
-                },
-                {
-                  t: "Porsi Dana Produktif",
-                  c: "Persentase dana yang dialokasikan ke sektor produktif (pabrik, riset, infrastruktur). Semakin besar porsi ini, inflasi tambahan semakin kecil karena dana digunakan untuk produksi barang/jasa",
-                },
-                {
-                  t: "BKPM",
-                  c: "Badan Koordinasi Penanaman Modal. Lembaga pemerintah yang mengelola dan melaporkan data resmi investasi di Indonesia (misalnya porsi Penanaman Modal Dalam Negeri/PMDN dan Penanaman Modal Asing/PMA)",
-                },
-              ].map((k, i) => (
+              {tr("glosarium.items").map((k, i) => (
                 <Card key={i} style={{ flex: 1, minWidth: 220, marginTop: 8 }}>
                   <p style={{ margin: 0, fontWeight: 700 }}>{k.t}</p>
                   <p style={{ marginTop: 6, fontSize: 13, color: "#475569" }}>
@@ -2457,7 +9647,7 @@ export default function App() {
               background: "linear-gradient(135deg,#f0f9ff,#faf5ff)",
             }}
           >
-            <h3 style={{ marginTop: 0 }}>📥 AMANKAN RINGKASAN INVESTASIMU!</h3>
+            <h3 style={{ marginTop: 0 }}>{tr("unduh.judul")}</h3>
             <p style={{ marginTop: 0 }}>
               <i>
                 {" "}
@@ -2467,17 +9657,102 @@ export default function App() {
             </p>
             <Row align="center" wrap={false}>
               <BtnPrimary onClick={downloadTXT}>⬇️ Download TXT</BtnPrimary>
+              <BtnPrimary style={{ marginLeft: 8 }} onClick={downloadPDF}>
+                📄 Download PDF
+              </BtnPrimary>
+
               <a ref={aRef} style={{ display: "none" }} href="/" aria-hidden />
+              <Btn style={{ marginLeft: 8 }} onClick={salinTautan}>
+                {tr("unduh.salinTautan")}
+              </Btn>
               <Btn style={{ marginLeft: 8 }} onClick={() => setStep(4)}>
-                ⬅️ Kembali (ubah angka)
+                {tr("unduh.ubahAngka")}
               </Btn>
               <Btn onClick={resetAll} style={{ marginLeft: 8 }}>
-                🔄 Mulai Lagi
+                {tr("unduh.mulaiLagi")}
+              </Btn>
+            </Row>
+            <label style={{ display: "block", marginTop: 10, fontSize: 13 }}>
+              <input
+                type="checkbox"
+                checked={tanpaPribadi}
+                onChange={(e) => {
+                  setTanpaPribadi(e.target.checked);
+                  setTautanSalin(null);
+                }}
+              />{" "}
+              {tr("unduh.tanpaPribadi")}
+            </label>
+            {tautanSalin && (
+              <div style={{ marginTop: 6, fontSize: 13 }}>
+                {tautanSalin.tersalin
+                  ? tr("unduh.tersalin")
+                  : tr("unduh.salinManual")}
+                <input
+                  type="text"
+                  readOnly
+                  value={tautanSalin.url}
+                  aria-label={tr("unduh.ariaTautan")}
+                  onFocus={(e) => e.target.select()}
+                  style={{
+                    ...input,
+                    marginLeft: 0,
+                    marginTop: 6,
+                    width: "100%",
+                  }}
+                />
+                <div style={{ color: "#6b7280", marginTop: 4 }}>
+                  {tr("unduh.catatanTautan")}
+                </div>
+              </div>
+            )}
+            <Row align="center">
+              <input
+                type="text"
+                value={namaSimpan}
+                onChange={(e) => setNamaSimpan(e.target.value)}
+                placeholder={`${
+                  nama || tr("simpan.tanpaNama")
+                } — ${labelInstrumen}`}
+                aria-label={tr("unduh.ariaNamaSimpan")}
+                style={{ ...input, marginLeft: 0, marginTop: 10 }}
+              />
+              <Btn style={{ marginTop: 10 }} onClick={simpanSimulasi}>
+                {tr("unduh.simpan")}
+              </Btn>
+            </Row>
+            <Row align="center">
+              <span style={{ marginTop: 10, fontSize: 13, color: "#475569" }}>
+                {tr("unduh.spreadsheet")}
+              </span>
+              <Btn
+                style={{ marginTop: 10 }}
+                onClick={() =>
+                  unduhFile(
+                    `${namaFileEkspor()}.json`,
+                    JSON.stringify(dataEkspor(), null, 2),
+                    "application/json"
+                  )
+                }
+              >
+                {tr("unduh.json")}
+              </Btn>
+              <Btn
+                style={{ marginTop: 10 }}
+                onClick={() =>
+                  unduhFile(
+                    `${namaFileEkspor()}_jadwal.csv`,
+                    jadwalKeCsv(result.seri),
+                    "text/csv;charset=utf-8"
+                  )
+                }
+              >
+                {tr("unduh.csv")}
               </Btn>
             </Row>
+
             <p style={{ marginTop: 10, fontSize: 12, color: "#6b7280" }}>
-              Sumber rujukan: Bank Indonesia (BI-Rate & Inflasi), OJK/IDX (IHSG
-              & Statistik Investor), BPS (indikator makro).
+              {tr("unduh.sumber")}
             </p>
           </Card>
         </>
@@ -2492,8 +9767,7 @@ export default function App() {
           textAlign: "center",
         }}
       >
-        RUPACAYA © 2025 • Olimpiade Penelitian Siswa Indonesia (OPSI 2025) oleh
-        Arfa, Hanif, Yudist, Krista, Eshan, Aiesha © RUPACAYA Team 
+        {tr("app.footer")}
       </p>
     </Wrap>
   );
@@ -0,0 +1,279 @@
+import { buatTautan, bacaTautan, validasiSimulasi, buatPdf } from "./App";
+import { WHATIF_NOL } from "./mesin.mjs";
+
+// tr palsu: pesan = kunci + argumen → yang dicek kuncinya, bukan terjemahannya
+const bhs = {
+  tr: (kunci, ...arg) => [kunci, ...arg].join(" "),
+  lok: (obj) => obj,
+};
+
+const snapshot = {
+  nama: "Sari",
+  usia: "29",
+  pekerjaan: "Guru",
+  modeAlokasi: "campuran",
+  investment: "",
+  alokasi: {
+    saham: "60",
+    obligasi: "",
+    deposito: "",
+    emas: "40",
+    reksadana: "",
+  },
+  modalStr: "5.000.000",
+  monthsStr: "36",
+  setoranStr: "500.000",
+  investorsStr: "18.000.000",
+  pakaiBiaya: false,
+  adj: { ...WHATIF_NOL, inflasi: 1 },
+};
+
+describe("tautan berbagi (#sim=)", () => {
+  test("bolak-balik: tautan lengkap memulihkan semua isian", () => {
+    const hasil = bacaTautan(buatTautan(snapshot, { pribadi: true }), bhs);
+    expect(hasil).toEqual({
+      snapshot: {
+        ...snapshot,
+        step: 5,
+        modalStr: "5000000",
+        setoranStr: "500000",
+        investorsStr: "18000000",
+      },
+    });
+  });
+
+  test("tanpa data pribadi: nama/usia/pekerjaan tidak ikut & tetap valid", () => {
+    const hash = buatTautan(snapshot, { pribadi: false });
+    const q = new URLSearchParams(decodeURIComponent(hash.slice(5)));
+    expect(["nm", "u", "p"].filter((k) => q.has(k))).toEqual([]);
+    const { snapshot: s, errors } = bacaTautan(hash, bhs);
+    expect(errors).toBeUndefined();
+    expect(s).toMatchObject({
+      nama: "",
+      usia: "",
+      pekerjaan: "",
+      monthsStr: "36",
+    });
+  });
+
+  test("instrumen tunggal ikut terbawa", () => {
+    const tunggal = { ...snapshot, modeAlokasi: "tunggal", investment: "emas" };
+    const { snapshot: s } = bacaTautan(
+      buatTautan(tunggal, { pribadi: false }),
+      bhs
+    );
+    expect(s).toMatchObject({ modeAlokasi: "tunggal", investment: "emas" });
+  });
+
+  test("bukan tautan simulasi → null", () => {
+    expect(bacaTautan("", bhs)).toBeNull();
+    expect(bacaTautan("#bagian-lain", bhs)).toBeNull();
+  });
+
+  test("payload rusak (escape persen terpotong) → galat.tautanRusak", () => {
+    expect(bacaTautan("#sim=v%3D1%26i%3Demas%E0%A4%A", bhs)).toEqual({
+      errors: ["galat.tautanRusak"],
+    });
+  });
+
+  test("payload terpotong → galat per isian, bukan snapshot setengah jadi", () => {
+    const hash = buatTautan(snapshot, { pribadi: false });
+    // terpotong tepat sebelum modal: alokasi masih utuh, angka hilang semua
+    const potong = hash.slice(0, hash.indexOf("%26m%3D"));
+    expect(bacaTautan(potong, bhs)).toEqual({
+      errors: ["galat.modal", "galat.durasi"],
+    });
+    // terpotong di tengah escape persen → tidak bisa di-decode sama sekali
+    expect(bacaTautan(hash.slice(0, 24), bhs)).toEqual({
+      errors: ["galat.tautanRusak"],
+    });
+  });
+
+  test("nilai asing ditolak: instrumen, angka & What-If", () => {
+    const { errors } = bacaTautan(
+      "#sim=" + encodeURIComponent("v=1&i=kripto&m=1e6&d=12&w=inflasi:99"),
+      bhs
+    );
+    expect(errors).toEqual(
+      expect.arrayContaining([
+        "galat.instrumenAsing kripto",
+        "galat.tautanAngka m",
+        "galat.tautanWhatIf inflasi:99",
+      ])
+    );
+  });
+
+  test("versi tak dikenal → galat.tautanVersi", () => {
+    const hash = buatTautan(snapshot, { pribadi: false }).replace(
+      "v%3D1",
+      "v%3D9"
+    );
+    expect(bacaTautan(hash, bhs).errors).toEqual(["galat.tautanVersi 9"]);
+  });
+});
+
+describe("validasiSimulasi (impor JSON)", () => {
+  // bentuk input seperti dataEkspor() di App, dari snapshot isian
+  const rp = (str) => Number(str.replace(/\D/g, ""));
+  const keEkspor = (s, input = {}) => ({
+    schema: "rupacaya-simulasi",
+    versi: 1,
+    input: {
+      nama: s.nama,
+      usia: s.usia ? Number(s.usia) : null,
+      pekerjaan: s.pekerjaan,
+      modeAlokasi: s.modeAlokasi,
+      investment: s.modeAlokasi === "tunggal" ? s.investment : "",
+      alokasi:
+        s.modeAlokasi === "campuran"
+          ? Object.fromEntries(
+              Object.entries(s.alokasi).map(([j, w]) => [j, Number(w || 0)])
+            )
+          : null,
+      modal: rp(s.modalStr),
+      setoran: rp(s.setoranStr),
+      months: rp(s.monthsStr),
+      investors: rp(s.investorsStr),
+      pakaiBiaya: s.pakaiBiaya,
+      adj: s.adj,
+      ...input,
+    },
+  });
+
+  test("tautan tanpa data pribadi → ekspor → impor: nama kosong diterima", () => {
+    const dariTautan = bacaTautan(
+      buatTautan(snapshot, { pribadi: false }),
+      bhs
+    ).snapshot;
+    expect(validasiSimulasi(keEkspor(dariTautan), bhs)).toEqual({
+      snapshot: dariTautan,
+    });
+  });
+
+  test("nama tidak wajib ada sama sekali", () => {
+    const obj = keEkspor(snapshot, { nama: undefined, usia: undefined });
+    const { snapshot: s, errors } = validasiSimulasi(obj, bhs);
+    expect(errors).toBeUndefined();
+    expect(s).toMatchObject({ nama: "", usia: "" });
+  });
+
+  test("angka di luar rentang ditolak per isian", () => {
+    const { errors } = validasiSimulasi(
+      keEkspor(snapshot, {
+        months: 900,
+        modal: -1,
+        adj: { ...WHATIF_NOL, kurs: 99 },
+      }),
+      bhs
+    );
+    expect(errors).toEqual(
+      expect.arrayContaining([
+        "input.modal: galat.angkaPositif",
+        "input.months: galat.durasi",
+        expect.stringMatching(/^input\.adj\.kurs: galat\.rentang /),
+      ])
+    );
+  });
+
+  test("instrumen & alokasi tak dikenal ditolak", () => {
+    const tunggal = { ...snapshot, modeAlokasi: "tunggal", investment: "emas" };
+    expect(
+      validasiSimulasi(keEkspor(tunggal, { investment: "kripto" }), bhs).errors
+    ).toContain("input.investment: galat.instrumenAsing kripto");
+    expect(
+      validasiSimulasi(keEkspor(snapshot, { modeAlokasi: "acak" }), bhs).errors
+    ).toContain("input.modeAlokasi: galat.modeAlokasi");
+  });
+
+  test("schema & versi asing ditolak", () => {
+    const { errors } = validasiSimulasi(
+      { ...keEkspor(snapshot), schema: "lain", versi: 2 },
+      bhs
+    );
+    expect(errors).toEqual([
+      "schema: galat.harus rupacaya-simulasi",
+      "versi: galat.versiBaru 2 1",
+    ]);
+  });
+});
+
+describe("buatPdf", () => {
+  // nomor halaman sengaja memakai panah → harus lewat teksPdf jadi "->"
+  const bhsPdf = {
+    ...bhs,
+    tr: (kunci, ...arg) =>
+      kunci === "pdf.halaman"
+        ? `Hal ${arg[0]} → ${arg[1]}`
+        : bhs.tr(kunci, ...arg),
+    fmtRpSingkat: (v) => `Rp${Math.round(v)}`,
+  };
+  const blok = [
+    { h: "Ringkasan" },
+    { p: "Proyeksi “moderat” – edukatif ✅" },
+    { tabel: { kolom: ["Skenario", "Nilai"], baris: [["Optimis", "Rp1"]] } },
+    {
+      grafik: {
+        seri: [
+          { bulan: 0, a: 100 },
+          { bulan: 36, a: 250 },
+        ],
+        garis: [{ key: "a", label: "Moderat", color: "#2563eb" }],
+      },
+    },
+    // cukup panjang supaya tumpah ke halaman kedua
+    ...Array.from({ length: 80 }, (_, i) => ({ p: `Baris ${i + 1}` })),
+  ];
+  const pdf = String.fromCharCode(
+    ...buatPdf(blok, {
+      judul: "Rupacaya",
+      subjudul: "1 Jan 2025",
+      kredit: "Edukasi",
+      bhs: bhsPdf,
+    })
+  );
+  const halaman = Number(/\/Count (\d+)/.exec(pdf)[1]);
+
+  test("header, trailer & startxref", () => {
+    expect(pdf.startsWith("%PDF-1.4\n")).toBe(true);
+    expect(pdf.endsWith("%%EOF\n")).toBe(true);
+    const xref = Number(/startxref\n(\d+)\n%%EOF\n$/.exec(pdf)[1]);
+    expect(pdf.slice(xref, xref + 5)).toBe("xref\n");
+    const jumlah = Number(/^xref\n0 (\d+)\n/.exec(pdf.slice(xref))[1]);
+    expect(pdf).toMatch(
+      new RegExp(`trailer\n<< /Size ${jumlah} /Root 1 0 R >>`)
+    );
+    expect(halaman).toBeGreaterThan(1);
+    expect(jumlah).toBe(1 + 4 + 2 * halaman);
+  });
+
+  test("offset xref menunjuk tepat ke awal tiap objek", () => {
+    const xref = Number(/startxref\n(\d+)/.exec(pdf)[1]);
+    const entri = pdf
+      .slice(xref)
+      .split("\n")
+      .filter((b) => / 00000 n $/.test(b))
+      .map((b) => Number(b.slice(0, 10)));
+    // katalog, pages, 2 font, lalu (halaman, isi) per halaman
+    expect(entri.length).toBe(4 + 2 * halaman);
+    entri.forEach((p, i) =>
+      expect(pdf.slice(p, p + `${i + 1} 0 obj`.length)).toBe(`${i + 1} 0 obj`)
+    );
+  });
+
+  test("/Length aliran isi sama dengan panjang stream", () => {
+    const aliran = [
+      ...pdf.matchAll(/<< \/Length (\d+) >>\nstream\n([\s\S]*?)\nendstream/g),
+    ];
+    expect(aliran.length).toBe(halaman);
+    aliran.forEach(([, panjang, isi]) =>
+      expect(isi.length).toBe(Number(panjang))
+    );
+  });
+
+  test("teks di luar WinAnsi diganti, termasuk nomor halaman", () => {
+    for (let i = 1; i <= halaman; i++)
+      expect(pdf).toContain(`(Hal ${i} -> ${halaman}) Tj`);
+    expect(pdf).toContain("(Proyeksi \x93moderat\x94 \x96 edukatif pdf.ya) Tj");
+    expect([...pdf].every((c) => c.charCodeAt(0) <= 0xff)).toBe(true);
+  });
+});
@@ -0,0 +1,796 @@
+/* =========================================================
+   RUPACAYA — mesin hitung bersama (tanpa React, tanpa DOM)
+   Dipakai oleh App.js (browser) DAN scripts/simulasi-batch.mjs (Node),
+   jadi angka di aplikasi & di tabel riset dijamin identik.
+   Jangan impor apa pun yang butuh window/document di sini.
+   ========================================================= */
+
+/* ============ Dataset bawaan & What-If ============ */
+export const DATASET_SCHEMA = "rupacaya-dataset";
+export const DATASET_VERSI = 1;
+export const JENIS = ["saham", "obligasi", "deposito", "emas", "reksadana"];
+export const SKENARIO = ["opt", "mod", "pes"];
+// Slider What-If: geseran dari kondisi dataset (pp = poin persen)
+export const WHATIF = [
+  {
+    key: "inflasi",
+    label: "Inflasi",
+    en: { label: "Inflation" },
+    satuan: "pp",
+    min: -2,
+    max: 5,
+    step: 0.5,
+  },
+  {
+    key: "biRate",
+    label: "BI Rate",
+    satuan: "pp",
+    min: -1,
+    max: 1,
+    step: 0.25,
+  },
+  {
+    key: "ihsg",
+    label: "IHSG",
+    en: { label: "JCI (IHSG)" },
+    satuan: "%",
+    min: -20,
+    max: 20,
+    step: 1,
+  },
+  // + = rupiah melemah terhadap USD
+  {
+    key: "kurs",
+    label: "Kurs USD/IDR",
+    en: { label: "USD/IDR rate" },
+    satuan: "%",
+    min: -20,
+    max: 20,
+    step: 1,
+  },
+];
+export const WHATIF_NOL = { inflasi: 0, biRate: 0, ihsg: 0, kurs: 0 };
+export const DATASET_DEFAULT = {
+  schema: DATASET_SCHEMA,
+  versi: DATASET_VERSI,
+  asOf: "2025-09", // per bulan data
+  sumber: [
+    {
+      nama: "Bank Indonesia",
+      data: "BI-Rate & inflasi",
+      url: "https://www.bi.go.id",
+    },
+    {
+      nama: "OJK / IDX",
+      data: "IHSG, transaksi harian & statistik investor",
+      url: "https://www.idx.co.id",
+    },
+    { nama: "BPS", data: "Inflasi & PDB", url: "https://www.bps.go.id" },
+    {
+      nama: "Logam Mulia (Antam)",
+      data: "Harga emas batangan",
+      url: "https://www.logammulia.com",
+    },
+  ],
+  macro: {
+    IHSG: 7789.94,
+    hargaDolar: 16791.15,
+    inflasiTahunan: 2.92, // %
+    biRate: 4.75, // %
+    hargaEmas: 3293000, // Rp/gram (Januari 2026)
+    trxHarianBEI: 45_502_425_930_931, // Rp
+  },
+  // Base rates (per bulan, edukatif realistis)
+  base: {
+    saham: { opt: 0.015, mod: 0.008, pes: -0.01 },
+    obligasi: { opt: 0.007, mod: 0.004, pes: -0.003 },
+    deposito: { opt: 0.004, mod: 0.003, pes: 0.002 },
+    emas: { opt: 0.006, mod: 0.004, pes: 0.0002 },
+    reksadana: { opt: 0.012, mod: 0.006, pes: -0.007 },
+  },
+  // Geseran laju bulanan per instrumen untuk tiap +1 unit slider What-If
+  // (inflasi & BI Rate per +1 pp, IHSG & kurs per +1%)
+  sensitivitas: {
+    inflasi: {
+      saham: -0.002,
+      obligasi: -0.001,
+      deposito: 0.0005,
+      emas: 0.001,
+      reksadana: -0.001,
+    },
+    biRate: {
+      saham: -0.006,
+      obligasi: -0.004,
+      deposito: 0.0016,
+      emas: -0.0008,
+      reksadana: -0.004,
+    },
+    ihsg: {
+      saham: 0.0004,
+      obligasi: 0,
+      deposito: 0,
+      emas: -0.0001,
+      reksadana: 0.0003,
+    },
+    kurs: {
+      saham: -0.0002,
+      obligasi: -0.0001,
+      deposito: 0,
+      emas: 0.0004,
+      reksadana: -0.0001,
+    },
+  },
+  investorsDefault: 18_000_000, // SID (OJK/IDX 2025)
+  pdb: 20000, // PDB Indonesia (triliun rupiah, BPS 2025)
+};
+
+/* ============ Validasi dataset ============ */
+// batas wajar tiap isian (validasi panel & impor)
+export const MACRO_FIELDS = [
+  {
+    key: "IHSG",
+    label: "IHSG (poin)",
+    en: { label: "JCI / IHSG (points)" },
+    min: 100,
+    max: 100_000,
+  },
+  {
+    key: "hargaDolar",
+    label: "Kurs USD (Rp/USD)",
+    en: { label: "USD rate (Rp/USD)" },
+    min: 1_000,
+    max: 100_000,
+  },
+  {
+    key: "inflasiTahunan",
+    label: "Inflasi tahunan (%)",
+    en: { label: "Annual inflation (%)" },
+    min: -5,
+    max: 100,
+  },
+  { key: "biRate", label: "BI Rate (%)", min: 0, max: 100 },
+  {
+    key: "hargaEmas",
+    label: "Harga emas (Rp/gram)",
+    en: { label: "Gold price (Rp/gram)" },
+    min: 10_000,
+    max: 100_000_000,
+  },
+  {
+    key: "trxHarianBEI",
+    label: "Transaksi harian BEI (Rp)",
+    en: { label: "IDX daily turnover (Rp)" },
+    min: 1e9,
+    max: 1e16,
+  },
+];
+
+// Pesan galat validasi dataset (Indonesia). Aplikasi menyisipkannya ke TEKS.id
+// & punya terjemahan EN sendiri; CLI memakainya langsung.
+export const PESAN_DATASET = {
+  "galat.bukanDataset": "File bukan dataset RUPACAYA.",
+  "galat.wajibAngka": "wajib diisi angka.",
+  "galat.wajibIsi": "wajib diisi.",
+  "galat.luarBatas": (v, min, max) =>
+    `${v} di luar batas wajar (${min} s/d ${max}).`,
+  "galat.harus": (nilai) => `harus "${nilai}".`,
+  "galat.versiBulat": "wajib diisi bilangan bulat ≥ 1.",
+  "galat.versiBaru": (v, maks) =>
+    `${v} lebih baru dari yang didukung aplikasi (${maks}).`,
+  "galat.formatAsOf": "wajib format TTTT-BB (mis. 2025-09).",
+  "galat.sumberKosong": "minimal satu sitasi sumber data.",
+  "galat.urutanBase": "urutan harus opt ≥ mod ≥ pes.",
+};
+const trDataset = (key, ...args) => {
+  const v = PESAN_DATASET[key];
+  return typeof v === "function" ? v(...args) : v;
+};
+
+// Validasi dataset (impor aplikasi, simpanan browser & --dataset CLI) →
+// { data, errors }. Pesan error selalu menyebut field yang bermasalah; `tr`
+// = penerjemah aplikasi (bahasa aktif), bawaan = pesan Indonesia di bawah.
+export function validasiDataset(obj, tr = trDataset) {
+  if (!obj || typeof obj !== "object")
+    return { errors: [tr("galat.bukanDataset")] };
+  const errors = [];
+  const angka = (path, v, min, max) => {
+    if (typeof v !== "number" || isNaN(v)) {
+      errors.push(`${path}: ${tr("galat.wajibAngka")}`);
+    } else if (v < min || v > max) {
+      errors.push(`${path}: ${tr("galat.luarBatas", v, min, max)}`);
+    }
+    return v;
+  };
+
+  if (obj.schema !== DATASET_SCHEMA)
+    errors.push(`schema: ${tr("galat.harus", DATASET_SCHEMA)}`);
+  if (!Number.isInteger(obj.versi) || obj.versi < 1)
+    errors.push(`versi: ${tr("galat.versiBulat")}`);
+  else if (obj.versi > DATASET_VERSI)
+    errors.push(`versi: ${tr("galat.versiBaru", obj.versi, DATASET_VERSI)}`);
+  if (!/^\d{4}-\d{2}$/.test(obj.asOf || ""))
+    errors.push(`asOf: ${tr("galat.formatAsOf")}`);
+  if (!Array.isArray(obj.sumber) || !obj.sumber.length)
+    errors.push(`sumber: ${tr("galat.sumberKosong")}`);
+  else
+    obj.sumber.forEach((s, i) => {
+      if (!s || !String(s.nama || "").trim())
+        errors.push(`sumber[${i}].nama: ${tr("galat.wajibIsi")}`);
+    });
+
+  const data = {
+    schema: DATASET_SCHEMA,
+    versi: DATASET_VERSI,
+    asOf: obj.asOf,
+    sumber: (Array.isArray(obj.sumber) ? obj.sumber : []).map((s) => ({
+      nama: String(s?.nama || ""),
+      data: String(s?.data || ""),
+      url: String(s?.url || ""),
+    })),
+    macro: {},
+    base: {},
+    sensitivitas: {},
+  };
+  MACRO_FIELDS.forEach((f) => {
+    data.macro[f.key] = angka(
+      `macro.${f.key}`,
+      obj.macro?.[f.key],
+      f.min,
+      f.max
+    );
+  });
+  JENIS.forEach((j) => {
+    data.base[j] = {};
+    SKENARIO.forEach((sk) => {
+      data.base[j][sk] = angka(
+        `base.${j}.${sk}`,
+        obj.base?.[j]?.[sk],
+        -0.1,
+        0.1
+      );
+    });
+    const b = data.base[j];
+    if (!(b.opt >= b.mod && b.mod >= b.pes))
+      errors.push(`base.${j}: ${tr("galat.urutanBase")}`);
+  });
+  WHATIF.forEach(({ key: w }) => {
+    data.sensitivitas[w] = {};
+    JENIS.forEach((j) => {
+      data.sensitivitas[w][j] = angka(
+        `sensitivitas.${w}.${j}`,
+        obj.sensitivitas?.[w]?.[j],
+        -0.02,
+        0.02
+      );
+    });
+  });
+  data.investorsDefault = angka(
+    "investorsDefault",
+    obj.investorsDefault,
+    1,
+    300_000_000
+  );
+  data.pdb = angka("pdb", obj.pdb, 1_000, 1_000_000);
+  return errors.length ? { errors } : { data, errors };
+}
+
+/* ============ CSV ============ */
+export const csvCell = (v) => {
+  const t = String(v ?? "");
+  return /[",\n]/.test(t) ? `"${t.replace(/"/g, '""')}"` : t;
+};
+export const keCsv = (rows) =>
+  rows.map((r) => r.map(csvCell).join(",")).join("\n");
+// parser CSV sederhana (mendukung tanda kutip & koma di dalam kutip)
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let kutip = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (kutip) {
+      if (c === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') kutip = false;
+      else cell += c;
+    } else if (c === '"') kutip = true;
+    else if (c === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else cell += c;
+  }
+  if (cell !== "" || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+// Dataset ⇄ CSV "bagian,kunci,nilai,keterangan" (satu angka per baris → enak direview)
+export function datasetKeCsv(ds) {
+  const rows = [["bagian", "kunci", "nilai", "keterangan"]];
+  rows.push(["meta", "schema", ds.schema, ""]);
+  rows.push(["meta", "versi", ds.versi, ""]);
+  rows.push(["meta", "asOf", ds.asOf, "TTTT-BB"]);
+  ds.sumber.forEach((s) => rows.push(["sumber", s.nama, s.url, s.data]));
+  MACRO_FIELDS.forEach((f) =>
+    rows.push(["macro", f.key, ds.macro[f.key], f.label])
+  );
+  JENIS.forEach((j) =>
+    SKENARIO.forEach((sk) =>
+      rows.push(["base", `${j}.${sk}`, ds.base[j][sk], "laju per bulan"])
+    )
+  );
+  WHATIF.forEach((w) =>
+    JENIS.forEach((j) =>
+      rows.push([
+        "sensitivitas",
+        `${w.key}.${j}`,
+        ds.sensitivitas[w.key][j],
+        `geseran laju per bulan per +1 ${w.satuan} ${w.label}`,
+      ])
+    )
+  );
+  rows.push(["umum", "investorsDefault", ds.investorsDefault, "SID"]);
+  rows.push(["umum", "pdb", ds.pdb, "triliun rupiah"]);
+  return keCsv(rows);
+}
+export function csvKeDataset(text) {
+  const obj = { sumber: [], macro: {}, base: {}, sensitivitas: {} };
+  const num = (v) => (String(v).trim() === "" ? undefined : Number(v));
+  parseCsv(text)
+    .slice(1)
+    .forEach(([bagian, kunci, nilai, ket]) => {
+      const [a, b] = String(kunci || "").split(".");
+      if (bagian === "meta")
+        obj[kunci] = kunci === "versi" ? num(nilai) : nilai;
+      else if (bagian === "sumber")
+        obj.sumber.push({ nama: kunci, url: nilai, data: ket || "" });
+      else if (bagian === "macro") obj.macro[kunci] = num(nilai);
+      else if (bagian === "base" || bagian === "sensitivitas") {
+        obj[bagian][a] = obj[bagian][a] || {};
+        obj[bagian][a][b] = num(nilai);
+      } else if (bagian === "umum") obj[kunci] = num(nilai);
+    });
+  return obj;
+}
+
+/* ============ Mesin proyeksi ============ */
+// Modal masuk di bulan ke-0, setoran rutin masuk tiap akhir bulan (DCA).
+export const proyeksiSaldo = (modal, setoran, rate, months) => {
+  let saldo = modal;
+  for (let m = 1; m <= months; m++) saldo = saldo * (1 + rate) + setoran;
+  return saldo;
+};
+// Laju bulanan setara (money-weighted) yang menghasilkan nilai akhir `target`
+// dari aliran modal + setoran yang sama → dipakai untuk portofolio campuran.
+export const lajuSetara = (modal, setoran, target, months) => {
+  if (!months || !(modal + setoran * months)) return 0;
+  let lo = -0.5;
+  let hi = 0.5;
+  for (let i = 0; i < 80; i++) {
+    const mid = (lo + hi) / 2;
+    if (proyeksiSaldo(modal, setoran, mid, months) > target) hi = mid;
+    else lo = mid;
+  }
+  return (lo + hi) / 2;
+};
+// Versi setelah pajak & biaya: fee beli memotong tiap setoran, pajak memotong
+// return positif tiap bulan, fee tahunan dipotong bulanan, fee jual/spread saat
+// dicairkan di akhir.
+export const proyeksiNet = (modal, setoran, rate, months, b) =>
+  seriSaldo(modal, setoran, rate, months, b)[months];
+// Saldo bulan ke-0..months dengan aturan biaya yang sama; nilai tiap titik =
+// nilai bila dicairkan saat itu (sudah potong fee jual) → bahan grafik.
+// rate boleh angka tetap atau fungsi (bulan ke-m) → laju bulan itu (replay krisis).
+export const seriSaldo = (modal, setoran, rate, months, b) => {
+  const lajuNet = (r) =>
+    (r > 0 ? r * (1 - b.pajakReturn) : r) - b.feeTahunan / 12;
+  let saldo = modal * (1 - b.feeBeli);
+  const seri = [saldo * (1 - b.feeJual)];
+  for (let m = 1; m <= months; m++) {
+    const rNet = lajuNet(typeof rate === "function" ? rate(m) : rate);
+    saldo = saldo * (1 + rNet) + setoran * (1 - b.feeBeli);
+    seri.push(saldo * (1 - b.feeJual));
+  }
+  return seri;
+};
+// inflasi tahunan (%) → laju bulanan majemuk
+export const inflasiBulanan = (inflasiPct) =>
+  Math.pow(1 + inflasiPct / 100, 1 / 12) - 1;
+
+/* ============ Pajak, biaya & spread (aturan umum di Indonesia) ============ */
+// pajakReturn: porsi return positif yang dipotong pajak final
+// feeTahunan: biaya pengelolaan per tahun • feeBeli/feeJual: potongan saat setor/cair
+export const BIAYA_INSTRUMEN = {
+  saham: {
+    pajakReturn: 0,
+    feeTahunan: 0,
+    feeBeli: 0.0015,
+    feeJual: 0.0025,
+    catatan: "Komisi broker beli 0,15%; jual 0,15% + PPh final penjualan 0,1%",
+    en: {
+      catatan:
+        "Broker commission 0.15% on buy; 0.15% on sell + 0.1% final tax on sales",
+    },
+  },
+  obligasi: {
+    pajakReturn: 0.1,
+    feeTahunan: 0,
+    feeBeli: 0,
+    feeJual: 0,
+    catatan: "PPh final 10% atas kupon SBN/obligasi",
+    en: {
+      catatan: "10% final income tax on government/corporate bond coupons",
+    },
+  },
+  deposito: {
+    pajakReturn: 0.2,
+    feeTahunan: 0,
+    feeBeli: 0,
+    feeJual: 0,
+    catatan:
+      "PPh final 20% atas bunga deposito (disederhanakan: semua saldo kena)",
+    en: {
+      catatan:
+        "20% final income tax on deposit interest (simplified: applies to every balance)",
+    },
+  },
+  emas: {
+    pajakReturn: 0,
+    feeTahunan: 0,
+    feeBeli: 0,
+    feeJual: 0.08,
+    catatan: "Spread harga beli vs buy-back Antam ± 8% saat dijual kembali",
+    en: { catatan: "Antam buy vs buy-back price spread of ± 8% when sold" },
+  },
+  reksadana: {
+    pajakReturn: 0,
+    feeTahunan: 0.015,
+    feeBeli: 0.005,
+    feeJual: 0,
+    catatan:
+      "Biaya pengelolaan MI ± 1,5%/th + biaya pembelian (subscription) 0,5%",
+    en: {
+      catatan: "Fund manager fee ± 1.5%/yr + 0.5% subscription (purchase) fee",
+    },
+  },
+};
+export const TANPA_BIAYA = {
+  pajakReturn: 0,
+  feeTahunan: 0,
+  feeBeli: 0,
+  feeJual: 0,
+};
+
+/* ============ Hitung hasil (dipakai `result` aplikasi & CLI) ============ */
+// Laju bulanan per skenario untuk satu instrumen setelah geseran What-If:
+// geseran = posisi slider × sensitivitas per unit (tabel dataset)
+export function lajuDisesuaikan(dataset, type, adj = WHATIF_NOL) {
+  const b = dataset.base[type];
+  if (!b) return null;
+  let d = 0;
+  WHATIF.forEach(({ key }) => {
+    d += (adj[key] || 0) * dataset.sensitivitas[key][type];
+  });
+  return {
+    opt: b.opt + d,
+    mod: b.mod + d,
+    pes: b.pes + d * 0.5, // pesimis tidak naik sebanyak optimis
+  };
+}
+
+// Proyeksi 3 skenario untuk bobot instrumen { jenis: 0–1 } — hasilnya sama
+// dengan `result` di aplikasi (tanpa profil risiko, yang butuh teks UI).
+export function hitungProyeksi({
+  bobot,
+  modal,
+  setoran,
+  months,
+  pakaiBiaya = true, // = bawaan aplikasi: pajak, biaya & spread dihitung
+  adj = WHATIF_NOL,
+  dataset = DATASET_DEFAULT,
+}) {
+  const totalSetor = modal + setoran * months; // modal awal + semua setoran
+
+  // tiap instrumen menerima porsi modal & setoran sesuai bobotnya
+  const kontribusi = Object.entries(bobot).map(([type, w]) => {
+    const r = lajuDisesuaikan(dataset, type, adj);
+    const biaya = pakaiBiaya ? BIAYA_INSTRUMEN[type] : TANPA_BIAYA;
+    const grow = (rate) =>
+      proyeksiNet(modal * w, setoran * w, rate, months, biaya);
+    const growGross = (rate) =>
+      proyeksiSaldo(modal * w, setoran * w, rate, months);
+    const seri = (rate) =>
+      seriSaldo(modal * w, setoran * w, rate, months, biaya);
+    return {
+      type,
+      w,
+      r, // laju bulanan yang dipakai (sudah termasuk What-If)
+      biaya,
+      seri: { opt: seri(r.opt), mod: seri(r.mod), pes: seri(r.pes) },
+      setor: totalSetor * w,
+      optV: grow(r.opt),
+      modV: grow(r.mod),
+      pesV: grow(r.pes),
+      optGross: growGross(r.opt),
+      modGross: growGross(r.mod),
+      pesGross: growGross(r.pes),
+    };
+  });
+  const sum = (key) => kontribusi.reduce((s, k) => s + k[key], 0);
+  // optV/modV/pesV = nilai bersih (net) bila pajak & biaya dihitung
+  const optV = sum("optV");
+  const modV = sum("modV");
+  const pesV = sum("pesV");
+  const optGross = sum("optGross");
+  const modGross = sum("modGross");
+  const pesGross = sum("pesGross");
+
+  // dengan setoran rutin, rata-rata/bulan = laju majemuk setara skenario moderat
+  const rMod = lajuSetara(modal, setoran, modV, months);
+  const monthlyModeratePct = rMod * 100;
+  const annualModerate = (Math.pow(1 + rMod, 12) - 1) * 100;
+  const grow = (rate) => proyeksiSaldo(modal, setoran, rate, months);
+  // asumsi inflasi ikut slider What-If inflasi
+  const inflasi = dataset.macro.inflasiTahunan + (adj.inflasi || 0);
+  // patokan "menang inflasi": aliran setoran yang sama, tumbuh setara inflasi
+  const targetInflasi = grow(inflasiBulanan(inflasi));
+  // nilai riil = nominal dideflasi bulan per bulan ke rupiah hari ini
+  const deflator = Math.pow(1 + inflasiBulanan(inflasi), months);
+  const annualReal =
+    ((1 + annualModerate / 100) / (1 + inflasi / 100) - 1) * 100;
+
+  // data grafik bulan per bulan (portofolio = jumlah semua instrumen)
+  const seriInflasi = seriSaldo(
+    modal,
+    setoran,
+    inflasiBulanan(inflasi),
+    months,
+    TANPA_BIAYA
+  );
+  const seri = seriInflasi.map((v, m) => {
+    const total = (key) => kontribusi.reduce((s, k) => s + k.seri[key][m], 0);
+    return {
+      bulan: m,
+      optimis: total("opt"),
+      moderat: total("mod"),
+      pesimis: total("pes"),
+      disetor: modal + setoran * m,
+      inflasi: v,
+    };
+  });
+
+  return {
+    optV,
+    modV,
+    pesV,
+    monthlyModeratePct,
+    annualModerate,
+    modal,
+    setoran,
+    months,
+    totalSetor,
+    inflasi,
+    targetInflasi,
+    optReal: optV / deflator,
+    modReal: modV / deflator,
+    pesReal: pesV / deflator,
+    annualReal,
+    pakaiBiaya,
+    optGross,
+    modGross,
+    pesGross,
+    feeDrag: modGross - modV, // selisih gross − net skenario moderat
+    seri,
+
+    kontribusi,
+  };
+}
+
+/* ============ Dampak nasional (model dampak pasar) ============ */
+// Porsi dana tiap instrumen yang benar-benar dibelanjakan di pasar saham →
+// hanya porsi ini yang mendorong IHSG. Reksa dana di aplikasi = campuran
+// (saham + pendapatan tetap) → anggap separuhnya masuk saham.
+export const PORSI_SAHAM = {
+  saham: 1,
+  obligasi: 0,
+  deposito: 0,
+  emas: 0,
+  reksadana: 0.5,
+};
+// dorongan(koef, ctx) → % kenaikan harian IHSG; kumulatif(harian, hari) → %
+// selama seluruh hari sebar. koef rendah/tinggi = rentang keyakinan.
+export const MODEL_DAMPAK = {
+  akar: {
+    label: "Hukum akar kuadrat",
+    en: { label: "Square-root law" },
+    // Y × volatilitas harian × √(dana per hari ÷ volume harian); Y ≈ 0,5–1
+    // (Tóth dkk. 2011, Bouchaud dkk. 2018) → cekung: dana 4× ≈ dorongan 2×
+    koef: { rendah: 0.5, tengah: 0.75, tinggi: 1 },
+    dorongan: (Y, { partisipasi, volHarian }) =>
+      Y * volHarian * Math.sqrt(partisipasi),
+    // satu "metaorder" Q selama D hari: Yσ√(Q/V) = dorongan harian × √D
+    kumulatif: (harian, hari) => harian * Math.sqrt(hari),
+  },
+  linear: {
+    label: "Linear (versi lama)",
+    en: { label: "Linear (legacy)" },
+    // elastisitas × dana per hari ÷ volume harian (rumus awal, koef 8)
+    koef: { rendah: 4, tengah: 8, tinggi: 12 },
+    dorongan: (k, { partisipasi }) => k * partisipasi,
+    kumulatif: (harian, hari) => harian * hari,
+  },
+};
+// hari = berapa hari bursa dana masuk • volHarian = volatilitas harian IHSG (%)
+export const PARAM_DAMPAK_DEFAULT = { model: "akar", hari: 20, volHarian: 1 };
+export const BATAS_PARAM_DAMPAK = { hari: [1, 2500], volHarian: [0.1, 10] };
+// di atas ~10% volume harian hukum akar kuadrat mulai tidak teruji
+export const PARTISIPASI_MAKS = 0.1;
+export const HARI_BURSA_SEBULAN = 21; // ± 250 hari bursa setahun
+
+// Dampak nasional: dana yang masuk pasar selama `hari` hari bursa (per orang ×
+// investor) → porsi saham → dibagi rata ke hari-hari itu → dorongan harian IHSG
+// (tengah + rentang) & kumulatif. Yang dihitung hanya modal awal + setoran dari
+// bulan yang tersentuh rentang sebar, BUKAN total setor sepanjang durasi
+// (setoran sesudahnya belum ada di pasar).
+export function dampakNasional({
+  investors,
+  modal,
+  setoran,
+  months,
+  bobot,
+  macro,
+  param = PARAM_DAMPAK_DEFAULT,
+}) {
+  const { model, ...isian } = { ...PARAM_DAMPAK_DEFAULT, ...param };
+  // isian dari form bisa kosong/di luar batas → jepit ke BATAS_PARAM_DAMPAK
+  const jepit = (k) => {
+    const [min, max] = BATAS_PARAM_DAMPAK[k];
+    return Math.min(max, Math.max(min, Number(isian[k]) || min));
+  };
+  const hari = Math.round(jepit("hari"));
+  const volHarian = jepit("volHarian");
+  const m = MODEL_DAMPAK[model] || MODEL_DAMPAK.akar;
+  const setoranMasuk = setoran
+    ? Math.min(months, Math.ceil(hari / HARI_BURSA_SEBULAN))
+    : 0;
+  const danaPerOrang = modal + setoran * setoranMasuk;
+  const totalDana = investors * danaPerOrang;
+  const porsiSaham = Object.entries(bobot).reduce(
+    (s, [j, w]) => s + w * (PORSI_SAHAM[j] || 0),
+    0
+  );
+  const danaSaham = totalDana * porsiSaham;
+  const perHari = danaSaham / hari;
+  const partisipasi = macro.trxHarianBEI > 0 ? perHari / macro.trxHarianBEI : 0;
+  const harian = (koef) => m.dorongan(koef, { partisipasi, volHarian });
+  const impactPct = harian(m.koef.tengah);
+  return {
+    model,
+    hari,
+    volHarian,
+    setoranMasuk, // berapa kali setoran bulanan ikut dalam rentang sebar
+    danaPerOrang,
+    totalDana,
+    porsiSaham,
+    danaSaham,
+    perHari,
+    partisipasi,
+    impactPct, // dorongan harian (estimasi tengah), bukan prediksi literal
+    rendahPct: harian(m.koef.rendah),
+    tinggiPct: harian(m.koef.tinggi),
+    kumulatifPct: m.kumulatif(impactPct, hari),
+    andal: partisipasi <= PARTISIPASI_MAKS,
+  };
+}
+
+/* ============ Dampak ke inflasi (multi-tahun) ============ */
+export const K_INFLASI = 0.05; // koefisien sensitivitas (edukatif), bisa diubah user
+export const BATAS_K_INFLASI = [0, 1];
+// Incremental Capital-Output Ratio Indonesia (± 6,5 menurut Bappenas/BPS):
+// butuh ± Rp 6,5 investasi untuk menambah Rp 1 output per tahun
+export const ICOR = 6.5;
+// Komponen tambahan inflasi tiap tahun (poin persen). `rumus` = teks yang
+// tampil di layar/PDF, `nilai` = angkanya → satu tempat, jadi tidak bisa beda.
+// c = { k, porsiProduktif, rasio, rasioSebelumnya, icor }; rasio = dana ÷ PDB.
+export const KOMPONEN_INFLASI = [
+  {
+    key: "tekanan",
+    tanda: 1,
+    label: "Tekanan permintaan",
+    rumus: "k × (1 − porsi produktif) × (dana tahun ini ÷ PDB)",
+    ket: "porsi dana yang tidak produktif langsung jadi belanja → harga naik di tahun yang sama",
+    en: {
+      label: "Demand pressure",
+      rumus: "k × (1 − productive share) × (this year's funds ÷ GDP)",
+      ket: "the non-productive share is spent right away → prices rise in the same year",
+    },
+    nilai: (c) => c.k * (1 - c.porsiProduktif) * c.rasio * 100,
+  },
+  {
+    key: "kapasitas",
+    tanda: -1,
+    label: "Tambahan kapasitas",
+    rumus: "k × porsi produktif × (dana tahun-tahun sebelumnya ÷ PDB) ÷ ICOR",
+    ket: "porsi produktif jadi pabrik/infrastruktur → mulai tahun berikutnya output naik (÷ ICOR) dan menahan harga, terus menumpuk",
+    en: {
+      label: "Added capacity",
+      rumus: "k × productive share × (previous years' funds ÷ GDP) ÷ ICOR",
+      ket: "the productive share becomes factories/infrastructure → from the next year output rises (÷ ICOR) and holds prices back, and it keeps accumulating",
+    },
+    nilai: (c) => (c.k * c.porsiProduktif * c.rasioSebelumnya * 100) / c.icor,
+  },
+];
+
+// Jalur inflasi per tahun selama durasi: dana seluruh investor yang masuk di
+// tahun itu (modal di tahun ke-1 + setoran bulanan) dibandingkan PDB (tetap).
+// Tahun ke-0 = kondisi awal; baseline = inflasi awal tanpa investasi.
+export function dampakInflasi({
+  modal,
+  setoran,
+  months,
+  investors,
+  pdb, // triliun rupiah
+  porsiProduktif,
+  inflasiAwal,
+  k = K_INFLASI,
+  icor = ICOR,
+}) {
+  const pdbRp = pdb * 1_000_000_000_000;
+  const nol = Object.fromEntries(KOMPONEN_INFLASI.map((x) => [x.key, 0]));
+  const jalur = [
+    {
+      tahun: 0,
+      dana: 0,
+      rasio: 0,
+      ...nol,
+      tambahan: 0,
+      baseline: inflasiAwal,
+      inflasi: inflasiAwal,
+    },
+  ];
+  let rasioSebelumnya = 0;
+  const tahun = Math.max(1, Math.ceil(months / 12));
+  for (let t = 1; t <= tahun; t++) {
+    const bulan = Math.max(0, Math.min(12, months - 12 * (t - 1)));
+    const dana = investors * ((t === 1 ? modal : 0) + setoran * bulan);
+    const rasio = pdbRp > 0 ? dana / pdbRp : 0;
+    const c = { k, porsiProduktif, rasio, rasioSebelumnya, icor };
+    const komponen = Object.fromEntries(
+      KOMPONEN_INFLASI.map((x) => [x.key, x.tanda * x.nilai(c)])
+    );
+    const tambahan = Object.values(komponen).reduce((s, v) => s + v, 0);
+    jalur.push({
+      tahun: t,
+      dana,
+      rasio,
+      ...komponen,
+      tambahan,
+      baseline: inflasiAwal,
+      inflasi: inflasiAwal + tambahan,
+    });
+    rasioSebelumnya += rasio;
+  }
+  const totalDana = jalur.reduce((s, j) => s + j.dana, 0);
+  const akhir = jalur[jalur.length - 1];
+  return {
+    k,
+    icor,
+    totalDana, // total dana seluruh investor selama durasi (rupiah)
+    ratioDanaPdb: pdbRp > 0 ? totalDana / pdbRp : 0,
+    jalur,
+    tambahanInflasi: jalur[1].tambahan, // tahun ke-1
+    inflasiSimulasi: jalur[1].inflasi,
+    tambahanAkhir: akhir.tambahan,
+    inflasiAkhir: akhir.inflasi,
+  };
+}
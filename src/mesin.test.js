@@ -0,0 +1,305 @@
+import { spawnSync } from "child_process";
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import {
+  DATASET_DEFAULT,
+  MACRO_FIELDS,
+  WHATIF_NOL,
+  K_INFLASI,
+  PARAM_DAMPAK_DEFAULT,
+  lajuDisesuaikan,
+  hitungProyeksi,
+  dampakNasional,
+  dampakInflasi,
+  validasiDataset,
+  datasetKeCsv,
+  csvKeDataset,
+  parseCsv,
+} from "./mesin.mjs";
+
+const ds = DATASET_DEFAULT;
+
+describe("parseCsv", () => {
+  test("kutip, koma & baris baru di dalam sel, CRLF, baris kosong dibuang", () => {
+    const csv = 'a,b\r\n"x, y","baris\nbaru ""kutip"""\n\n1,\n';
+    expect(parseCsv(csv)).toEqual([
+      ["a", "b"],
+      ["x, y", 'baris\nbaru "kutip"'],
+      ["1", ""],
+    ]);
+  });
+});
+
+describe("validasiDataset & dataset CSV", () => {
+  const pesanUntuk = (obj) => validasiDataset(obj).errors;
+
+  test("dataset bawaan valid, lolos utuh", () => {
+    const { data, errors } = validasiDataset(ds);
+    expect(errors).toEqual([]);
+    expect(data).toEqual(ds);
+  });
+
+  test("CSV hasil ekspor bisa diimpor lagi tanpa berubah", () => {
+    const { data, errors } = validasiDataset(csvKeDataset(datasetKeCsv(ds)));
+    expect(errors).toEqual([]);
+    expect(data).toEqual(ds);
+  });
+
+  test("schema salah & versi tidak didukung", () => {
+    expect(pesanUntuk({ ...ds, schema: "lain" })).toEqual([
+      'schema: harus "rupacaya-dataset".',
+    ]);
+    expect(pesanUntuk({ ...ds, versi: 9 })).toEqual([
+      "versi: 9 lebih baru dari yang didukung aplikasi (1).",
+    ]);
+    expect(pesanUntuk({ ...ds, versi: "1" })).toEqual([
+      "versi: wajib diisi bilangan bulat ≥ 1.",
+    ]);
+    expect(pesanUntuk(null)).toEqual(["File bukan dataset RUPACAYA."]);
+  });
+
+  test("field macro yang hilang disebut satu per satu", () => {
+    expect(pesanUntuk({ ...ds, macro: { IHSG: 7000 } })).toEqual(
+      MACRO_FIELDS.filter((f) => f.key !== "IHSG").map(
+        (f) => `macro.${f.key}: wajib diisi angka.`
+      )
+    );
+  });
+
+  test("sel CSV bukan angka / kosong / di luar batas", () => {
+    const csv = datasetKeCsv(ds)
+      .replace("macro,IHSG,7789.94,", "macro,IHSG,tujuh ribu,")
+      .replace("umum,pdb,20000,", "umum,pdb,,")
+      .replace("base,saham.opt,0.015,", "base,saham.opt,0.5,");
+    expect(pesanUntuk(csvKeDataset(csv))).toEqual([
+      "macro.IHSG: wajib diisi angka.",
+      "base.saham.opt: 0.5 di luar batas wajar (-0.1 s/d 0.1).",
+      "pdb: wajib diisi angka.",
+    ]);
+  });
+
+  test("pesan ikut penerjemah aplikasi bila dioper", () => {
+    const tr = (key) => `[${key}]`;
+    expect(validasiDataset({ ...ds, asOf: "Sep 2025" }, tr).errors).toEqual([
+      "asOf: [galat.formatAsOf]",
+    ]);
+  });
+});
+
+describe("lajuDisesuaikan", () => {
+  test("tanpa What-If = base rate dataset", () => {
+    expect(lajuDisesuaikan(ds, "saham")).toEqual(ds.base.saham);
+  });
+
+  test("What-If menggeser opt/mod penuh, pes separuh", () => {
+    const s = ds.sensitivitas.inflasi.saham;
+    const r = lajuDisesuaikan(ds, "saham", { ...WHATIF_NOL, inflasi: 1 });
+    expect(r.opt).toBeCloseTo(ds.base.saham.opt + s, 12);
+    expect(r.mod).toBeCloseTo(ds.base.saham.mod + s, 12);
+    expect(r.pes).toBeCloseTo(ds.base.saham.pes + s / 2, 12);
+  });
+
+  test("instrumen tak dikenal → null", () => {
+    expect(lajuDisesuaikan(ds, "kripto")).toBeNull();
+  });
+});
+
+describe("hitungProyeksi", () => {
+  test("tanpa biaya & setoran = bunga majemuk biasa", () => {
+    const r = hitungProyeksi({
+      bobot: { saham: 1 },
+      modal: 1_000_000,
+      setoran: 0,
+      months: 12,
+      pakaiBiaya: false,
+    });
+    expect(r.modV).toBeCloseTo(1_000_000 * 1.008 ** 12, 4);
+    expect(r.totalSetor).toBe(1_000_000);
+  });
+
+  test("saham, modal + setoran, biaya dihitung secara bawaan", () => {
+    const r = hitungProyeksi({
+      bobot: { saham: 1 },
+      modal: 1_000_000,
+      setoran: 100_000,
+      months: 24,
+    });
+    expect(r.pakaiBiaya).toBe(true);
+    expect(r.totalSetor).toBe(3_400_000);
+    expect(r.optV).toBeCloseTo(4_275_699.57, 2);
+    expect(r.modV).toBeCloseTo(3_829_694.93, 2);
+    expect(r.pesV).toBeCloseTo(2_917_192.13, 2);
+    expect(r.feeDrag).toBeGreaterThan(0);
+  });
+});
+
+describe("dampakNasional", () => {
+  test("model linear: dana masuk = modal + setoran dalam rentang sebar", () => {
+    const d = dampakNasional({
+      investors: 1_000,
+      modal: 1_000_000,
+      setoran: 100_000,
+      months: 24,
+      bobot: { saham: 1 },
+      macro: { trxHarianBEI: 1e12 },
+      param: { model: "linear", hari: 20 },
+    });
+    expect(d.setoranMasuk).toBe(1);
+    expect(d.danaPerOrang).toBe(1_100_000);
+    expect(d.totalDana).toBe(1.1e9);
+    expect(d.perHari).toBe(5.5e7);
+    expect(d.impactPct).toBeCloseTo(8 * 5.5e-5, 12);
+    expect(d.kumulatifPct).toBeCloseTo(20 * 8 * 5.5e-5, 12);
+  });
+
+  test("hukum akar kuadrat: hanya porsi saham, setoran terbatas durasi", () => {
+    const d = dampakNasional({
+      investors: 1_000,
+      modal: 1_000_000,
+      setoran: 100_000,
+      months: 3,
+      bobot: { saham: 0.5, obligasi: 0.5 },
+      macro: { trxHarianBEI: 1e12 },
+      param: { hari: 120 },
+    });
+    expect(d.setoranMasuk).toBe(3); // 120 hari bursa ≈ 6 bulan, durasi 3
+    expect(d.danaSaham).toBe(1_300_000 * 1_000 * 0.5);
+    const partisipasi = d.danaSaham / 120 / 1e12;
+    expect(d.impactPct).toBeCloseTo(0.75 * Math.sqrt(partisipasi), 12);
+    expect(d.kumulatifPct).toBeCloseTo(d.impactPct * Math.sqrt(120), 12);
+    expect(d.andal).toBe(true);
+  });
+});
+
+describe("dampakInflasi", () => {
+  test("tekanan tahun ini & kapasitas dari tahun sebelumnya", () => {
+    const d = dampakInflasi({
+      modal: 1_000_000,
+      setoran: 100_000,
+      months: 24,
+      investors: 1_000_000,
+      pdb: 20_000,
+      porsiProduktif: 0.7,
+      inflasiAwal: 3,
+    });
+    expect(d.jalur.map((j) => j.dana)).toEqual([0, 2.2e12, 1.2e12]);
+    expect(d.totalDana).toBe(3.4e12);
+    // k × (1 − 0,7) × (2,2 T ÷ 20.000 T) × 100
+    expect(d.tambahanInflasi).toBeCloseTo(0.05 * 0.3 * 1.1e-4 * 100, 12);
+    expect(d.jalur[2].kapasitas).toBeCloseTo(
+      -(0.05 * 0.7 * 1.1e-4 * 100) / 6.5,
+      12
+    );
+    expect(d.inflasiAkhir).toBeCloseTo(3 + d.tambahanAkhir, 12);
+  });
+});
+
+// Jalankan CLI di folder sementara: berkas = { nama: isi } → { status, stdout, stderr }
+function jalankanCli(berkas, argumen) {
+  const dir = mkdtempSync(join(tmpdir(), "rupacaya-"));
+  Object.entries(berkas).forEach(([nama, isi]) =>
+    writeFileSync(join(dir, nama), isi)
+  );
+  const cli = spawnSync(
+    process.execPath,
+    [
+      join(__dirname, "../scripts/simulasi-batch.mjs"),
+      ...argumen.map((a) => (a in berkas ? join(dir, a) : a)),
+    ],
+    { encoding: "utf8" }
+  );
+  rmSync(dir, { recursive: true, force: true });
+  return cli;
+}
+
+describe("CLI simulasi-batch", () => {
+  test("satu persona = angka yang dihitung aplikasi", () => {
+    const cli = jalankanCli(
+      {
+        "persona.csv":
+          "nama,instrumen,modal,bulan,setoran,inflasi,hari\n" +
+          'Budi,"saham:60,emas:40",1000000,36,200000,1,60\n',
+      },
+      ["persona.csv", "--format", "json"]
+    );
+    expect(cli.status).toBe(0);
+    const [keluaran] = JSON.parse(cli.stdout).hasil;
+
+    // input yang sama seperti di Langkah 5 aplikasi (semua pengaturan bawaan)
+    const bobot = { saham: 0.6, emas: 0.4 };
+    const hasil = hitungProyeksi({
+      bobot,
+      modal: 1_000_000,
+      setoran: 200_000,
+      months: 36,
+      pakaiBiaya: true,
+      adj: { ...WHATIF_NOL, inflasi: 1 },
+      dataset: ds,
+    });
+    const nasional = dampakNasional({
+      investors: ds.investorsDefault,
+      modal: hasil.modal,
+      setoran: hasil.setoran,
+      months: hasil.months,
+      bobot,
+      macro: ds.macro,
+      param: { ...PARAM_DAMPAK_DEFAULT, hari: 60 },
+    });
+    const inflasi = dampakInflasi({
+      modal: 1_000_000,
+      setoran: 200_000,
+      months: 36,
+      investors: ds.investorsDefault,
+      pdb: ds.pdb,
+      porsiProduktif: 0.7,
+      inflasiAwal: ds.macro.inflasiTahunan,
+      k: K_INFLASI,
+    });
+    const json = (x) => JSON.parse(JSON.stringify(x));
+    // tanpa --seri CLI membuang seri bulanan & meringkas kontribusi
+    const { seri, kontribusi, ...ringkas } = hasil;
+    expect(keluaran.hasil).toMatchObject(json(ringkas));
+    expect(keluaran.hasil.kontribusi.map((k) => [k.type, k.modV])).toEqual(
+      kontribusi.map((k) => [k.type, k.modV])
+    );
+    expect(keluaran.dampakNasional).toEqual(json(nasional));
+    expect(keluaran.dampakInflasi).toEqual(json(inflasi));
+  });
+
+  test("dataset hasil Unduh JSON aplikasi diterima", () => {
+    const cli = jalankanCli(
+      {
+        "persona.csv": "nama,instrumen,modal,bulan\nBudi,saham,1000000,12\n",
+        "dataset.json": JSON.stringify({ ...ds, pdb: 25_000 }),
+      },
+      ["persona.csv", "--dataset", "dataset.json", "--format", "json"]
+    );
+    expect(cli.status).toBe(0);
+    expect(JSON.parse(cli.stdout).hasil).toHaveLength(1);
+  });
+
+  test("dataset dengan macro tidak lengkap ditolak", () => {
+    const cli = jalankanCli(
+      {
+        "persona.csv": "nama,instrumen,modal,bulan\nBudi,saham,1000000,12\n",
+        "dataset.json": JSON.stringify({ ...ds, macro: { IHSG: 7000 } }),
+      },
+      ["persona.csv", "--dataset", "dataset.json"]
+    );
+    expect(cli.status).not.toBe(0);
+    expect(cli.stdout).toBe("");
+    expect(cli.stderr).toMatch(/macro\.inflasiTahunan: wajib diisi angka/);
+    expect(cli.stderr).not.toMatch(/\n\s+at /); // bukan stack trace mentah
+  });
+
+  test("folder keluaran tidak ada → pesan singkat, bukan crash", () => {
+    const cli = jalankanCli(
+      { "persona.csv": "nama,instrumen,modal,bulan\nBudi,saham,1000000,12\n" },
+      ["persona.csv", "-o", join(tmpdir(), "rupacaya-tidak-ada", "hasil.csv")]
+    );
+    expect(cli.status).toBe(1);
+    expect(cli.stderr).toMatch(/ENOENT/);
+    expect(cli.stderr).not.toMatch(/\n\s+at /);
+  });
+});